@@ -0,0 +1,38 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Mock Web Workers for Jest testing by running tasks on the main thread
+import {runTask} from '../src/workerTasks.js';
+
+/**
+ * Mock of the worker class created by worker-loader
+ */
+export default class {
+  /**
+   * Runs a task and responds asynchronously like a worker would
+   * @param {Object} message Message posted by the worker pool
+   */
+  postMessage({id, task, args}) {
+    runTask(task, args)
+        .then(({result}) => this.onmessage({data: {id, result}}))
+        .catch((error) => this.onmessage({data: {id, error: error.message}}));
+  }
+
+  /**
+   * Terminating has no effect, as nothing runs in the background
+   */
+  terminate() {}
+}
@@ -0,0 +1,171 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module adaptiveConcurrency */
+
+/** Number of simultaneous requests adaptive runs start with
+ * @constant {number} */
+const DEFAULT_INITIAL_CONCURRENCY = 4;
+
+/** Default highest number of simultaneous requests adaptive runs can reach
+ * @constant {number} */
+const DEFAULT_MAX_CONCURRENCY = 100;
+
+/** Requests added to the concurrency after each window without congestion
+ * @constant {number} */
+const ADDITIVE_INCREASE = 1;
+
+/** Factor the concurrency is multiplied by when congestion is detected
+ * @constant {number} */
+const MULTIPLICATIVE_DECREASE = 0.5;
+
+/** Latency, relative to the lowest latency seen, above which requests are
+ *    treated as queueing on the server or network
+ * @constant {number} */
+const LATENCY_THRESHOLD = 2;
+
+/** Smallest added latency in milliseconds treated as queueing, so jitter
+ *    in fast responses (e.g. from a nearby server) isn't mistaken for it
+ * @constant {number} */
+const MIN_QUEUEING_DELAY = 50;
+
+/** Relative increase in throughput needed for queueing requests to be
+ *    worth their extra latency
+ * @constant {number} */
+const MIN_THROUGHPUT_GAIN = 0.05;
+
+/**
+ * A change of concurrency during a run
+ * @typedef {Object} ConcurrencySample
+ * @property {number} time Milliseconds since the run started
+ * @property {number} concurrency Number of simultaneous requests chosen
+ * @property {?number} fps Frames per second received in the window before
+ *    the change, or null at the start of the run
+ */
+
+/**
+ * Class for tuning the number of simultaneous requests of a run, using
+ *    additive increase and multiplicative decrease (AIMD). Requests are
+ *    measured in windows of as many requests as the current concurrency,
+ *    i.e. roughly one round trip. The concurrency grows by one after each
+ *    window, and is halved when requests are rate limited (429), or when
+ *    latency climbs without throughput improving.
+ */
+class AdaptiveConcurrency {
+  /**
+   * Instantiates a new AdaptiveConcurrency, starting a run
+   * @param {number=} initialConcurrency Number of simultaneous requests to
+   *    start with
+   * @param {number=} maxConcurrency Highest number of simultaneous requests
+   */
+  constructor(initialConcurrency = DEFAULT_INITIAL_CONCURRENCY,
+      maxConcurrency = DEFAULT_MAX_CONCURRENCY) {
+    this.maxConcurrency = maxConcurrency;
+    this.concurrency = Math.max(1,
+        Math.min(initialConcurrency, maxConcurrency));
+
+    // Set defaults
+    this.startTime = Date.now();
+    this.minLatency = Infinity;
+    this.lastFps = null;
+    this.history = [{time: 0, concurrency: this.concurrency, fps: null}];
+    this.startWindow();
+  }
+
+  /**
+   * Starts measuring a new window of requests
+   */
+  startWindow() {
+    this.windowStart = Date.now();
+    this.windowRequests = 0;
+    this.windowFrames = 0;
+    this.windowLatencies = [];
+    this.windowThrottled = false;
+  }
+
+  /**
+   * Records a finished request, adjusting the concurrency at the end of
+   *    each window
+   * @param {number} latency Time the request took in milliseconds
+   * @param {number} numFrames Number of frames the request loaded
+   */
+  recordRequest(latency, numFrames) {
+    this.minLatency = Math.min(this.minLatency, latency);
+    this.windowRequests++;
+    this.windowFrames += numFrames;
+    this.windowLatencies.push(latency);
+    if (this.windowRequests < this.concurrency) {
+      return;
+    }
+
+    const duration = Math.max(1, Date.now() - this.windowStart);
+    const fps = this.windowFrames / (duration / 1000);
+    const latencies = this.windowLatencies.sort((a, b) => a - b);
+    const medianLatency = latencies[Math.floor(latencies.length / 2)];
+
+    // Requests taking longer without more frames arriving are waiting in
+    // a queue somewhere, so back off. Windows cut short by rate limiting
+    // have already backed off.
+    const queueingDelay = Math.max(MIN_QUEUEING_DELAY,
+        this.minLatency * (LATENCY_THRESHOLD - 1));
+    const isQueueing = this.lastFps !== null &&
+        medianLatency - this.minLatency > queueingDelay &&
+        fps < this.lastFps * (1 + MIN_THROUGHPUT_GAIN);
+    if (!this.windowThrottled) {
+      this.setConcurrency(isQueueing ?
+          this.concurrency * MULTIPLICATIVE_DECREASE :
+          this.concurrency + ADDITIVE_INCREASE, fps);
+    }
+    this.lastFps = fps;
+    this.startWindow();
+  }
+
+  /**
+   * Records a rate limited (429) request, backing off at most once per
+   *    window as requests already in flight are likely limited too
+   */
+  recordThrottle() {
+    if (this.windowThrottled) {
+      return;
+    }
+    const duration = Math.max(1, Date.now() - this.windowStart);
+    this.setConcurrency(this.concurrency * MULTIPLICATIVE_DECREASE,
+        this.windowFrames / (duration / 1000));
+    this.startWindow();
+    this.windowThrottled = true;
+  }
+
+  /**
+   * Changes the concurrency, recording the change in the history
+   * @param {number} concurrency New number of simultaneous requests
+   * @param {number} fps Frames per second received before the change
+   */
+  setConcurrency(concurrency, fps) {
+    this.concurrency = Math.max(1,
+        Math.min(Math.floor(concurrency), this.maxConcurrency));
+    this.history.push({
+      time: Date.now() - this.startTime,
+      concurrency: this.concurrency,
+      fps,
+    });
+  }
+}
+
+export {
+  AdaptiveConcurrency,
+  DEFAULT_INITIAL_CONCURRENCY,
+  DEFAULT_MAX_CONCURRENCY,
+};
@@ -0,0 +1,697 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module annotationObjects */
+import {DICOM_TAGS} from './dicomValues.js';
+import {CALIBRATION_TYPES} from './calibration.js';
+import {
+  MEASUREMENT_TOOLS,
+  MEASUREMENT_TOOL_NAMES,
+  formatMeasurement,
+} from './measurements.js';
+
+/** Kinds of DICOM instances that annotations can be saved as
+ * @enum {string} */
+const ANNOTATION_FORMATS = {
+  SR: 'sr', // Comprehensive SR following TID 1500 Measurement Report
+  GSPS: 'gsps', // Grayscale Softcopy Presentation State
+};
+
+/** SOP Class UIDs of the instances created
+ * @constant {Object.<string, string>} */
+const SOP_CLASS_UIDS = {
+  [ANNOTATION_FORMATS.SR]: '1.2.840.10008.5.1.4.1.1.88.33',
+  [ANNOTATION_FORMATS.GSPS]: '1.2.840.10008.5.1.4.1.1.11.1',
+};
+
+/** Modality of the series created for each format
+ * @constant {Object.<string, string>} */
+const MODALITIES = {
+  [ANNOTATION_FORMATS.SR]: 'SR',
+  [ANNOTATION_FORMATS.GSPS]: 'PR',
+};
+
+/** Series Number of the series created, high so that it is listed after
+ *    the series that were acquired
+ * @constant {number} */
+const ANNOTATION_SERIES_NUMBER = 9000;
+
+/** Graphic layer that GSPS annotations are drawn on
+ * @constant {string} */
+const GRAPHIC_LAYER = 'MEASUREMENTS';
+
+/** Tags of the attributes written to SR and GSPS instances, beyond the
+ *    DICOM_TAGS the viewer reads
+ * @constant {Object.<string, string>} */
+const TAGS = {
+  SPECIFIC_CHARACTER_SET: '00080005',
+  STUDY_DATE: '00080020',
+  CONTENT_DATE: '00080023',
+  STUDY_TIME: '00080030',
+  CONTENT_TIME: '00080033',
+  ACCESSION_NUMBER: '00080050',
+  MANUFACTURER: '00080070',
+  REFERRING_PHYSICIAN_NAME: '00080090',
+  CODE_VALUE: '00080100',
+  CODING_SCHEME_DESIGNATOR: '00080102',
+  CODE_MEANING: '00080104',
+  MAPPING_RESOURCE: '00080105',
+  SERIES_DESCRIPTION: '0008103E',
+  REFERENCED_PERFORMED_PROCEDURE_STEP_SEQUENCE: '00081111',
+  REFERENCED_SERIES_SEQUENCE: '00081115',
+  REFERENCED_IMAGE_SEQUENCE: '00081140',
+  REFERENCED_SOP_CLASS_UID: '00081150',
+  REFERENCED_SOP_INSTANCE_UID: '00081155',
+  REFERENCED_FRAME_NUMBER: '00081160',
+  REFERENCED_SOP_SEQUENCE: '00081199',
+  PATIENT_NAME: '00100010',
+  PATIENT_BIRTH_DATE: '00100030',
+  PATIENT_SEX: '00100040',
+  STUDY_ID: '00200010',
+  SERIES_NUMBER: '00200011',
+  MEASUREMENT_UNITS_CODE_SEQUENCE: '004008EA',
+  RELATIONSHIP_TYPE: '0040A010',
+  VALUE_TYPE: '0040A040',
+  CONCEPT_NAME_CODE_SEQUENCE: '0040A043',
+  CONTINUITY_OF_CONTENT: '0040A050',
+  UID: '0040A124',
+  TEXT_VALUE: '0040A160',
+  CONCEPT_CODE_SEQUENCE: '0040A168',
+  MEASURED_VALUE_SEQUENCE: '0040A300',
+  NUMERIC_VALUE: '0040A30A',
+  PERFORMED_PROCEDURE_CODE_SEQUENCE: '0040A372',
+  CURRENT_REQUESTED_PROCEDURE_EVIDENCE_SEQUENCE: '0040A375',
+  COMPLETION_FLAG: '0040A491',
+  VERIFICATION_FLAG: '0040A493',
+  CONTENT_TEMPLATE_SEQUENCE: '0040A504',
+  CONTENT_SEQUENCE: '0040A730',
+  TEMPLATE_IDENTIFIER: '0040DB00',
+  GRAPHIC_ANNOTATION_SEQUENCE: '00700001',
+  GRAPHIC_LAYER: '00700002',
+  ANCHOR_POINT_ANNOTATION_UNITS: '00700004',
+  GRAPHIC_ANNOTATION_UNITS: '00700005',
+  UNFORMATTED_TEXT_VALUE: '00700006',
+  TEXT_OBJECT_SEQUENCE: '00700008',
+  GRAPHIC_OBJECT_SEQUENCE: '00700009',
+  ANCHOR_POINT: '00700014',
+  ANCHOR_POINT_VISIBILITY: '00700015',
+  GRAPHIC_DIMENSIONS: '00700020',
+  NUMBER_OF_GRAPHIC_POINTS: '00700021',
+  GRAPHIC_DATA: '00700022',
+  GRAPHIC_TYPE: '00700023',
+  GRAPHIC_FILLED: '00700024',
+  DISPLAYED_AREA_TOP_LEFT_HAND_CORNER: '00700052',
+  DISPLAYED_AREA_BOTTOM_RIGHT_HAND_CORNER: '00700053',
+  DISPLAYED_AREA_SELECTION_SEQUENCE: '0070005A',
+  GRAPHIC_LAYER_SEQUENCE: '00700060',
+  GRAPHIC_LAYER_ORDER: '00700062',
+  GRAPHIC_LAYER_DESCRIPTION: '00700068',
+  CONTENT_LABEL: '00700080',
+  CONTENT_DESCRIPTION: '00700081',
+  PRESENTATION_CREATION_DATE: '00700082',
+  PRESENTATION_CREATION_TIME: '00700083',
+  CONTENT_CREATOR_NAME: '00700084',
+  PRESENTATION_SIZE_MODE: '00700100',
+  PRESENTATION_PIXEL_SPACING: '00700101',
+  PRESENTATION_PIXEL_ASPECT_RATIO: '00700102',
+  PRESENTATION_LUT_SHAPE: '20500020',
+};
+
+/** Patient and study attributes copied from the annotated study, with
+ *    their VRs. Those the study doesn't have are written empty.
+ * @constant {Object.<string, string>} */
+const STUDY_ATTRIBUTES = {
+  [TAGS.PATIENT_NAME]: 'PN',
+  [DICOM_TAGS.PATIENT_ID]: 'LO',
+  [TAGS.PATIENT_BIRTH_DATE]: 'DA',
+  [TAGS.PATIENT_SEX]: 'CS',
+  [TAGS.STUDY_DATE]: 'DA',
+  [TAGS.STUDY_TIME]: 'TM',
+  [TAGS.ACCESSION_NUMBER]: 'SH',
+  [TAGS.REFERRING_PHYSICIAN_NAME]: 'PN',
+  [TAGS.STUDY_ID]: 'SH',
+};
+
+/**
+ * @typedef {Object} AnnotationContext
+ * @property {Object} study DICOM JSON attributes of the annotated study
+ * @property {function(string): ?module:dicomImageLoader~InstanceReference}
+ *    getReference Gets the instance and frame an imageId refers to
+ * @property {Date=} date When the annotations are saved
+ */
+
+/**
+ * Creates a DICOM JSON attribute
+ * @param {string} vr Value Representation
+ * @param {...*} values Values of the attribute, if any
+ * @return {Object} DICOM JSON attribute
+ */
+const attribute = (vr, ...values) =>
+  values.length > 0 ? {vr, Value: values} : {vr};
+
+/**
+ * Creates a DICOM JSON sequence
+ * @param {...Object} items Items of the sequence
+ * @return {Object} DICOM JSON attribute
+ */
+const sequence = (...items) => ({vr: 'SQ', Value: items});
+
+/**
+ * Creates a coded entry
+ * @param {string} value Code Value
+ * @param {string} scheme Coding Scheme Designator
+ * @param {string} meaning Code Meaning
+ * @return {Object} DICOM JSON item of a code sequence
+ */
+const code = (value, scheme, meaning) => ({
+  [TAGS.CODE_VALUE]: attribute('SH', value),
+  [TAGS.CODING_SCHEME_DESIGNATOR]: attribute('SH', scheme),
+  [TAGS.CODE_MEANING]: attribute('LO', meaning),
+});
+
+/** Codes of the concepts in measurement reports
+ * @constant {Object.<string, Object>} */
+const CODES = {
+  MEASUREMENT_REPORT: code('126000', 'DCM', 'Imaging Measurement Report'),
+  LANGUAGE: code('121049', 'DCM',
+      'Language of Content Item and Descendants'),
+  ENGLISH: code('eng', 'RFC5646', 'English'),
+  PROCEDURE_REPORTED: code('121058', 'DCM', 'Procedure reported'),
+  IMAGING_PROCEDURE: code('363679005', 'SCT', 'Imaging procedure'),
+  IMAGE_LIBRARY: code('111028', 'DCM', 'Image Library'),
+  IMAGE_LIBRARY_GROUP: code('126200', 'DCM', 'Image Library Group'),
+  IMAGING_MEASUREMENTS: code('126010', 'DCM', 'Imaging Measurements'),
+  MEASUREMENT_GROUP: code('125007', 'DCM', 'Measurement Group'),
+  TRACKING_IDENTIFIER: code('112039', 'DCM', 'Tracking Identifier'),
+  TRACKING_UID: code('112040', 'DCM', 'Tracking Unique Identifier'),
+  IMAGE_REGION: code('111030', 'DCM', 'Image Region'),
+  LENGTH: code('410668003', 'SCT', 'Length'),
+  ANGLE: code('1483009', 'SCT', 'Angle'),
+  AREA: code('42798000', 'SCT', 'Area'),
+  MEAN: code('373098007', 'SCT', 'Mean'),
+  STANDARD_DEVIATION: code('386136009', 'SCT', 'Standard Deviation'),
+  MINIMUM: code('255605001', 'SCT', 'Minimum'),
+  MAXIMUM: code('56851009', 'SCT', 'Maximum'),
+};
+
+/** UCUM codes of the units measurements are made in: lengths, areas and
+ *    angles, and the pixel value units of the defined terms of Rescale
+ *    Type (PS3.3 C.11.1.1.2)
+ * @constant {Object.<string, Object>} */
+const UNITS = {
+  'mm': code('mm', 'UCUM', 'millimeter'),
+  'mm²': code('mm2', 'UCUM', 'square millimeter'),
+  'px': code('{pixel}', 'UCUM', 'pixel'),
+  'px²': code('{pixel}2', 'UCUM', 'square pixel'),
+  '°': code('deg', 'UCUM', 'degree'),
+  'HU': code('[hnsf\'U]', 'UCUM', 'Hounsfield unit'),
+  'HU_MOD': code('{HU_MOD}', 'UCUM', 'modified Hounsfield unit'),
+  'OD': code('{OD}', 'UCUM', 'optical density'),
+  'MGML': code('mg/mL', 'UCUM', 'milligram per milliliter'),
+  'Z_EFF': code('{Z_EFF}', 'UCUM', 'effective atomic number'),
+  'ED': code('10*23/mL', 'UCUM', '10^23 electrons per milliliter'),
+  'EDW': code('{EDW}', 'UCUM', 'electron density relative to water'),
+  'PCT': code('%', 'UCUM', 'percent'),
+  '': code('1', 'UCUM', 'no units'),
+};
+
+/** Coding scheme of units without a UCUM code, such as free text Rescale
+ *    Types. Private coding schemes start with 99 (PS3.16 8.2), and code
+ *    values are at most 16 characters.
+ * @constant {string} */
+const LOCAL_CODING_SCHEME = '99DICOMWEBVIEWER';
+
+/**
+ * Gets the code of a unit measurements are made in
+ * @param {string} unit Unit, as measurements give them
+ * @return {Object} UCUM code of the unit, or a code in the local coding
+ *    scheme if it has none
+ */
+const getUnitCode = (unit) => UNITS.hasOwnProperty(unit) ? UNITS[unit] :
+  code(unit.slice(0, 16), LOCAL_CODING_SCHEME, unit);
+
+/**
+ * Generates a UID from a random UUID (PS3.5 B.2)
+ * @return {string} UID starting with 2.25
+ */
+const generateUID = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0F) | 0x40; // Version 4
+  bytes[8] = (bytes[8] & 0x3F) | 0x80; // Variant 1
+
+  // Convert the 128 bit number to decimal, one byte at a time
+  const digits = [0];
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      const value = digits[i] * 256 + carry;
+      digits[i] = value % 10;
+      carry = Math.floor(value / 10);
+    }
+    for (; carry > 0; carry = Math.floor(carry / 10)) {
+      digits.push(carry % 10);
+    }
+  }
+  return `2.25.${digits.reverse().join('')}`;
+};
+
+/**
+ * Formats a date as a DA value
+ * @param {Date} date Date to format
+ * @return {string} Date as YYYYMMDD
+ */
+const formatDate = (date) => `${date.getFullYear()}` +
+    `${date.getMonth() + 1}`.padStart(2, '0') +
+    `${date.getDate()}`.padStart(2, '0');
+
+/**
+ * Formats a time as a TM value
+ * @param {Date} date Time to format
+ * @return {string} Time as HHMMSS
+ */
+const formatTime = (date) => [date.getHours(), date.getMinutes(),
+  date.getSeconds()].map((value) => `${value}`.padStart(2, '0')).join('');
+
+/**
+ * Pairs each measurement with the instance it was made on, leaving out
+ *    measurements of frames that can't be referenced
+ * @param {module:measurements~Measurement[]} measurements Measurements
+ * @param {AnnotationContext} context Study and references of the frames
+ * @return {Array<{measurement: module:measurements~Measurement,
+ *    reference: module:dicomImageLoader~InstanceReference}>} Measurements
+ *    with their references
+ */
+const getReferencedMeasurements = (measurements, context) => measurements
+    .map((measurement) => ({
+      measurement,
+      reference: context.getReference(measurement.imageId),
+    }))
+    .filter(({reference}) => reference);
+
+/**
+ * Groups measurements by the frame they were made on
+ * @param {Array<{measurement: module:measurements~Measurement,
+ *    reference: module:dicomImageLoader~InstanceReference}>}
+ *    referencedMeasurements Measurements with their references
+ * @return {Array<{reference: module:dicomImageLoader~InstanceReference,
+ *    measurements: module:measurements~Measurement[]}>} Each frame with its
+ *    measurements, in the order the frames are first measured
+ */
+const groupByFrame = (referencedMeasurements) => {
+  const frames = new Map();
+  for (const {measurement, reference} of referencedMeasurements) {
+    const key = `${reference.sopInstanceUID}/${reference.frameNumber}`;
+    if (!frames.has(key)) {
+      frames.set(key, {reference, measurements: []});
+    }
+    frames.get(key).measurements.push(measurement);
+  }
+  return [...frames.values()];
+};
+
+/**
+ * Lists the distinct instances of frames, without their frame numbers
+ * @param {module:dicomImageLoader~InstanceReference[]} references Frames
+ * @return {module:dicomImageLoader~InstanceReference[]} References of each
+ *    instance
+ */
+const getInstanceReferences = (references) => {
+  const instances = new Map();
+  for (const reference of references) {
+    if (!instances.has(reference.sopInstanceUID)) {
+      instances.set(reference.sopInstanceUID,
+          {...reference, frameNumber: null});
+    }
+  }
+  return [...instances.values()];
+};
+
+/**
+ * Creates a reference to an instance and frame, as used by image and
+ *    referenced image sequences
+ * @param {module:dicomImageLoader~InstanceReference} reference Frame to
+ *    reference
+ * @return {Object} DICOM JSON item
+ */
+const referencedImage = (reference) => ({
+  [TAGS.REFERENCED_SOP_CLASS_UID]: attribute('UI', reference.sopClassUID),
+  [TAGS.REFERENCED_SOP_INSTANCE_UID]:
+      attribute('UI', reference.sopInstanceUID),
+  ...(reference.frameNumber ? {
+    [TAGS.REFERENCED_FRAME_NUMBER]: attribute('IS', reference.frameNumber),
+  } : {}),
+});
+
+/**
+ * Groups frame references by series
+ * @param {module:dicomImageLoader~InstanceReference[]} references Frames
+ * @param {string} sequenceTag Tag of the sequence listing each series'
+ *    instances
+ * @return {Object[]} DICOM JSON items of a referenced series sequence
+ */
+const referencedSeries = (references, sequenceTag) => {
+  const seriesUIDs = [...new Set(references.map(({seriesUID}) => seriesUID))];
+  return seriesUIDs.map((seriesUID) => ({
+    [DICOM_TAGS.SERIES_UID]: attribute('UI', seriesUID),
+    [sequenceTag]: sequence(...references
+        .filter((reference) => reference.seriesUID == seriesUID)
+        .map(referencedImage)),
+  }));
+};
+
+/**
+ * Creates the attributes every annotation instance has: the patient and
+ *    study it belongs to, a new series and the SOP Common module
+ * @param {string} format One of ANNOTATION_FORMATS
+ * @param {AnnotationContext} context Study the annotations belong to
+ * @param {Date} date When the annotations are saved
+ * @param {string} description Description of the new series
+ * @return {Object} DICOM JSON attributes
+ */
+const createCommonAttributes = (format, context, date, description) => {
+  const attributes = {
+    [TAGS.SPECIFIC_CHARACTER_SET]: attribute('CS', 'ISO_IR 192'),
+    [DICOM_TAGS.SOP_CLASS_UID]: attribute('UI', SOP_CLASS_UIDS[format]),
+    [DICOM_TAGS.INSTANCE_UID]: attribute('UI', generateUID()),
+    [DICOM_TAGS.STUDY_UID]:
+        attribute('UI', context.study[DICOM_TAGS.STUDY_UID].Value[0]),
+    [DICOM_TAGS.SERIES_UID]: attribute('UI', generateUID()),
+    [DICOM_TAGS.MODALITY]: attribute('CS', MODALITIES[format]),
+    [TAGS.SERIES_NUMBER]: attribute('IS', ANNOTATION_SERIES_NUMBER),
+    [TAGS.SERIES_DESCRIPTION]: attribute('LO', description),
+    [DICOM_TAGS.INSTANCE_NUMBER]: attribute('IS', 1),
+    [TAGS.MANUFACTURER]: attribute('LO'),
+    [TAGS.CONTENT_DATE]: attribute('DA', formatDate(date)),
+    [TAGS.CONTENT_TIME]: attribute('TM', formatTime(date)),
+  };
+  for (const [tag, vr] of Object.entries(STUDY_ATTRIBUTES)) {
+    const studyAttribute = context.study[tag];
+    attributes[tag] = studyAttribute && studyAttribute.Value ?
+        attribute(vr, ...studyAttribute.Value) : attribute(vr);
+  }
+  return attributes;
+};
+
+/**
+ * Creates an SR content item
+ * @param {string} relationship Relationship with its parent
+ * @param {string} valueType Value Type (e.g. NUM)
+ * @param {?Object} conceptName Code of the concept name, if any
+ * @param {Object=} value Attributes holding the item's value
+ * @param {Object[]=} children Content items of the item
+ * @return {Object} DICOM JSON content item
+ */
+const contentItem = (relationship, valueType, conceptName, value = {},
+    children = []) => ({
+  [TAGS.RELATIONSHIP_TYPE]: attribute('CS', relationship),
+  [TAGS.VALUE_TYPE]: attribute('CS', valueType),
+  ...(conceptName ?
+      {[TAGS.CONCEPT_NAME_CODE_SEQUENCE]: sequence(conceptName)} : {}),
+  ...value,
+  ...(children.length > 0 ?
+      {[TAGS.CONTENT_SEQUENCE]: sequence(...children)} : {}),
+});
+
+/**
+ * Creates an SR image content item selecting a frame
+ * @param {string} relationship Relationship with its parent
+ * @param {module:dicomImageLoader~InstanceReference} reference Frame
+ * @return {Object} DICOM JSON content item
+ */
+const imageItem = (relationship, reference) =>
+  contentItem(relationship, 'IMAGE', null, {
+    [TAGS.REFERENCED_SOP_SEQUENCE]: sequence(referencedImage(reference)),
+  });
+
+/**
+ * Gets the graphic that outlines a measurement, in pixel coordinates
+ * @param {module:measurements~Measurement} measurement The measurement
+ * @return {{type: string, data: number[]}} Graphic Type and Graphic Data.
+ *    Ellipses are given by the ends of their major then minor axes, and
+ *    rectangles as closed polylines.
+ */
+const getGraphic = (measurement) => {
+  const points = measurement.points;
+  if (measurement.tool == MEASUREMENT_TOOLS.ELLIPTICAL_ROI) {
+    const [[x1, y1], [x2, y2]] = points;
+    const [cx, cy] = [(x1 + x2) / 2, (y1 + y2) / 2];
+    const horizontal = [Math.min(x1, x2), cy, Math.max(x1, x2), cy];
+    const vertical = [cx, Math.min(y1, y2), cx, Math.max(y1, y2)];
+    return {
+      type: 'ELLIPSE',
+      data: Math.abs(x2 - x1) >= Math.abs(y2 - y1) ?
+          [...horizontal, ...vertical] : [...vertical, ...horizontal],
+    };
+  }
+  if (measurement.tool == MEASUREMENT_TOOLS.RECTANGLE_ROI) {
+    const [[x1, y1], [x2, y2]] = points;
+    return {
+      type: 'POLYLINE',
+      data: [x1, y1, x2, y1, x2, y2, x1, y2, x1, y1],
+    };
+  }
+  return {type: 'POLYLINE', data: points.flat()};
+};
+
+/**
+ * Creates an SR numeric content item
+ * @param {Object} conceptName Code of what is measured
+ * @param {number} value Measured value
+ * @param {string} unit Unit of the value, as measurements give them
+ * @param {Object[]=} children Content items the value is inferred from
+ * @return {Object} DICOM JSON content item
+ */
+const numericItem = (conceptName, value, unit, children) =>
+  contentItem('CONTAINS', 'NUM', conceptName, {
+    [TAGS.MEASURED_VALUE_SEQUENCE]: sequence({
+      [TAGS.NUMERIC_VALUE]: attribute('DS', value),
+      [TAGS.MEASUREMENT_UNITS_CODE_SEQUENCE]:
+          sequence(getUnitCode(unit)),
+    }),
+  }, children);
+
+/**
+ * Creates the measurement group of one measurement, with its values and
+ *    the region of the frame they were measured in
+ * @param {module:measurements~Measurement} measurement The measurement
+ * @param {module:dicomImageLoader~InstanceReference} reference Frame it
+ *    was measured on
+ * @return {Object} DICOM JSON content item
+ */
+const measurementGroupItem = (measurement, reference) => {
+  const graphic = getGraphic(measurement);
+  const region = (relationship, conceptName) =>
+    contentItem(relationship, 'SCOORD', conceptName, {
+      [TAGS.GRAPHIC_DATA]: attribute('FL', ...graphic.data),
+      [TAGS.GRAPHIC_TYPE]: attribute('CS', graphic.type),
+    }, [imageItem('SELECTED FROM', reference)]);
+
+  const items = [
+    contentItem('HAS OBS CONTEXT', 'TEXT', CODES.TRACKING_IDENTIFIER, {
+      [TAGS.TEXT_VALUE]: attribute('UT', measurement.id),
+    }),
+    contentItem('HAS OBS CONTEXT', 'UIDREF', CODES.TRACKING_UID, {
+      [TAGS.UID]: attribute('UI', generateUID()),
+    }),
+  ];
+  const {lengthUnit, valueUnit} = measurement;
+  if (measurement.tool == MEASUREMENT_TOOLS.LENGTH) {
+    items.push(numericItem(CODES.LENGTH, measurement.length, lengthUnit,
+        [region('INFERRED FROM')]));
+  } else if (measurement.tool == MEASUREMENT_TOOLS.ANGLE) {
+    items.push(numericItem(CODES.ANGLE, measurement.angle, '°',
+        [region('INFERRED FROM')]));
+  } else {
+    items.push(
+        region('CONTAINS', CODES.IMAGE_REGION),
+        numericItem(CODES.AREA, measurement.area, `${lengthUnit}²`),
+        numericItem(CODES.MEAN, measurement.mean, valueUnit),
+        numericItem(CODES.STANDARD_DEVIATION, measurement.stdDev, valueUnit),
+        numericItem(CODES.MINIMUM, measurement.min, valueUnit),
+        numericItem(CODES.MAXIMUM, measurement.max, valueUnit),
+    );
+  }
+  return contentItem('CONTAINS', 'CONTAINER', CODES.MEASUREMENT_GROUP, {
+    [TAGS.CONTINUITY_OF_CONTENT]: attribute('CS', 'SEPARATE'),
+  }, items);
+};
+
+/**
+ * Creates a Comprehensive SR instance holding measurements as a TID 1500
+ *    Measurement Report, referencing the frames they were made on
+ * @param {module:measurements~Measurement[]} measurements Measurements to
+ *    save
+ * @param {AnnotationContext} context Study and references of the frames
+ * @return {Object} DICOM JSON attributes of the SR instance
+ */
+const createStructuredReport = (measurements, context) => {
+  const date = context.date || new Date();
+  const referencedMeasurements =
+      getReferencedMeasurements(measurements, context);
+  const references =
+      groupByFrame(referencedMeasurements).map(({reference}) => reference);
+  const instances = getInstanceReferences(references);
+  const studyUIDs = [...new Set(instances.map(({studyUID}) => studyUID))];
+
+  return {
+    ...createCommonAttributes(ANNOTATION_FORMATS.SR, context, date,
+        'Measurements'),
+    [TAGS.REFERENCED_PERFORMED_PROCEDURE_STEP_SEQUENCE]: sequence(),
+    [TAGS.COMPLETION_FLAG]: attribute('CS', 'PARTIAL'),
+    [TAGS.VERIFICATION_FLAG]: attribute('CS', 'UNVERIFIED'),
+    [TAGS.PERFORMED_PROCEDURE_CODE_SEQUENCE]: sequence(),
+    [TAGS.CURRENT_REQUESTED_PROCEDURE_EVIDENCE_SEQUENCE]: sequence(
+        ...studyUIDs.map((studyUID) => ({
+          [DICOM_TAGS.STUDY_UID]: attribute('UI', studyUID),
+          [TAGS.REFERENCED_SERIES_SEQUENCE]: sequence(...referencedSeries(
+              instances.filter((instance) => instance.studyUID == studyUID),
+              TAGS.REFERENCED_SOP_SEQUENCE)),
+        }))),
+
+    // Root of the content tree (TID 1500)
+    [TAGS.VALUE_TYPE]: attribute('CS', 'CONTAINER'),
+    [TAGS.CONCEPT_NAME_CODE_SEQUENCE]: sequence(CODES.MEASUREMENT_REPORT),
+    [TAGS.CONTINUITY_OF_CONTENT]: attribute('CS', 'SEPARATE'),
+    [TAGS.CONTENT_TEMPLATE_SEQUENCE]: sequence({
+      [TAGS.MAPPING_RESOURCE]: attribute('CS', 'DCMR'),
+      [TAGS.TEMPLATE_IDENTIFIER]: attribute('CS', '1500'),
+    }),
+    [TAGS.CONTENT_SEQUENCE]: sequence(
+        contentItem('HAS CONCEPT MOD', 'CODE', CODES.LANGUAGE, {
+          [TAGS.CONCEPT_CODE_SEQUENCE]: sequence(CODES.ENGLISH),
+        }),
+        contentItem('HAS CONCEPT MOD', 'CODE', CODES.PROCEDURE_REPORTED, {
+          [TAGS.CONCEPT_CODE_SEQUENCE]: sequence(CODES.IMAGING_PROCEDURE),
+        }),
+        contentItem('CONTAINS', 'CONTAINER', CODES.IMAGE_LIBRARY, {
+          [TAGS.CONTINUITY_OF_CONTENT]: attribute('CS', 'SEPARATE'),
+        }, [
+          contentItem('CONTAINS', 'CONTAINER', CODES.IMAGE_LIBRARY_GROUP, {
+            [TAGS.CONTINUITY_OF_CONTENT]: attribute('CS', 'SEPARATE'),
+          }, references.map((reference) => imageItem('CONTAINS', reference))),
+        ]),
+        contentItem('CONTAINS', 'CONTAINER', CODES.IMAGING_MEASUREMENTS, {
+          [TAGS.CONTINUITY_OF_CONTENT]: attribute('CS', 'SEPARATE'),
+        }, referencedMeasurements.map(({measurement, reference}) =>
+          measurementGroupItem(measurement, reference))),
+    ),
+  };
+};
+
+/**
+ * Creates the graphic annotations of one frame, drawing each measurement
+ *    with its values as text
+ * @param {module:dicomImageLoader~InstanceReference} reference The frame
+ * @param {module:measurements~Measurement[]} measurements Measurements
+ *    made on the frame
+ * @return {Object} DICOM JSON item of the Graphic Annotation Sequence
+ */
+const graphicAnnotationItem = (reference, measurements) => ({
+  [TAGS.REFERENCED_IMAGE_SEQUENCE]: sequence(referencedImage(reference)),
+  [TAGS.GRAPHIC_LAYER]: attribute('CS', GRAPHIC_LAYER),
+  [TAGS.TEXT_OBJECT_SEQUENCE]: sequence(...measurements.map((measurement) => {
+    const [x, y] = measurement.points[measurement.points.length - 1];
+    return {
+      [TAGS.UNFORMATTED_TEXT_VALUE]: attribute('ST',
+          `${MEASUREMENT_TOOL_NAMES[measurement.tool]}: ` +
+          formatMeasurement(measurement)),
+      [TAGS.ANCHOR_POINT]: attribute('FL', x, y),
+      [TAGS.ANCHOR_POINT_ANNOTATION_UNITS]: attribute('CS', 'PIXEL'),
+      [TAGS.ANCHOR_POINT_VISIBILITY]: attribute('CS', 'N'),
+    };
+  })),
+  [TAGS.GRAPHIC_OBJECT_SEQUENCE]: sequence(...measurements.map(
+      (measurement) => {
+        const graphic = getGraphic(measurement);
+        return {
+          [TAGS.GRAPHIC_ANNOTATION_UNITS]: attribute('CS', 'PIXEL'),
+          [TAGS.GRAPHIC_DIMENSIONS]: attribute('US', 2),
+          [TAGS.NUMBER_OF_GRAPHIC_POINTS]:
+              attribute('US', graphic.data.length / 2),
+          [TAGS.GRAPHIC_DATA]: attribute('FL', ...graphic.data),
+          [TAGS.GRAPHIC_TYPE]: attribute('CS', graphic.type),
+          [TAGS.GRAPHIC_FILLED]: attribute('CS', 'N'),
+        };
+      })),
+});
+
+/**
+ * Creates the displayed area of one frame, showing the whole frame
+ * @param {module:dicomImageLoader~InstanceReference} reference The frame
+ * @return {Object} DICOM JSON item of the Displayed Area Selection Sequence
+ */
+const displayedAreaItem = (reference) => {
+  const {calibration} = reference;
+  const isCalibrated = calibration &&
+      calibration.type != CALIBRATION_TYPES.UNCALIBRATED;
+  return {
+    [TAGS.REFERENCED_IMAGE_SEQUENCE]: sequence(referencedImage(reference)),
+    [TAGS.DISPLAYED_AREA_TOP_LEFT_HAND_CORNER]: attribute('SL', 1, 1),
+    [TAGS.DISPLAYED_AREA_BOTTOM_RIGHT_HAND_CORNER]:
+        attribute('SL', reference.columns, reference.rows),
+    [TAGS.PRESENTATION_SIZE_MODE]: attribute('CS', 'SCALE TO FIT'),
+    ...(isCalibrated ? {
+      [TAGS.PRESENTATION_PIXEL_SPACING]: attribute('DS',
+          calibration.rowPixelSpacing, calibration.columnPixelSpacing),
+    } : {
+      [TAGS.PRESENTATION_PIXEL_ASPECT_RATIO]: attribute('IS', 1, 1),
+    }),
+  };
+};
+
+/**
+ * Creates a Grayscale Softcopy Presentation State that draws measurements
+ *    on the frames they were made on
+ * @param {module:measurements~Measurement[]} measurements Measurements to
+ *    save
+ * @param {AnnotationContext} context Study and references of the frames
+ * @return {Object} DICOM JSON attributes of the presentation state
+ */
+const createPresentationState = (measurements, context) => {
+  const date = context.date || new Date();
+  const frames = groupByFrame(getReferencedMeasurements(measurements, context));
+  const references = frames.map(({reference}) => reference);
+
+  return {
+    ...createCommonAttributes(ANNOTATION_FORMATS.GSPS, context, date,
+        'Annotations'),
+    [TAGS.CONTENT_LABEL]: attribute('CS', GRAPHIC_LAYER),
+    [TAGS.CONTENT_DESCRIPTION]: attribute('LO', 'Measurements'),
+    [TAGS.PRESENTATION_CREATION_DATE]: attribute('DA', formatDate(date)),
+    [TAGS.PRESENTATION_CREATION_TIME]: attribute('TM', formatTime(date)),
+    [TAGS.CONTENT_CREATOR_NAME]: attribute('PN'),
+    [TAGS.REFERENCED_SERIES_SEQUENCE]: sequence(...referencedSeries(
+        references, TAGS.REFERENCED_IMAGE_SEQUENCE)),
+    [TAGS.DISPLAYED_AREA_SELECTION_SEQUENCE]:
+        sequence(...references.map(displayedAreaItem)),
+    [TAGS.GRAPHIC_ANNOTATION_SEQUENCE]: sequence(...frames.map(
+        ({reference, measurements}) =>
+          graphicAnnotationItem(reference, measurements))),
+    [TAGS.GRAPHIC_LAYER_SEQUENCE]: sequence({
+      [TAGS.GRAPHIC_LAYER]: attribute('CS', GRAPHIC_LAYER),
+      [TAGS.GRAPHIC_LAYER_ORDER]: attribute('IS', 1),
+      [TAGS.GRAPHIC_LAYER_DESCRIPTION]: attribute('LO', 'Measurements'),
+    }),
+    [TAGS.PRESENTATION_LUT_SHAPE]: attribute('CS', 'IDENTITY'),
+  };
+};
+
+export {
+  ANNOTATION_FORMATS,
+  createStructuredReport,
+  createPresentationState,
+  generateUID,
+};
@@ -16,15 +16,39 @@
 
 /** @module api */
 import Auth from './auth.js';
-import {DICOM_CONTENT_TYPE} from './dicomValues.js';
-import parseMultipart from './parseMultipart.js';
+import {
+  DICOM_CONTENT_TYPE,
+  FRAME_TRANSFER_SYNTAXES,
+  DICOM_TAGS,
+} from './dicomValues.js';
+import {
+  parseContentType,
+  parseMultipartStream,
+} from './parseMultipart.js';
+import {imageWorkerPool} from './workerPool.js';
+
+/**
+ * Gets the message of a failed request's response, which Google APIs give
+ *    as JSON ({"error": {"message": ...}})
+ * @param {string} text Body of the response
+ * @return {string} Message of the error, or the body if it has none
+ */
+const getErrorMessage = (text) => {
+  try {
+    const {error} = JSON.parse(text);
+    return error && error.message ? error.message : text;
+  } catch (err) {
+    return text;
+  }
+};
 
 /**
  * Fetches a url using a stored access token, signing the user in
  *    if no access token exists
  * @param {RequestInfo} input The request info to fetch
  * @param {RequestInit=} init The request init object
- * @return {Promise<Response>} Fetch response object
+ * @return {Promise<Response>} Fetch response object. Rejects with an Error
+ *    whose status property holds the HTTP status if the request failed.
  */
 const authenticatedFetch = async (input, init) => {
   const accessToken = Auth.getAccessToken();
@@ -52,9 +76,13 @@ const authenticatedFetch = async (input, init) => {
     if (!response.ok) {
       if (response.status == 401) {
         Auth.signIn();
-      } else {
-        throw new Error(await response.text());
       }
+
+      // Keep the status so callers can tell which failures can be retried
+      const error = new Error(getErrorMessage(await response.text()) ||
+          `Request failed with status ${response.status}`);
+      error.status = response.status;
+      throw error;
     }
 
     return response;
@@ -63,63 +91,108 @@ const authenticatedFetch = async (input, init) => {
   }
 };
 
+/**
+ * Checks if an operation failed because it was aborted
+ * @param {Error} error Error the operation failed with
+ * @return {boolean} True if the error is an AbortError
+ */
+const isAbortError = (error) => Boolean(error && error.name == 'AbortError');
+
+/** Root url of the Cloud Healthcare API
+ * @constant {string} */
+const HEALTHCARE_URL = 'https://healthcare.googleapis.com/v1';
+
+/**
+ * Gets the url of a dicom store's DICOMweb service
+ * @param {string} projectId Project ID
+ * @param {string} location Location
+ * @param {string} dataset Dataset
+ * @param {string} dicomStore Dicom Store
+ * @return {string} Url that DICOMweb paths (e.g. studies) are relative to
+ */
+const getDicomWebURL = (projectId, location, dataset, dicomStore) =>
+  `${HEALTHCARE_URL}/projects/${projectId}/locations/${location}/` +
+      `datasets/${dataset}/dicomStores/${dicomStore}/dicomWeb`;
+
+/**
+ * Fetches a JSON response using Google Authentication
+ * @param {string} url Url to fetch
+ * @param {string} accept Media type to accept (e.g. application/dicom+json)
+ * @param {AbortSignal=} signal Signal to abort the request with
+ * @return {Promise<*>} Parsed response, or null if the response is empty
+ *    (e.g. a DICOMweb search without results)
+ */
+const fetchJSON = async (url, accept, signal) => {
+  const response = await authenticatedFetch(url, {
+    headers: {
+      'Accept': accept,
+    },
+    signal,
+  });
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+};
+
 /**
  * Fetches one page of user's google cloud project ids
  * @param {string=} searchQuery Optional search query to filter project ids
+ * @param {AbortSignal=} signal Signal to abort the request with
  * @return {Promise<Array<string>>} List of project ids available to the user
  */
-const fetchProjects = async (searchQuery) => {
-  const request = {};
+const fetchProjects = async (searchQuery, signal) => {
+  const params = new URLSearchParams();
   if (searchQuery) {
-    request.filter = `id:${searchQuery}*`;
+    params.set('filter', `id:${searchQuery}*`);
   }
   // Only fetch one page to avoid taking too long to load. User will
   // most likely not scroll through more than a page of projects, so search
   // query is used to find specific projects
-  const data = await gapi.client.cloudresourcemanager.projects.list(request);
+  const data = await fetchJSON('https://cloudresourcemanager.googleapis.com/' +
+      `v1/projects?${params}`, 'application/json', signal);
 
-  if (!data.result.projects) {
+  if (!data || !data.projects) {
     return [];
   }
-  return data.result.projects.map((project) => project.projectId);
+  return data.projects.map((project) => project.projectId);
 };
 
 /**
  * Fetches a list of the possible location ids for a given project
  * @param {string} projectId Project id to search locations for
+ * @param {AbortSignal=} signal Signal to abort the request with
  * @return {Promise<Array<string>>} List of locations available for project
  */
-const fetchLocations = async (projectId) => {
-  const data = await gapi.client.healthcare.projects.locations.list({
-    name: `projects/${projectId}`,
-  });
+const fetchLocations = async (projectId, signal) => {
+  const data = await fetchJSON(
+      `${HEALTHCARE_URL}/projects/${projectId}/locations`,
+      'application/json', signal);
 
-  if (!data.result.locations) {
+  if (!data || !data.locations) {
     return [];
   }
   // Return a list of location Id's
-  return data.result.locations.map((location) => location.locationId);
+  return data.locations.map((location) => location.locationId);
 };
 
 /**
  * Fetches a list of the datasets in a project location
  * @param {string} projectId Project id
  * @param {string} location Location
+ * @param {AbortSignal=} signal Signal to abort the request with
  * @return {Promise<Array<string>>} List of datasets available
  */
-const fetchDatasets = async (projectId, location) => {
+const fetchDatasets = async (projectId, location, signal) => {
   // We currently don't support listing >100
   // datasets as this is a rare edge case
-  const data = await gapi.client.healthcare.projects.locations.datasets.list({
-    parent: `projects/${projectId}/locations/${location}`,
-  });
+  const data = await fetchJSON(
+      `${HEALTHCARE_URL}/projects/${projectId}/locations/${location}/datasets`,
+      'application/json', signal);
 
-  if (!data.result.datasets) {
+  if (!data || !data.datasets) {
     return [];
   }
   // Return a list of datasets by only using content of string after last '/'
-  return data.result.datasets
-      .map((dataset) => dataset.name.split('/').slice(-1)[0]);
+  return data.datasets.map((dataset) => dataset.name.split('/').slice(-1)[0]);
 };
 
 /**
@@ -127,22 +200,21 @@ const fetchDatasets = async (projectId, location) => {
  * @param {string} projectId Project ID
  * @param {string} location Location
  * @param {string} dataset Dataset
+ * @param {AbortSignal=} signal Signal to abort the request with
  * @return {Promise<Array<string>>} List of dicomStores available
  */
-const fetchDicomStores = async (projectId, location, dataset) => {
+const fetchDicomStores = async (projectId, location, dataset, signal) => {
   // We currently don't support listing >100
   // dicom stores as this is a rare edge case
-  const data = await gapi.client.healthcare.projects.locations.datasets
-      .dicomStores.list({
-        parent: `projects/${projectId}/locations/${location}/` +
-          `datasets/${dataset}`,
-      });
+  const url = `${HEALTHCARE_URL}/projects/${projectId}/locations/` +
+      `${location}/datasets/${dataset}/dicomStores`;
+  const data = await fetchJSON(url, 'application/json', signal);
 
-  if (!data.result.dicomStores) {
+  if (!data || !data.dicomStores) {
     return [];
   }
   // Return a list of dicomStores by only using content of string after last '/'
-  return data.result.dicomStores.map((dicomStore) =>
+  return data.dicomStores.map((dicomStore) =>
     dicomStore.name.split('/').slice(-1)[0]);
 };
 
@@ -152,18 +224,15 @@ const fetchDicomStores = async (projectId, location, dataset) => {
  * @param {string} location Location
  * @param {string} dataset Dataset
  * @param {string} dicomStore Dicom Store
+ * @param {AbortSignal=} signal Signal to abort the request with
  * @return {Promise<Array<Object>>} List of studies in the dicom store
  */
-const fetchStudies =
-    async (projectId, location, dataset, dicomStore) => {
-  const data = await gapi.client.healthcare.projects.locations.datasets
-      .dicomStores.searchForStudies({
-        parent: `projects/${projectId}/locations/${location}/` +
-        `datasets/${dataset}/dicomStores/${dicomStore}`,
-        dicomWebPath: 'studies',
-      });
-
-  return data.result;
+const fetchStudies = async (projectId, location, dataset, dicomStore,
+  signal) => {
+  const url = getDicomWebURL(projectId, location, dataset, dicomStore);
+  const data = await fetchJSON(`${url}/studies`, 'application/dicom+json',
+      signal);
+  return data || [];
 };
 
 /**
@@ -173,18 +242,15 @@ const fetchStudies =
  * @param {string} dataset Dataset
  * @param {string} dicomStore Dicom Store
  * @param {string} studyId Study UID
+ * @param {AbortSignal=} signal Signal to abort the request with
  * @return {Promise<Array<Object>>} List of series in the study
  */
-const fetchSeries =
-    async (projectId, location, dataset, dicomStore, studyId) => {
-  const data = await gapi.client.healthcare.projects.locations.datasets
-      .dicomStores.studies.searchForSeries({
-        parent: `projects/${projectId}/locations/${location}/` +
-        `datasets/${dataset}/dicomStores/${dicomStore}`,
-        dicomWebPath: `studies/${studyId}/series`,
-      });
-
-  return data.result;
+const fetchSeries = async (projectId, location, dataset, dicomStore,
+  studyId, signal) => {
+  const url = getDicomWebURL(projectId, location, dataset, dicomStore);
+  const data = await fetchJSON(`${url}/studies/${studyId}/series`,
+      'application/dicom+json', signal);
+  return data || [];
 };
 
 /**
@@ -196,41 +262,267 @@ const fetchSeries =
  * @param {string} dicomStore Dicom Store
  * @param {string} studyId Study UID
  * @param {string} seriesId Series UID
- * @return {Promise<Array<Object<string, Object>>>} List of metadata for all instances in the series
+ * @param {AbortSignal=} signal Signal to abort the request with
+ * @return {Promise<Array<Object<string, Object>>>} List of metadata for all
+ *    instances in the series
  */
-const fetchMetadata =
-    async (projectId, location, dataset, dicomStore, studyId, seriesId) => {
-  const data = await gapi.client.healthcare.projects.locations.datasets
-    .dicomStores.studies.series.retrieveMetadata({
-      parent: `projects/${projectId}/locations/${location}/` +
-      `datasets/${dataset}/dicomStores/${dicomStore}`,
-      dicomWebPath: `studies/${studyId}/series/${seriesId}/metadata`,
-    });
-
-  return data.result;
+const fetchMetadata = async (projectId, location, dataset, dicomStore,
+  studyId, seriesId, signal) => {
+  const url = getDicomWebURL(projectId, location, dataset, dicomStore);
+  const data = await fetchJSON(
+      `${url}/studies/${studyId}/series/${seriesId}/metadata`,
+      'application/dicom+json', signal);
+  return data || [];
 };
 
 /**
- * Fetches a dicom file from a given url using Google Authentication
- * @param {string} url Url for the dicom file
- * @return {Int16Array} Pixel data array of DICOM P10 contents
+ * Fetches a list of instances in a series, with the attributes returned by a
+ *    search (e.g. Instance Number and Number of Frames) rather than the full
+ *    metadata of each instance
+ * @param {string} projectId Project ID
+ * @param {string} location Location
+ * @param {string} dataset Dataset
+ * @param {string} dicomStore Dicom Store
+ * @param {string} studyId Study UID
+ * @param {string} seriesId Series UID
+ * @param {AbortSignal=} signal Signal to abort the request with
+ * @return {Promise<Array<Object>>} List of instances in the series
  */
-const fetchDicomFile = async (url) => {
-  // TODO(#11) Investigate optimal accept header for compressed instances
+const fetchInstances = async (projectId, location, dataset, dicomStore,
+  studyId, seriesId, signal) => {
+  const url = getDicomWebURL(projectId, location, dataset, dicomStore);
+  // Attributes needed to order the instances by slice position and
+  // to play them back at their frame rate
+  const includeFields = [
+    DICOM_TAGS.IMAGE_POSITION_PATIENT,
+    DICOM_TAGS.IMAGE_ORIENTATION_PATIENT,
+    DICOM_TAGS.SLICE_LOCATION,
+    DICOM_TAGS.ACQUISITION_TIME,
+    DICOM_TAGS.FRAME_TIME,
+    DICOM_TAGS.RECOMMENDED_DISPLAY_FRAME_RATE,
+  ].join(',');
+  const instancesURL = `${url}/studies/${studyId}/series/${seriesId}` +
+      `/instances?includefield=${includeFields}`;
+  const data = await fetchJSON(instancesURL, 'application/dicom+json', signal);
+  return data || [];
+};
+
+/**
+ * Stores DICOM P10 files in a study with a STOW-RS request (PS3.18 10.5)
+ * @param {string} projectId Project ID
+ * @param {string} location Location
+ * @param {string} dataset Dataset
+ * @param {string} dicomStore Dicom Store
+ * @param {string} studyId Study UID the instances belong to
+ * @param {ArrayBuffer[]} files DICOM P10 file of each instance
+ * @param {AbortSignal=} signal Signal to abort the request with
+ * @return {Promise<Object>} DICOM JSON response listing the stored
+ *    instances. Rejects if any instance couldn't be stored.
+ */
+const storeInstances = async (projectId, location, dataset, dicomStore,
+  studyId, files, signal) => {
+  const url = `${getDicomWebURL(projectId, location, dataset, dicomStore)}` +
+      `/studies/${studyId}`;
+  const boundary = `DICOMwebBoundary${Math.random().toString(36).slice(2)}`;
+  const body = new Blob([
+    ...files.flatMap((file) => [
+      `--${boundary}\r\nContent-Type: application/dicom\r\n\r\n`,
+      file,
+      '\r\n',
+    ]),
+    `--${boundary}--\r\n`,
+  ]);
   const response = await authenticatedFetch(url, {
+    method: 'POST',
     headers: {
-      'Accept': DICOM_CONTENT_TYPE,
+      'Content-Type':
+          `multipart/related; type="application/dicom"; boundary=${boundary}`,
+      'Accept': 'application/dicom+json',
     },
+    body,
+    signal,
   });
 
-  // Get the content-type header to find the boundary string
-  const contentTypeHeader = response.headers.get('content-type');
-  // Parse the contentTypeHeader and remove the "boundary=" prefix
-  const boundary = contentTypeHeader.split(';')[1].substring(10);
-  // Parse multipart header and boundary from arrayBuffer
-  const arrayBuffer = parseMultipart(await response.arrayBuffer(), boundary);
+  // Stores accept requests where only some instances were stored (202)
+  const result = await response.json();
+  const failed = result[DICOM_TAGS.FAILED_SOP_SEQUENCE];
+  if (failed && failed.Value && failed.Value.length > 0) {
+    throw new Error(`Unable to store ${failed.Value.length} of ` +
+        `${files.length} instances`);
+  }
+  return result;
+};
+
+/**
+ * Generates the Accept header for fetching frames in a transfer syntax
+ * @param {string} transferSyntax Transfer syntax UID (or '*' for original)
+ * @return {string} Accept header value
+ */
+const getFrameAcceptHeader = (transferSyntax) => {
+  const syntax = FRAME_TRANSFER_SYNTAXES
+      .find((syntax) => syntax.uid == transferSyntax);
+  if (!syntax) {
+    return DICOM_CONTENT_TYPE;
+  }
+  return `multipart/related;type="${syntax.mediaType}";` +
+      `transfer-syntax=${syntax.uid}`;
+};
 
-  return new Int16Array(arrayBuffer);
+/**
+ * @typedef {Object} DicomFile
+ * @property {ArrayBuffer} pixelData Raw (possibly compressed) pixel data bytes
+ * @property {string=} transferSyntax Transfer syntax UID of the pixel data
+ */
+
+/**
+ * @typedef {Object} FetchDicomOptions
+ * @property {string=} transferSyntax Transfer syntax UID to request
+ * @property {string=} accept Accept header to send instead of the one
+ *    generated from the transfer syntax
+ * @property {boolean=} stream Whether to parse the response as it streams
+ *    in (defaults to true where the browser supports it)
+ * @property {AbortSignal=} signal Signal to abort the request with
+ */
+
+/**
+ * Fetches a dicomweb response using Google Authentication and parses
+ *    every part of it. Parts are passed to onPart as soon as they arrive.
+ * @param {string} url Url to fetch
+ * @param {FetchDicomOptions=} options Options for the request
+ * @param {module:parseMultipart~onPart=} onPart Runs as soon as each part
+ *    has been received
+ * @return {Promise<Array<module:parseMultipart~MultipartPart>>} Every part
+ *    of the response. Single part responses are returned as one part.
+ */
+const fetchDicomParts = async (url, options = {}, onPart) => {
+  const response = await authenticatedFetch(url, {
+    headers: {
+      'Accept': options.accept || getFrameAcceptHeader(options.transferSyntax),
+    },
+    signal: options.signal,
+  });
+
+  const contentType =
+      parseContentType(response.headers.get('content-type') || '');
+
+  // Use the transfer syntax reported by the server for each part, falling
+  // back to the one requested, as '*' lets the server choose
+  const responseTransferSyntax = contentType.parameters['transfer-syntax'] ||
+      options.transferSyntax;
+  const resolvePart = (part, index) => {
+    part.transferSyntax = part.transferSyntax || responseTransferSyntax;
+    if (part.transferSyntax == '*') {
+      part.transferSyntax = undefined;
+    }
+    if (onPart) {
+      onPart(part, index);
+    }
+  };
+
+  if (!contentType.mediaType.startsWith('multipart/')) {
+    // Single part responses contain the data directly
+    const part = {
+      headers: {},
+      contentType: contentType.mediaType,
+      data: await response.arrayBuffer(),
+    };
+    resolvePart(part, 0);
+    return [part];
+  }
+
+  const boundary = contentType.parameters.boundary;
+  if (options.stream !== false && response.body) {
+    // Parse parts as they arrive instead of waiting for the whole body
+    return parseMultipartStream(response.body, boundary, resolvePart);
+  }
+
+  // Parse the multipart body in a worker, transferring the response body
+  // to avoid copying it
+  const arrayBuffer = await response.arrayBuffer();
+  const parts = await imageWorkerPool.run('parseMultipart',
+      [arrayBuffer, boundary], [arrayBuffer]);
+  parts.forEach(resolvePart);
+  return parts;
+};
+
+/**
+ * Fetches a dicom file from a given url using Google Authentication
+ * @param {string} url Url for the dicom file
+ * @param {FetchDicomOptions=} options Options for the request
+ * @return {Promise<DicomFile>} Pixel data and the transfer syntax it is
+ *    encoded in, which is interpreted using the instance's pixel module.
+ *    Resolves as soon as the first part has arrived.
+ */
+const fetchDicomFile = (url, options = {}) => {
+  return new Promise((resolve, reject) => {
+    fetchDicomParts(url, options, (part, index) => {
+      if (index == 0) {
+        resolve({
+          pixelData: part.data,
+          transferSyntax: part.transferSyntax,
+        });
+      }
+    }).then((parts) => {
+      if (parts.length == 0) {
+        reject(new Error(`Multipart response from ${url} contains no parts`));
+      }
+    }).catch(reject);
+  });
+};
+
+/**
+ * Fetches a whole instance as a DICOM P10 file using Google Authentication
+ * @param {string} url Url for the instance (.../instances/{uid})
+ * @param {FetchDicomOptions=} options Options for the request. The transfer
+ *    syntax defaults to '*', which returns the instance as it was stored.
+ * @return {Promise<ArrayBuffer>} DICOM P10 file
+ */
+const fetchDicomInstance = async (url, options = {}) => {
+  const parts = await fetchDicomParts(url, {
+    ...options,
+    accept: options.accept || 'multipart/related;type="application/dicom";' +
+        `transfer-syntax=${options.transferSyntax || '*'}`,
+  });
+  if (parts.length == 0) {
+    throw new Error(`Multipart response from ${url} contains no parts`);
+  }
+  return parts[0].data;
+};
+
+/**
+ * @typedef {Object} RenderedOptions
+ * @property {string=} mediaType Media type to render the frame as
+ *    (image/jpeg, image/png or image/gif). Defaults to image/jpeg.
+ * @property {number=} quality Quality of lossy media types, from 1 to 100
+ * @property {string=} viewport Size to render the frame at, as
+ *    "width,height" (e.g. "512,512")
+ * @property {AbortSignal=} signal Signal to abort the request with
+ */
+
+/**
+ * Fetches a frame rendered by the server (.../frames/{n}/rendered) using
+ *    Google Authentication
+ * @param {string} url Url for the rendered frame
+ * @param {RenderedOptions=} options Options for rendering the frame
+ * @return {Promise<Blob>} Rendered image
+ */
+const fetchRenderedFrame = async (url, options = {}) => {
+  const params = new URLSearchParams();
+  if (options.quality) {
+    params.set('quality', options.quality);
+  }
+  if (options.viewport) {
+    params.set('viewport', options.viewport);
+  }
+  const query = params.toString();
+
+  const response = await authenticatedFetch(query ? `${url}?${query}` : url, {
+    headers: {
+      'Accept': options.mediaType || 'image/jpeg',
+    },
+    signal: options.signal,
+  });
+  return response.blob();
 };
 
 /**
@@ -267,6 +559,7 @@ const makeCancelable = (promise) => {
 
 export {
   authenticatedFetch,
+  isAbortError,
   fetchProjects,
   fetchLocations,
   fetchDatasets,
@@ -274,6 +567,11 @@ export {
   fetchStudies,
   fetchSeries,
   fetchMetadata,
+  fetchInstances,
+  storeInstances,
+  fetchDicomParts,
+  fetchDicomInstance,
   fetchDicomFile,
+  fetchRenderedFrame,
   makeCancelable,
 };
@@ -0,0 +1,260 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module benchmark */
+
+/** Percentiles each metric is summarized with across iterations
+ * @constant {number[]} */
+const BENCHMARK_PERCENTILES = [50, 90, 95];
+
+/** Value in the list of concurrencies that tunes concurrency automatically
+ * @constant {string} */
+const AUTO_CONCURRENCY = 'auto';
+
+/** Metrics recorded for every run and summarized with percentiles
+ * @constant {string[]} */
+const BENCHMARK_METRICS = [
+  'totalTime',
+  'timeToFirstImage',
+  'fps',
+  'bytesTransferred',
+];
+
+/**
+ * One combination of settings in a benchmark
+ * @typedef {Object} BenchmarkConfig
+ * @property {(number|string)} concurrency Maximum simultaneous requests, or
+ *    AUTO_CONCURRENCY
+ * @property {string} transferSyntax Transfer syntax UID to request
+ * @property {string} cacheMode One of frameCache's CACHE_MODES
+ * @property {number} iteration Number of the iteration, from 1
+ */
+
+/**
+ * Metrics of one finished run of a benchmark
+ * @typedef {Object} BenchmarkRun
+ * @property {(number|string)} concurrency
+ * @property {string} transferSyntax
+ * @property {string} cacheMode
+ * @property {number} iteration
+ * @property {number} numFrames Number of frames in the sequence
+ * @property {number} numFailed Number of frames that failed to load
+ * @property {number} numRequests Number of requests made
+ * @property {number} totalTime Seconds until the last frame was displayed
+ * @property {number} timeToFirstImage Seconds until the first frame was
+ *    displayed
+ * @property {number} fps Average frames displayed per second
+ * @property {number} bytesTransferred Bytes transferred by frame requests
+ */
+
+/**
+ * Results of a benchmark, as exported
+ * @typedef {Object} BenchmarkReport
+ * @property {string} storePath Path of the dicom store (projects/...)
+ * @property {string} seriesUID Series Instance UID of the series
+ * @property {number} numFrames Number of frames in the series
+ * @property {string} startedAt When the benchmark started, as an ISO string
+ * @property {BenchmarkRun[]} runs Every run, in the order they ran
+ * @property {Object[]} summary Percentiles of each configuration's metrics,
+ *    from summarizeRuns
+ */
+
+/**
+ * Parses a comma separated list of concurrencies, e.g. "5, 10, auto"
+ * @param {string} text List of concurrencies
+ * @return {Array<(number|string)>} Each positive whole number, or
+ *    AUTO_CONCURRENCY, in the order listed without duplicates
+ */
+const parseConcurrencies = (text) => {
+  const concurrencies = String(text).split(',')
+      .map((value) => value.trim().toLowerCase())
+      .filter((value) => value)
+      .map((value) => value == AUTO_CONCURRENCY ? value : Number(value))
+      .filter((value) => value == AUTO_CONCURRENCY ||
+        (Number.isInteger(value) && value > 0));
+  return Array.from(new Set(concurrencies));
+};
+
+/**
+ * Creates the runs of a benchmark, covering every combination of settings
+ *    once per iteration. Iterations run one after another rather than
+ *    repeating each combination back to back, so changes in network
+ *    conditions are spread across every combination. Within an iteration,
+ *    cache modes run in the order given, so warm runs can reuse frames
+ *    cached by cold runs before them.
+ * @param {Object} options
+ * @param {number} options.iterations Number of times to run each combination
+ * @param {Array<(number|string)>} options.concurrencies Concurrencies to run
+ * @param {string[]} options.transferSyntaxes Transfer syntax UIDs to run
+ * @param {string[]} options.cacheModes Cache modes to run
+ * @return {BenchmarkConfig[]} Settings of each run, in order
+ */
+const createBenchmarkPlan = ({
+  iterations,
+  concurrencies,
+  transferSyntaxes,
+  cacheModes,
+}) => {
+  const plan = [];
+  for (let iteration = 1; iteration <= iterations; iteration++) {
+    for (const transferSyntax of transferSyntaxes) {
+      for (const concurrency of concurrencies) {
+        for (const cacheMode of cacheModes) {
+          plan.push({concurrency, transferSyntax, cacheMode, iteration});
+        }
+      }
+    }
+  }
+  return plan;
+};
+
+/**
+ * Gets a percentile of some values, interpolating between the closest ranks
+ * @param {number[]} values Values to get the percentile of
+ * @param {number} percentile Percentile from 0 to 100
+ * @return {?number} The percentile, or null if there are no values
+ */
+const getPercentile = (values, percentile) => {
+  if (values.length == 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = percentile / 100 * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+/**
+ * Gets a key identifying the configuration of a run, ignoring its iteration
+ * @param {(BenchmarkConfig|BenchmarkRun)} run Run or its settings
+ * @return {string} Key of the configuration
+ */
+const getConfigKey = (run) =>
+  [run.concurrency, run.transferSyntax, run.cacheMode].join('|');
+
+/**
+ * Summarizes the runs of each configuration with percentiles of every
+ *    metric, e.g. {concurrency, ..., numRuns, fps: {p50, p90, p95}}
+ * @param {BenchmarkRun[]} runs Finished runs
+ * @return {Object[]} Summary of each configuration, in the order the
+ *    configurations first ran
+ */
+const summarizeRuns = (runs) => {
+  const groups = new Map();
+  for (const run of runs) {
+    const key = getConfigKey(run);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(run);
+  }
+
+  return Array.from(groups.values()).map((group) => {
+    const {concurrency, transferSyntax, cacheMode} = group[0];
+    const summary = {
+      concurrency,
+      transferSyntax,
+      cacheMode,
+      numRuns: group.length,
+      numFailed: group.reduce((sum, run) => sum + run.numFailed, 0),
+    };
+    for (const metric of BENCHMARK_METRICS) {
+      const values = group.map((run) => run[metric]);
+      summary[metric] = {};
+      for (const percentile of BENCHMARK_PERCENTILES) {
+        summary[metric][`p${percentile}`] = getPercentile(values, percentile);
+      }
+    }
+    return summary;
+  });
+};
+
+/**
+ * Escapes a value for a CSV cell, quoting it if needed
+ * @param {*} value Value of the cell
+ * @return {string} CSV cell
+ */
+const toCSVCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats rows as CSV, with a header row of column names
+ * @param {string[]} columns Column names
+ * @param {Array<Array<*>>} rows Values of each row, in column order
+ * @return {string} CSV text
+ */
+const toCSV = (columns, rows) => [columns, ...rows]
+    .map((row) => row.map(toCSVCell).join(','))
+    .join('\r\n') + '\r\n';
+
+/**
+ * Formats every run of a benchmark as CSV, one row per run
+ * @param {BenchmarkReport} report Results of the benchmark
+ * @return {string} CSV text
+ */
+const getRunsCSV = (report) => {
+  const columns = ['storePath', 'seriesUID', 'concurrency',
+    'transferSyntax', 'cacheMode', 'iteration', 'numFrames', 'numFailed',
+    'numRequests', ...BENCHMARK_METRICS];
+  return toCSV(columns, report.runs.map((run) => columns.map((column) =>
+    column == 'storePath' || column == 'seriesUID' ?
+        report[column] : run[column])));
+};
+
+/**
+ * Formats the summary of a benchmark as CSV, one row per configuration
+ *    with a column for each percentile of each metric (e.g. fps_p90)
+ * @param {BenchmarkReport} report Results of the benchmark
+ * @return {string} CSV text
+ */
+const getSummaryCSV = (report) => {
+  const metricColumns = [];
+  for (const metric of BENCHMARK_METRICS) {
+    for (const percentile of BENCHMARK_PERCENTILES) {
+      metricColumns.push([metric, `p${percentile}`]);
+    }
+  }
+  const columns = ['storePath', 'seriesUID', 'numFrames', 'concurrency',
+    'transferSyntax', 'cacheMode', 'numRuns', 'numFailed',
+    ...metricColumns.map((column) => column.join('_'))];
+  return toCSV(columns, report.summary.map((summary) => [
+    report.storePath,
+    report.seriesUID,
+    report.numFrames,
+    summary.concurrency,
+    summary.transferSyntax,
+    summary.cacheMode,
+    summary.numRuns,
+    summary.numFailed,
+    ...metricColumns.map(([metric, percentile]) =>
+      summary[metric][percentile]),
+  ]));
+};
+
+export {
+  BENCHMARK_PERCENTILES,
+  BENCHMARK_METRICS,
+  AUTO_CONCURRENCY,
+  parseConcurrencies,
+  createBenchmarkPlan,
+  getPercentile,
+  summarizeRuns,
+  getRunsCSV,
+  getSummaryCSV,
+};
@@ -0,0 +1,157 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module calibration */
+import {DICOM_TAGS} from './dicomValues.js';
+
+/** Sources that the spacing between pixels can be calibrated from,
+ *    from most to least preferred
+ * @enum {string} */
+const CALIBRATION_TYPES = {
+  PATIENT: 'patient', // Pixel Spacing, measured in the patient
+  IMAGER: 'imager', // Imager Pixel Spacing, measured at the detector
+  ULTRASOUND: 'ultrasound', // Physical deltas of an ultrasound region
+  UNCALIBRATED: 'uncalibrated', // None, so measurements are in pixels
+};
+
+/** Rescale Type value meaning the units are unspecified
+ * @constant {string} */
+const UNSPECIFIED_RESCALE_TYPE = 'US';
+
+/** Physical Units X/Y Direction value for centimeters (PS3.3 C.8.5.5.1.15)
+ * @constant {number} */
+const ULTRASOUND_UNITS_CM = 3;
+
+/** Region Spatial Format value for 2D tissue or flow regions
+ * @constant {number} */
+const ULTRASOUND_FORMAT_2D = 1;
+
+/**
+ * @typedef {Object} Calibration
+ * @property {string} type One of CALIBRATION_TYPES
+ * @property {?number} rowPixelSpacing Spacing between rows in mm, or null
+ *    if uncalibrated
+ * @property {?number} columnPixelSpacing Spacing between columns in mm, or
+ *    null if uncalibrated
+ * @property {string} valueUnit Units of the modality pixel values (e.g. HU),
+ *    or an empty string if they are unknown
+ */
+
+/**
+ * Gets the first value of an attribute
+ * @param {Object} metaData DICOM JSON attributes
+ * @param {string} tag Tag of the attribute
+ * @return {*} The value, or undefined if it is missing
+ */
+const getValue = (metaData, tag) =>
+  metaData[tag] && metaData[tag].Value ? metaData[tag].Value[0] : undefined;
+
+/**
+ * Gets a pair of spacings from a Pixel Spacing style attribute
+ * @param {Object} metaData DICOM JSON attributes
+ * @param {string} tag Tag of the attribute
+ * @return {?Array<number>} Spacing between rows and between columns in mm,
+ *    or null if it is missing or not positive
+ */
+const getSpacing = (metaData, tag) => {
+  const attribute = metaData[tag];
+  if (!attribute || !attribute.Value || attribute.Value.length < 2) {
+    return null;
+  }
+  const spacing = attribute.Value.slice(0, 2).map(Number);
+  return spacing.every((value) => value > 0) ? spacing : null;
+};
+
+/**
+ * Gets the pixel spacing of an ultrasound image from its regions, using
+ *    the first 2D region with both physical units in centimeters
+ * @param {Object} metaData DICOM JSON attributes
+ * @return {?Array<number>} Spacing between rows and between columns in mm,
+ *    or null if no region is calibrated
+ */
+const getUltrasoundSpacing = (metaData) => {
+  const regions = metaData[DICOM_TAGS.ULTRASOUND_REGIONS] &&
+      metaData[DICOM_TAGS.ULTRASOUND_REGIONS].Value || [];
+  const region = regions.find((region) =>
+    Number(getValue(region, DICOM_TAGS.REGION_SPATIAL_FORMAT)) ==
+        ULTRASOUND_FORMAT_2D &&
+    Number(getValue(region, DICOM_TAGS.PHYSICAL_UNITS_X)) ==
+        ULTRASOUND_UNITS_CM &&
+    Number(getValue(region, DICOM_TAGS.PHYSICAL_UNITS_Y)) ==
+        ULTRASOUND_UNITS_CM);
+  if (!region) {
+    return null;
+  }
+
+  // Physical deltas are in cm per pixel, along x (columns) and y (rows)
+  const spacing = [
+    Math.abs(Number(getValue(region, DICOM_TAGS.PHYSICAL_DELTA_Y))) * 10,
+    Math.abs(Number(getValue(region, DICOM_TAGS.PHYSICAL_DELTA_X))) * 10,
+  ];
+  return spacing.every((value) => value > 0) ? spacing : null;
+};
+
+/**
+ * Gets the units of an image's modality pixel values, i.e. after the
+ *    Rescale Slope and Intercept are applied
+ * @param {Object} metaData DICOM JSON attributes
+ * @return {string} Units such as HU, or an empty string if they are unknown
+ */
+const getValueUnit = (metaData) => {
+  const rescaleType = getValue(metaData, DICOM_TAGS.RESCALE_TYPE);
+  if (rescaleType && rescaleType != UNSPECIFIED_RESCALE_TYPE) {
+    return rescaleType;
+  }
+
+  // CT values are always Hounsfield units (PS3.3 C.8.2.1.1.4)
+  return getValue(metaData, DICOM_TAGS.MODALITY) == 'CT' ? 'HU' : '';
+};
+
+/**
+ * Gets the physical size of an image's pixels from Pixel Spacing, Imager
+ *    Pixel Spacing or its ultrasound regions, whichever it has first
+ * @param {Object} metaData DICOM JSON metaData of the frame
+ * @return {Calibration} How the image is calibrated
+ */
+const getCalibration = (metaData) => {
+  const valueUnit = getValueUnit(metaData);
+  const sources = [
+    [CALIBRATION_TYPES.PATIENT,
+      () => getSpacing(metaData, DICOM_TAGS.PIXEL_SPACING)],
+    [CALIBRATION_TYPES.IMAGER,
+      () => getSpacing(metaData, DICOM_TAGS.IMAGER_PIXEL_SPACING)],
+    [CALIBRATION_TYPES.ULTRASOUND, () => getUltrasoundSpacing(metaData)],
+  ];
+  for (const [type, getSourceSpacing] of sources) {
+    const spacing = getSourceSpacing();
+    if (spacing) {
+      return {
+        type,
+        rowPixelSpacing: spacing[0],
+        columnPixelSpacing: spacing[1],
+        valueUnit,
+      };
+    }
+  }
+  return {
+    type: CALIBRATION_TYPES.UNCALIBRATED,
+    rowPixelSpacing: null,
+    columnPixelSpacing: null,
+    valueUnit,
+  };
+};
+
+export {CALIBRATION_TYPES, getCalibration};
@@ -0,0 +1,215 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module cinePlayer */
+import {DICOM_TAGS} from './dicomValues.js';
+
+/** What happens when playback reaches the last frame
+ * @enum {string} */
+const CINE_MODES = {
+  ONCE: 'once', // Stop at the last frame
+  LOOP: 'loop', // Start again from the first frame
+  BOUNCE: 'bounce', // Play backwards to the first frame, then forwards
+};
+
+/** Frames per second for series without a frame rate in their metadata
+ * @constant {number} */
+const DEFAULT_CINE_FPS = 20;
+
+/**
+ * A frame to display next, and the direction of playback after it
+ * @typedef {Object} CineStep
+ * @property {number} index Index of the frame in the stack
+ * @property {number} direction 1 when playing forwards, -1 when backwards
+ */
+
+/**
+ * Gets the frame rate an instance should be played back at, from its
+ *    Frame Time (0018,1063) or Recommended Display Frame Rate (0008,2144)
+ * @param {Object} metaData DICOM JSON metaData of the instance
+ * @return {?number} Frames per second, or null if the instance has neither
+ */
+const getDefaultFps = (metaData) => {
+  const getNumber = (tag) => metaData && metaData[tag] &&
+      metaData[tag].Value ? Number(metaData[tag].Value[0]) : NaN;
+
+  // Frame Time is the time between frames in milliseconds
+  const frameTime = getNumber(DICOM_TAGS.FRAME_TIME);
+  if (frameTime > 0) {
+    return 1000 / frameTime;
+  }
+  const frameRate = getNumber(DICOM_TAGS.RECOMMENDED_DISPLAY_FRAME_RATE);
+  return frameRate > 0 ? frameRate : null;
+};
+
+/**
+ * Gets the next buffered frame to play, skipping frames that aren't
+ *    loaded
+ * @param {number} index Index of the current frame
+ * @param {number} direction 1 when playing forwards, -1 when backwards
+ * @param {number} numFrames Number of frames in the stack
+ * @param {string} mode One of CINE_MODES
+ * @param {function(number): boolean} isBuffered Checks if a frame is loaded
+ * @return {?CineStep} The next frame, or null if playback has ended
+ */
+const getNextFrame = (index, direction, numFrames, mode, isBuffered) => {
+  let next = {index, direction};
+
+  // Bouncing can pass each frame twice before finding a buffered one
+  for (let step = 0; step < numFrames * 2; step++) {
+    let nextIndex = next.index + next.direction;
+    if (nextIndex < 0 || nextIndex >= numFrames) {
+      if (mode == CINE_MODES.LOOP) {
+        nextIndex = next.direction > 0 ? 0 : numFrames - 1;
+      } else if (mode == CINE_MODES.BOUNCE && numFrames > 1) {
+        next.direction = -next.direction;
+        nextIndex = next.index + next.direction;
+      } else {
+        return null;
+      }
+    }
+    next = {index: nextIndex, direction: next.direction};
+    if (isBuffered(nextIndex)) {
+      return next;
+    }
+  }
+  return null;
+};
+
+/**
+ * Groups the indices of buffered frames into ranges, for showing which
+ *    parts of the stack are loaded
+ * @param {Iterable<number>} indices Indices of the buffered frames
+ * @return {Array<Array<number>>} First and last index of each range of
+ *    consecutive frames, in order
+ */
+const getBufferedRanges = (indices) => {
+  const ranges = [];
+  for (const index of Array.from(indices).sort((a, b) => a - b)) {
+    const lastRange = ranges[ranges.length - 1];
+    if (lastRange && index <= lastRange[1] + 1) {
+      lastRange[1] = Math.max(lastRange[1], index);
+    } else {
+      ranges.push([index, index]);
+    }
+  }
+  return ranges;
+};
+
+/**
+ * Class for playing a stack of frames at a steady frame rate
+ */
+class CinePlayer {
+  /**
+   * Instantiates a new CinePlayer
+   * @param {function(number): undefined} showFrame Displays the frame at
+   *    an index of the stack
+   * @param {function(): undefined=} onEnded Runs when playback stops at
+   *    the end of the stack
+   */
+  constructor(showFrame, onEnded = () => {}) {
+    this.showFrame = showFrame;
+    this.onEnded = onEnded;
+
+    // Set defaults
+    this.numFrames = 0;
+    this.isBuffered = () => true;
+    this.isLoading = () => false;
+    this.fps = DEFAULT_CINE_FPS;
+    this.mode = CINE_MODES.LOOP;
+    this.index = 0;
+    this.direction = 1;
+    this.timeoutId = null;
+  }
+
+  /**
+   * Checks if frames are being played
+   * @return {boolean} True while playing
+   */
+  isPlaying() {
+    return this.timeoutId !== null;
+  }
+
+  /**
+   * Starts playing from the current frame. Playing once from the last
+   *    frame starts again from the first.
+   */
+  play() {
+    if (this.isPlaying()) {
+      return;
+    }
+    if (this.mode == CINE_MODES.ONCE && this.index >= this.numFrames - 1) {
+      this.index = -1;
+      this.direction = 1;
+    }
+    this.scheduleNextFrame();
+  }
+
+  /**
+   * Stops playing, staying on the current frame
+   */
+  pause() {
+    clearTimeout(this.timeoutId);
+    this.timeoutId = null;
+  }
+
+  /**
+   * Moves to a frame and displays it, without changing whether frames
+   *    are playing
+   * @param {number} index Index of the frame in the stack
+   */
+  seek(index) {
+    this.index = index;
+    this.showFrame(index);
+  }
+
+  /**
+   * Waits for the next frame's turn at the current frame rate
+   */
+  scheduleNextFrame() {
+    this.timeoutId = setTimeout(() => this.showNextFrame(), 1000 / this.fps);
+  }
+
+  /**
+   * Displays the next frame, stopping if playback has ended. While frames
+   *    are still loading, playback waits for the next one instead.
+   */
+  showNextFrame() {
+    const next = getNextFrame(this.index, this.direction, this.numFrames,
+        this.mode, this.isBuffered);
+    if (!next && this.isLoading()) {
+      this.scheduleNextFrame();
+      return;
+    }
+    if (!next) {
+      this.pause();
+      this.onEnded();
+      return;
+    }
+    this.direction = next.direction;
+    this.seek(next.index);
+    this.scheduleNextFrame();
+  }
+}
+
+export {
+  CINE_MODES,
+  DEFAULT_CINE_FPS,
+  getDefaultFps,
+  getNextFrame,
+  getBufferedRanges,
+  CinePlayer,
+};
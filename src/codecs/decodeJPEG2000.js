@@ -0,0 +1,56 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module codecs/decodeJPEG2000 */
+
+/** Promise resolving the OpenJPEG codec once it has been loaded
+ * @type {Promise<Object>} */
+let codecPromise;
+
+/**
+ * Decodes a JPEG 2000 (lossless or lossy) frame. Frames using the YBR_ICT or
+ *    YBR_RCT color transforms are converted to interleaved RGB by the decoder.
+ * @param {ArrayBuffer} arrayBuffer Encoded frame
+ * @return {Promise<{arrayBuffer: ArrayBuffer, bitsAllocated: number}>}
+ *    Decoded pixel data
+ */
+const decodeJPEG2000 = async (arrayBuffer) => {
+  if (!codecPromise) {
+    codecPromise =
+        import('@cornerstonejs/codec-openjpeg/dist/openjpegjs_decode.js')
+            .then((module) => module.default());
+  }
+  const codec = await codecPromise;
+
+  const decoder = new codec.J2KDecoder();
+  try {
+    decoder.getEncodedBuffer(arrayBuffer.byteLength)
+        .set(new Uint8Array(arrayBuffer));
+    decoder.decode();
+
+    const frameInfo = decoder.getFrameInfo();
+    // Copy the result out of the codec's memory before it is freed
+    const decodedBuffer = decoder.getDecodedBuffer();
+    return {
+      arrayBuffer: decodedBuffer.slice().buffer,
+      bitsAllocated: frameInfo.bitsPerSample <= 8 ? 8 : 16,
+    };
+  } finally {
+    decoder.delete();
+  }
+};
+
+export default decodeJPEG2000;
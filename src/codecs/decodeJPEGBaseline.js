@@ -0,0 +1,40 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module codecs/decodeJPEGBaseline */
+
+/**
+ * Decodes a JPEG Baseline (Process 1) frame. Color frames are converted from
+ *    YCbCr to interleaved RGB by the decoder.
+ * @param {ArrayBuffer} arrayBuffer Encoded frame
+ * @return {Promise<{arrayBuffer: ArrayBuffer, bitsAllocated: number}>}
+ *    Decoded 8 bit pixel data
+ */
+const decodeJPEGBaseline = async (arrayBuffer) => {
+  const jpeg = await import('jpeg-js');
+  const decoded = jpeg.decode(new Uint8Array(arrayBuffer), {
+    useTArray: true,
+    formatAsRGBA: false,
+  });
+
+  return {
+    arrayBuffer: decoded.data.buffer.slice(decoded.data.byteOffset,
+        decoded.data.byteOffset + decoded.data.byteLength),
+    bitsAllocated: 8,
+  };
+};
+
+export default decodeJPEGBaseline;
@@ -0,0 +1,57 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module codecs/decodeJPEGLS */
+
+/** Promise resolving the CharLS codec once it has been loaded
+ * @type {Promise<Object>} */
+let codecPromise;
+
+/**
+ * Decodes a JPEG-LS (lossless or near-lossless) frame
+ * @param {ArrayBuffer} arrayBuffer Encoded frame
+ * @return {Promise<{arrayBuffer: ArrayBuffer, bitsAllocated: number,
+ *    planarConfiguration: number}>} Decoded pixel data
+ */
+const decodeJPEGLS = async (arrayBuffer) => {
+  if (!codecPromise) {
+    codecPromise = import('@cornerstonejs/codec-charls/dist/charlsjs_decode.js')
+        .then((module) => module.default());
+  }
+  const codec = await codecPromise;
+
+  const decoder = new codec.JpegLSDecoder();
+  try {
+    decoder.getEncodedBuffer(arrayBuffer.byteLength)
+        .set(new Uint8Array(arrayBuffer));
+    decoder.decode();
+
+    const frameInfo = decoder.getFrameInfo();
+    // Copy the result out of the codec's memory before it is freed
+    const decodedBuffer = decoder.getDecodedBuffer();
+    return {
+      arrayBuffer: decodedBuffer.slice().buffer,
+      bitsAllocated: frameInfo.bitsPerSample <= 8 ? 8 : 16,
+      // Interleave mode 0 stores each component separately
+      planarConfiguration: frameInfo.componentCount > 1 &&
+          decoder.getInterleaveMode() == 0 ? 1 : 0,
+    };
+  } finally {
+    decoder.delete();
+  }
+};
+
+export default decodeJPEGLS;
@@ -0,0 +1,38 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module codecs/decodeJPEGLossless */
+
+/**
+ * Decodes a JPEG Lossless (Process 14) frame
+ * @param {ArrayBuffer} arrayBuffer Encoded frame
+ * @param {module:pixelData~PixelModule} pixelModule Pixel encoding of frame
+ * @return {Promise<{arrayBuffer: ArrayBuffer, bitsAllocated: number}>}
+ *    Decoded pixel data
+ */
+const decodeJPEGLossless = async (arrayBuffer, pixelModule) => {
+  const {Decoder} = await import('jpeg-lossless-decoder-js');
+  const bytesPerSample = pixelModule.bitsAllocated <= 8 ? 1 : 2;
+  const decoded = new Decoder().decode(arrayBuffer, 0,
+      arrayBuffer.byteLength, bytesPerSample);
+
+  return {
+    arrayBuffer: decoded.buffer,
+    bitsAllocated: bytesPerSample * 8,
+  };
+};
+
+export default decodeJPEGLossless;
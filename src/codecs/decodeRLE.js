@@ -0,0 +1,90 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module codecs/decodeRLE */
+
+/** Size in bytes of the RLE header (segment count and 15 offsets)
+ * @constant {number} */
+const RLE_HEADER_LENGTH = 64;
+
+/**
+ * Decodes a single PackBits encoded RLE segment (PS3.5 G.3.1)
+ * @param {Uint8Array} input Encoded segment bytes
+ * @param {Uint8Array} output Output array to fill with decoded bytes
+ */
+const decodeSegment = (input, output) => {
+  let inIndex = 0;
+  let outIndex = 0;
+  while (inIndex < input.length && outIndex < output.length) {
+    const header = (input[inIndex++] << 24) >> 24; // Read as signed byte
+    if (header >= 0) {
+      // Copy the next header + 1 bytes literally
+      for (let i = 0; i <= header && outIndex < output.length; i++) {
+        output[outIndex++] = input[inIndex++];
+      }
+    } else if (header > -128) {
+      // Repeat the next byte -header + 1 times
+      const value = input[inIndex++];
+      for (let i = 0; i <= -header && outIndex < output.length; i++) {
+        output[outIndex++] = value;
+      }
+    }
+    // A header of -128 is a no-op
+  }
+};
+
+/**
+ * Decodes an RLE Lossless encoded frame to native little endian pixel data.
+ *    Each sample is stored in its own plane, so the output uses planar
+ *    configuration 1 for color images.
+ * @param {ArrayBuffer} arrayBuffer Encoded frame
+ * @param {module:pixelData~PixelModule} pixelModule Pixel encoding of frame
+ * @param {number} samplesPerPixel Number of samples in each pixel
+ * @return {ArrayBuffer} Decoded pixel data
+ */
+const decodeRLE = (arrayBuffer, pixelModule, samplesPerPixel) => {
+  const header = new DataView(arrayBuffer, 0, RLE_HEADER_LENGTH);
+  const numSegments = header.getUint32(0, true);
+  const bytesPerSample = Math.ceil(pixelModule.bitsAllocated / 8);
+  if (numSegments != bytesPerSample * samplesPerPixel) {
+    throw new Error(`RLE frame has ${numSegments} segments but ` +
+        `${bytesPerSample * samplesPerPixel} were expected`);
+  }
+
+  const numPixels = pixelModule.rows * pixelModule.columns;
+  const output = new Uint8Array(numPixels * bytesPerSample * samplesPerPixel);
+  const segment = new Uint8Array(numPixels);
+
+  for (let segmentIndex = 0; segmentIndex < numSegments; segmentIndex++) {
+    const start = header.getUint32((segmentIndex + 1) * 4, true);
+    const end = segmentIndex + 1 < numSegments ?
+        header.getUint32((segmentIndex + 2) * 4, true) : arrayBuffer.byteLength;
+    segment.fill(0);
+    decodeSegment(new Uint8Array(arrayBuffer, start, end - start), segment);
+
+    // Segments are ordered by sample, most significant byte first
+    const sample = Math.floor(segmentIndex / bytesPerSample);
+    const byteIndex = bytesPerSample - 1 - segmentIndex % bytesPerSample;
+    const planeOffset = sample * numPixels;
+    for (let i = 0; i < numPixels; i++) {
+      output[(planeOffset + i) * bytesPerSample + byteIndex] = segment[i];
+    }
+  }
+
+  return output.buffer;
+};
+
+export default decodeRLE;
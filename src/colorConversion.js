@@ -0,0 +1,203 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module colorConversion */
+import {DICOM_TAGS} from './dicomValues.js';
+
+/** Photometric interpretations that are decoded as color images
+ * @constant {string[]} */
+const COLOR_PHOTOMETRIC_INTERPRETATIONS = [
+  'RGB',
+  'YBR_FULL',
+  'YBR_FULL_422',
+  'YBR_ICT',
+  'YBR_RCT',
+  'PALETTE COLOR',
+];
+
+/**
+ * Checks if an image should be decoded as a color image
+ * @param {Object} metaData MetaData stored by dicomImageLoader.setMetadata
+ * @return {boolean} True if the image is a color image
+ */
+const isColorImage = (metaData) => {
+  return COLOR_PHOTOMETRIC_INTERPRETATIONS
+      .includes(metaData[DICOM_TAGS.PHOTO_INTERP]) ||
+      metaData[DICOM_TAGS.SAMPLES_PER_PIXEL] == 3;
+};
+
+/**
+ * Gets the number of stored samples per pixel for an uncompressed frame
+ * @param {Object} metaData MetaData stored by dicomImageLoader.setMetadata
+ * @return {number} Average number of samples stored for each pixel
+ */
+const getStoredSamplesPerPixel = (metaData) => {
+  // YBR_FULL_422 stores one Cb and Cr value for every two pixels
+  if (metaData[DICOM_TAGS.PHOTO_INTERP] == 'YBR_FULL_422') {
+    return 2;
+  }
+  return metaData[DICOM_TAGS.SAMPLES_PER_PIXEL] || 1;
+};
+
+/**
+ * Clamps a value to the range of an 8 bit unsigned integer
+ * @param {number} value Value to clamp
+ * @return {number} Clamped value
+ */
+const clamp = (value) => Math.min(Math.max(Math.round(value), 0), 255);
+
+/**
+ * Writes one RGBA pixel converted from YBR_FULL to an output array
+ * @param {Uint8Array} rgba Output RGBA array
+ * @param {number} index Index of the pixel's red value in the output array
+ * @param {number} y Luminance
+ * @param {number} cb Blue difference chroma
+ * @param {number} cr Red difference chroma
+ */
+const writeYBRPixel = (rgba, index, y, cb, cr) => {
+  rgba[index] = clamp(y + 1.402 * (cr - 128));
+  rgba[index + 1] = clamp(y - 0.34414 * (cb - 128) - 0.71414 * (cr - 128));
+  rgba[index + 2] = clamp(y + 1.772 * (cb - 128));
+  rgba[index + 3] = 255;
+};
+
+/**
+ * Reads the entries of a Palette Color Lookup Table as 8 bit values
+ * @param {Object} metaData MetaData stored by dicomImageLoader.setMetadata
+ * @param {string} descriptorTag Palette Color LUT Descriptor tag
+ * @param {string} dataTag Palette Color LUT Data tag
+ * @return {{firstValueMapped: number, lut: Uint8Array}} Palette LUT
+ */
+const getPaletteLUT = (metaData, descriptorTag, dataTag) => {
+  const descriptor = metaData[descriptorTag];
+  const data = metaData[dataTag];
+  if (!Array.isArray(descriptor) || !data) {
+    throw new Error('Palette Color Lookup Table is missing from metadata');
+  }
+
+  const numEntries = descriptor[0] == 0 ? 65536 : descriptor[0];
+  const bitsPerEntry = descriptor[2];
+  const lut = new Uint8Array(numEntries);
+
+  if (data instanceof Uint8Array) {
+    // InlineBinary data, which is either 16 bit words or packed 8 bit entries
+    const isPacked = bitsPerEntry == 8 && data.length < numEntries * 2;
+    for (let i = 0; i < numEntries; i++) {
+      const entry = isPacked ? data[i] : data[i * 2] | (data[i * 2 + 1] << 8);
+      lut[i] = bitsPerEntry == 16 ? entry >> 8 : entry & 0xFF;
+    }
+  } else {
+    const values = Array.isArray(data) ? data : [data];
+    for (let i = 0; i < numEntries; i++) {
+      lut[i] = bitsPerEntry == 16 ? values[i] >> 8 : values[i] & 0xFF;
+    }
+  }
+
+  return {
+    firstValueMapped: descriptor[1],
+    lut,
+  };
+};
+
+/**
+ * Converts decoded color pixel data to the RGBA format used by cornerstone
+ * @param {ArrayLike<number>} pixelData Decoded pixel data array
+ * @param {Object} metaData MetaData stored by dicomImageLoader.setMetadata
+ * @return {Uint8Array} RGBA pixel data (4 bytes per pixel)
+ */
+const convertToRGBA = (pixelData, metaData) => {
+  const numPixels =
+      metaData[DICOM_TAGS.NUM_ROWS] * metaData[DICOM_TAGS.NUM_COLUMNS];
+  const photoInterp = metaData[DICOM_TAGS.PHOTO_INTERP];
+  const isPlanar = metaData[DICOM_TAGS.PLANAR_CONFIGURATION] == 1;
+  const rgba = new Uint8Array(numPixels * 4);
+
+  // Scale samples larger than 8 bits down to 8 bits
+  const bitsStored = metaData[DICOM_TAGS.BITS_STORED] || 8;
+  const shift =
+      photoInterp == 'PALETTE COLOR' ? 0 : Math.max(bitsStored - 8, 0);
+  const sample = (index) => pixelData[index] >> shift;
+
+  if (photoInterp == 'PALETTE COLOR') {
+    const red = getPaletteLUT(metaData,
+        DICOM_TAGS.RED_PALETTE_DESCRIPTOR, DICOM_TAGS.RED_PALETTE_DATA);
+    const green = getPaletteLUT(metaData,
+        DICOM_TAGS.GREEN_PALETTE_DESCRIPTOR, DICOM_TAGS.GREEN_PALETTE_DATA);
+    const blue = getPaletteLUT(metaData,
+        DICOM_TAGS.BLUE_PALETTE_DESCRIPTOR, DICOM_TAGS.BLUE_PALETTE_DATA);
+    const lookup = (palette, value) => {
+      const index = Math.min(Math.max(value - palette.firstValueMapped, 0),
+          palette.lut.length - 1);
+      return palette.lut[index];
+    };
+
+    for (let i = 0; i < numPixels; i++) {
+      const value = pixelData[i];
+      rgba[i * 4] = lookup(red, value);
+      rgba[i * 4 + 1] = lookup(green, value);
+      rgba[i * 4 + 2] = lookup(blue, value);
+      rgba[i * 4 + 3] = 255;
+    }
+    return rgba;
+  }
+
+  if (photoInterp == 'YBR_FULL_422') {
+    // Each pair of pixels is stored as Y1 Y2 Cb Cr
+    for (let i = 0; i < numPixels; i += 2) {
+      const offset = i * 2;
+      const cb = sample(offset + 2);
+      const cr = sample(offset + 3);
+      writeYBRPixel(rgba, i * 4, sample(offset), cb, cr);
+      if (i + 1 < numPixels) {
+        writeYBRPixel(rgba, (i + 1) * 4, sample(offset + 1), cb, cr);
+      }
+    }
+    return rgba;
+  }
+
+  // YBR_ICT and YBR_RCT only occur in JPEG 2000, whose codec outputs RGB
+  const isYBR = photoInterp == 'YBR_FULL';
+  for (let i = 0; i < numPixels; i++) {
+    let first;
+    let second;
+    let third;
+    if (isPlanar) {
+      first = sample(i);
+      second = sample(i + numPixels);
+      third = sample(i + numPixels * 2);
+    } else {
+      first = sample(i * 3);
+      second = sample(i * 3 + 1);
+      third = sample(i * 3 + 2);
+    }
+
+    if (isYBR) {
+      writeYBRPixel(rgba, i * 4, first, second, third);
+    } else {
+      rgba[i * 4] = first;
+      rgba[i * 4 + 1] = second;
+      rgba[i * 4 + 2] = third;
+      rgba[i * 4 + 3] = 255;
+    }
+  }
+  return rgba;
+};
+
+export {
+  isColorImage,
+  getStoredSamplesPerPixel,
+  convertToRGBA,
+};
@@ -0,0 +1,140 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {Box, Typography, TextField, Slider, Link} from '@material-ui/core';
+import {CINE_MODES} from '../cinePlayer.js';
+
+/** Height of the bar showing buffered frames in pixels */
+const BUFFER_BAR_HEIGHT = 4;
+
+/**
+ * React component for the cine controls of a stack of frames: play/pause,
+ *    a scrub slider above a bar showing which frames are buffered, the
+ *    frame rate and what happens at the last frame
+ * @param {Object} props
+ * @param {number} props.numFrames Number of frames in the stack
+ * @param {number} props.currentFrame Index of the displayed frame
+ * @param {Array<Array<number>>} props.bufferedRanges First and last index of
+ *    each range of buffered frames
+ * @param {boolean} props.isPlaying Whether frames are being played
+ * @param {boolean} props.disabled Whether the controls can be used
+ * @param {string} props.fps Frames per second entered by the user
+ * @param {number} props.defaultFps Frames per second used when none is
+ *    entered
+ * @param {string} props.mode One of CINE_MODES
+ * @param {function(): undefined} props.onPlayPause Runs when play or pause
+ *    is clicked
+ * @param {function(number): undefined} props.onSeek Runs with the index of
+ *    the frame the slider is moved to
+ * @param {function(string): undefined} props.onFpsChange Runs with the
+ *    frames per second entered
+ * @param {function(string): undefined} props.onModeChange Runs with the
+ *    mode chosen
+ * @return {ReactElement} <CineControls/>
+ */
+export default function CineControls({
+  numFrames,
+  currentFrame,
+  bufferedRanges,
+  isPlaying,
+  disabled,
+  fps,
+  defaultFps,
+  mode,
+  onPlayPause,
+  onSeek,
+  onFpsChange,
+  onModeChange,
+}) {
+  const lastIndex = Math.max(numFrames - 1, 1);
+  return (
+    <Box width={500}>
+      <Box display="flex" alignItems="center">
+        <Link href="#" style={{width: 60}}
+          color={disabled ? 'textSecondary' : 'primary'}
+          onClick={(e) => {
+            e.preventDefault();
+            if (!disabled) {
+              onPlayPause();
+            }
+          }}>
+          {isPlaying ? 'Pause' : 'Play'}
+        </Link>
+        <Box flexGrow={1} mx={1}>
+          <Slider
+            aria-label="Frame"
+            min={0}
+            max={lastIndex}
+            step={1}
+            value={Math.min(currentFrame, lastIndex)}
+            disabled={disabled || numFrames == 0}
+            onChange={(e, value) => onSeek(value)} />
+          <svg width="100%" height={BUFFER_BAR_HEIGHT}
+            role="img" aria-label="Buffered frames"
+            viewBox={`0 0 ${numFrames || 1} 1`} preserveAspectRatio="none">
+            <rect x={0} y={0} width={numFrames || 1} height={1}
+              fill="#e0e0e0" />
+            {bufferedRanges.map(([first, last]) => (
+              <rect key={first} x={first} y={0} width={last - first + 1}
+                height={1} fill="#9fa8da" />
+            ))}
+          </svg>
+        </Box>
+        <Typography variant="body2" style={{width: 80}} align="right">
+          {numFrames > 0 ? currentFrame + 1 : 0} / {numFrames}
+        </Typography>
+      </Box>
+      <TextField
+        id="cine-fps"
+        label="FPS"
+        type="number"
+        style={{width: 100, marginRight: 8}}
+        value={fps}
+        placeholder={String(Number(defaultFps.toFixed(2)))}
+        InputLabelProps={{shrink: true}}
+        onChange={(e) => onFpsChange(e.target.value)} />
+      <TextField
+        select
+        id="cine-mode"
+        label="At Last Frame"
+        style={{width: 150}}
+        SelectProps={{native: true}}
+        value={mode}
+        onChange={(e) => onModeChange(e.target.value)}>
+        <option value={CINE_MODES.ONCE}>Stop</option>
+        <option value={CINE_MODES.LOOP}>Loop</option>
+        <option value={CINE_MODES.BOUNCE}>Bounce</option>
+      </TextField>
+    </Box>
+  );
+}
+CineControls.propTypes = {
+  numFrames: PropTypes.number.isRequired,
+  currentFrame: PropTypes.number.isRequired,
+  bufferedRanges: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number))
+      .isRequired,
+  isPlaying: PropTypes.bool.isRequired,
+  disabled: PropTypes.bool.isRequired,
+  fps: PropTypes.string.isRequired,
+  defaultFps: PropTypes.number.isRequired,
+  mode: PropTypes.string.isRequired,
+  onPlayPause: PropTypes.func.isRequired,
+  onSeek: PropTypes.func.isRequired,
+  onFpsChange: PropTypes.func.isRequired,
+  onModeChange: PropTypes.func.isRequired,
+};
@@ -0,0 +1,91 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {Box, Typography} from '@material-ui/core';
+
+/** Size of the plotted area in pixels */
+const WIDTH = 400;
+const HEIGHT = 120;
+
+/** Space left for the axis labels in pixels */
+const MARGIN = 24;
+
+/**
+ * React component for charting the concurrency chosen by an adaptive run
+ *    over time, as a step line
+ * @param {Object} props
+ * @param {module:adaptiveConcurrency~ConcurrencySample[]} props.history
+ *    Changes of concurrency during the run, in order
+ * @param {number} props.duration Milliseconds since the run started, which
+ *    the last concurrency is drawn up to
+ * @return {ReactElement} <ConcurrencyChart/>
+ */
+export default function ConcurrencyChart({history, duration}) {
+  if (history.length == 0) {
+    return null;
+  }
+
+  const lastSample = history[history.length - 1];
+  const endTime = Math.max(duration, lastSample.time, 1);
+  const maxConcurrency =
+      Math.max(...history.map((sample) => sample.concurrency));
+  const toX = (time) => MARGIN + time / endTime * WIDTH;
+  const toY = (concurrency) =>
+    HEIGHT - concurrency / maxConcurrency * (HEIGHT - MARGIN);
+
+  // Each concurrency holds until the next change
+  const points = [];
+  history.forEach((sample, i) => {
+    if (i > 0) {
+      points.push([toX(sample.time), toY(history[i - 1].concurrency)]);
+    }
+    points.push([toX(sample.time), toY(sample.concurrency)]);
+  });
+  points.push([toX(endTime), toY(lastSample.concurrency)]);
+
+  return (
+    <Box mt={2}>
+      <Typography variant="h6">
+        Concurrency: {lastSample.concurrency}
+      </Typography>
+      <svg width={WIDTH + MARGIN * 2} height={HEIGHT + MARGIN}
+        role="img" aria-label="Concurrency over time">
+        <line x1={MARGIN} y1={HEIGHT} x2={MARGIN + WIDTH} y2={HEIGHT}
+          stroke="gray" />
+        <line x1={MARGIN} y1={MARGIN} x2={MARGIN} y2={HEIGHT} stroke="gray" />
+        <text x={MARGIN - 4} y={MARGIN} textAnchor="end" fontSize={12}>
+          {maxConcurrency}
+        </text>
+        <text x={MARGIN + WIDTH} y={HEIGHT + 16} textAnchor="end"
+          fontSize={12}>
+          {(endTime / 1000).toFixed(1)}s
+        </text>
+        <polyline fill="none" stroke="#3f51b5" strokeWidth={2}
+          points={points.map((point) => point.join(',')).join(' ')} />
+      </svg>
+    </Box>
+  );
+}
+ConcurrencyChart.propTypes = {
+  history: PropTypes.arrayOf(PropTypes.shape({
+    time: PropTypes.number,
+    concurrency: PropTypes.number,
+    fps: PropTypes.number,
+  })).isRequired,
+  duration: PropTypes.number.isRequired,
+};
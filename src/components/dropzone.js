@@ -0,0 +1,90 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import React, {useState} from 'react';
+import PropTypes from 'prop-types';
+import {makeStyles, Box, Typography} from '@material-ui/core';
+import {getDroppedFiles} from '../localFiles.js';
+
+const useStyles = makeStyles((theme) => ({
+  dropZone: {
+    border: '2px dashed #aaa',
+    borderRadius: 4,
+    textAlign: 'center',
+  },
+  dragging: {
+    borderColor: theme.palette.primary.main,
+    background: theme.palette.action.hover,
+  },
+}));
+
+/**
+ * React component for opening local DICOM files, folders and DICOMDIRs
+ *    by dropping them onto the page
+ * @param {Object} props
+ * @param {function(module:localFiles~LocalFile[]): *} props.onDrop Function
+ *    to run with the dropped files
+ * @param {function(Error): *} props.onError Function to run if the dropped
+ *    files can't be read
+ * @return {ReactElement} <DropZone />
+ */
+export default function DropZone({onDrop, onError}) {
+  const classes = useStyles();
+
+  const [isDragging, setIsDragging] = useState(false);
+
+  /**
+   * Handles a drag over the drop zone, allowing files to be dropped
+   * @param {React.DragEvent} event onDragOver event
+   */
+  const handleDragOver = (event) => {
+    event.preventDefault();
+    setIsDragging(true);
+  };
+
+  /**
+   * Handles files being dropped onto the drop zone
+   * @param {React.DragEvent} event onDrop event
+   */
+  const handleDrop = async (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    let localFiles;
+    try {
+      localFiles = await getDroppedFiles(event.dataTransfer);
+    } catch (err) {
+      onError(err);
+      return;
+    }
+    onDrop(localFiles);
+  };
+
+  return (
+    <Box m={2} p={3}
+      className={`${classes.dropZone} ${isDragging ? classes.dragging : ''}`}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}>
+      <Typography color="textSecondary">
+        Drop DICOM files, folders or a DICOMDIR here to view them locally
+      </Typography>
+    </Box>
+  );
+}
+DropZone.propTypes = {
+  onDrop: PropTypes.func.isRequired,
+  onError: PropTypes.func.isRequired,
+};
@@ -14,7 +14,7 @@
  * limitations under the License.
  */
 
-import React, {useState, useEffect} from 'react';
+import React, {useState, useEffect, useRef} from 'react';
 import {makeStyles} from '@material-ui/core/styles';
 import {
   Typography,
@@ -31,8 +31,10 @@ import {
 import Auth from '../auth.js';
 import * as api from '../api.js';
 import {DICOM_TAGS} from '../dicomValues.js';
+import {openLocalFiles, getLocalSeries} from '../localFiles.js';
 import SearchList from './searchlist.js';
 import Viewer from './viewer.js';
+import DropZone from './dropzone.js';
 
 
 const useStyles = makeStyles((theme) => ({
@@ -53,6 +55,11 @@ export default function Main() {
   const [authInitialized, setAuthInitialized] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
   const [errorModalOpen, setErrorModalOpen] = useState(false);
+  const [isLocal, setIsLocal] = useState(false);
+  const [localSummary, setLocalSummary] = useState('');
+
+  // Aborts the list request in flight when navigating elsewhere
+  const abortControllerRef = useRef(null);
 
   /**
    * @typedef {Object} NavigationState
@@ -111,6 +118,12 @@ export default function Main() {
       } else {
         signIn();
       }
+    }).catch((err) => {
+      // Local files can still be viewed without Google
+      console.error(err);
+      setErrorMessage('Unable to connect to Google. ' +
+          'Local files can still be opened by dropping them on the page.');
+      setErrorModalOpen(true);
     });
   }, []);
 
@@ -122,56 +135,86 @@ export default function Main() {
   };
 
   /**
-   * Generic flow for populating data into our react component
-   * @param {function(): Promise<any>} apiCall Async function to retrieve data
+   * Aborts the list request in flight, if any
+   */
+  const abortLoad = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+      abortControllerRef.current = null;
+    }
+  };
+
+  /**
+   * Logs an error and shows it in the error modal
+   * @param {Error} err The error to show
+   */
+  const showError = (err) => {
+    console.error(err);
+    setErrorMessage(err.toString());
+    setErrorModalOpen(true);
+  };
+
+  /**
+   * Generic flow for populating data into our react component. Any
+   *    earlier request still in flight is aborted.
+   * @param {function(AbortSignal): Promise<any>} apiCall Async function to
+   *    retrieve data, which should stop when the signal is aborted
    * @param {function(boolean): any} setLoading Function to set loading state
    * @param {function(any): any} setData Function to set data state
    */
   const loadData = async (apiCall, setLoading, setData) => {
+    abortLoad();
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
     setLoading(true);
     try {
-      const data = await apiCall();
+      const data = await apiCall(abortController.signal);
       setData(data);
     } catch (err) {
-      console.error(err);
-      if (err.result) {
-        setErrorMessage(err.result.error.message);
-      } else {
-        setErrorMessage(err.toString());
+      if (api.isAbortError(err)) {
+        return;
       }
-      setErrorModalOpen(true);
+      showError(err);
     } finally {
-      setLoading(false);
+      // An aborted list is either reset or being loaded again
+      if (!abortController.signal.aborted) {
+        setLoading(false);
+      }
     }
   };
 
   // Use loadData to generate functions for loading all state data
   const loadProjects = async () =>
-    loadData(api.fetchProjects, projects.setLoading, projects.setData);
+    loadData((signal) => api.fetchProjects(undefined, signal),
+        projects.setLoading, projects.setData);
 
   const loadFilteredProjects = async (searchQuery) =>
-    loadData(() => api.fetchProjects(searchQuery),
+    loadData((signal) => api.fetchProjects(searchQuery, signal),
         projects.setLoading, projects.setData);
 
   const loadLocations = async (projectId) =>
-    loadData(() => api.fetchLocations(projectId),
+    loadData((signal) => api.fetchLocations(projectId, signal),
         locations.setLoading, locations.setData);
 
   const loadDatasets = async (projectId, location) =>
-    loadData(() => api.fetchDatasets(projectId, location),
+    loadData((signal) => api.fetchDatasets(projectId, location, signal),
         datasets.setLoading, datasets.setData);
 
   const loadDicomStores = async (projectId, location, dataset) =>
-    loadData(() => api.fetchDicomStores(projectId, location, dataset),
-        dicomStores.setLoading, dicomStores.setData);
+    loadData((signal) =>
+      api.fetchDicomStores(projectId, location, dataset, signal),
+    dicomStores.setLoading, dicomStores.setData);
 
   const loadStudies = async (projectId, location, dataset, dicomStore) =>
-    loadData(() => api.fetchStudies(projectId, location, dataset, dicomStore),
-        studies.setLoading, studies.setData);
+    loadData((signal) =>
+      api.fetchStudies(projectId, location, dataset, dicomStore, signal),
+    studies.setLoading, studies.setData);
 
   const loadSeries =
       async (projectId, location, dataset, dicomStore, studyId) =>
-    loadData(() => api.fetchSeries(projectId, location, dataset, dicomStore, studyId),
+        loadData((signal) =>
+          api.fetchSeries(projectId, location, dataset, dicomStore, studyId,
+              signal),
         series.setLoading, series.setData);
 
   // Methods for selecting a list item and loading data for the next list
@@ -208,6 +251,10 @@ export default function Main() {
   const selectStudy = (index) => {
     const study = studies.data[index];
     studies.setSelected(study);
+    if (isLocal) {
+      series.setData(getLocalSeries(study[DICOM_TAGS.STUDY_UID].Value[0]));
+      return;
+    }
     loadSeries(projects.selected, locations.selected, datasets.selected,
         dicomStores.selected, study[DICOM_TAGS.STUDY_UID].Value[0]);
   };
@@ -224,6 +271,8 @@ export default function Main() {
    *    'dicomStore'|'study'|'series')} navigationStr Navigation state to reset
    */
   const resetChainedState = (navigationStr) => {
+    // Lists being reset no longer need their requests
+    abortLoad();
     switch (navigationStr) {
       case 'project':
         projects.setSelected(null);
@@ -271,8 +320,43 @@ export default function Main() {
     loadDicomStores(projects.selected, locations.selected, datasets.selected);
   };
 
+  /**
+   * Opens dropped local files and lists their studies, replacing any
+   *    dicom store navigation
+   * @param {module:localFiles~LocalFile[]} localFiles Dropped files
+   */
+  const openLocal = (localFiles) => {
+    resetChainedState('project');
+    setIsLocal(true);
+    setLocalSummary('');
+    loadData(async () => {
+      const result = await openLocalFiles(localFiles);
+      setLocalSummary(`Opened ${result.numInstances} instances` +
+          (result.skippedFiles.length > 0 ?
+            `, skipped ${result.skippedFiles.length} files that aren't ` +
+            `DICOM images (${result.skippedFiles.join(', ')})` : ''));
+      return result.studies;
+    }, studies.setLoading, studies.setData);
+  };
+
+  /** Leaves local mode and returns to the project list */
+  const closeLocal = () => {
+    resetChainedState('study');
+    setIsLocal(false);
+    setLocalSummary('');
+    if (projects.data.length == 0) {
+      loadProjects();
+    }
+  };
+
   /** Clears all state after and including studies and reloads study list */
   const reloadStudies = () => {
+    if (isLocal) {
+      // Local studies are already open, so only clear the selection
+      studies.setSelected(null);
+      resetChainedState('series');
+      return;
+    }
     resetChainedState('study');
     loadStudies(projects.selected, locations.selected,
         datasets.selected, dicomStores.selected);
@@ -280,80 +364,115 @@ export default function Main() {
 
   /** Clears series state and reloads series list */
   const reloadSeries = () => {
+    if (isLocal) {
+      series.setSelected(null);
+      return;
+    }
     resetChainedState('series');
     loadSeries(projects.selected, locations.selected,
         datasets.selected, dicomStores.selected,
         studies.selected[DICOM_TAGS.STUDY_UID].Value[0]);
   };
 
+  /** Reloads series list, keeping the selected series */
+  const reloadSeriesList = () => {
+    loadSeries(projects.selected, locations.selected,
+        datasets.selected, dicomStores.selected,
+        studies.selected[DICOM_TAGS.STUDY_UID].Value[0]);
+  };
+
   const handleProjectSearch = (searchQuery) => {
     loadFilteredProjects(searchQuery);
   };
 
   return (
-    <div
-      className={classes.root}
-      style={{display: authInitialized ? 'block' : 'none'}}
-    >
+    <div className={classes.root}>
       <Box m={2} display="flex" flexDirection="row">
         <Box flexGrow={1}>
-          <Breadcrumbs>
-            {projects.selected ?
-              <Link color="inherit" href="#" onClick={reloadProjects}>
-                {projects.selected}
-              </Link> :
-              <Typography color="textPrimary">
-                Select Project
-              </Typography>}
-            {locations.selected ?
-              <Link color="inherit" href="#" onClick={reloadLocations}>
-                {locations.selected}
-              </Link> :
-              projects.selected ?
-                <Typography color="textPrimary">
-                  Select Location
-                </Typography> : null}
-            {datasets.selected ?
-              <Link color="inherit" href="#" onClick={reloadDatasets}>
-                {datasets.selected}
-              </Link> :
-              locations.selected ?
-                <Typography color="textPrimary">
-                  Select Dataset
-                </Typography> : null}
-            {dicomStores.selected ?
-              <Link color="inherit" href="#" onClick={reloadDicomStores}>
-                {dicomStores.selected}
-              </Link> :
-              datasets.selected ?
-                <Typography color="textPrimary">
-                  Select Dicom Store
-                </Typography> : null}
-            {studies.selected ?
-              <Link color="inherit" href="#" onClick={reloadStudies}>
-                {studies.selected[DICOM_TAGS.PATIENT_ID].Value[0]}
-              </Link> :
-              dicomStores.selected ?
+          {isLocal ?
+            <Breadcrumbs>
+              <Link color="inherit" href="#" onClick={closeLocal}>
+                Local Files
+              </Link>
+              {studies.selected ?
+                <Link color="inherit" href="#" onClick={reloadStudies}>
+                  {studies.selected[DICOM_TAGS.PATIENT_ID].Value[0]}
+                </Link> :
                 <Typography color="textPrimary">
                   Select Study
-                </Typography> : null}
-            {series.selected ?
-              <Link color="inherit" href="#" onClick={reloadSeries}>
-                {series.selected[DICOM_TAGS.MODALITY].Value[0]}
-              </Link> :
-              studies.selected ?
+                </Typography>}
+              {series.selected ?
+                <Link color="inherit" href="#" onClick={reloadSeries}>
+                  {series.selected[DICOM_TAGS.MODALITY].Value[0]}
+                </Link> :
+                studies.selected ?
+                  <Typography color="textPrimary">
+                    Select Series
+                  </Typography> : null}
+            </Breadcrumbs> :
+            <Breadcrumbs>
+              {projects.selected ?
+                <Link color="inherit" href="#" onClick={reloadProjects}>
+                  {projects.selected}
+                </Link> :
                 <Typography color="textPrimary">
-                  Select Series
-                </Typography> : null}
-          </Breadcrumbs>
+                  Select Project
+                </Typography>}
+              {locations.selected ?
+                <Link color="inherit" href="#" onClick={reloadLocations}>
+                  {locations.selected}
+                </Link> :
+                projects.selected ?
+                  <Typography color="textPrimary">
+                    Select Location
+                  </Typography> : null}
+              {datasets.selected ?
+                <Link color="inherit" href="#" onClick={reloadDatasets}>
+                  {datasets.selected}
+                </Link> :
+                locations.selected ?
+                  <Typography color="textPrimary">
+                    Select Dataset
+                  </Typography> : null}
+              {dicomStores.selected ?
+                <Link color="inherit" href="#" onClick={reloadDicomStores}>
+                  {dicomStores.selected}
+                </Link> :
+                datasets.selected ?
+                  <Typography color="textPrimary">
+                    Select Dicom Store
+                  </Typography> : null}
+              {studies.selected ?
+                <Link color="inherit" href="#" onClick={reloadStudies}>
+                  {studies.selected[DICOM_TAGS.PATIENT_ID].Value[0]}
+                </Link> :
+                dicomStores.selected ?
+                  <Typography color="textPrimary">
+                    Select Study
+                  </Typography> : null}
+              {series.selected ?
+                <Link color="inherit" href="#" onClick={reloadSeries}>
+                  {series.selected[DICOM_TAGS.MODALITY].Value[0]}
+                </Link> :
+                studies.selected ?
+                  <Typography color="textPrimary">
+                    Select Series
+                  </Typography> : null}
+            </Breadcrumbs>}
         </Box>
       </Box>
 
-      {!projects.selected ?
+      {(isLocal && localSummary) ?
+        <Box mx={2}>
+          <Typography color="textSecondary">{localSummary}</Typography>
+        </Box> : null}
+      {(!isLocal && !projects.selected) ?
+        <DropZone onDrop={openLocal} onError={showError} /> : null}
+      {(!isLocal && !projects.selected) ?
         <SearchList
           items={projects.data}
           onClickItem={selectProject}
-          isLoading={projects.loading}
+          isLoading={projects.loading || !authInitialized}
           onSearch={handleProjectSearch}
           searchDelay={200} /> : null}
       {(projects.selected && !locations.selected) ?
@@ -371,7 +490,7 @@ export default function Main() {
           items={dicomStores.data}
           onClickItem={selectDicomStore}
           isLoading={dicomStores.loading} /> : null}
-      {(dicomStores.selected && !studies.selected) ?
+      {((dicomStores.selected || isLocal) && !studies.selected) ?
         <SearchList
           items={studies.data.map((study) =>
             study[DICOM_TAGS.PATIENT_ID].Value[0])}
@@ -390,7 +509,9 @@ export default function Main() {
           dataset={datasets.selected}
           dicomStore={dicomStores.selected}
           study={studies.selected}
-          series={series.selected} /> : null}
+          series={series.selected}
+          local={isLocal}
+          onInstancesStored={reloadSeriesList} /> : null}
       <Dialog
         open={errorModalOpen}
         onClose={() => setErrorModalOpen(false)}
@@ -0,0 +1,158 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {Box, Typography, Link, TextField} from '@material-ui/core';
+import {CALIBRATION_TYPES} from '../calibration.js';
+import {ANNOTATION_FORMATS} from '../annotationObjects.js';
+import {MEASUREMENT_TOOL_NAMES, formatMeasurement} from '../measurements.js';
+
+/** Notes shown for frames whose distances aren't measured in the patient
+ * @constant {Object.<string, string>} */
+const CALIBRATION_NOTES = {
+  [CALIBRATION_TYPES.IMAGER]: 'Calibrated at the detector, so distances ' +
+      'include any magnification',
+  [CALIBRATION_TYPES.ULTRASOUND]: 'Calibrated from the ultrasound region',
+  [CALIBRATION_TYPES.UNCALIBRATED]: 'Uncalibrated, so distances are in pixels',
+};
+
+/**
+ * React component for a side panel listing the measurements of each frame
+ * @param {Object} props
+ * @param {module:measurements~Measurement[]} props.measurements
+ *    Measurements by frame
+ * @param {function(number): undefined} props.onSelectFrame Runs with the
+ *    index of a frame when it is clicked
+ * @param {function(): undefined} props.onExport Runs when export is clicked
+ * @param {function(): undefined} props.onClear Runs when clear is clicked
+ * @param {boolean} props.canSave Whether measurements can be saved to the
+ *    DICOM store, which local files have none of
+ * @param {string} props.saveFormat One of ANNOTATION_FORMATS, to save as
+ * @param {function(string): undefined} props.onSaveFormatChange Runs with
+ *    the format chosen
+ * @param {function(): undefined} props.onSave Runs when save is clicked
+ * @param {string} props.saveStatus Progress or result of the last save
+ * @return {ReactElement} <MeasurementsPanel/>
+ */
+export default function MeasurementsPanel({
+  measurements,
+  onSelectFrame,
+  onExport,
+  onClear,
+  canSave,
+  saveFormat,
+  onSaveFormatChange,
+  onSave,
+  saveStatus,
+}) {
+  // Measurements are already ordered by frame
+  const frames = [];
+  for (const measurement of measurements) {
+    const lastFrame = frames[frames.length - 1];
+    if (lastFrame && lastFrame.frame == measurement.frame) {
+      lastFrame.measurements.push(measurement);
+    } else {
+      frames.push({
+        frame: measurement.frame,
+        calibration: measurement.calibration,
+        measurements: [measurement],
+      });
+    }
+  }
+
+  return (
+    <Box width={320}>
+      <Typography variant="h6">Measurements</Typography>
+      {frames.length == 0 ?
+        <Typography variant="body2" color="textSecondary">
+          Choose Length, Angle or an ROI for the left mouse button to
+          measure the image.
+        </Typography> :
+        frames.map(({frame, calibration, measurements}) => (
+          <Box key={frame} mb={1}>
+            <Link href="#" variant="subtitle2" onClick={(e) => {
+              e.preventDefault();
+              onSelectFrame(frame);
+            }}>
+              Frame {frame + 1}
+            </Link>
+            {CALIBRATION_NOTES[calibration] &&
+              <Typography variant="caption" color="textSecondary"
+                display="block">
+                {CALIBRATION_NOTES[calibration]}
+              </Typography>}
+            {measurements.map((measurement) => (
+              <Typography key={measurement.id} variant="body2">
+                {MEASUREMENT_TOOL_NAMES[measurement.tool]}:{' '}
+                {formatMeasurement(measurement)}
+              </Typography>
+            ))}
+          </Box>
+        ))}
+      {frames.length > 0 &&
+        <Box>
+          <Link href="#" style={{marginRight: 8}} onClick={(e) => {
+            e.preventDefault();
+            onExport();
+          }}>
+            Export JSON
+          </Link>
+          <Link href="#" onClick={(e) => {
+            e.preventDefault();
+            onClear();
+          }}>
+            Clear
+          </Link>
+        </Box>}
+      {frames.length > 0 && canSave &&
+        <Box mt={1} display="flex" alignItems="flex-end">
+          <TextField
+            select
+            id="annotation-format"
+            label="Save As"
+            style={{width: 150, marginRight: 8}}
+            SelectProps={{native: true}}
+            value={saveFormat}
+            onChange={(e) => onSaveFormatChange(e.target.value)}>
+            <option value={ANNOTATION_FORMATS.SR}>Structured Report</option>
+            <option value={ANNOTATION_FORMATS.GSPS}>Presentation State</option>
+          </TextField>
+          <Link href="#" onClick={(e) => {
+            e.preventDefault();
+            onSave();
+          }}>
+            Save to DICOM Store
+          </Link>
+        </Box>}
+      {saveStatus &&
+        <Typography variant="body2" color="textSecondary">
+          {saveStatus}
+        </Typography>}
+    </Box>
+  );
+}
+MeasurementsPanel.propTypes = {
+  measurements: PropTypes.arrayOf(PropTypes.object).isRequired,
+  onSelectFrame: PropTypes.func.isRequired,
+  onExport: PropTypes.func.isRequired,
+  onClear: PropTypes.func.isRequired,
+  canSave: PropTypes.bool.isRequired,
+  saveFormat: PropTypes.string.isRequired,
+  onSaveFormatChange: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired,
+  saveStatus: PropTypes.string.isRequired,
+};
@@ -0,0 +1,172 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {Box, Typography} from '@material-ui/core';
+import {BENCHMARK_PERCENTILES} from '../benchmark.js';
+import {summarizeTimings, TTFB_BUCKET_SIZE} from '../resourceTiming.js';
+
+/** Size of each chart in pixels */
+const WIDTH = 400;
+const HEIGHT = 120;
+
+/** Space left for the axis labels in pixels */
+const MARGIN = 24;
+
+/** Colors of the waiting (request sent to first byte) and downloading
+ *    (first to last byte) parts of each request */
+const WAITING_COLOR = '#9fa8da';
+const DOWNLOADING_COLOR = '#3f51b5';
+
+/**
+ * React component for a histogram of the TTFB of each request
+ * @param {Object} props
+ * @param {number[]} props.histogram Number of requests in each bucket
+ * @return {ReactElement} <TtfbHistogram/>
+ */
+function TtfbHistogram({histogram}) {
+  const maxCount = Math.max(...histogram);
+  const barWidth = WIDTH / histogram.length;
+  return (
+    <svg width={WIDTH + MARGIN * 2} height={HEIGHT + MARGIN}
+      role="img" aria-label="TTFB distribution">
+      {histogram.map((count, bucket) => {
+        const height = count / maxCount * (HEIGHT - MARGIN);
+        return (
+          <rect key={bucket} x={MARGIN + bucket * barWidth}
+            y={HEIGHT - height} width={Math.max(1, barWidth - 1)}
+            height={height} fill={DOWNLOADING_COLOR}>
+            <title>
+              {bucket * TTFB_BUCKET_SIZE}-{(bucket + 1) * TTFB_BUCKET_SIZE}ms:
+              {' '}{count} requests
+            </title>
+          </rect>
+        );
+      })}
+      <line x1={MARGIN} y1={HEIGHT} x2={MARGIN + WIDTH} y2={HEIGHT}
+        stroke="gray" />
+      <text x={MARGIN} y={HEIGHT + 16} fontSize={12}>0ms</text>
+      <text x={MARGIN + WIDTH} y={HEIGHT + 16} textAnchor="end" fontSize={12}>
+        {histogram.length * TTFB_BUCKET_SIZE}ms
+      </text>
+    </svg>
+  );
+}
+TtfbHistogram.propTypes = {
+  histogram: PropTypes.arrayOf(PropTypes.number).isRequired,
+};
+
+/**
+ * React component for a waterfall of every request, with a row per request
+ *    in the order they started
+ * @param {Object} props
+ * @param {module:resourceTiming~RequestTiming[]} props.timings Timing of
+ *    each request
+ * @return {ReactElement} <Waterfall/>
+ */
+function Waterfall({timings}) {
+  const sorted = [...timings].sort((a, b) => a.startTime - b.startTime);
+  const start = sorted[0].startTime;
+  const end = Math.max(...sorted.map((timing) => timing.responseEnd));
+  const duration = Math.max(end - start, 1);
+  const rowHeight = (HEIGHT - MARGIN) / sorted.length;
+  const toX = (time) => MARGIN + (time - start) / duration * WIDTH;
+  return (
+    <svg width={WIDTH + MARGIN * 2} height={HEIGHT + MARGIN}
+      role="img" aria-label="Request waterfall">
+      {sorted.map((timing, i) => {
+        // Requests without a readable first byte are drawn as downloading
+        const firstByte = timing.responseStart > 0 ?
+            timing.responseStart : timing.startTime;
+        const y = MARGIN + i * rowHeight;
+        const height = Math.max(rowHeight - 1, 1);
+        return (
+          <g key={i}>
+            <title>{timing.url}</title>
+            <rect x={toX(timing.startTime)} y={y} height={height}
+              width={Math.max(toX(firstByte) - toX(timing.startTime), 0)}
+              fill={WAITING_COLOR} />
+            <rect x={toX(firstByte)} y={y} height={height}
+              width={Math.max(toX(timing.responseEnd) - toX(firstByte), 1)}
+              fill={DOWNLOADING_COLOR} />
+          </g>
+        );
+      })}
+      <line x1={MARGIN} y1={HEIGHT} x2={MARGIN + WIDTH} y2={HEIGHT}
+        stroke="gray" />
+      <text x={MARGIN} y={HEIGHT + 16} fontSize={12}>0s</text>
+      <text x={MARGIN + WIDTH} y={HEIGHT + 16} textAnchor="end" fontSize={12}>
+        {(duration / 1000).toFixed(2)}s
+      </text>
+    </svg>
+  );
+}
+Waterfall.propTypes = {
+  timings: PropTypes.arrayOf(PropTypes.object).isRequired,
+};
+
+/**
+ * React component for the throughput, TTFB distribution and waterfall of
+ *    the frame requests of a run, from their resource timing
+ * @param {Object} props
+ * @param {module:resourceTiming~RequestTiming[]} props.timings Timing of
+ *    each request
+ * @return {ReactElement} <RequestTimings/>
+ */
+export default function RequestTimings({timings}) {
+  if (timings.length == 0) {
+    return null;
+  }
+
+  const summary = summarizeTimings(timings);
+  const percentiles = BENCHMARK_PERCENTILES
+      .map((percentile) => `p${percentile}`);
+  return (
+    <Box mt={2}>
+      <Typography variant="h6">Request Timings</Typography>
+      <Typography variant="body1">
+        Throughput: {summary.throughput.toFixed(2)} MB/s
+      </Typography>
+      <Typography variant="body1">
+        Transferred: {(summary.totalBytes / (1024 * 1024)).toFixed(2)} MB
+        in {summary.numRequests} requests
+      </Typography>
+      <Typography variant="body1">
+        {summary.ttfb ?
+          `TTFB (${percentiles.join(' / ')}): ` + percentiles
+              .map((percentile) => summary.ttfb[percentile].toFixed(0))
+              .join(' / ') + 'ms' :
+          'TTFB and sizes are only reported by servers that send ' +
+              'Timing-Allow-Origin'}
+      </Typography>
+      {summary.ttfbHistogram.length > 0 &&
+        <TtfbHistogram histogram={summary.ttfbHistogram} />
+      }
+      <Waterfall timings={timings} />
+    </Box>
+  );
+}
+RequestTimings.propTypes = {
+  timings: PropTypes.arrayOf(PropTypes.shape({
+    url: PropTypes.string,
+    startTime: PropTypes.number,
+    responseStart: PropTypes.number,
+    responseEnd: PropTypes.number,
+    ttfb: PropTypes.number,
+    transferSize: PropTypes.number,
+  })).isRequired,
+};
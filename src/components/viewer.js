@@ -18,12 +18,86 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import {
   Box, LinearProgress, Typography,
-  TextField, Button,
+  TextField, Button, FormControlLabel, Checkbox, Link,
+  Table, TableHead, TableBody, TableRow, TableCell,
 } from '@material-ui/core';
 import * as cornerstone from 'cornerstone-core';
 import * as api from '../api.js';
-import {DICOM_TAGS} from '../dicomValues.js';
-import DicomImageSequencer from '../dicomImageSequencer.js';
+import {
+  DICOM_TAGS,
+  TRANSFER_SYNTAXES,
+  FRAME_TRANSFER_SYNTAXES,
+  RENDERED_MEDIA_TYPES,
+} from '../dicomValues.js';
+import DicomImageSequencer, {RETRIEVAL_MODES} from '../dicomImageSequencer.js';
+import {imageWorkerPool, DEFAULT_NUM_WORKERS} from '../workerPool.js';
+import {getLocalInstances} from '../localFiles.js';
+import {frameCache, CACHE_MODES, DEFAULT_QUOTA} from '../frameCache.js';
+import {
+  PREFETCH_STRATEGIES,
+  DEFAULT_INTERLEAVE_STEP,
+} from '../fetchPriority.js';
+import {DEFAULT_MAX_RETRIES} from '../retry.js';
+import {ORDERING_METHODS} from '../sliceOrder.js';
+import {
+  BENCHMARK_PERCENTILES,
+  AUTO_CONCURRENCY,
+  parseConcurrencies,
+  createBenchmarkPlan,
+  summarizeRuns,
+  getRunsCSV,
+  getSummaryCSV,
+} from '../benchmark.js';
+import {ResourceTimingRecorder, summarizeTimings} from '../resourceTiming.js';
+import {
+  PRIMARY_TOOLS,
+  enableViewportTools,
+  setPrimaryTool,
+  setStack,
+  setStackIndex,
+  resetViewport,
+  setWindow,
+  getMeasurementToolState,
+  clearMeasurements,
+} from '../viewportTools.js';
+import {
+  getImageCalibration,
+  getInstanceReference,
+} from '../dicomImageLoader.js';
+import {getMeasurements, getMeasurementsJSON} from '../measurements.js';
+import {
+  ANNOTATION_FORMATS,
+  createStructuredReport,
+  createPresentationState,
+} from '../annotationObjects.js';
+import writeP10 from '../writeP10.js';
+import {
+  loadCustomPresets,
+  saveCustomPresets,
+  getPresetsForModality,
+  getPresetForKey,
+  getPresetsJSON,
+} from '../voiPresets.js';
+import {
+  CinePlayer,
+  CINE_MODES,
+  DEFAULT_CINE_FPS,
+  getDefaultFps,
+  getBufferedRanges,
+} from '../cinePlayer.js';
+import ConcurrencyChart from './concurrencyChart.js';
+import CineControls from './cineControls.js';
+import RequestTimings from './requestTimings.js';
+import MeasurementsPanel from './measurementsPanel.js';
+import VOIPresetsPanel from './voiPresetsPanel.js';
+
+/** Labels of the cache modes a benchmark can run with
+ * @constant {Object<string, string>} */
+const BENCHMARK_CACHE_LABELS = {
+  [CACHE_MODES.OFF]: 'No cache',
+  [CACHE_MODES.COLD]: 'Cold cache',
+  [CACHE_MODES.WARM]: 'Warm cache',
+};
 
 /**
  * React Component for viewing medical images
@@ -38,6 +112,10 @@ export default class Viewer extends React.Component {
    * @param {string} props.dicomStore Dicom Store
    * @param {Object} props.study Study
    * @param {Object} props.series Series
+   * @param {boolean=} props.local Whether the series was opened from local
+   *    files rather than a dicom store
+   * @param {function(): undefined=} props.onInstancesStored Runs when new
+   *    instances have been stored in the study, e.g. saved annotations
    */
   constructor(props) {
     super(props);
@@ -52,6 +130,52 @@ export default class Viewer extends React.Component {
       totalTimer: 0,
       timeToFirstImage: 0,
       maxSimultaneousRequests: 20,
+      autoConcurrency: false,
+      concurrencyHistory: [],
+      requestTimings: [],
+      primaryTool: PRIMARY_TOOLS.WINDOW_LEVEL,
+      numFrames: 0,
+      currentFrame: 0,
+      bufferedRanges: [],
+      isCinePlaying: false,
+      cineFps: '',
+      defaultCineFps: DEFAULT_CINE_FPS,
+      cineMode: CINE_MODES.LOOP,
+      measurements: [],
+      annotationFormat: ANNOTATION_FORMATS.SR,
+      isSavingAnnotations: false,
+      saveStatus: '',
+      runError: '',
+      customVoiPresets: loadCustomPresets(),
+      numWorkers: DEFAULT_NUM_WORKERS,
+      transferSyntax: TRANSFER_SYNTAXES.EXPLICIT_VR_LITTLE_ENDIAN,
+      streamResponses: true,
+      framesPerRequest: 1,
+      numRequests: 0,
+      retrievalMode: RETRIEVAL_MODES.RAW,
+      renderedMediaType: 'image/jpeg',
+      renderedQuality: '',
+      renderedViewport: '',
+      prefetchStrategy: PREFETCH_STRATEGIES.TOP_DOWN,
+      focusFrame: 1,
+      interleaveStep: DEFAULT_INTERLEAVE_STEP,
+      cacheMode: CACHE_MODES.OFF,
+      cacheQuotaMB: DEFAULT_QUOTA / (1024 * 1024),
+      numCacheHits: 0,
+      maxRetries: DEFAULT_MAX_RETRIES,
+      numRetries: 0,
+      failedFrames: [],
+      orderingMethod: null,
+      sliceIssues: [],
+      runMetrics: {},
+      benchmarkMode: false,
+      benchmarkIterations: 3,
+      benchmarkConcurrencies: '5, 10, 20',
+      benchmarkTransferSyntaxes: [TRANSFER_SYNTAXES.EXPLICIT_VR_LITTLE_ENDIAN],
+      benchmarkCacheModes: [CACHE_MODES.OFF],
+      benchmarkRuns: [],
+      benchmarkRunIndex: 0,
+      benchmarkRunCount: 0,
       isDisplaying: false,
     };
 
@@ -62,6 +186,7 @@ export default class Viewer extends React.Component {
         this.props.study,
         this.props.series,
     );
+    this.dicomSequencer.local = Boolean(this.props.local);
 
     this.totalImagesCount = 0;
     this.readyImages = [];
@@ -71,27 +196,66 @@ export default class Viewer extends React.Component {
     this.renderStartTime = 0,
     this.canvasElement;
     this.renderedImagesCount = 0;
+    this.failedImagesCount = 0;
     this.metricsIntervalId = 0;
+    this.abortController = new AbortController();
+    this.benchmarkPlan = [];
+    this.benchmarkStartedAt = null;
+    this.benchmarkTimeoutId = 0;
+    this.settingsBeforeBenchmark = {};
+    this.resourceTimingRecorder = new ResourceTimingRecorder();
+    this.stackIndices = new Map();
+    this.stackImageIds = [];
+    this.bufferedIndices = new Set();
+    this.isAwaitingRender = false;
+    this.sequenceImageId = null;
+    this.isCineInUse = false;
+    this.isMeasurementChanged = false;
+    this.onKeyDown = (event) => this.selectPresetForKey(event);
+    this.cinePlayer = new CinePlayer((index) => this.showStackFrame(index),
+        () => this.setState({isCinePlaying: false}));
+    this.cinePlayer.isBuffered = (index) => this.bufferedIndices.has(index);
+    this.cinePlayer.isLoading = () => this.state.isDisplaying;
   }
 
   /**
    * Set up cornerstone listeners and retrieve instance list on mount
    */
   componentDidMount() {
-    cornerstone.enable(this.canvasElement);
+    enableViewportTools(this.canvasElement);
     this.canvasElement.addEventListener('cornerstoneimagerendered',
         () => this.onImageRendered());
+    this.canvasElement.addEventListener('cornerstonenewimage',
+        (event) => this.onNewImage(event.detail.image));
+
+    // Statistics are calculated as measurements are drawn, so the list is
+    // updated after the next render
+    [
+      'cornerstonetoolsmeasurementadded',
+      'cornerstonetoolsmeasurementmodified',
+      'cornerstonetoolsmeasurementremoved',
+    ].forEach((eventType) => this.canvasElement.addEventListener(eventType,
+        () => {
+          this.isMeasurementChanged = true;
+        }));
+    document.addEventListener('keydown', this.onKeyDown);
   }
 
   /**
-   * Cancel ongoing fetches to avoid state change after unmount
+   * Abort ongoing fetches to avoid wasting bandwidth and changing
+   *    state after unmount
    */
   componentWillUnmount() {
     if (this.getInstancesPromise) {
       this.getInstancesPromise.cancel();
     }
+    this.abortController.abort();
     this.dicomSequencer.cancel();
     clearInterval(this.metricsIntervalId);
+    clearTimeout(this.benchmarkTimeoutId);
+    this.resourceTimingRecorder.stop();
+    this.cinePlayer.pause();
+    document.removeEventListener('keydown', this.onKeyDown);
     cornerstone.disable(this.canvasElement);
   }
 
@@ -100,6 +264,17 @@ export default class Viewer extends React.Component {
    * @param {Object} image Cornerstone image
    */
   onImageReady(image) {
+    if (this.stackIndices.has(image.imageId)) {
+      this.bufferedIndices.add(this.stackIndices.get(image.imageId));
+    }
+
+    // Keep every frame in cornerstone's cache, so the stack can be
+    // scrolled through without fetching frames again
+    if (!cornerstone.imageCache.getImageLoadObject(image.imageId)) {
+      cornerstone.imageCache.putImageLoadObject(image.imageId,
+          {promise: Promise.resolve(image)});
+    }
+
     this.readyImages.push(image);
     this.readyImagesCount++;
 
@@ -110,10 +285,61 @@ export default class Viewer extends React.Component {
     }
   }
 
+  /**
+   * Runs when an image could not be loaded, even after retrying
+   * @param {module:DicomImageSequencer~FailedFrame} failedFrame The frame
+   *    that failed
+   */
+  onImageFailed(failedFrame) {
+    this.failedImagesCount++;
+    this.setState((state) => ({
+      failedFrames: [...state.failedFrames, failedFrame],
+    }));
+    this.checkSequenceFinished();
+  }
+
+  /**
+   * Runs when a different image is displayed, whether by the sequence,
+   *    cine playback or scrolling through the stack
+   * @param {Object} image Cornerstone image
+   */
+  onNewImage(image) {
+    if (this.stackIndices.has(image.imageId)) {
+      const index = this.stackIndices.get(image.imageId);
+      this.cinePlayer.index = index;
+      setStackIndex(this.canvasElement, index);
+      this.setState({currentFrame: index});
+
+      // While loading, the prefetch focus follows the frame the user
+      // scrolls or plays to
+      if (this.state.isDisplaying && image.imageId != this.sequenceImageId) {
+        this.dicomSequencer.setFocusIndex(index);
+      }
+    }
+  }
+
   /**
    * Runs when an image has been rendered to the cornerstone canvas
    */
   onImageRendered() {
+    if (this.isMeasurementChanged) {
+      this.isMeasurementChanged = false;
+      this.updateMeasurements();
+    }
+
+    // Only renders of the sequence count, not those of viewport tools
+    if (!this.isAwaitingRender) {
+      return;
+    }
+    this.isAwaitingRender = false;
+    this.countRenderedImage();
+    this.displayNextImage();
+  }
+
+  /**
+   * Counts an image of the sequence as rendered
+   */
+  countRenderedImage() {
     this.renderedImagesCount++;
     if (this.renderedImagesCount == 1) {
       this.renderStartTime = Date.now();
@@ -121,26 +347,46 @@ export default class Viewer extends React.Component {
         timeToFirstImage: Date.now() - this.fetchStartTime,
       });
     }
+    this.checkSequenceFinished();
+  }
 
-    if (this.renderedImagesCount == this.totalImagesCount) {
-      // When last image is rendered, stop the
-      // metrics interval and run one final time
+  /**
+   * Finishes the run once every image has either been rendered or failed
+   */
+  checkSequenceFinished() {
+    if (this.renderedImagesCount + this.failedImagesCount ==
+        this.totalImagesCount) {
+      // When the last image is rendered or has failed, stop
+      // the metrics interval and run one final time
       clearInterval(this.metricsIntervalId);
+      this.resourceTimingRecorder.stop();
       this.updateMetrics();
+      this.recordRunMetrics();
 
       this.setState({
         isDisplaying: false,
       });
+
+      if (this.benchmarkPlan.length > 0) {
+        this.recordBenchmarkRun();
+      }
     }
-    this.displayNextImage();
   }
 
   /**
    * Checks the queue of ready images and displays the next one if available
    */
   displayNextImage() {
+    // Once cine playback or the slider is used, ready images stay in the
+    // cache for it rather than taking over the display
+    while (this.isCineInUse && this.readyImages.length > 0) {
+      this.readyImages.shift();
+      this.countRenderedImage();
+    }
     if (this.readyImages.length > 0) {
       const image = this.readyImages.shift();
+      this.isAwaitingRender = true;
+      this.sequenceImageId = image.imageId;
       cornerstone.displayImage(this.canvasElement, image);
     } else {
       this.newSequence = true;
@@ -161,9 +407,520 @@ export default class Viewer extends React.Component {
       renderTimer: Date.now() - this.renderStartTime,
       totalTimer: Date.now() - this.fetchStartTime,
       numRenderedImages: this.renderedImagesCount,
+      numRequests: this.dicomSequencer.numRequests,
+      numCacheHits: frameCache.hits,
+      numRetries: this.dicomSequencer.numRetries,
+      concurrencyHistory: this.dicomSequencer.adaptiveConcurrency ?
+          [...this.dicomSequencer.adaptiveConcurrency.history] : [],
+      requestTimings: [...this.resourceTimingRecorder.timings],
+      bufferedRanges: getBufferedRanges(this.bufferedIndices),
     });
   }
 
+  /**
+   * Displays a frame of the stack, e.g. during cine playback
+   * @param {number} index Index of the frame in the stack
+   */
+  showStackFrame(index) {
+    // Frames that are still loading aren't fetched a second time
+    if (this.state.isDisplaying && !this.bufferedIndices.has(index)) {
+      return;
+    }
+    cornerstone.loadAndCacheImage(this.stackImageIds[index])
+        .then((image) => cornerstone.displayImage(this.canvasElement, image))
+        .catch((error) => console.error(error));
+  }
+
+  /**
+   * Gets the frame rate of cine playback, which is the series' own frame
+   *    rate unless one has been entered
+   * @param {string} cineFps Frames per second entered by the user
+   * @return {number} Frames per second
+   */
+  getCineFps(cineFps) {
+    return Number(cineFps) > 0 ? Number(cineFps) : this.state.defaultCineFps;
+  }
+
+  /**
+   * Starts or pauses cine playback of the loaded frames
+   */
+  toggleCine() {
+    if (this.cinePlayer.isPlaying()) {
+      this.cinePlayer.pause();
+    } else {
+      this.cinePlayer.fps = this.getCineFps(this.state.cineFps);
+      this.cinePlayer.mode = this.state.cineMode;
+      this.cinePlayer.play();
+      this.useCine();
+    }
+    this.setState({isCinePlaying: this.cinePlayer.isPlaying()});
+  }
+
+  /**
+   * Hands the display over to cine playback and the slider for the rest
+   *    of the running sequence
+   */
+  useCine() {
+    if (this.state.isDisplaying) {
+      this.isCineInUse = true;
+    }
+  }
+
+  /**
+   * Checks if the persistent frame cache is used by the current run
+   * @return {boolean} True if frames are read from and added to the cache
+   */
+  isUsingCache() {
+    // Only raw frames from a dicom store are cached
+    return this.state.cacheMode != CACHE_MODES.OFF && !this.props.local &&
+        this.state.retrievalMode == RETRIEVAL_MODES.RAW;
+  }
+
+  /**
+   * Moves the prefetch focus, reordering any pending fetches around it
+   * @param {number} focusFrame Number of the frame to focus on, from 1
+   */
+  setFocusFrame(focusFrame) {
+    this.setState({focusFrame});
+    if (focusFrame >= 1) {
+      this.dicomSequencer.setFocusIndex(focusFrame - 1);
+    }
+  }
+
+  /**
+   * Removes every cached frame of this dicom store
+   */
+  clearStoreCache() {
+    frameCache.clearStore(this.dicomSequencer.getStoreURL())
+        .catch((error) => console.error(error));
+  }
+
+  /**
+   * Gets a label describing how frames are being retrieved
+   * @return {string} Label for the current retrieval mode
+   */
+  getRetrievalModeLabel() {
+    if (this.props.local) {
+      return 'Local files';
+    }
+    if (this.state.retrievalMode == RETRIEVAL_MODES.RENDERED) {
+      const format = RENDERED_MEDIA_TYPES.find((type) =>
+        type.mediaType == this.state.renderedMediaType);
+      return `Rendered ${format.name}`;
+    }
+    const syntax = FRAME_TRANSFER_SYNTAXES.find((syntax) =>
+      syntax.uid == this.state.transferSyntax);
+    if (this.state.retrievalMode == RETRIEVAL_MODES.INSTANCE) {
+      return `P10 ${syntax.name}`;
+    }
+    return `Raw ${syntax.name}`;
+  }
+
+  /**
+   * Checks if the cache quota entered is a positive number of MB
+   * @return {boolean} True if the quota can be used
+   */
+  isCacheQuotaValid() {
+    const quotaMB = String(this.state.cacheQuotaMB).trim();
+    return quotaMB != '' && Number.isFinite(Number(quotaMB)) &&
+        Number(quotaMB) > 0;
+  }
+
+  /**
+   * Gets the cache quota entered, keeping the cache's current quota if the
+   *    field is blank or invalid, so a mistyped quota can't evict the
+   *    whole cache
+   * @return {number} Quota in bytes
+   */
+  getCacheQuota() {
+    return this.isCacheQuotaValid() ?
+        Number(this.state.cacheQuotaMB) * 1024 * 1024 : frameCache.quota;
+  }
+
+  /**
+   * Gets a label describing how frames are requested, which differs
+   *    between runs of the same retrieval mode
+   * @return {string} Label, e.g. "4 frames/request, streamed", or an empty
+   *    string if frames are always requested one way
+   */
+  getRequestLabel() {
+    if (this.props.local ||
+        this.state.retrievalMode == RETRIEVAL_MODES.RENDERED) {
+      return '';
+    }
+    const streaming = this.state.streamResponses ? 'streamed' : 'buffered';
+    if (this.state.retrievalMode == RETRIEVAL_MODES.INSTANCE) {
+      return streaming;
+    }
+    const framesPerRequest = this.state.framesPerRequest;
+    const batching = framesPerRequest > 0 ?
+        `${framesPerRequest} frame${framesPerRequest == 1 ? '' : 's'}` +
+            '/request' :
+        'all frames/request';
+    return `${batching}, ${streaming}`;
+  }
+
+  /**
+   * Gets a label describing what the slices were ordered by
+   * @return {string} Label for the ordering method
+   */
+  getOrderingLabel() {
+    switch (this.state.orderingMethod) {
+      case ORDERING_METHODS.POSITION:
+        return 'Image Position (Patient)';
+      case ORDERING_METHODS.SLICE_LOCATION:
+        return 'Slice Location';
+      case ORDERING_METHODS.ACQUISITION_TIME:
+        return 'Acquisition Time';
+      case ORDERING_METHODS.INSTANCE_NUMBER:
+        return 'Instance Number';
+      default:
+        return 'Unordered';
+    }
+  }
+
+  /**
+   * Gets a short label for a frame, e.g. {instance uid}/frames/{n}
+   * @param {string} imageId ImageId of the frame
+   * @return {string} Label for the frame
+   */
+  getFrameLabel(imageId) {
+    const framesIndex = imageId.lastIndexOf('/frames/');
+    return imageId.substring(imageId.lastIndexOf('/', framesIndex - 1) + 1);
+  }
+
+  /**
+   * Stores the metrics of a finished sequence as a row of the metrics table,
+   *    replacing any earlier run with the same retrieval settings
+   */
+  recordRunMetrics() {
+    // Cold and warm cache runs are recorded separately, as are batched
+    // and per-frame runs so their throughput can be compared
+    const isUsingCache = this.isUsingCache();
+    const strategy = this.state.prefetchStrategy;
+    const adaptiveConcurrency = this.dicomSequencer.adaptiveConcurrency;
+    const requestLabel = this.getRequestLabel();
+    const mode = this.getRetrievalModeLabel() +
+        (requestLabel ? ` (${requestLabel})` : '') +
+        (isUsingCache ? ` (${this.state.cacheMode} cache)` : '') +
+        (strategy != PREFETCH_STRATEGIES.TOP_DOWN ? ` [${strategy}]` : '') +
+        (adaptiveConcurrency ? ' (auto concurrency)' : '');
+    const runMetrics = this.getRunMetrics();
+    this.setState((state) => ({
+      runMetrics: {
+        ...state.runMetrics,
+        [mode]: {
+          mode,
+          numImages: this.renderedImagesCount,
+          totalTime: runMetrics.totalTime,
+          timeToFirstImage: runMetrics.timeToFirstImage,
+          fps: runMetrics.fps,
+          cacheHits: isUsingCache ? frameCache.hits : null,
+          numFailed: this.failedImagesCount,
+          // Auto runs record the concurrency they settled on
+          concurrency: adaptiveConcurrency ?
+              `${adaptiveConcurrency.concurrency} (auto)` :
+              String(this.dicomSequencer.maxSimultaneousRequests),
+        },
+      },
+    }));
+  }
+
+  /**
+   * Gets the timing metrics of the sequence that just finished
+   * @return {{totalTime: number, timeToFirstImage: number, fps: number}}
+   *    Times in seconds, and the average frames displayed per second
+   */
+  getRunMetrics() {
+    const now = Date.now();
+    return {
+      totalTime: (now - this.fetchStartTime) / 1000,
+      timeToFirstImage: this.state.timeToFirstImage / 1000,
+      fps: this.renderedImagesCount > 0 ? this.renderedImagesCount /
+          ((now - this.renderStartTime) / 1000) : 0,
+    };
+  }
+
+  /**
+   * Checks if the frames of this series can be requested in different
+   *    transfer syntaxes
+   * @return {boolean} True if the transfer syntax can be chosen
+   */
+  canChooseTransferSyntax() {
+    return !this.props.local &&
+        this.state.retrievalMode != RETRIEVAL_MODES.RENDERED;
+  }
+
+  /**
+   * Starts a benchmark, running the sequence once per iteration for every
+   *    combination of the chosen concurrencies, transfer syntaxes and cache
+   *    modes. Settings that don't apply to the retrieval mode use their
+   *    current value instead.
+   */
+  startBenchmark() {
+    const concurrencies =
+        parseConcurrencies(this.state.benchmarkConcurrencies);
+    const transferSyntaxes = this.canChooseTransferSyntax() &&
+        this.state.benchmarkTransferSyntaxes.length > 0 ?
+        this.state.benchmarkTransferSyntaxes : [this.state.transferSyntax];
+    const canCache = !this.props.local &&
+        this.state.retrievalMode == RETRIEVAL_MODES.RAW;
+    const cacheModes = canCache &&
+        this.state.benchmarkCacheModes.length > 0 ?
+        this.state.benchmarkCacheModes : [CACHE_MODES.OFF];
+
+    this.benchmarkPlan = createBenchmarkPlan({
+      iterations: Math.max(1, this.state.benchmarkIterations),
+      concurrencies: concurrencies.length > 0 ?
+          concurrencies : [this.state.maxSimultaneousRequests],
+      transferSyntaxes,
+      cacheModes,
+    });
+    this.benchmarkStartedAt = new Date().toISOString();
+    this.settingsBeforeBenchmark = {
+      autoConcurrency: this.state.autoConcurrency,
+      maxSimultaneousRequests: this.state.maxSimultaneousRequests,
+      transferSyntax: this.state.transferSyntax,
+      cacheMode: this.state.cacheMode,
+    };
+    this.setState({
+      benchmarkRuns: [],
+      benchmarkRunIndex: 0,
+      benchmarkRunCount: this.benchmarkPlan.length,
+    });
+    this.runBenchmarkConfig(0);
+  }
+
+  /**
+   * Applies the settings of a run of the benchmark, then runs the sequence
+   * @param {number} index Index of the run in the benchmark plan
+   */
+  runBenchmarkConfig(index) {
+    const config = this.benchmarkPlan[index];
+    const isAuto = config.concurrency == AUTO_CONCURRENCY;
+    this.setState({
+      benchmarkRunIndex: index,
+      autoConcurrency: isAuto,
+      maxSimultaneousRequests: isAuto ?
+          this.state.maxSimultaneousRequests : config.concurrency,
+      transferSyntax: config.transferSyntax,
+      cacheMode: config.cacheMode,
+    }, () => this.getInstances());
+  }
+
+  /**
+   * Records the metrics of the finished run of the benchmark, then starts
+   *    the next run
+   */
+  recordBenchmarkRun() {
+    const index = this.state.benchmarkRunIndex;
+    const config = this.benchmarkPlan[index];
+    const run = {
+      ...config,
+      numFrames: this.totalImagesCount,
+      numFailed: this.failedImagesCount,
+      numRequests: this.dicomSequencer.numRequests,
+      ...this.getRunMetrics(),
+      bytesTransferred:
+          summarizeTimings(this.resourceTimingRecorder.timings).totalBytes,
+    };
+    this.setState((state) => ({
+      benchmarkRuns: [...state.benchmarkRuns, run],
+    }));
+
+    if (index + 1 < this.benchmarkPlan.length) {
+      // Start the next run once this one has finished rendering
+      this.benchmarkTimeoutId =
+          setTimeout(() => this.runBenchmarkConfig(index + 1));
+    } else {
+      this.endBenchmark();
+    }
+  }
+
+  /**
+   * Ends the benchmark, restoring the settings from before it started
+   */
+  endBenchmark() {
+    clearTimeout(this.benchmarkTimeoutId);
+    if (this.benchmarkPlan.length > 0) {
+      this.benchmarkPlan = [];
+      this.setState(this.settingsBeforeBenchmark);
+    }
+  }
+
+  /**
+   * Gets the results of the benchmark for exporting
+   * @return {module:benchmark~BenchmarkReport} Results of the benchmark
+   */
+  getBenchmarkReport() {
+    const runs = this.state.benchmarkRuns;
+    return {
+      storePath: this.props.local ?
+          'local' : this.dicomSequencer.getStorePath(),
+      seriesUID: this.props.series[DICOM_TAGS.SERIES_UID].Value[0],
+      numFrames: runs.length > 0 ? runs[0].numFrames : 0,
+      startedAt: this.benchmarkStartedAt,
+      runs,
+      summary: summarizeRuns(runs),
+    };
+  }
+
+  /**
+   * Downloads text as a file
+   * @param {string} text Contents of the file
+   * @param {string} type Media type of the file
+   * @param {string} filename Name to save the file as
+   */
+  downloadFile(text, type, filename) {
+    const blob = new Blob([text], {type});
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Downloads the results of the benchmark as a file
+   * @param {string} format Format of the file (json, runs.csv or
+   *    summary.csv)
+   */
+  exportBenchmark(format) {
+    const report = this.getBenchmarkReport();
+    let text;
+    if (format == 'json') {
+      text = JSON.stringify(report, null, 2);
+    } else if (format == 'runs.csv') {
+      text = getRunsCSV(report);
+    } else {
+      text = getSummaryCSV(report);
+    }
+    this.downloadFile(text,
+        format == 'json' ? 'application/json' : 'text/csv',
+        `benchmark-${report.seriesUID}.${format}`);
+  }
+
+  /**
+   * Updates the list of measurements from the measurement tools
+   */
+  updateMeasurements() {
+    this.setState({
+      measurements: getMeasurements(getMeasurementToolState(),
+          this.stackImageIds, getImageCalibration),
+    });
+  }
+
+  /**
+   * Saves the measurements to the DICOM store as a new series, holding a
+   *    structured report or presentation state that references the
+   *    measured instances
+   */
+  saveAnnotations() {
+    if (this.state.isSavingAnnotations) {
+      return;
+    }
+    const isReport = this.state.annotationFormat == ANNOTATION_FORMATS.SR;
+    let instance;
+    try {
+      instance = (isReport ? createStructuredReport :
+          createPresentationState)(this.state.measurements, {
+        study: this.props.study,
+        getReference: getInstanceReference,
+      });
+    } catch (error) {
+      console.error(error);
+      this.setState({saveStatus: `Unable to save: ${error.message}`});
+      return;
+    }
+    this.setState({isSavingAnnotations: true, saveStatus: 'Saving...'});
+    api.storeInstances(this.props.project, this.props.location,
+        this.props.dataset, this.props.dicomStore,
+        this.props.study[DICOM_TAGS.STUDY_UID].Value[0], [writeP10(instance)])
+        .then(() => {
+          this.setState({
+            saveStatus: `Saved as a new ${isReport ? 'SR' : 'PR'} series`,
+          });
+          if (this.props.onInstancesStored) {
+            this.props.onInstancesStored();
+          }
+        })
+        .catch((error) => {
+          console.error(error);
+          this.setState({saveStatus: `Unable to save: ${error.message}`});
+        })
+        .finally(() => this.setState({isSavingAnnotations: false}));
+  }
+
+  /**
+   * Downloads the measurements of the series as JSON
+   */
+  exportMeasurements() {
+    const seriesUID = this.props.series[DICOM_TAGS.SERIES_UID].Value[0];
+    this.downloadFile(getMeasurementsJSON(this.state.measurements, {
+      studyUID: this.props.study[DICOM_TAGS.STUDY_UID].Value[0],
+      seriesUID,
+    }), 'application/json', `measurements-${seriesUID}.json`);
+  }
+
+  /**
+   * Gets the modality of the series, which presets are offered for
+   * @return {?string} Modality, or null if the series has none
+   */
+  getModality() {
+    const modality = this.props.series[DICOM_TAGS.MODALITY];
+    return modality && modality.Value ? modality.Value[0] : null;
+  }
+
+  /**
+   * Gets the window/level presets offered for the series
+   * @return {module:voiPresets~VOIPreset[]} Presets in shortcut order
+   */
+  getVoiPresets() {
+    return getPresetsForModality(this.state.customVoiPresets,
+        this.getModality());
+  }
+
+  /**
+   * Applies the preset of a number key, unless a field is being edited
+   * @param {KeyboardEvent} event Key pressed
+   */
+  selectPresetForKey(event) {
+    const target = event.target;
+    if (event.ctrlKey || event.altKey || event.metaKey ||
+        ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) ||
+        target.isContentEditable) {
+      return;
+    }
+    const preset = getPresetForKey(this.getVoiPresets(), event.key);
+    if (preset) {
+      event.preventDefault();
+      setWindow(this.canvasElement, preset.windowCenter, preset.windowWidth);
+    }
+  }
+
+  /**
+   * Replaces the custom presets, keeping them for later sessions
+   * @param {module:voiPresets~VOIPreset[]} customVoiPresets Custom presets
+   * @throws {Error} If the presets can't be saved, in which case they're
+   *    only used until the page is closed
+   */
+  setCustomVoiPresets(customVoiPresets) {
+    this.setState({customVoiPresets});
+    saveCustomPresets(customVoiPresets);
+  }
+
+  /**
+   * Formats the percentiles of a metric from the benchmark summary
+   * @param {Object<string, number>} percentiles Value of each percentile
+   * @param {number} scale Factor to multiply each value by
+   * @return {string} Values separated by slashes, e.g. "1.20 / 1.50 / 1.90"
+   */
+  formatPercentiles(percentiles, scale = 1) {
+    return BENCHMARK_PERCENTILES.map((percentile) =>
+      (percentiles[`p${percentile}`] * scale).toFixed(2)).join(' / ');
+  }
+
   /**
    * Begins fetching dicom images in sequence
    */
@@ -174,9 +931,72 @@ export default class Viewer extends React.Component {
     // Initialize dicomSequencer and begin fetching
     this.dicomSequencer.maxSimultaneousRequests =
         this.state.maxSimultaneousRequests;
+    this.dicomSequencer.autoConcurrency = this.state.autoConcurrency;
+    this.dicomSequencer.transferSyntax = this.state.transferSyntax;
+    this.dicomSequencer.streamResponses = this.state.streamResponses;
+    this.dicomSequencer.framesPerRequest = this.state.framesPerRequest;
+    this.dicomSequencer.retrievalMode = this.state.retrievalMode;
+    this.dicomSequencer.useCache = this.isUsingCache();
+    this.dicomSequencer.prefetchStrategy = this.state.prefetchStrategy;
+    this.dicomSequencer.focusIndex = this.state.focusFrame - 1;
+    this.dicomSequencer.interleaveStep = this.state.interleaveStep;
+    this.dicomSequencer.maxRetries = this.state.maxRetries;
+    this.dicomSequencer.renderedOptions = {
+      mediaType: this.state.renderedMediaType,
+      quality: Number(this.state.renderedQuality) || undefined,
+      viewport: this.state.renderedViewport || undefined,
+    };
+    imageWorkerPool.setNumWorkers(this.state.numWorkers);
     this.dicomSequencer.setInstances(this.state.instances);
-    this.totalImagesCount =
-        this.dicomSequencer.fetchInstances((image) => this.onImageReady(image));
+    this.setState({
+      orderingMethod: this.dicomSequencer.orderingMethod,
+      sliceIssues: this.dicomSequencer.sliceIssues,
+    });
+    this.totalImagesCount = this.dicomSequencer.fetchInstances(
+        (image) => this.onImageReady(image),
+        (failedFrame) => this.onImageFailed(failedFrame));
+    // Frames become a stack that can be scrolled through as they load
+    const imageIds = this.dicomSequencer.getImageIds();
+    this.stackIndices = new Map(
+        imageIds.map((imageId, index) => [imageId, index]));
+    setStack(this.canvasElement, imageIds);
+    this.stackImageIds = imageIds;
+    this.updateMeasurements();
+    this.bufferedIndices = new Set();
+    this.cinePlayer.numFrames = imageIds.length;
+    this.cinePlayer.index = 0;
+    this.cinePlayer.direction = 1;
+    this.setState({
+      numFrames: imageIds.length,
+      currentFrame: 0,
+      bufferedRanges: [],
+      defaultCineFps:
+          getDefaultFps(this.state.instances[0]) || DEFAULT_CINE_FPS,
+    });
+
+    // No image would ever finish the run
+    if (this.totalImagesCount == 0) {
+      this.failRun(new Error('The series has no frames'));
+    }
+  }
+
+  /**
+   * Stops the running sequence, aborting any requests in flight
+   */
+  stopDisplayingInstances() {
+    if (this.getInstancesPromise) {
+      this.getInstancesPromise.cancel();
+    }
+    this.abortController.abort();
+    this.dicomSequencer.cancel();
+    clearInterval(this.metricsIntervalId);
+    this.resourceTimingRecorder.stop();
+    this.endBenchmark();
+    this.readyImages = [];
+    this.updateMetrics();
+    this.setState({
+      isDisplaying: false,
+    });
   }
 
   /**
@@ -187,9 +1007,15 @@ export default class Viewer extends React.Component {
     // Reset metrics
     this.newSequence = true;
     this.renderedImagesCount = 0;
+    this.failedImagesCount = 0;
     this.readyImages = [];
     this.readyImagesCount = 0;
+    this.isAwaitingRender = false;
+    this.isCineInUse = false;
+    this.cinePlayer.pause();
     this.fetchStartTime = Date.now();
+    this.abortController = new AbortController();
+    this.resourceTimingRecorder.start(this.dicomSequencer.getStoreURL());
     this.setState({
       renderTimer: 0,
       totalTimer: 0,
@@ -199,22 +1025,56 @@ export default class Viewer extends React.Component {
       numRenderedImages: 0,
       renderedImagesProgress: 0,
       timeToFirstImage: 0,
+      numRequests: 0,
+      numCacheHits: 0,
+      numRetries: 0,
+      failedFrames: [],
+      concurrencyHistory: [],
+      requestTimings: [],
+      isCinePlaying: false,
       isDisplaying: true,
+      runError: '',
     });
 
     // Set up an interval for updating metrics (10 times per second)
     this.metricsIntervalId = setInterval(() => this.updateMetrics(), 100);
 
+    // DICOM P10 files contain their own metadata, so only the list of
+    // instances is needed
+    const studyUID = this.props.study[DICOM_TAGS.STUDY_UID].Value[0];
+    const seriesUID = this.props.series[DICOM_TAGS.SERIES_UID].Value[0];
+    let instancesPromise;
+    if (this.props.local) {
+      instancesPromise =
+          Promise.resolve(getLocalInstances(studyUID, seriesUID));
+    } else {
+      const fetchInstances =
+          this.state.retrievalMode == RETRIEVAL_MODES.INSTANCE ?
+          api.fetchInstances : api.fetchMetadata;
+      instancesPromise = fetchInstances(
+          this.props.project, this.props.location,
+          this.props.dataset, this.props.dicomStore,
+          studyUID, seriesUID, this.abortController.signal,
+      );
+    }
+
+    // Cold cache runs start without any cached frames from this store
+    frameCache.resetStats();
+    if (this.isUsingCache()) {
+      const quota = this.getCacheQuota();
+      const prepareCache = this.state.cacheMode == CACHE_MODES.COLD ?
+          frameCache.setQuota(quota).then(() =>
+            frameCache.clearStore(this.dicomSequencer.getStoreURL())) :
+          frameCache.setQuota(quota);
+      instancesPromise = Promise.all([
+        instancesPromise,
+        prepareCache.catch((error) => console.error(error)),
+      ]).then(([instances]) => instances);
+    }
+
     // Create a cancelable promise to allow this request to be cancelled
     // if the component is unmounted
-    this.getInstancesPromise = api.makeCancelable(
-        api.fetchMetadata(
-            this.props.project, this.props.location,
-            this.props.dataset, this.props.dicomStore,
-            this.props.study[DICOM_TAGS.STUDY_UID].Value[0],
-            this.props.series[DICOM_TAGS.SERIES_UID].Value[0],
-        ),
-    );
+    this.getInstancesPromise = api.makeCancelable(instancesPromise);
 
     // Fetch instances and then start displaying
     this.getInstancesPromise.promise
@@ -226,16 +1086,117 @@ export default class Viewer extends React.Component {
         })
         .catch((reason) => {
           if (!reason.isCanceled) {
-            console.error(reason);
+            this.failRun(reason);
           }
         });
   }
 
+  /**
+   * Stops a run that can't display the series, e.g. because its instances
+   *    couldn't be fetched, and reports why. A running benchmark ends, as
+   *    its other runs would fail the same way.
+   * @param {Error} error Why the run failed
+   */
+  failRun(error) {
+    console.error(error);
+    this.stopDisplayingInstances();
+    this.setState({runError: `Unable to display the series: ${error.message}`});
+  }
+
+  /**
+   * Renders the percentiles of each configuration run by the benchmark,
+   *    with links to export every run
+   * @return {ReactElement} Benchmark results
+   */
+  renderBenchmarkResults() {
+    const percentiles = BENCHMARK_PERCENTILES
+        .map((percentile) => `p${percentile}`).join(' / ');
+    const summary = summarizeRuns(this.state.benchmarkRuns);
+    return (
+      <Box mt={2}>
+        <Typography variant="h6">
+          Benchmark ({this.state.benchmarkRuns.length} of {
+            this.state.benchmarkRunCount} runs)
+        </Typography>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Concurrency</TableCell>
+              <TableCell>Transfer Syntax</TableCell>
+              <TableCell>Cache</TableCell>
+              <TableCell align="right">Runs</TableCell>
+              <TableCell align="right">Total Time ({percentiles})</TableCell>
+              <TableCell align="right">
+                Time to First Image ({percentiles})
+              </TableCell>
+              <TableCell align="right">FPS ({percentiles})</TableCell>
+              <TableCell align="right">MB ({percentiles})</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {summary.map((config) => {
+              const syntax = FRAME_TRANSFER_SYNTAXES.find((syntax) =>
+                syntax.uid == config.transferSyntax);
+              return (
+                <TableRow key={[config.concurrency, config.transferSyntax,
+                  config.cacheMode].join('|')}>
+                  <TableCell>{config.concurrency}</TableCell>
+                  <TableCell>
+                    {syntax ? syntax.name : config.transferSyntax}
+                  </TableCell>
+                  <TableCell>
+                    {BENCHMARK_CACHE_LABELS[config.cacheMode]}
+                  </TableCell>
+                  <TableCell align="right">{config.numRuns}</TableCell>
+                  <TableCell align="right">
+                    {this.formatPercentiles(config.totalTime)}s
+                  </TableCell>
+                  <TableCell align="right">
+                    {this.formatPercentiles(config.timeToFirstImage)}s
+                  </TableCell>
+                  <TableCell align="right">
+                    {this.formatPercentiles(config.fps)}
+                  </TableCell>
+                  <TableCell align="right">
+                    {this.formatPercentiles(config.bytesTransferred,
+                        1 / (1024 * 1024))}
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+        {[
+          ['json', 'Export JSON'],
+          ['runs.csv', 'Export runs as CSV'],
+          ['summary.csv', 'Export summary as CSV'],
+        ].map(([format, label]) => (
+          <Link key={format} href="#" style={{marginRight: 16}}
+            onClick={(e) => {
+              e.preventDefault();
+              this.exportBenchmark(format);
+            }}>
+            {label}
+          </Link>
+        ))}
+      </Box>
+    );
+  }
+
   /**
    * Renders the component
    * @return {ReactComponent} <Viewer/>
    */
   render() {
+    // Local files are always loaded as whole instances
+    const isLocal = Boolean(this.props.local);
+    const isRendered = !isLocal &&
+        this.state.retrievalMode == RETRIEVAL_MODES.RENDERED;
+    const isInstance = isLocal ||
+        this.state.retrievalMode == RETRIEVAL_MODES.INSTANCE;
+    const renderedFormat = RENDERED_MEDIA_TYPES.find((type) =>
+      type.mediaType == this.state.renderedMediaType);
+
     return (
       <Box p={2} display="flex" flexWrap="wrap">
         <Box mr={2}>
@@ -243,6 +1204,8 @@ export default class Viewer extends React.Component {
             ref={(input) => {
               this.canvasElement = input;
             }}
+            // Right drags zoom, so don't open the context menu
+            onContextMenu={(e) => e.preventDefault()}
             style={{
               width: 500,
               height: 500,
@@ -254,20 +1217,393 @@ export default class Viewer extends React.Component {
           <LinearProgress variant="buffer"
             value={this.state.renderedImagesProgress}
             valueBuffer={this.state.readyImagesProgress} /><br/>
+          <CineControls
+            numFrames={this.state.numFrames}
+            currentFrame={this.state.currentFrame}
+            bufferedRanges={this.state.bufferedRanges}
+            isPlaying={this.state.isCinePlaying}
+            disabled={this.state.numFrames == 0}
+            fps={this.state.cineFps}
+            defaultFps={this.state.defaultCineFps}
+            mode={this.state.cineMode}
+            onPlayPause={() => this.toggleCine()}
+            onSeek={(index) => {
+              this.useCine();
+              this.cinePlayer.seek(index);
+            }}
+            onFpsChange={(cineFps) => {
+              this.setState({cineFps});
+              this.cinePlayer.fps = this.getCineFps(cineFps);
+            }}
+            onModeChange={(cineMode) => {
+              this.setState({cineMode});
+              this.cinePlayer.mode = cineMode;
+            }} /><br/>
+          <TextField
+            select
+            label="Left Mouse / One Finger"
+            style={{width: 200, marginRight: 8}}
+            SelectProps={{native: true}}
+            value={this.state.primaryTool}
+            onChange={(e) => {
+              this.setState({primaryTool: e.target.value});
+              setPrimaryTool(this.canvasElement, e.target.value);
+            }}>
+            <option value={PRIMARY_TOOLS.WINDOW_LEVEL}>Window/Level</option>
+            <option value={PRIMARY_TOOLS.PAN}>Pan</option>
+            <option value={PRIMARY_TOOLS.ZOOM}>Zoom</option>
+            <option value={PRIMARY_TOOLS.STACK_SCROLL}>Scroll Frames</option>
+            <option value={PRIMARY_TOOLS.LENGTH}>Length</option>
+            <option value={PRIMARY_TOOLS.ANGLE}>Angle</option>
+            <option value={PRIMARY_TOOLS.ELLIPTICAL_ROI}>Ellipse ROI</option>
+            <option value={PRIMARY_TOOLS.RECTANGLE_ROI}>Rectangle ROI</option>
+          </TextField>
+          <Link href="#" onClick={(e) => {
+            e.preventDefault();
+            resetViewport(this.canvasElement);
+          }}>
+            Reset viewport
+          </Link>
+          <Typography variant="body2" color="textSecondary">
+            Middle drag pans, right drag zooms and the wheel scrolls through
+            loaded frames. On touch screens, two fingers pan and pinch zooms.
+          </Typography><br/>
+          <VOIPresetsPanel
+            presets={this.getVoiPresets()}
+            customPresets={this.state.customVoiPresets}
+            modality={this.getModality()}
+            onSelect={(preset) => setWindow(this.canvasElement,
+                preset.windowCenter, preset.windowWidth)}
+            onCustomPresetsChange={(presets) =>
+              this.setCustomVoiPresets(presets)}
+            onExport={() => this.downloadFile(
+                getPresetsJSON(this.state.customVoiPresets),
+                'application/json', 'voi-presets.json')} /><br/>
           <TextField
             label="Max Simultaneous Requests"
-            style={{width: 250}}
+            style={{width: 250, marginRight: 8}}
             defaultValue={this.state.maxSimultaneousRequests}
+            disabled={this.state.autoConcurrency}
             onChange={(e) => {
               this.setState({maxSimultaneousRequests: Number(e.target.value)});
+            }} />
+          <FormControlLabel
+            label="Auto"
+            control={
+              <Checkbox
+                color="primary"
+                checked={this.state.autoConcurrency}
+                disabled={this.state.isDisplaying}
+                onChange={(e) => {
+                  this.setState({autoConcurrency: e.target.checked});
+                }} />
+            } /><br/><br/>
+          <TextField
+            id="max-retries"
+            label="Max Retries"
+            style={{width: 250}}
+            defaultValue={this.state.maxRetries}
+            helperText="Retries of rate limited (429) and 5xx requests"
+            onChange={(e) => {
+              // Keep the last valid number while the field is being edited
+              const maxRetries = Number(e.target.value);
+              if (e.target.value.trim() != '' &&
+                  Number.isInteger(maxRetries) && maxRetries >= 0) {
+                this.setState({maxRetries});
+              }
+            }} /><br/><br/>
+          <TextField
+            label="Decoding Workers"
+            style={{width: 250}}
+            defaultValue={this.state.numWorkers}
+            helperText="Use 0 to decode on the main thread"
+            onChange={(e) => {
+              // Keep the last valid count while the field is being edited
+              const numWorkers = Number(e.target.value);
+              if (e.target.value.trim() != '' &&
+                  Number.isInteger(numWorkers) && numWorkers >= 0) {
+                this.setState({numWorkers});
+              }
+            }} /><br/><br/>
+          <TextField
+            select
+            label="Retrieval Mode"
+            style={{width: 250}}
+            SelectProps={{native: true}}
+            value={this.state.retrievalMode}
+            disabled={this.state.isDisplaying || isLocal}
+            onChange={(e) => {
+              this.setState({retrievalMode: e.target.value});
+            }}>
+            <option value={RETRIEVAL_MODES.RAW}>Raw pixel data</option>
+            <option value={RETRIEVAL_MODES.RENDERED}>Rendered images</option>
+            <option value={RETRIEVAL_MODES.INSTANCE}>
+              DICOM P10 instances
+            </option>
+          </TextField><br/><br/>
+          {isRendered &&
+            <React.Fragment>
+              <TextField
+                select
+                label="Rendered Format"
+                style={{width: 120, marginRight: 8}}
+                SelectProps={{native: true}}
+                value={this.state.renderedMediaType}
+                disabled={this.state.isDisplaying}
+                onChange={(e) => {
+                  this.setState({renderedMediaType: e.target.value});
+                }}>
+                {RENDERED_MEDIA_TYPES.map((type) => (
+                  <option key={type.mediaType} value={type.mediaType}>
+                    {type.name}
+                  </option>
+                ))}
+              </TextField>
+              <TextField
+                label="Quality"
+                style={{width: 80, marginRight: 8}}
+                value={this.state.renderedQuality}
+                disabled={this.state.isDisplaying ||
+                  !renderedFormat.hasQuality}
+                onChange={(e) => {
+                  this.setState({renderedQuality: e.target.value});
+                }} />
+              <TextField
+                label="Viewport"
+                placeholder="512,512"
+                style={{width: 120}}
+                value={this.state.renderedViewport}
+                disabled={this.state.isDisplaying}
+                onChange={(e) => {
+                  this.setState({renderedViewport: e.target.value});
+                }} /><br/><br/>
+            </React.Fragment>
+          }
+          <TextField
+            id="frames-per-request"
+            label="Frames per Request"
+            style={{width: 250}}
+            disabled={isRendered || isInstance}
+            defaultValue={this.state.framesPerRequest}
+            helperText="Use 0 to fetch all frames of an instance at once"
+            onChange={(e) => {
+              // Keep the last valid number while the field is being edited
+              const framesPerRequest = Number(e.target.value);
+              if (e.target.value.trim() != '' &&
+                  Number.isInteger(framesPerRequest) && framesPerRequest >= 0) {
+                this.setState({framesPerRequest});
+              }
             }} /><br/><br/>
+          <TextField
+            select
+            label="Transfer Syntax"
+            style={{width: 350}}
+            SelectProps={{native: true}}
+            value={this.state.transferSyntax}
+            disabled={this.state.isDisplaying || isRendered || isLocal}
+            onChange={(e) => {
+              this.setState({transferSyntax: e.target.value});
+            }}>
+            {FRAME_TRANSFER_SYNTAXES.map((syntax) => (
+              <option key={syntax.uid} value={syntax.uid}>
+                {syntax.name}
+              </option>
+            ))}
+          </TextField><br/>
+          <FormControlLabel
+            label="Stream Responses"
+            control={
+              <Checkbox
+                color="primary"
+                checked={this.state.streamResponses}
+                disabled={this.state.isDisplaying || isLocal}
+                onChange={(e) => {
+                  this.setState({streamResponses: e.target.checked});
+                }} />
+            } /><br/>
+          <TextField
+            select
+            label="Prefetch Order"
+            style={{width: 150, marginRight: 8}}
+            SelectProps={{native: true}}
+            value={this.state.prefetchStrategy}
+            disabled={this.state.isDisplaying}
+            onChange={(e) => {
+              this.setState({prefetchStrategy: e.target.value});
+            }}>
+            <option value={PREFETCH_STRATEGIES.TOP_DOWN}>Top-down</option>
+            <option value={PREFETCH_STRATEGIES.NEAREST}>Nearest first</option>
+            <option value={PREFETCH_STRATEGIES.INTERLEAVED}>
+              Interleaved
+            </option>
+          </TextField>
+          <TextField
+            label="Focus Frame"
+            type="number"
+            style={{width: 100, marginRight: 8}}
+            value={this.state.focusFrame}
+            disabled={this.state.prefetchStrategy ==
+              PREFETCH_STRATEGIES.TOP_DOWN}
+            onChange={(e) => this.setFocusFrame(Number(e.target.value))} />
+          {this.state.prefetchStrategy == PREFETCH_STRATEGIES.INTERLEAVED &&
+            <TextField
+              label="Every Nth Frame"
+              type="number"
+              style={{width: 120}}
+              value={this.state.interleaveStep}
+              disabled={this.state.isDisplaying}
+              onChange={(e) => {
+                this.setState({interleaveStep: Number(e.target.value)});
+              }} />
+          }<br/><br/>
+          <TextField
+            select
+            label="Frame Cache"
+            style={{width: 150, marginRight: 8}}
+            SelectProps={{native: true}}
+            value={this.state.cacheMode}
+            disabled={this.state.isDisplaying || isRendered || isInstance}
+            helperText="Raw frames only"
+            onChange={(e) => {
+              this.setState({cacheMode: e.target.value});
+            }}>
+            <option value={CACHE_MODES.OFF}>Off</option>
+            <option value={CACHE_MODES.COLD}>Cold</option>
+            <option value={CACHE_MODES.WARM}>Warm</option>
+          </TextField>
+          <TextField
+            id="cache-quota"
+            label="Cache Quota (MB)"
+            style={{width: 150}}
+            value={this.state.cacheQuotaMB}
+            error={!this.isCacheQuotaValid()}
+            disabled={this.state.isDisplaying ||
+              this.state.cacheMode == CACHE_MODES.OFF}
+            onChange={(e) => {
+              this.setState({cacheQuotaMB: e.target.value});
+            }} /><br/>
+          {!isLocal &&
+            <Link href="#" onClick={(e) => {
+              e.preventDefault();
+              this.clearStoreCache();
+            }}>
+              Clear cached frames of this dicom store
+            </Link>
+          }<br/>
+          <FormControlLabel
+            label="Benchmark Mode"
+            control={
+              <Checkbox
+                color="primary"
+                checked={this.state.benchmarkMode}
+                disabled={this.state.isDisplaying}
+                onChange={(e) => {
+                  this.setState({benchmarkMode: e.target.checked});
+                }} />
+            } /><br/>
+          {this.state.benchmarkMode &&
+            <React.Fragment>
+              <TextField
+                label="Iterations"
+                type="number"
+                style={{width: 100, marginRight: 8}}
+                value={this.state.benchmarkIterations}
+                disabled={this.state.isDisplaying}
+                onChange={(e) => {
+                  this.setState({benchmarkIterations: Number(e.target.value)});
+                }} />
+              <TextField
+                label="Concurrency Values"
+                style={{width: 240}}
+                value={this.state.benchmarkConcurrencies}
+                disabled={this.state.isDisplaying}
+                helperText="Comma separated, e.g. 5, 10, auto"
+                onChange={(e) => {
+                  this.setState({benchmarkConcurrencies: e.target.value});
+                }} /><br/><br/>
+              <TextField
+                select
+                label="Transfer Syntaxes"
+                style={{width: 350}}
+                SelectProps={{native: true, multiple: true}}
+                InputLabelProps={{shrink: true}}
+                value={this.state.benchmarkTransferSyntaxes}
+                disabled={this.state.isDisplaying ||
+                  !this.canChooseTransferSyntax()}
+                onChange={(e) => {
+                  this.setState({
+                    benchmarkTransferSyntaxes: Array.from(
+                        e.target.selectedOptions, (option) => option.value),
+                  });
+                }}>
+                {FRAME_TRANSFER_SYNTAXES.map((syntax) => (
+                  <option key={syntax.uid} value={syntax.uid}>
+                    {syntax.name}
+                  </option>
+                ))}
+              </TextField><br/>
+              {Object.values(CACHE_MODES).map((cacheMode) => (
+                <FormControlLabel
+                  key={cacheMode}
+                  label={BENCHMARK_CACHE_LABELS[cacheMode]}
+                  control={
+                    <Checkbox
+                      color="primary"
+                      checked={
+                        this.state.benchmarkCacheModes.includes(cacheMode)}
+                      disabled={this.state.isDisplaying || isRendered ||
+                        isInstance}
+                      onChange={(e) => {
+                        const cacheModes = Object.values(CACHE_MODES)
+                            .filter((mode) => mode == cacheMode ?
+                              e.target.checked :
+                              this.state.benchmarkCacheModes.includes(mode));
+                        this.setState({benchmarkCacheModes: cacheModes});
+                      }} />
+                  } />
+              ))}<br/>
+            </React.Fragment>
+          }<br/>
           <Button
             variant="contained"
-            color="primary"
-            disabled={this.state.isDisplaying}
-            onClick={() => this.getInstances()}>
-              Start
+            color={this.state.isDisplaying ? 'secondary' : 'primary'}
+            onClick={() => {
+              if (this.state.isDisplaying) {
+                this.stopDisplayingInstances();
+              } else if (this.state.benchmarkMode) {
+                this.startBenchmark();
+              } else {
+                this.getInstances();
+              }
+            }}>
+            {this.state.isDisplaying ? 'Stop' :
+              this.state.benchmarkMode ? 'Start Benchmark' : 'Start'}
           </Button>
+          {this.state.runError &&
+            <Typography variant="body2" color="error">
+              {this.state.runError}
+            </Typography>}
+        </Box>
+        <Box mr={2}>
+          <MeasurementsPanel
+            measurements={this.state.measurements}
+            onSelectFrame={(frame) => {
+              if (!this.state.isDisplaying) {
+                this.cinePlayer.seek(frame);
+              }
+            }}
+            onExport={() => this.exportMeasurements()}
+            onClear={() => {
+              clearMeasurements(this.canvasElement);
+              this.updateMeasurements();
+            }}
+            canSave={!isLocal}
+            saveFormat={this.state.annotationFormat}
+            onSaveFormatChange={(annotationFormat) => {
+              this.setState({annotationFormat});
+            }}
+            onSave={() => this.saveAnnotations()}
+            saveStatus={this.state.saveStatus} />
         </Box>
         <Box>
           <Typography variant="h5">
@@ -276,6 +1612,18 @@ export default class Viewer extends React.Component {
           <Typography variant="h5">
             Frames Displayed: {this.state.numRenderedImages}
           </Typography>
+          <Typography variant="h5">
+            Requests Made: {this.state.numRequests}
+          </Typography>
+          <Typography variant="h5">
+            Cache Hits: {this.state.numCacheHits}
+          </Typography>
+          <Typography variant="h5">
+            Retries: {this.state.numRetries}
+          </Typography>
+          <Typography variant="h5">
+            Failed Frames: {this.state.failedFrames.length}
+          </Typography>
           <Typography variant="h5">
             Total Time: {(this.state.totalTimer / 1000).toFixed(2)}s
           </Typography>
@@ -288,19 +1636,101 @@ export default class Viewer extends React.Component {
             Average FPS: {(this.state.numRenderedImages /
                         (this.state.renderTimer / 1000)).toFixed(2)}
           </Typography>
-          <Typography variant="body1">
-            Use your browser&apos;s developer tools to see bandwidth usage.
-          </Typography>
+          <RequestTimings timings={this.state.requestTimings} />
+          <ConcurrencyChart history={this.state.concurrencyHistory}
+            duration={this.state.totalTimer} />
+          {this.state.orderingMethod &&
+            <Typography variant="body1">
+              Slices ordered by {this.getOrderingLabel()}
+            </Typography>
+          }
+          {this.state.sliceIssues.map((issue) => (
+            <Typography key={issue.type} variant="body1" color="error">
+              {issue.message}
+            </Typography>
+          ))}
+          {Object.keys(this.state.runMetrics).length > 0 &&
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Retrieval Mode</TableCell>
+                  <TableCell align="right">Frames</TableCell>
+                  <TableCell align="right">Total Time</TableCell>
+                  <TableCell align="right">Time to First Image</TableCell>
+                  <TableCell align="right">Average FPS</TableCell>
+                  <TableCell align="right">Cache Hits</TableCell>
+                  <TableCell align="right">Failed</TableCell>
+                  <TableCell align="right">Concurrency</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {Object.values(this.state.runMetrics).map((run) => (
+                  <TableRow key={run.mode}>
+                    <TableCell>{run.mode}</TableCell>
+                    <TableCell align="right">{run.numImages}</TableCell>
+                    <TableCell align="right">
+                      {run.totalTime.toFixed(2)}s
+                    </TableCell>
+                    <TableCell align="right">
+                      {run.timeToFirstImage.toFixed(2)}s
+                    </TableCell>
+                    <TableCell align="right">{run.fps.toFixed(2)}</TableCell>
+                    <TableCell align="right">
+                      {run.cacheHits === null ? '-' : run.cacheHits}
+                    </TableCell>
+                    <TableCell align="right">{run.numFailed}</TableCell>
+                    <TableCell align="right">{run.concurrency}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          }
+          {this.state.benchmarkRuns.length > 0 &&
+            this.renderBenchmarkResults()
+          }
+          {this.state.failedFrames.length > 0 &&
+            <Box mt={2}>
+              <Typography variant="h6">Failed Frames</Typography>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell align="right">#</TableCell>
+                    <TableCell>Frame</TableCell>
+                    <TableCell align="right">HTTP Status</TableCell>
+                    <TableCell>Error</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {this.state.failedFrames.map((failedFrame) => (
+                    <TableRow key={failedFrame.imageId}>
+                      <TableCell align="right">
+                        {failedFrame.index + 1}
+                      </TableCell>
+                      <TableCell>
+                        {this.getFrameLabel(failedFrame.imageId)}
+                      </TableCell>
+                      <TableCell align="right">
+                        {failedFrame.status === null ? '-' : failedFrame.status}
+                      </TableCell>
+                      <TableCell>{failedFrame.message}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </Box>
+          }
         </Box>
       </Box>
     );
   }
 }
 Viewer.propTypes = {
-  project: PropTypes.string.isRequired,
-  location: PropTypes.string.isRequired,
-  dataset: PropTypes.string.isRequired,
-  dicomStore: PropTypes.string.isRequired,
+  project: PropTypes.string,
+  location: PropTypes.string,
+  dataset: PropTypes.string,
+  dicomStore: PropTypes.string,
   study: PropTypes.object.isRequired,
   series: PropTypes.object.isRequired,
+  local: PropTypes.bool,
+  onInstancesStored: PropTypes.func,
 };
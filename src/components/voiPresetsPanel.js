@@ -0,0 +1,205 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import React, {useState, useRef} from 'react';
+import PropTypes from 'prop-types';
+import {Box, Typography, Link, TextField} from '@material-ui/core';
+import {
+  NUM_SHORTCUTS,
+  validatePreset,
+  parsePresetsJSON,
+} from '../voiPresets.js';
+
+/**
+ * React component listing the window/level presets offered for a series,
+ *    with an editor for custom presets that can be imported and exported
+ * @param {Object} props
+ * @param {module:voiPresets~VOIPreset[]} props.presets Presets offered for
+ *    the series, the first of which are chosen with the number keys
+ * @param {module:voiPresets~VOIPreset[]} props.customPresets Presets
+ *    defined by the user, for any modality
+ * @param {?string} props.modality Modality of the series, if known
+ * @param {function(module:voiPresets~VOIPreset): undefined} props.onSelect
+ *    Runs with the preset clicked
+ * @param {function(module:voiPresets~VOIPreset[]): undefined}
+ *    props.onCustomPresetsChange Runs with the custom presets after one is
+ *    added, removed or imported, throwing if they can't be saved
+ * @param {function(): undefined} props.onExport Runs when export is clicked
+ * @return {ReactElement} <VOIPresetsPanel/>
+ */
+export default function VOIPresetsPanel({
+  presets,
+  customPresets,
+  modality,
+  onSelect,
+  onCustomPresetsChange,
+  onExport,
+}) {
+  const [name, setName] = useState('');
+  const [windowCenter, setWindowCenter] = useState('');
+  const [windowWidth, setWindowWidth] = useState('');
+  const [modalities, setModalities] = useState(modality || '');
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+
+  /**
+   * Passes on the changed custom presets, showing an error if they
+   *    couldn't be saved, e.g. because localStorage is full or disabled
+   * @param {module:voiPresets~VOIPreset[]} changedPresets Custom presets
+   */
+  const changeCustomPresets = (changedPresets) => {
+    try {
+      onCustomPresetsChange(changedPresets);
+      setError('');
+    } catch (err) {
+      setError(`Unable to save presets: ${err.message}`);
+    }
+  };
+
+  /**
+   * Adds a custom preset from the values entered, showing an error if
+   *    they aren't valid
+   */
+  const addPreset = () => {
+    let preset;
+    try {
+      preset = validatePreset({
+        name,
+        windowCenter: windowCenter.trim() ? Number(windowCenter) : NaN,
+        windowWidth: windowWidth.trim() ? Number(windowWidth) : NaN,
+        modalities: modalities.split(/[,\\]/),
+      }, customPresets.length);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    setName('');
+    changeCustomPresets([...customPresets, preset]);
+  };
+
+  /**
+   * Imports custom presets from a JSON file. Imported presets replace
+   *    custom presets with the same name.
+   * @param {File} file JSON file holding an array of presets
+   */
+  const importPresets = async (file) => {
+    let imported;
+    try {
+      imported = parsePresetsJSON(await file.text());
+    } catch (err) {
+      setError(`Unable to import presets: ${err.message}`);
+      return;
+    }
+    const names = new Set(imported.map((preset) => preset.name));
+    changeCustomPresets([
+      ...customPresets.filter((preset) => !names.has(preset.name)),
+      ...imported,
+    ]);
+  };
+
+  return (
+    <Box>
+      <Typography variant="h6">Window Presets</Typography>
+      {presets.length == 0 &&
+        <Typography variant="body2" color="textSecondary">
+          No presets for {modality || 'this series'}
+        </Typography>}
+      {presets.map((preset, i) => (
+        <Box key={i}>
+          <Link href="#" onClick={(e) => {
+            e.preventDefault();
+            onSelect(preset);
+          }}>
+            {i < NUM_SHORTCUTS ? `${i + 1}. ` : ''}{preset.name}
+          </Link>
+          <Typography variant="caption" color="textSecondary">
+            {' '}W {preset.windowWidth} / L {preset.windowCenter}
+          </Typography>
+        </Box>
+      ))}
+      <Typography variant="subtitle2" style={{marginTop: 8}}>
+        Custom Presets
+      </Typography>
+      {customPresets.map((preset, i) => (
+        <Box key={i}>
+          <Typography variant="body2" component="span">
+            {preset.name} ({preset.modalities.join(', ') || 'All'})
+          </Typography>{' '}
+          <Link href="#" onClick={(e) => {
+            e.preventDefault();
+            changeCustomPresets(customPresets.filter((other, j) => j != i));
+          }}>
+            Remove
+          </Link>
+        </Box>
+      ))}
+      <Box display="flex" alignItems="flex-end">
+        <TextField id="preset-name" label="Name" value={name}
+          style={{width: 100, marginRight: 8}}
+          onChange={(e) => setName(e.target.value)} />
+        <TextField id="preset-width" label="Width" value={windowWidth}
+          style={{width: 60, marginRight: 8}}
+          onChange={(e) => setWindowWidth(e.target.value)} />
+        <TextField id="preset-center" label="Center" value={windowCenter}
+          style={{width: 60, marginRight: 8}}
+          onChange={(e) => setWindowCenter(e.target.value)} />
+        <TextField id="preset-modalities" label="Modalities"
+          value={modalities} placeholder="All"
+          style={{width: 80, marginRight: 8}}
+          onChange={(e) => setModalities(e.target.value)} />
+        <Link href="#" onClick={(e) => {
+          e.preventDefault();
+          addPreset();
+        }}>
+          Add
+        </Link>
+      </Box>
+      <Box mt={1}>
+        <input type="file" accept=".json,application/json" hidden
+          ref={fileInputRef}
+          onChange={(e) => {
+            if (e.target.files.length > 0) {
+              importPresets(e.target.files[0]);
+            }
+            e.target.value = '';
+          }} />
+        <Link href="#" style={{marginRight: 8}} onClick={(e) => {
+          e.preventDefault();
+          fileInputRef.current.click();
+        }}>
+          Import JSON
+        </Link>
+        {customPresets.length > 0 &&
+          <Link href="#" onClick={(e) => {
+            e.preventDefault();
+            onExport();
+          }}>
+            Export JSON
+          </Link>}
+      </Box>
+      {error &&
+        <Typography variant="body2" color="error">{error}</Typography>}
+    </Box>
+  );
+}
+VOIPresetsPanel.propTypes = {
+  presets: PropTypes.arrayOf(PropTypes.object).isRequired,
+  customPresets: PropTypes.arrayOf(PropTypes.object).isRequired,
+  modality: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+  onCustomPresetsChange: PropTypes.func.isRequired,
+  onExport: PropTypes.func.isRequired,
+};
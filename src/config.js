@@ -25,7 +25,12 @@ const CLIENT_ID = 'YOUR_CLIENT_ID'; /** Fill this in with your own client-id */
  * @constant {string} */
 const IMAGE_LOADER_PREFIX = 'dicomImageLoader';
 
+/** Prefix to use on imageIds of local files opened by drag-and-drop
+ * @constant {string} */
+const LOCAL_IMAGE_LOADER_PREFIX = 'local';
+
 export {
   CLIENT_ID,
   IMAGE_LOADER_PREFIX,
+  LOCAL_IMAGE_LOADER_PREFIX,
 };
@@ -16,9 +16,17 @@
 
 import * as cornerstone from 'cornerstone-core';
 import * as dicomImageLoader from './dicomImageLoader.js';
-import {IMAGE_LOADER_PREFIX} from './config.js';
+import {IMAGE_LOADER_PREFIX, LOCAL_IMAGE_LOADER_PREFIX} from './config.js';
 
 cornerstone.registerImageLoader(
     IMAGE_LOADER_PREFIX,
     dicomImageLoader.loadImage,
 );
+
+cornerstone.registerImageLoader(
+    LOCAL_IMAGE_LOADER_PREFIX,
+    dicomImageLoader.loadImage,
+);
+
+// Provide the geometry of each frame to cornerstone and its tools
+cornerstone.metaData.addProvider(dicomImageLoader.metaDataProvider);
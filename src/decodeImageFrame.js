@@ -0,0 +1,128 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module decodeImageFrame */
+import {DICOM_TAGS, TRANSFER_SYNTAXES} from './dicomValues.js';
+import {getPixelModule} from './pixelData.js';
+import decodeRLE from './codecs/decodeRLE.js';
+import decodeJPEGBaseline from './codecs/decodeJPEGBaseline.js';
+import decodeJPEGLossless from './codecs/decodeJPEGLossless.js';
+import decodeJPEGLS from './codecs/decodeJPEGLS.js';
+import decodeJPEG2000 from './codecs/decodeJPEG2000.js';
+
+/**
+ * @typedef {Object} DecodedFrame
+ * @property {ArrayBuffer} arrayBuffer Native little endian pixel data
+ * @property {Object} metaData MetaData describing the decoded pixel data
+ */
+
+/**
+ * Swaps the byte order of big endian pixel data
+ * @param {ArrayBuffer} arrayBuffer Big endian pixel data
+ * @param {number} bitsAllocated Bits Allocated (0028,0100)
+ * @return {ArrayBuffer} Little endian pixel data
+ */
+const swapBytes = (arrayBuffer, bitsAllocated) => {
+  const bytesPerSample = bitsAllocated / 8;
+  if (bytesPerSample <= 1) {
+    return arrayBuffer;
+  }
+  const input = new Uint8Array(arrayBuffer);
+  const output = new Uint8Array(input.length);
+  for (let i = 0; i + bytesPerSample <= input.length; i += bytesPerSample) {
+    for (let j = 0; j < bytesPerSample; j++) {
+      output[i + j] = input[i + bytesPerSample - 1 - j];
+    }
+  }
+  return output.buffer;
+};
+
+/**
+ * Decodes a frame in any supported transfer syntax to native pixel data
+ * @param {ArrayBuffer} arrayBuffer Frame as received from the server
+ * @param {string} transferSyntax Transfer syntax UID of the frame
+ * @param {Object} metaData MetaData stored by dicomImageLoader.setMetadata
+ * @return {Promise<DecodedFrame>} Decoded frame
+ */
+const decodeImageFrame = async (arrayBuffer, transferSyntax, metaData) => {
+  const pixelModule = getPixelModule(metaData);
+  const samplesPerPixel = metaData[DICOM_TAGS.SAMPLES_PER_PIXEL] || 1;
+
+  let decoded;
+  switch (transferSyntax) {
+    case undefined:
+    case TRANSFER_SYNTAXES.IMPLICIT_VR_LITTLE_ENDIAN:
+    case TRANSFER_SYNTAXES.EXPLICIT_VR_LITTLE_ENDIAN:
+    case TRANSFER_SYNTAXES.DEFLATED_EXPLICIT_VR_LITTLE_ENDIAN:
+      return {arrayBuffer, metaData};
+    case TRANSFER_SYNTAXES.EXPLICIT_VR_BIG_ENDIAN:
+      return {
+        arrayBuffer: swapBytes(arrayBuffer, pixelModule.bitsAllocated),
+        metaData,
+      };
+    case TRANSFER_SYNTAXES.RLE_LOSSLESS:
+      // RLE keeps the original color space, but stores samples in planes
+      return {
+        arrayBuffer: decodeRLE(arrayBuffer, pixelModule, samplesPerPixel),
+        metaData: {
+          ...metaData,
+          [DICOM_TAGS.PLANAR_CONFIGURATION]: samplesPerPixel > 1 ? 1 : 0,
+        },
+      };
+    case TRANSFER_SYNTAXES.JPEG_BASELINE:
+      decoded = await decodeJPEGBaseline(arrayBuffer);
+      break;
+    case TRANSFER_SYNTAXES.JPEG_LOSSLESS:
+    case TRANSFER_SYNTAXES.JPEG_LOSSLESS_SV1:
+      decoded = await decodeJPEGLossless(arrayBuffer, pixelModule);
+      break;
+    case TRANSFER_SYNTAXES.JPEG_LS_LOSSLESS:
+    case TRANSFER_SYNTAXES.JPEG_LS_NEAR_LOSSLESS:
+      decoded = await decodeJPEGLS(arrayBuffer);
+      break;
+    case TRANSFER_SYNTAXES.JPEG_2000_LOSSLESS:
+    case TRANSFER_SYNTAXES.JPEG_2000:
+      decoded = await decodeJPEG2000(arrayBuffer);
+      break;
+    default:
+      throw new Error(`Unsupported transfer syntax: ${transferSyntax}`);
+  }
+
+  // Describe the codec output, which may use fewer bits than the original
+  // pixel data (e.g. lossy JPEG) and is always RGB for color images
+  const decodedMetaData = {
+    ...metaData,
+    [DICOM_TAGS.BITS_ALLOCATED]: decoded.bitsAllocated,
+    [DICOM_TAGS.PLANAR_CONFIGURATION]: decoded.planarConfiguration || 0,
+  };
+  if (pixelModule.bitsStored > decoded.bitsAllocated) {
+    decodedMetaData[DICOM_TAGS.BITS_STORED] = decoded.bitsAllocated;
+    decodedMetaData[DICOM_TAGS.HIGH_BIT] = decoded.bitsAllocated - 1;
+    decodedMetaData[DICOM_TAGS.PIXEL_REPRESENTATION] = 0;
+    delete decodedMetaData[DICOM_TAGS.MIN_PIXEL_VAL];
+    delete decodedMetaData[DICOM_TAGS.MAX_PIXEL_VAL];
+  }
+  if (samplesPerPixel > 1) {
+    decodedMetaData[DICOM_TAGS.PHOTO_INTERP] = 'RGB';
+  }
+
+  return {
+    arrayBuffer: decoded.arrayBuffer,
+    metaData: decodedMetaData,
+  };
+};
+
+export default decodeImageFrame;
@@ -0,0 +1,51 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module decodeRenderedImage */
+
+/**
+ * @typedef {Object} RenderedImage
+ * @property {number} rows Height of the image
+ * @property {number} columns Width of the image
+ * @property {Uint8ClampedArray} pixelData RGBA values of the image
+ */
+
+/**
+ * Decodes a rendered frame (image/jpeg, image/png or image/gif) to RGBA
+ *    using the browser's image decoders
+ * @param {Blob} blob Rendered frame as received from the server
+ * @return {Promise<RenderedImage>} Decoded image
+ */
+const decodeRenderedImage = async (blob) => {
+  // createImageBitmap decodes off the main thread in most browsers
+  const bitmap = await createImageBitmap(blob);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+
+  return {
+    rows: imageData.height,
+    columns: imageData.width,
+    pixelData: imageData.data,
+  };
+};
+
+export default decodeRenderedImage;
@@ -16,13 +16,23 @@
 
 /** @module dicomImageLoader */
 import * as api from './api.js';
+import {decodeInlineBinary} from './dicomLUT.js';
+import {imageWorkerPool} from './workerPool.js';
+import decodeRenderedImage from './decodeRenderedImage.js';
+import {readLocalFile, getLocalFile} from './localFiles.js';
+import {getFrameMetadata} from './functionalGroups.js';
+import {getCalibration} from './calibration.js';
 import {DICOM_TAGS} from './dicomValues.js';
-import {IMAGE_LOADER_PREFIX} from './config.js';
+import {IMAGE_LOADER_PREFIX, LOCAL_IMAGE_LOADER_PREFIX} from './config.js';
 
 /** Stores metaData for each imageId
  * @type {Object.<string, object>} */
 const metaDataDict = {};
 
+/** Stores how the pixels of each imageId are calibrated
+ * @type {Object.<string, module:calibration~Calibration>} */
+const calibrationDict = {};
+
 /**
  * Sets metaData value for a specific instance imageId
  * @param {string} imageId The imageId for the instance
@@ -42,89 +52,362 @@ const setMetadata = (imageId, metaData) => {
         } else {
           mappedMetaData[key] = value;
         }
+      } else if (metaData[key].InlineBinary) {
+        // Store binary values (e.g. palette color LUTs) as bytes
+        mappedMetaData[key] = decodeInlineBinary(metaData[key].InlineBinary);
       }
     }
   }
   metaDataDict[imageId] = mappedMetaData;
+  calibrationDict[imageId] = getCalibration(metaData);
 };
 
 /**
- * Creates a cornerstone image object from metadata and pixel data
- * @param {string} imageId The imageId associated with this dicom image
- * @param {Int16Array} pixelData Pixel data array of DICOM image
- * @return {Object} Cornerstone image object
+ * Gets how the pixels of an image are calibrated for measurements
+ * @param {string} imageId The imageId of the image
+ * @return {?module:calibration~Calibration} Calibration of the image, or
+ *    null if no metaData has been set for it
  */
-const createImageObjectFromDicom = (imageId, pixelData) => {
-  // Retrieve metaData for this instance
-  const metaData = metaDataDict[imageId];
+const getImageCalibration = (imageId) => calibrationDict[imageId] || null;
 
-  const height = metaData[DICOM_TAGS.NUM_ROWS];
-  const width = metaData[DICOM_TAGS.NUM_COLUMNS];
+/**
+ * Converts a stored metaData value to numbers
+ * @param {*} value Stored value, which is a single value or an array
+ * @return {?Array<number>} The numbers, or null if there is no value
+ */
+const toNumbers = (value) =>
+  value === undefined ? null : [].concat(value).map(Number);
 
-  const photoInterp = metaData[DICOM_TAGS.PHOTO_INTERP];
-  const invert = photoInterp == 'MONOCHROME1' ? true: false;
+/**
+ * @typedef {Object} ImagePlane
+ * @property {?string} frameOfReferenceUID Frame of Reference UID
+ * @property {number} rows Number of rows
+ * @property {number} columns Number of columns
+ * @property {?Array<number>} imagePositionPatient Position of the top left
+ *    pixel in mm
+ * @property {?Array<number>} imageOrientationPatient Row and column
+ *    direction cosines
+ * @property {?Array<number>} rowCosines Direction of the rows
+ * @property {?Array<number>} columnCosines Direction of the columns
+ * @property {?Array<number>} pixelSpacing Spacing between rows and between
+ *    columns in mm
+ * @property {?number} rowPixelSpacing Spacing between rows in mm used for
+ *    measurements, which may come from Imager Pixel Spacing or ultrasound
+ *    regions when there is no Pixel Spacing
+ * @property {?number} columnPixelSpacing Spacing between columns in mm used
+ *    for measurements
+ * @property {?number} sliceThickness Slice Thickness in mm
+ */
 
-  const getPixelData = () => pixelData;
+/**
+ * Gets the geometry of an image in the patient coordinate system, from
+ *    the metaData of its frame
+ * @param {string} imageId The imageId of the image
+ * @return {?ImagePlane} Geometry of the image, or null if no metaData has
+ *    been set for it
+ */
+const getImagePlane = (imageId) => {
+  const metaData = metaDataDict[imageId];
+  if (!metaData) {
+    return null;
+  }
+  const orientation = toNumbers(metaData[DICOM_TAGS.IMAGE_ORIENTATION_PATIENT]);
+  const spacing = toNumbers(metaData[DICOM_TAGS.PIXEL_SPACING]);
+  const thickness = toNumbers(metaData[DICOM_TAGS.SLICE_THICKNESS]);
+  const calibration = calibrationDict[imageId];
+  return {
+    frameOfReferenceUID: metaData[DICOM_TAGS.FRAME_OF_REFERENCE_UID] || null,
+    rows: metaData[DICOM_TAGS.NUM_ROWS],
+    columns: metaData[DICOM_TAGS.NUM_COLUMNS],
+    imagePositionPatient:
+        toNumbers(metaData[DICOM_TAGS.IMAGE_POSITION_PATIENT]),
+    imageOrientationPatient: orientation,
+    rowCosines: orientation ? orientation.slice(0, 3) : null,
+    columnCosines: orientation ? orientation.slice(3, 6) : null,
+    pixelSpacing: spacing,
+    rowPixelSpacing: calibration.rowPixelSpacing,
+    columnPixelSpacing: calibration.columnPixelSpacing,
+    sliceThickness: thickness ? thickness[0] : null,
+  };
+};
 
-  // Calculate min pixel value if not provided in dicom file
-  let minPixelValue = metaData[DICOM_TAGS.MIN_PIXEL_VAL];
-  if (!minPixelValue) {
-    minPixelValue = pixelData[0];
-    for (let i = 1; i < pixelData.length; i++) {
-      if (pixelData[i] < minPixelValue) {
-        minPixelValue = pixelData[i];
-      }
-    }
+/**
+ * @typedef {Object} InstanceReference
+ * @property {string} studyUID Study Instance UID
+ * @property {string} seriesUID Series Instance UID
+ * @property {string} sopClassUID SOP Class UID
+ * @property {string} sopInstanceUID SOP Instance UID
+ * @property {?number} frameNumber Number of the frame, from 1, or null if
+ *    the instance has a single frame
+ * @property {number} rows Number of rows
+ * @property {number} columns Number of columns
+ * @property {module:calibration~Calibration} calibration How the pixels are
+ *    calibrated
+ */
+
+/**
+ * Gets what other instances need to reference the frame of an image, such
+ *    as structured reports of measurements made on it
+ * @param {string} imageId The imageId of the image
+ * @return {?InstanceReference} Reference to the frame, or null if its
+ *    metaData doesn't identify the instance
+ */
+const getInstanceReference = (imageId) => {
+  const metaData = metaDataDict[imageId];
+  if (!metaData || !metaData[DICOM_TAGS.SOP_CLASS_UID] ||
+      !metaData[DICOM_TAGS.INSTANCE_UID]) {
+    return null;
   }
+  const frameMatch = imageId.match(/\/frames\/(\d+)/);
+  const isMultiFrame = Number(metaData[DICOM_TAGS.NUM_FRAMES]) > 1;
+  return {
+    studyUID: metaData[DICOM_TAGS.STUDY_UID],
+    seriesUID: metaData[DICOM_TAGS.SERIES_UID],
+    sopClassUID: metaData[DICOM_TAGS.SOP_CLASS_UID],
+    sopInstanceUID: metaData[DICOM_TAGS.INSTANCE_UID],
+    frameNumber: isMultiFrame && frameMatch ? Number(frameMatch[1]) : null,
+    rows: metaData[DICOM_TAGS.NUM_ROWS],
+    columns: metaData[DICOM_TAGS.NUM_COLUMNS],
+    calibration: calibrationDict[imageId],
+  };
+};
 
-  // Calculate max pixel value if not provided in dicom file
-  let maxPixelValue = metaData[DICOM_TAGS.MAX_PIXEL_VAL];
-  if (!maxPixelValue) {
-    maxPixelValue = pixelData[0];
-    for (let i = 1; i < pixelData.length; i++) {
-      if (pixelData[i] > maxPixelValue) {
-        maxPixelValue = pixelData[i];
-      }
-    }
+/**
+ * Cornerstone metaData provider, giving tools the geometry of each frame
+ * @param {string} type Type of metaData requested (e.g. imagePlaneModule)
+ * @param {string} imageId The imageId of the image
+ * @return {?Object} The metaData, or undefined if this provider doesn't
+ *    have it
+ */
+const metaDataProvider = (type, imageId) => {
+  if (type == 'imagePlaneModule') {
+    return getImagePlane(imageId) || undefined;
   }
+  return undefined;
+};
+
+/**
+ * Creates a cornerstone image object from a prepared frame
+ * @param {string} imageId The imageId associated with this dicom image
+ * @param {module:prepareImageFrame~PreparedFrame} frame Decoded pixel data
+ *    and display values of the DICOM image
+ * @param {module:calibration~Calibration=} calibration Physical size of
+ *    the pixels. Without one, the pixels are displayed square and
+ *    measured in pixels.
+ * @return {Object} Cornerstone image object
+ */
+const createImageObjectFromDicom = (imageId, frame, calibration) => {
+  const pixelData = frame.pixelData;
+  const getPixelData = () => pixelData;
 
   // Construct image object from above values
   const image = {
     imageId: imageId,
-    minPixelValue: minPixelValue,
-    maxPixelValue: maxPixelValue,
-    slope: 1.0,
-    intercept: 0,
-    windowCenter: (maxPixelValue + minPixelValue) / 2,
-    windowWidth: maxPixelValue - minPixelValue,
+    minPixelValue: frame.minPixelValue,
+    maxPixelValue: frame.maxPixelValue,
+    slope: frame.slope,
+    intercept: frame.intercept,
+    modalityLUT: frame.modalityLUT,
+    windowCenter: frame.windowCenter,
+    windowWidth: frame.windowWidth,
+    voiLUT: frame.voiLUT,
+    windows: frame.windows,
     getPixelData: getPixelData,
-    rows: height,
-    columns: width,
-    height: height,
-    width: width,
-    color: false,
-    columnPixelSpacing: 1.0,
-    rowPixelSpacing: 1.0,
-    invert: invert,
-    sizeInBytes: width * height * 2,
+    rows: frame.rows,
+    columns: frame.columns,
+    height: frame.rows,
+    width: frame.columns,
+    color: frame.color,
+    rgba: false, // Ignore the alpha channel of RGBA pixel data
+    columnPixelSpacing: calibration && calibration.columnPixelSpacing ||
+        undefined,
+    rowPixelSpacing: calibration && calibration.rowPixelSpacing || undefined,
+    invert: frame.invert,
+    sizeInBytes: pixelData.byteLength,
   };
-
   return image;
 };
 
+/**
+ * Creates a cornerstone image from pixel data that has already been fetched,
+ *    such as one frame of a batched response
+ * @param {string} imageId The imageId associated with this dicom image
+ * @param {ArrayBuffer} pixelData Raw (possibly compressed) pixel data bytes.
+ *    It is transferred to a worker, so can't be used afterwards.
+ * @param {string=} transferSyntax Transfer syntax UID of the pixel data
+ * @return {Promise<Object>} Cornerstone image object
+ */
+const createImage = (imageId, pixelData, transferSyntax) => {
+  // Decode and compute statistics in a worker, transferring the
+  // pixel data to avoid copying it
+  return imageWorkerPool.run('prepareImageFrame',
+      [pixelData, transferSyntax, metaDataDict[imageId]], [pixelData])
+      .then((frame) => createImageObjectFromDicom(imageId, frame,
+          calibrationDict[imageId]));
+};
+
+/**
+ * Checks if an imageId refers to a local file opened by drag-and-drop
+ * @param {string} imageId ImageId to check
+ * @return {boolean} True if the imageId starts with the local prefix
+ */
+const isLocalImageId = (imageId) =>
+  imageId.startsWith(`${LOCAL_IMAGE_LOADER_PREFIX}://`);
+
+/**
+ * Loads every frame of an instance from a single DICOM P10 file. The
+ *    metaData of each frame is read from the file itself, replacing any
+ *    set beforehand.
+ * @param {string} instanceImageId ImageId of the instance
+ *    (.../instances/{uid}, or local://{uid} for local files). Frames are
+ *    given imageIds ending in /frames/{n}.
+ * @param {LoadImageOptions=} options Options for the request
+ * @return {Promise<Object[]>} Cornerstone image for each frame, in order
+ */
+const loadInstance = async (instanceImageId, options = {}) => {
+  const url = instanceImageId.replace(IMAGE_LOADER_PREFIX, 'https');
+  const arrayBuffer = isLocalImageId(instanceImageId) ?
+      await readLocalFile(instanceImageId) :
+      await api.fetchDicomInstance(url, options);
+
+  // Parse the file in a worker, transferring it to avoid copying it
+  const {metaData, transferSyntax, frames} = await imageWorkerPool.run(
+      'parseP10', [arrayBuffer], [arrayBuffer]);
+  if (frames.length == 0) {
+    throw new Error(`Instance ${url} contains no pixel data`);
+  }
+
+  return Promise.all(frames.map((frame, index) => {
+    const imageId = `${instanceImageId}/frames/${index + 1}`;
+    setMetadata(imageId, getFrameMetadata(metaData, index));
+    return createImage(imageId, frame, transferSyntax);
+  }));
+};
+
+/** Number of local instances whose frames are kept once loaded
+ * @constant {number} */
+const MAX_LOCAL_INSTANCES = 4;
+
+/**
+ * Frames of the local instances loaded most recently, least recent first,
+ *    with the file they were loaded from
+ * @type {Map<string, {file: File, promise: Promise<Object[]>}>}
+ */
+const localInstances = new Map();
+
+/**
+ * Loads every frame of a local instance, reusing the frames of recently
+ *    loaded instances so each frame of a multi-frame file doesn't read and
+ *    decode the whole file again
+ * @param {string} instanceImageId ImageId of the instance (local://{uid})
+ * @param {LoadImageOptions=} options Options for loading the instance
+ * @return {Promise<Object[]>} Cornerstone image for each frame, in order
+ */
+const loadLocalInstance = (instanceImageId, options) => {
+  const file = getLocalFile(instanceImageId);
+  const cached = localInstances.get(instanceImageId);
+  localInstances.delete(instanceImageId);
+
+  // Instances are loaded again once their files are opened again
+  if (cached && cached.file === file) {
+    localInstances.set(instanceImageId, cached);
+    return cached.promise;
+  }
+
+  const promise = loadInstance(instanceImageId, options);
+  localInstances.set(instanceImageId, {file, promise});
+  if (localInstances.size > MAX_LOCAL_INSTANCES) {
+    localInstances.delete(localInstances.keys().next().value);
+  }
+
+  // Forget failed loads so they can be tried again
+  promise.catch(() => {
+    const entry = localInstances.get(instanceImageId);
+    if (entry && entry.promise === promise) {
+      localInstances.delete(instanceImageId);
+    }
+  });
+  return promise;
+};
+
+/**
+ * Checks if an imageId refers to a frame rendered by the server
+ * @param {string} imageId ImageId to check
+ * @return {boolean} True if the imageId ends with /rendered
+ */
+const isRenderedImageId = (imageId) => imageId.endsWith('/rendered');
+
+/**
+ * Creates a cornerstone image from a frame rendered by the server
+ * @param {string} imageId The imageId associated with this dicom image
+ * @param {Blob} blob Rendered frame
+ * @return {Promise<Object>} Cornerstone color image object
+ */
+const createRenderedImage = async (imageId, blob) => {
+  const {rows, columns, pixelData} = await decodeRenderedImage(blob);
+
+  // The server has already applied any LUTs, so display the RGBA values
+  return createImageObjectFromDicom(imageId, {
+    rows,
+    columns,
+    color: true,
+    invert: false,
+    pixelData,
+    minPixelValue: 0,
+    maxPixelValue: 255,
+    slope: 1.0,
+    intercept: 0,
+    windowCenter: 128,
+    windowWidth: 255,
+    windows: [],
+  });
+};
+
+/**
+ * @typedef {Object} LoadImageOptions
+ * @property {string=} transferSyntax Transfer syntax UID to request
+ * @property {boolean=} stream Whether to parse the response as it streams in
+ * @property {module:api~RenderedOptions=} rendered Options for imageIds
+ *    ending in /rendered, which are fetched as rendered images
+ * @property {AbortSignal=} signal Signal to abort the request with
+ */
+
 /**
  * Cornerstone image loader for viewing dicom files from Google Healthcare Api
+ *    and local files opened by drag-and-drop
  * @param {string} imageId Url for the dicom file
+ * @param {LoadImageOptions=} options Options passed to cornerstone.loadImage
  * @return {{promise: Promise<Object>}} Object containing promise for
  *    cornerstone
  */
-const loadImage = (imageId) => {
+const loadImage = (imageId, options = {}) => {
   const url = imageId.replace(IMAGE_LOADER_PREFIX, 'https');
 
+  if (isLocalImageId(imageId)) {
+    // Local imageIds end in /frames/{n}, and frames are read from the file
+    const frameIndex = Number(imageId.split('/').pop()) - 1;
+    const instanceImageId =
+        imageId.substring(0, imageId.lastIndexOf('/frames/'));
+    return {
+      promise: Promise.resolve()
+          .then(() => loadLocalInstance(instanceImageId, options))
+          .then((images) => images[frameIndex]),
+    };
+  }
+
+  if (isRenderedImageId(imageId)) {
+    return {
+      promise: api.fetchRenderedFrame(url,
+          {...options.rendered, signal: options.signal})
+          .then((blob) => createRenderedImage(imageId, blob)),
+    };
+  }
+
   const promise = new Promise((resolve, reject) => {
-    api.fetchDicomFile(url)
-        .then((byteArray) => {
-          const image = createImageObjectFromDicom(imageId, byteArray);
+    api.fetchDicomFile(url, options)
+        .then(({pixelData, transferSyntax}) =>
+          createImage(imageId, pixelData, transferSyntax))
+        .then((image) => {
           resolve(image);
         })
         .catch((error) => {
@@ -138,4 +421,13 @@ const loadImage = (imageId) => {
   };
 };
 
-export {loadImage, setMetadata};
+export {
+  loadImage,
+  loadInstance,
+  createImage,
+  setMetadata,
+  getImagePlane,
+  getImageCalibration,
+  getInstanceReference,
+  metaDataProvider,
+};
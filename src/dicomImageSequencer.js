@@ -16,13 +16,68 @@
 
 /** @module DicomImageSequencer */
 import * as cornerstone from 'cornerstone-core';
+import * as api from './api.js';
 import {IMAGE_LOADER_PREFIX} from './config.js';
-import {setMetadata} from './dicomImageLoader.js';
-import {DICOM_TAGS} from './dicomValues.js';
+import {
+  setMetadata,
+  createImage,
+  loadInstance,
+} from './dicomImageLoader.js';
+import {getLocalImageId} from './localFiles.js';
+import {frameCache} from './frameCache.js';
+import {
+  PREFETCH_STRATEGIES,
+  DEFAULT_INTERLEAVE_STEP,
+  getFetchPriority,
+} from './fetchPriority.js';
+import {withRetries, DEFAULT_MAX_RETRIES} from './retry.js';
+import {AdaptiveConcurrency} from './adaptiveConcurrency.js';
+import {orderSlices, ORDERING_METHODS} from './sliceOrder.js';
+import {hasFunctionalGroups, getFrameMetadata} from './functionalGroups.js';
+import {DICOM_TAGS, TRANSFER_SYNTAXES} from './dicomValues.js';
+
+/** Ways frames can be retrieved from the server
+ * @enum {string} */
+const RETRIEVAL_MODES = {
+  RAW: 'raw', // Pixel data from .../frames/{n}
+  RENDERED: 'rendered', // Server rendered images, .../frames/{n}/rendered
+  INSTANCE: 'instance', // Whole DICOM P10 files, .../instances/{uid}
+};
 
 /**
  * @callback onImageReady
  * @param {Object} image
+ * @param {number} index Index of the image in the sequence
+ */
+
+/**
+ * A frame that could not be loaded, even after retrying
+ * @typedef {Object} FailedFrame
+ * @property {string} imageId ImageId of the frame
+ * @property {number} index Index of the frame in the sequence
+ * @property {?number} status HTTP status of the last failed request, or
+ *    null if the frame failed for another reason (e.g. decoding)
+ * @property {string} message Message of the error the frame failed with
+ */
+
+/**
+ * @callback onImageFailed
+ * @param {FailedFrame} failedFrame
+ */
+
+/**
+ * A pending fetch of one or more images
+ * @typedef {Object} PendingFetch
+ * @property {string[]} imageIds ImageIds of the images to fetch
+ * @property {number} start Lowest index in the sequence of the images
+ * @property {number} end Highest index in the sequence of the images
+ */
+
+/**
+ * A frame of an instance, in the order frames are displayed
+ * @typedef {Object} SequencedFrame
+ * @property {Object} instance DICOM JSON metaData of the instance
+ * @property {number} frameNumber Number of the frame, from 1
  */
 
 /**
@@ -48,78 +103,318 @@ export default class DicomImageSequencer {
 
     // Set defaults
     this.instances = [];
+    this.frames = [];
     this.instanceQueue = [];
     this.loadedImages = {};
     this.fetchQueue = [];
     this.maxSimultaneousRequests = 20;
     this.currentSimultaneousRequests = 0;
+    this.transferSyntax = TRANSFER_SYNTAXES.EXPLICIT_VR_LITTLE_ENDIAN;
+    this.streamResponses = true;
+    this.framesPerRequest = 1;
+    this.retrievalMode = RETRIEVAL_MODES.RAW;
+    this.renderedOptions = {mediaType: 'image/jpeg'};
+    this.numRequests = 0;
+    this.local = false;
+    this.useCache = false;
+    this.prefetchStrategy = PREFETCH_STRATEGIES.TOP_DOWN;
+    this.focusIndex = 0;
+    this.interleaveStep = DEFAULT_INTERLEAVE_STEP;
+    this.imageIndices = {};
+    this.maxRetries = DEFAULT_MAX_RETRIES;
+    this.retryBaseDelay = 500;
+    this.numRetries = 0;
+    this.failedImages = {};
+    this.abortController = new AbortController();
+    this.runId = 0;
+    this.orderingMethod = ORDERING_METHODS.NONE;
+    this.sliceIssues = [];
+    this.autoConcurrency = false;
+    this.adaptiveConcurrency = null;
+  }
+
+  /**
+   * Gets the options frames are requested with. Requests made with them
+   *    are aborted when the sequencer is cancelled.
+   * @return {module:dicomImageLoader~LoadImageOptions} Request options
+   */
+  getRequestOptions() {
+    return {
+      transferSyntax: this.transferSyntax,
+      stream: this.streamResponses,
+      rendered: this.renderedOptions,
+      signal: this.abortController.signal,
+    };
   }
 
   /**
-   * Sets the dicom instances that will be sequenced
+   * Gets the options requests are retried with, counting each retry
+   * @return {module:retry~RetryOptions} Retry options
+   */
+  getRetryOptions() {
+    const runId = this.runId;
+    return {
+      maxRetries: this.maxRetries,
+      baseDelay: this.retryBaseDelay,
+      onRetry: (error) => {
+        if (runId != this.runId) {
+          return;
+        }
+        this.numRetries++;
+        if (error.status == 429 && this.adaptiveConcurrency) {
+          this.adaptiveConcurrency.recordThrottle();
+        }
+      },
+      signal: this.abortController.signal,
+    };
+  }
+
+  /**
+   * Sets the dicom instances that will be sequenced, ordering their frames
+   *    by slice position and recording any problems with their spacing
    * @param {Object[]} instances Instances to be sequenced
    */
   setInstances(instances) {
-    this.instances = instances;
+    // Frames of enhanced multi-frame instances each have their own
+    // position, so are ordered individually. Frames of other instances
+    // are kept together in frame order.
+    const slices = [];
+    for (const instance of instances) {
+      const numFrames = this.getNumFrames(instance);
+      if (numFrames > 1 && hasFunctionalGroups(instance)) {
+        for (let frameNum = 1; frameNum <= numFrames; frameNum++) {
+          slices.push({
+            instance,
+            frameNumbers: [frameNum],
+            metaData: getFrameMetadata(instance, frameNum - 1),
+          });
+        }
+      } else {
+        slices.push({
+          instance,
+          frameNumbers: Array.from({length: numFrames}, (_, i) => i + 1),
+          metaData: instance,
+        });
+      }
+    }
 
-    // Sort instances to ensure correct order of rendering
-    this.instances.sort((a, b) => {
-      return a[DICOM_TAGS.INSTANCE_NUMBER].Value[0] -
-          b[DICOM_TAGS.INSTANCE_NUMBER].Value[0];
-    });
+    const sliceOrder = orderSlices(slices.map((slice) => slice.metaData));
+    this.frames = [];
+    for (const index of sliceOrder.indices) {
+      const {instance, frameNumbers} = slices[index];
+      frameNumbers.forEach((frameNumber) =>
+        this.frames.push({instance, frameNumber}));
+    }
+    this.instances = Array.from(
+        new Set(this.frames.map((frame) => frame.instance)));
+    this.orderingMethod = sliceOrder.method;
+    this.sliceIssues = sliceOrder.issues;
+  }
+
+  /**
+   * Gets the number of frames in an instance
+   * @param {Object} instance DICOM JSON metaData of the instance
+   * @return {number} Number of Frames, or 1 for single frame instances
+   */
+  getNumFrames(instance) {
+    return instance[DICOM_TAGS.NUM_FRAMES] ?
+        Number(instance[DICOM_TAGS.NUM_FRAMES].Value[0]) : 1;
   }
 
   /**
-   * Fetches and loads dicom images in sequential order
+   * Gets the imageId of an instance, which its frame imageIds are based on
+   * @param {Object} instance DICOM JSON metaData of the instance
+   * @return {string} ImageId of the instance
+   */
+  getInstanceImageId(instance) {
+    const instanceUID = instance[DICOM_TAGS.INSTANCE_UID].Value[0];
+    if (this.local) {
+      return getLocalImageId(instanceUID);
+    }
+    const studyUID = this.study[DICOM_TAGS.STUDY_UID].Value[0];
+    const seriesUID = this.series[DICOM_TAGS.SERIES_UID].Value[0];
+    const storeURL =
+        this.getStoreURL().replace('https', IMAGE_LOADER_PREFIX);
+    return `${storeURL}/dicomWeb/studies/${studyUID}/series/${seriesUID}` +
+        `/instances/${instanceUID}`;
+  }
+
+  /**
+   * Gets the url of the dicom store being sequenced, which its cached
+   *    frames are grouped by
+   * @return {string} Url of the dicom store
+   */
+  getStoreURL() {
+    return `https://healthcare.googleapis.com/v1/${this.getStorePath()}`;
+  }
+
+  /**
+   * Gets the resource path of the dicom store being sequenced
+   * @return {string} Path of the dicom store (projects/.../dicomStores/...)
+   */
+  getStorePath() {
+    return `projects/${this.project}/locations/${this.location}` +
+        `/datasets/${this.dataset}/dicomStores/${this.dicomStore}`;
+  }
+
+  /**
+   * Checks if whole instances are loaded from DICOM P10 files, which is
+   *    always the case for local files
+   * @return {boolean} True if frames are loaded from their instance's file
+   */
+  isLoadingInstances() {
+    return this.local || this.retrievalMode == RETRIEVAL_MODES.INSTANCE;
+  }
+
+  /**
+   * Fetches and loads dicom images in the order of the prefetch strategy.
+   *    Frames are fetched in batches of framesPerRequest frames per request,
+   *    rounded down, or a single request per instance if framesPerRequest
+   *    is less than 1. Whole instances are always fetched with a single
+   *    request.
    * @param {onImageReady} onImageReady Runs when the next image in the
-   *    sequence has loaded
+   *    sequence has loaded. Images are passed in sequence order with the
+   *    top-down strategy, and as soon as they load otherwise.
+   * @param {onImageFailed=} onImageFailed Runs when an image fails to load
+   *    after retrying. The sequence skips past failed images, so they
+   *    are passed in the same order as loaded ones.
    * @return {number} Total number of images to be displayed
    */
-  fetchInstances(onImageReady) {
+  fetchInstances(onImageReady, onImageFailed = () => {}) {
+    this.runId++;
+    this.numRequests = 0;
+    this.numRetries = 0;
+    this.imageIndices = {};
+    this.failedImages = {};
+    this.abortController = new AbortController();
+    this.adaptiveConcurrency =
+        this.autoConcurrency ? new AdaptiveConcurrency() : null;
+    this.onImageReady = onImageReady;
+    this.onImageFailed = onImageFailed;
+
+    // Generate urls for individual frames to support multi-frame instances
+    const isRendered = !this.local &&
+        this.retrievalMode == RETRIEVAL_MODES.RENDERED;
+    const instanceImageIds = new Map(this.instances.map((instance) =>
+      [instance, this.getInstanceImageId(instance)]));
+    const getImageURL = (instance, frameNum) =>
+      `${instanceImageIds.get(instance)}/frames/${frameNum}` +
+          (isRendered ? '/rendered' : '');
+
+    // Add frames to the queue in slice order
+    for (const {instance, frameNumber} of this.frames) {
+      const imageURL = getImageURL(instance, frameNumber);
+      this.imageIndices[imageURL] = this.instanceQueue.length;
+      this.instanceQueue.push(imageURL);
+
+      // Store each frame's own metaData in dicomImageLoader to
+      // be used for creating image object
+      setMetadata(imageURL, getFrameMetadata(instance, frameNumber - 1));
+    }
+
+    // Group the fetches of each instance's frames into batches, in
+    // frame order. Fractions of frames would give batches of frame numbers
+    // that don't exist, or empty batches that never finish.
+    const framesPerRequest = Math.floor(this.framesPerRequest);
     for (const instance of this.instances) {
-      // Generate urls for individual frames to support multi-frame instances
-      const numFrames = instance[DICOM_TAGS.NUM_FRAMES] ?
-          instance[DICOM_TAGS.NUM_FRAMES].Value[0] : 1;
-
-      for (let frameNum = 1; frameNum <= numFrames; frameNum++) {
-        // Add fetches and instances to respective queues
-        const imageURL = `${IMAGE_LOADER_PREFIX}://healthcare.googleapis.com/v1/projects/${this.project}/locations/${this.location}/datasets/${this.dataset}/dicomStores/${this.dicomStore}/dicomWeb/studies/${this.study[DICOM_TAGS.STUDY_UID].Value[0]}/series/${this.series[DICOM_TAGS.SERIES_UID].Value[0]}/instances/${instance[DICOM_TAGS.INSTANCE_UID].Value[0]}/frames/${frameNum}`;
-        this.instanceQueue.push(imageURL);
-        this.fetchQueue.push(imageURL);
-
-        // Store metaData in dicomImageLoader to
-        // be used for creating image object
-        setMetadata(imageURL, instance);
+      const numFrames = this.getNumFrames(instance);
+      // Rendered frames can only be requested one at a time
+      let batchSize = framesPerRequest > 0 ? framesPerRequest : numFrames;
+      if (isRendered) {
+        batchSize = 1;
+      } else if (this.isLoadingInstances()) {
+        batchSize = numFrames;
+      }
+
+      for (let first = 1; first <= numFrames; first += batchSize) {
+        const last = Math.min(first + batchSize - 1, numFrames);
+        const imageIds = [];
+        for (let frameNum = first; frameNum <= last; frameNum++) {
+          imageIds.push(getImageURL(instance, frameNum));
+        }
+        const indices = imageIds.map((imageId) => this.imageIndices[imageId]);
+        this.fetchQueue.push({
+          imageIds,
+          start: Math.min(...indices),
+          end: Math.max(...indices),
+        });
       }
     }
 
     const totalImages = this.instanceQueue.length;
 
-    // Begin making fetch requests
-    this.checkFetchQueue(onImageReady);
+    // Begin making fetch requests, highest priority first
+    this.sortFetchQueue();
+    this.checkFetchQueue();
 
     return totalImages;
   }
 
   /**
-   * Checks if the next instance in the queue has been loaded
-   * @param {onImageReady} onImageReady Runs if the next instance in the
-   *    sequence is loaded
+   * Gets the imageId of every image being sequenced
+   * @return {string[]} ImageIds in sequence order
+   */
+  getImageIds() {
+    const imageIds = [];
+    for (const [imageId, index] of Object.entries(this.imageIndices)) {
+      imageIds[index] = imageId;
+    }
+    return imageIds;
+  }
+
+  /**
+   * Moves the focus to another image, so pending fetches are reordered
+   *    around it
+   * @param {number} index Index of the image the user is looking at
+   */
+  setFocusIndex(index) {
+    this.focusIndex = index;
+    this.sortFetchQueue();
+  }
+
+  /**
+   * Sorts pending fetches by their priority under the prefetch strategy
    */
-  checkInstanceQueue(onImageReady) {
+  sortFetchQueue() {
+    const options = {
+      strategy: this.prefetchStrategy,
+      focusIndex: this.focusIndex,
+      numImages: Object.keys(this.imageIndices).length,
+      interleaveStep: this.interleaveStep,
+    };
+    const priorities = new Map(this.fetchQueue.map((pendingFetch) => [
+      pendingFetch,
+      getFetchPriority(pendingFetch.start, pendingFetch.end, options),
+    ]));
+    this.fetchQueue.sort((a, b) => priorities.get(a) - priorities.get(b));
+  }
+
+  /**
+   * Checks if the next instance in the queue has been loaded or has
+   *    failed, or with strategies other than top-down, if any instance has
+   */
+  checkInstanceQueue() {
+    if (this.prefetchStrategy != PREFETCH_STRATEGIES.TOP_DOWN) {
+      // Images are fetched out of order, so pass them on as soon as they load
+      const imageIds = Object.keys(this.loadedImages)
+          .concat(Object.keys(this.failedImages));
+      for (const imageId of imageIds) {
+        const index = this.instanceQueue.indexOf(imageId);
+        if (index != -1) {
+          this.instanceQueue.splice(index, 1);
+          this.passImage(imageId);
+        }
+      }
+      return;
+    }
+
     while (this.instanceQueue.length > 0) {
       const nextImageId = this.instanceQueue[0];
-      if (this.loadedImages.hasOwnProperty(nextImageId)) {
+      if (this.loadedImages.hasOwnProperty(nextImageId) ||
+          this.failedImages.hasOwnProperty(nextImageId)) {
         // Remove this imageId from the queue
         this.instanceQueue.shift();
-
-        // Get the image object and delete this sequencer's
-        // reference to it to avoid memory leaks
-        const image = this.loadedImages[nextImageId];
-        delete this.loadedImages[nextImageId];
-
-        // Call onImageReady with the prepared image
-        onImageReady(image);
+        this.passImage(nextImageId);
       } else {
         // If an instance in the queue is not ready, stop iterating
         return;
@@ -127,44 +422,295 @@ export default class DicomImageSequencer {
     }
   }
 
+  /**
+   * Passes a loaded image to onImageReady, or a failed one to onImageFailed
+   * @param {string} imageId ImageId of the image
+   */
+  passImage(imageId) {
+    const index = this.imageIndices[imageId];
+    if (this.failedImages.hasOwnProperty(imageId)) {
+      const error = this.failedImages[imageId];
+      delete this.failedImages[imageId];
+      this.onImageFailed({
+        imageId,
+        index,
+        status: error && error.status ? error.status : null,
+        message: error && error.message ? error.message : String(error),
+      });
+      return;
+    }
+
+    // Get the image object and delete this sequencer's
+    // reference to it to avoid memory leaks
+    const image = this.loadedImages[imageId];
+    delete this.loadedImages[imageId];
+    this.onImageReady(image, index);
+  }
+
+  /**
+   * Gets the number of requests that can be in flight at once, which is
+   *    tuned as the run goes when using auto concurrency
+   * @return {number} Maximum number of simultaneous requests
+   */
+  getMaxSimultaneousRequests() {
+    return this.adaptiveConcurrency ?
+        this.adaptiveConcurrency.concurrency : this.maxSimultaneousRequests;
+  }
+
   /**
    * Checks if a new fetch request is available to be sent out
-   * @param {onImageReady} onImageReady Runs if the next instance in the
-   *    sequence is loaded
    */
-  checkFetchQueue(onImageReady) {
+  checkFetchQueue() {
     // Calculate how many requests can be sent out
     const availableRequests =
-        this.maxSimultaneousRequests - this.currentSimultaneousRequests;
+        this.getMaxSimultaneousRequests() - this.currentSimultaneousRequests;
     const requestsRemaining = this.fetchQueue.length;
 
     // Send out as many requests as available
     if (availableRequests > 0 && requestsRemaining > 0) {
       for (let i = 0; i < Math.min(availableRequests, requestsRemaining); i++) {
-        const imageURL = this.fetchQueue.shift();
+        const batch = this.fetchQueue.shift().imageIds;
+        const adaptiveConcurrency = this.adaptiveConcurrency;
+        const runId = this.runId;
+        const requestStart = Date.now();
         this.currentSimultaneousRequests++;
 
-        // Load image with cornerstone
-        cornerstone.loadImage(imageURL).then((image) => {
-          // Store loaded image and check the instance queue
-          this.loadedImages[image.imageId] = image;
-          this.checkInstanceQueue(onImageReady);
+        let imagePromises;
+        if (this.isLoadingInstances()) {
+          imagePromises = this.loadInstanceFrames(batch);
+        } else if (this.useCache &&
+            this.retrievalMode == RETRIEVAL_MODES.RAW) {
+          imagePromises = this.loadCachedBatch(batch);
+        } else if (batch.length == 1) {
+          imagePromises = [this.loadFrame(batch[0])];
+        } else {
+          imagePromises = this.loadBatch(batch);
+        }
+        imagePromises.forEach((imagePromise, index) => {
+          imagePromise.then((image) => {
+            // Store loaded image and check the instance queue, unless the
+            // run was cancelled or replaced in the meantime
+            if (runId == this.runId) {
+              this.loadedImages[image.imageId] = image;
+              this.checkInstanceQueue();
+            }
+          }, (error) => {
+            // Mark the image as failed so the sequence can skip past it
+            if (runId == this.runId) {
+              this.failedImages[batch[index]] = error;
+              this.checkInstanceQueue();
+            }
+          });
+        });
+
+        Promise.allSettled(imagePromises).then((results) => {
+          // Measure the request for tuning the concurrency of this run
+          if (adaptiveConcurrency) {
+            adaptiveConcurrency.recordRequest(Date.now() - requestStart,
+                results.filter(({status}) => status == 'fulfilled').length);
+          }
 
           // Make a new request available and check the fetch queue
           this.currentSimultaneousRequests--;
-          this.checkFetchQueue(onImageReady);
+          this.checkFetchQueue();
         });
       }
     }
   }
 
   /**
-   * Cancels any currently running operations by clearing queues
-   *    and removing any cached images
+   * Loads a single frame with its own request, retrying it if the server
+   *    is rate limiting or having errors
+   * @param {string} imageId ImageId of the frame
+   * @return {Promise<Object>} Cornerstone image for the frame
+   */
+  loadFrame(imageId) {
+    const options = this.getRequestOptions();
+    return withRetries(() => {
+      this.numRequests++;
+
+      // Load image with cornerstone, which passes the requested transfer
+      // syntax and other request options on to dicomImageLoader
+      return cornerstone.loadImage(imageId, options);
+    }, this.getRetryOptions());
+  }
+
+  /**
+   * @typedef {Object} FrameLoad
+   * @property {Promise<Object>} promise Resolves with the frame's image
+   * @property {function(Object): undefined} resolve Resolves the promise
+   * @property {function(Error): undefined} reject Rejects the promise
+   */
+
+  /**
+   * Registers each frame in cornerstone's cache, so it is loaded from
+   *    a shared request rather than requested on its own
+   * @param {string[]} imageIds ImageIds of the frames
+   * @return {FrameLoad[]} Pending load of each frame
+   */
+  registerFrameLoads(imageIds) {
+    return imageIds.map((imageId) => {
+      const frameLoad = {};
+      frameLoad.promise = new Promise((resolve, reject) => {
+        frameLoad.resolve = resolve;
+        frameLoad.reject = reject;
+      });
+      cornerstone.imageCache.putImageLoadObject(imageId,
+          {promise: frameLoad.promise});
+      return frameLoad;
+    });
+  }
+
+  /**
+   * Loads several frames of the same instance with a single request
+   *    (e.g. .../frames/1,2,3), creating an image from each part of the
+   *    response as soon as it arrives
+   * @param {string[]} imageIds ImageIds of the frames, in frame order
+   * @return {Promise<Object>[]} Cornerstone image for each frame
+   */
+  loadBatch(imageIds) {
+    const frameLoads = this.registerFrameLoads(imageIds);
+    this.requestFrames(imageIds, frameLoads);
+    return frameLoads.map((frameLoad) => frameLoad.promise);
+  }
+
+  /**
+   * Loads several frames of the same instance, using any that were cached
+   *    by earlier runs and requesting the rest with a single request.
+   *    Requested frames are added to the cache.
+   * @param {string[]} imageIds ImageIds of the frames, in frame order
+   * @return {Promise<Object>[]} Cornerstone image for each frame
+   */
+  loadCachedBatch(imageIds) {
+    const frameLoads = this.registerFrameLoads(imageIds);
+
+    // A cache that can't be read (e.g. in private browsing) is treated as
+    // empty, so frames are still requested
+    Promise.all(imageIds.map((imageId) =>
+      frameCache.get(imageId.replace(IMAGE_LOADER_PREFIX, 'https'),
+          this.transferSyntax).catch(() => null),
+    )).then((frames) => {
+      const missingImageIds = [];
+      const missingFrameLoads = [];
+      frames.forEach((frame, index) => {
+        if (frame) {
+          createImage(imageIds[index], frame.data, frame.transferSyntax)
+              .then(frameLoads[index].resolve, frameLoads[index].reject);
+        } else {
+          missingImageIds.push(imageIds[index]);
+          missingFrameLoads.push(frameLoads[index]);
+        }
+      });
+      if (missingImageIds.length > 0) {
+        this.requestFrames(missingImageIds, missingFrameLoads);
+      }
+    });
+
+    return frameLoads.map((frameLoad) => frameLoad.promise);
+  }
+
+  /**
+   * Requests frames of the same instance with a single request
+   *    (e.g. .../frames/1,2,3), creating an image from each part of the
+   *    response as soon as it arrives. If the request fails part way
+   *    through and can be retried, only the missing frames are requested
+   *    again.
+   * @param {string[]} imageIds ImageIds of the frames, in frame order
+   * @param {FrameLoad[]} frameLoads Pending load of each frame
+   */
+  requestFrames(imageIds, frameLoads) {
+    const options = this.getRequestOptions();
+    let pendingIds = imageIds;
+    let pendingLoads = frameLoads;
+
+    withRetries(async () => {
+      this.numRequests++;
+      const requestIds = pendingIds;
+      const requestLoads = pendingLoads;
+
+      // Frame imageIds end in /frames/{n}, so request every frame number
+      const frameNumbers =
+          requestIds.map((imageId) => imageId.split('/').pop());
+      const framesURL =
+          requestIds[0].substring(0, requestIds[0].lastIndexOf('/'));
+      const url = `${framesURL}/${frameNumbers.join(',')}`
+          .replace(IMAGE_LOADER_PREFIX, 'https');
+
+      // Parts are returned in the order the frames were requested
+      const parts = await api.fetchDicomParts(url, options, (part, index) => {
+        if (index < requestLoads.length) {
+          if (this.useCache) {
+            // Cache a copy, as the pixel data is transferred to a worker
+            frameCache.put(
+                requestIds[index].replace(IMAGE_LOADER_PREFIX, 'https'),
+                options.transferSyntax,
+                {data: part.data.slice(0), transferSyntax: part.transferSyntax},
+            ).catch((error) => console.error(error));
+          }
+          createImage(requestIds[index], part.data, part.transferSyntax)
+              .then(requestLoads[index].resolve, requestLoads[index].reject);
+
+          // Leave only the frames still missing for a retry
+          pendingIds = requestIds.slice(index + 1);
+          pendingLoads = requestLoads.slice(index + 1);
+        }
+      });
+      if (parts.length < requestIds.length) {
+        throw new Error(`Response from ${url} contains ` +
+            `${parts.length} frames but ${requestIds.length} were requested`);
+      }
+    }, this.getRetryOptions()).catch((error) => {
+      pendingLoads.forEach((frameLoad) => frameLoad.reject(error));
+    });
+  }
+
+  /**
+   * Loads every frame of an instance from a single DICOM P10 file, which
+   *    also provides the metaData of each frame
+   * @param {string[]} imageIds ImageIds of every frame of the instance,
+   *    in frame order
+   * @return {Promise<Object>[]} Cornerstone image for each frame
+   */
+  loadInstanceFrames(imageIds) {
+    const frameLoads = this.registerFrameLoads(imageIds);
+
+    // Frame imageIds end in /frames/{n}, so remove it to get the instance
+    const instanceImageId =
+        imageIds[0].substring(0, imageIds[0].lastIndexOf('/frames/'));
+
+    const options = this.getRequestOptions();
+    withRetries(() => {
+      this.numRequests++;
+      return loadInstance(instanceImageId, options);
+    }, this.getRetryOptions()).then((images) => {
+      frameLoads.forEach((frameLoad, index) => {
+        if (index < images.length) {
+          frameLoad.resolve(images[index]);
+        } else {
+          frameLoad.reject(new Error(`Instance ${instanceImageId} contains ` +
+              `${images.length} frames but ${imageIds.length} were expected`));
+        }
+      });
+    }).catch((error) => {
+      frameLoads.forEach((frameLoad) => frameLoad.reject(error));
+    });
+
+    return frameLoads.map((frameLoad) => frameLoad.promise);
+  }
+
+  /**
+   * Cancels any currently running operations by aborting requests in
+   *    flight, clearing queues and removing any cached images
    */
   cancel() {
+    this.runId++;
+    this.abortController.abort();
     this.instanceQueue = [];
     this.loadedImages = {};
     this.fetchQueue = [];
+    this.imageIndices = {};
+    this.failedImages = {};
   }
 }
+
+export {RETRIEVAL_MODES};
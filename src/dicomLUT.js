@@ -0,0 +1,311 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module dicomLUT */
+import {DICOM_TAGS} from './dicomValues.js';
+
+/** Largest lookup table that will be generated for a VOI LUT Function
+ * @constant {number} */
+const MAX_GENERATED_LUT_SIZE = 65536;
+
+/**
+ * @typedef {Object} LUT
+ * @property {number} firstValueMapped First input value mapped by the LUT
+ * @property {number} numBitsPerEntry Number of bits in each LUT entry
+ * @property {ArrayLike<number>} lut Lookup table values
+ */
+
+/**
+ * @typedef {Object} VOIWindow
+ * @property {number} windowCenter Window center
+ * @property {number} windowWidth Window width
+ * @property {string=} explanation Window Center & Width Explanation
+ */
+
+/**
+ * Converts a metaData value that may be single or multi-valued to an array
+ * @param {*} value Value stored by dicomImageLoader.setMetadata
+ * @return {Array} Array containing every value (empty if undefined)
+ */
+const toArray = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Reads the values of a tag from an unmapped DICOM JSON sequence item
+ * @param {Object} item DICOM JSON sequence item
+ * @param {string} tag Tag to read
+ * @return {Array|undefined} Values of the tag (undefined if not present)
+ */
+const getItemValues = (item, tag) => {
+  return item[tag] && item[tag].Value ? item[tag].Value : undefined;
+};
+
+/**
+ * Decodes the base64 InlineBinary representation of a DICOM JSON attribute
+ * @param {string} inlineBinary Base64 encoded bytes
+ * @return {Uint8Array} Decoded bytes
+ */
+const decodeInlineBinary = (inlineBinary) => {
+  const binary = atob(inlineBinary);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/**
+ * Reads LUT Data from a DICOM JSON sequence item, supporting both
+ *    Value arrays and base64 encoded InlineBinary
+ * @param {Object} item DICOM JSON sequence item
+ * @return {ArrayLike<number>|undefined} LUT entries
+ */
+const getLUTData = (item) => {
+  const lutData = item[DICOM_TAGS.LUT_DATA];
+  if (!lutData) {
+    return undefined;
+  }
+  if (lutData.Value) {
+    return lutData.Value;
+  }
+  if (lutData.InlineBinary) {
+    // OW encoded LUT data holds one little endian 16 bit word per entry
+    const bytes = decodeInlineBinary(lutData.InlineBinary);
+    const lut = new Uint16Array(Math.floor(bytes.length / 2));
+    for (let i = 0; i < lut.length; i++) {
+      lut[i] = bytes[i * 2] | (bytes[i * 2 + 1] << 8);
+    }
+    return lut;
+  }
+  return undefined;
+};
+
+/**
+ * Creates a LUT object from a Modality or VOI LUT Sequence item
+ * @param {Object} item DICOM JSON sequence item
+ * @param {boolean} isSigned Whether the mapped input values are signed
+ * @return {LUT|undefined} LUT object (undefined if the item is incomplete)
+ */
+const createLUTFromItem = (item, isSigned) => {
+  const descriptor = getItemValues(item, DICOM_TAGS.LUT_DESCRIPTOR);
+  const lut = getLUTData(item);
+  if (!descriptor || descriptor.length < 3 || !lut) {
+    return undefined;
+  }
+
+  // The first value mapped is stored as US even when pixels are signed
+  let firstValueMapped = Number(descriptor[1]);
+  if (isSigned && firstValueMapped > 32767) {
+    firstValueMapped -= 65536;
+  }
+
+  return {
+    firstValueMapped,
+    numBitsPerEntry: Number(descriptor[2]),
+    lut,
+  };
+};
+
+/**
+ * @typedef {Object} ModalityTransform
+ * @property {number} slope Rescale Slope
+ * @property {number} intercept Rescale Intercept
+ * @property {LUT=} modalityLUT Modality LUT to apply instead of the rescale
+ */
+
+/**
+ * Gets the modality transform (Rescale Slope/Intercept or Modality LUT)
+ *    for an instance
+ * @param {Object} metaData MetaData stored by dicomImageLoader.setMetadata
+ * @return {ModalityTransform} Modality transform for the image
+ */
+const getModalityLUT = (metaData) => {
+  const slope = metaData[DICOM_TAGS.RESCALE_SLOPE] !== undefined ?
+      Number(metaData[DICOM_TAGS.RESCALE_SLOPE]) : 1.0;
+  const intercept = metaData[DICOM_TAGS.RESCALE_INTERCEPT] !== undefined ?
+      Number(metaData[DICOM_TAGS.RESCALE_INTERCEPT]) : 0;
+
+  const isSigned = metaData[DICOM_TAGS.PIXEL_REPRESENTATION] == 1;
+  const item = toArray(metaData[DICOM_TAGS.MODALITY_LUT_SEQUENCE])[0];
+  let modalityLUT = item ? createLUTFromItem(item, isSigned) : undefined;
+
+  if (modalityLUT && modalityLUT.firstValueMapped > 0) {
+    // Cornerstone indexes modality LUTs by stored pixel value directly, so
+    // pad the start of the table to make index and stored value match
+    const lut =
+        new Array(modalityLUT.firstValueMapped + modalityLUT.lut.length);
+    lut.fill(modalityLUT.lut[0], 0, modalityLUT.firstValueMapped);
+    for (let i = 0; i < modalityLUT.lut.length; i++) {
+      lut[modalityLUT.firstValueMapped + i] = modalityLUT.lut[i];
+    }
+    modalityLUT = {...modalityLUT, firstValueMapped: 0, lut};
+  }
+
+  return {
+    slope,
+    intercept,
+    modalityLUT,
+  };
+};
+
+/**
+ * Applies a modality transform to a stored pixel value
+ * @param {number} storedValue Stored pixel value
+ * @param {ModalityTransform} modality Modality transform returned
+ *    by getModalityLUT
+ * @return {number} Modality pixel value
+ */
+const applyModalityLUT = (storedValue, modality) => {
+  const {modalityLUT} = modality;
+  if (modalityLUT) {
+    const index = Math.min(Math.max(storedValue - modalityLUT.firstValueMapped,
+        0), modalityLUT.lut.length - 1);
+    return modalityLUT.lut[index];
+  }
+  return storedValue * modality.slope + modality.intercept;
+};
+
+/**
+ * Gets every window stored in Window Center/Width (0028,1050/1051)
+ * @param {Object} metaData MetaData stored by dicomImageLoader.setMetadata
+ * @return {VOIWindow[]} List of windows defined by the instance
+ */
+const getWindows = (metaData) => {
+  const centers = toArray(metaData[DICOM_TAGS.WINDOW_CENTER]);
+  const widths = toArray(metaData[DICOM_TAGS.WINDOW_WIDTH]);
+  const explanations = toArray(metaData[DICOM_TAGS.WINDOW_EXPLANATION]);
+
+  const windows = [];
+  for (let i = 0; i < Math.min(centers.length, widths.length); i++) {
+    const windowCenter = Number(centers[i]);
+    const windowWidth = Number(widths[i]);
+    if (isNaN(windowCenter) || isNaN(windowWidth) || windowWidth < 1) {
+      continue;
+    }
+    windows.push({
+      windowCenter,
+      windowWidth,
+      explanation: explanations[i],
+    });
+  }
+  return windows;
+};
+
+/**
+ * Generates a VOI LUT for the non linear VOI LUT Functions defined in
+ *    PS3.3 C.11.2.1.3, which cornerstone does not implement itself
+ * @param {string} voiLUTFunction VOI LUT Function (0028,1056)
+ * @param {number} windowCenter Window center
+ * @param {number} windowWidth Window width
+ * @param {number} minValue Minimum modality pixel value in the image
+ * @param {number} maxValue Maximum modality pixel value in the image
+ * @return {LUT|undefined} Generated LUT (undefined if LINEAR should be used)
+ */
+const generateVOILUT = (voiLUTFunction, windowCenter, windowWidth,
+    minValue, maxValue) => {
+  const firstValueMapped = Math.floor(minValue);
+  const numEntries = Math.ceil(maxValue) - firstValueMapped + 1;
+  if (numEntries < 1 || numEntries > MAX_GENERATED_LUT_SIZE) {
+    return undefined;
+  }
+
+  const outputMax = 65535;
+  let mapValue;
+  switch (voiLUTFunction) {
+    case 'SIGMOID':
+      mapValue = (x) => outputMax /
+          (1 + Math.exp(-4 * (x - windowCenter) / windowWidth));
+      break;
+    case 'LINEAR_EXACT':
+      mapValue = (x) => {
+        if (x <= windowCenter - windowWidth / 2) {
+          return 0;
+        } else if (x > windowCenter + windowWidth / 2) {
+          return outputMax;
+        }
+        return ((x - windowCenter) / windowWidth + 0.5) * outputMax;
+      };
+      break;
+    default:
+      return undefined;
+  }
+
+  const lut = new Uint16Array(numEntries);
+  for (let i = 0; i < numEntries; i++) {
+    lut[i] = Math.round(mapValue(firstValueMapped + i));
+  }
+  return {
+    firstValueMapped,
+    numBitsPerEntry: 16,
+    lut,
+  };
+};
+
+/**
+ * @typedef {Object} VOI
+ * @property {number} windowCenter Default window center
+ * @property {number} windowWidth Default window width
+ * @property {LUT=} voiLUT VOI LUT to apply instead of the window
+ * @property {VOIWindow[]} windows Every window defined by the instance
+ */
+
+/**
+ * Gets the VOI transform intended by the acquisition, falling back
+ *    to a window covering the full range of modality pixel values
+ * @param {Object} metaData MetaData stored by dicomImageLoader.setMetadata
+ * @param {number} minValue Minimum modality pixel value in the image
+ * @param {number} maxValue Maximum modality pixel value in the image
+ * @return {VOI} VOI transform for the image
+ */
+const getVOILUT = (metaData, minValue, maxValue) => {
+  const windows = getWindows(metaData);
+
+  if (windows.length > 0) {
+    const {windowCenter, windowWidth} = windows[0];
+    return {
+      windowCenter,
+      windowWidth,
+      voiLUT: generateVOILUT(metaData[DICOM_TAGS.VOI_LUT_FUNCTION],
+          windowCenter, windowWidth, minValue, maxValue),
+      windows,
+    };
+  }
+
+  // Only use a VOI LUT Sequence if no window was defined
+  const isSigned = metaData[DICOM_TAGS.PIXEL_REPRESENTATION] == 1;
+  const item = toArray(metaData[DICOM_TAGS.VOI_LUT_SEQUENCE])[0];
+  const voiLUT = item ? createLUTFromItem(item, isSigned) : undefined;
+
+  return {
+    windowCenter: (maxValue + minValue) / 2,
+    windowWidth: Math.max(maxValue - minValue, 1),
+    voiLUT,
+    windows,
+  };
+};
+
+export {
+  decodeInlineBinary,
+  getModalityLUT,
+  applyModalityLUT,
+  getWindows,
+  generateVOILUT,
+  getVOILUT,
+};
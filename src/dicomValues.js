@@ -21,22 +21,138 @@ const DICOM_CONTENT_TYPE = 'multipart/related;' +
     'type="application/octet-stream";' +
     'transfer-syntax=1.2.840.10008.1.2.1';
 
+/** UIDs of transfer syntaxes the viewer can decode */
+const TRANSFER_SYNTAXES = {
+  IMPLICIT_VR_LITTLE_ENDIAN: '1.2.840.10008.1.2',
+  EXPLICIT_VR_LITTLE_ENDIAN: '1.2.840.10008.1.2.1',
+  DEFLATED_EXPLICIT_VR_LITTLE_ENDIAN: '1.2.840.10008.1.2.1.99',
+  EXPLICIT_VR_BIG_ENDIAN: '1.2.840.10008.1.2.2',
+  JPEG_BASELINE: '1.2.840.10008.1.2.4.50',
+  JPEG_LOSSLESS: '1.2.840.10008.1.2.4.57',
+  JPEG_LOSSLESS_SV1: '1.2.840.10008.1.2.4.70',
+  JPEG_LS_LOSSLESS: '1.2.840.10008.1.2.4.80',
+  JPEG_LS_NEAR_LOSSLESS: '1.2.840.10008.1.2.4.81',
+  JPEG_2000_LOSSLESS: '1.2.840.10008.1.2.4.90',
+  JPEG_2000: '1.2.840.10008.1.2.4.91',
+  RLE_LOSSLESS: '1.2.840.10008.1.2.5',
+  ORIGINAL: '*',
+};
+
+/** Transfer syntaxes that can be requested for frames, along with the media
+ * type of each frame in the multipart response (PS3.18 Table 8.7.3-5) */
+const FRAME_TRANSFER_SYNTAXES = [
+  {
+    uid: TRANSFER_SYNTAXES.EXPLICIT_VR_LITTLE_ENDIAN,
+    name: 'Explicit VR Little Endian (uncompressed)',
+    mediaType: 'application/octet-stream',
+  },
+  {
+    uid: TRANSFER_SYNTAXES.JPEG_BASELINE,
+    name: 'JPEG Baseline (lossy)',
+    mediaType: 'image/jpeg',
+  },
+  {
+    uid: TRANSFER_SYNTAXES.JPEG_LOSSLESS_SV1,
+    name: 'JPEG Lossless',
+    mediaType: 'image/jpeg',
+  },
+  {
+    uid: TRANSFER_SYNTAXES.JPEG_LS_LOSSLESS,
+    name: 'JPEG-LS Lossless',
+    mediaType: 'image/jls',
+  },
+  {
+    uid: TRANSFER_SYNTAXES.JPEG_2000_LOSSLESS,
+    name: 'JPEG 2000 Lossless',
+    mediaType: 'image/jp2',
+  },
+  {
+    uid: TRANSFER_SYNTAXES.JPEG_2000,
+    name: 'JPEG 2000 (lossy)',
+    mediaType: 'image/jp2',
+  },
+  {
+    uid: TRANSFER_SYNTAXES.RLE_LOSSLESS,
+    name: 'RLE Lossless',
+    mediaType: 'image/dicom-rle',
+  },
+  {
+    uid: TRANSFER_SYNTAXES.ORIGINAL,
+    name: 'Original (as stored)',
+    mediaType: 'application/octet-stream',
+  },
+];
+
+/** Media types that rendered frames can be requested in (PS3.18 8.3.5.1) */
+const RENDERED_MEDIA_TYPES = [
+  {mediaType: 'image/jpeg', name: 'JPEG', hasQuality: true},
+  {mediaType: 'image/png', name: 'PNG', hasQuality: false},
+  {mediaType: 'image/gif', name: 'GIF', hasQuality: false},
+];
+
 const DICOM_TAGS = {
   STUDY_UID: '0020000D',
   SERIES_UID: '0020000E',
   INSTANCE_UID: '00080018',
+  SOP_CLASS_UID: '00080016',
+  FAILED_SOP_SEQUENCE: '00081198',
   INSTANCE_NUMBER: '00200013',
+  IMAGE_POSITION_PATIENT: '00200032',
+  IMAGE_ORIENTATION_PATIENT: '00200037',
+  SLICE_LOCATION: '00201041',
+  ACQUISITION_TIME: '00080032',
+  FRAME_OF_REFERENCE_UID: '00200052',
+  PIXEL_SPACING: '00280030',
+  IMAGER_PIXEL_SPACING: '00181164',
+  ULTRASOUND_REGIONS: '00186011',
+  REGION_SPATIAL_FORMAT: '00186012',
+  PHYSICAL_UNITS_X: '00186024',
+  PHYSICAL_UNITS_Y: '00186026',
+  PHYSICAL_DELTA_X: '0018602C',
+  PHYSICAL_DELTA_Y: '0018602E',
+  SLICE_THICKNESS: '00180050',
+  SHARED_FUNCTIONAL_GROUPS: '52009229',
+  PER_FRAME_FUNCTIONAL_GROUPS: '52009230',
+  FRAME_TIME: '00181063',
+  RECOMMENDED_DISPLAY_FRAME_RATE: '00082144',
   PATIENT_ID: '00100020',
   MODALITY: '00080060',
   NUM_ROWS: '00280010',
   NUM_COLUMNS: '00280011',
+  SAMPLES_PER_PIXEL: '00280002',
   PHOTO_INTERP: '00280004',
+  PLANAR_CONFIGURATION: '00280006',
+  BITS_ALLOCATED: '00280100',
+  BITS_STORED: '00280101',
+  HIGH_BIT: '00280102',
   MIN_PIXEL_VAL: '00280106',
   MAX_PIXEL_VAL: '00280107',
   NUM_FRAMES: '00280008',
+  PIXEL_REPRESENTATION: '00280103',
+  WINDOW_CENTER: '00281050',
+  WINDOW_WIDTH: '00281051',
+  RESCALE_INTERCEPT: '00281052',
+  RESCALE_SLOPE: '00281053',
+  RESCALE_TYPE: '00281054',
+  WINDOW_EXPLANATION: '00281055',
+  VOI_LUT_FUNCTION: '00281056',
+  RED_PALETTE_DESCRIPTOR: '00281101',
+  GREEN_PALETTE_DESCRIPTOR: '00281102',
+  BLUE_PALETTE_DESCRIPTOR: '00281103',
+  RED_PALETTE_DATA: '00281201',
+  GREEN_PALETTE_DATA: '00281202',
+  BLUE_PALETTE_DATA: '00281203',
+  LUT_DESCRIPTOR: '00283002',
+  LUT_EXPLANATION: '00283003',
+  LUT_DATA: '00283006',
+  MODALITY_LUT_SEQUENCE: '00283000',
+  VOI_LUT_SEQUENCE: '00283010',
 };
 
 export {
   DICOM_CONTENT_TYPE,
+  TRANSFER_SYNTAXES,
+  FRAME_TRANSFER_SYNTAXES,
+  RENDERED_MEDIA_TYPES,
   DICOM_TAGS,
 };
@@ -0,0 +1,75 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module fetchPriority */
+
+/** Orders in which pending fetches can be sent
+ * @enum {string} */
+const PREFETCH_STRATEGIES = {
+  TOP_DOWN: 'top-down', // From the first image to the last
+  NEAREST: 'nearest', // Closest to the focus image first
+  INTERLEAVED: 'interleaved', // Every Nth image around the focus first
+};
+
+/** Default spacing between the images fetched in the first interleaved pass
+ * @constant {number} */
+const DEFAULT_INTERLEAVE_STEP = 8;
+
+/**
+ * @typedef {Object} PriorityOptions
+ * @property {string} strategy One of PREFETCH_STRATEGIES
+ * @property {number} focusIndex Index of the image the user is looking at
+ * @property {number} numImages Total number of images
+ * @property {number=} interleaveStep Spacing between the images fetched in
+ *    the first interleaved pass
+ */
+
+/**
+ * Gets the priority of a fetch covering a range of images. Lower
+ *    priorities are fetched first.
+ * @param {number} start Index of the first image in the fetch
+ * @param {number} end Index of the last image in the fetch
+ * @param {PriorityOptions} options Strategy and focus to prioritize by
+ * @return {number} Priority of the fetch
+ */
+const getFetchPriority = (start, end, options) => {
+  const {strategy, focusIndex, numImages} = options;
+  if (strategy == PREFETCH_STRATEGIES.TOP_DOWN) {
+    return start;
+  }
+
+  // Distance from the focus to the closest image in the fetch, preferring
+  // images after the focus when two are the same distance away
+  let distance = 0;
+  let isBefore = false;
+  if (focusIndex < start) {
+    distance = start - focusIndex;
+  } else if (focusIndex > end) {
+    distance = focusIndex - end;
+    isBefore = true;
+  }
+  const nearestPriority = distance * 2 + (isBefore ? 1 : 0);
+
+  if (strategy == PREFETCH_STRATEGIES.INTERLEAVED) {
+    // Fetch every Nth image around the focus for a quick overview, then
+    // fill in the gaps one offset at a time
+    const step = Math.max(1, options.interleaveStep || DEFAULT_INTERLEAVE_STEP);
+    return (distance % step) * numImages * 2 + nearestPriority;
+  }
+  return nearestPriority;
+};
+
+export {PREFETCH_STRATEGIES, DEFAULT_INTERLEAVE_STEP, getFetchPriority};
@@ -0,0 +1,374 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module frameCache */
+
+/** Name of the IndexedDB database holding cached frames
+ * @constant {string} */
+const DB_NAME = 'dicomFrameCache';
+
+/** Version of the database schema
+ * @constant {number} */
+const DB_VERSION = 1;
+
+/** Object store holding the size and last access time of each frame
+ * @constant {string} */
+const ENTRIES_STORE = 'entries';
+
+/** Object store holding the pixel data of each frame
+ * @constant {string} */
+const FRAMES_STORE = 'frames';
+
+/** Default maximum size of the cache in bytes
+ * @constant {number} */
+const DEFAULT_QUOTA = 500 * 1024 * 1024;
+
+/** Ways the cache can be used for a run
+ * @enum {string} */
+const CACHE_MODES = {
+  OFF: 'off', // Frames are always fetched and never cached
+  COLD: 'cold', // The store's frames are cleared before the run, then cached
+  WARM: 'warm', // Frames cached by earlier runs are used
+};
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} key Cache key of the frame
+ * @property {string} storeKey Dicom store the frame belongs to
+ * @property {number} size Size of the frame's pixel data in bytes
+ * @property {number} lastAccessed Time the frame was last used
+ */
+
+/**
+ * @typedef {Object} CachedFrame
+ * @property {ArrayBuffer} data Pixel data of the frame
+ * @property {string=} transferSyntax Transfer syntax UID of the pixel data
+ */
+
+/**
+ * Gets the key a frame is cached under. The same frame requested in
+ *    different transfer syntaxes is cached separately.
+ * @param {string} url Url of the frame
+ * @param {string=} transferSyntax Transfer syntax UID that was requested
+ * @return {string} Cache key
+ */
+const getCacheKey = (url, transferSyntax) => `${url}|${transferSyntax || '*'}`;
+
+/**
+ * Gets the url of the dicom store a frame belongs to
+ *    (.../dicomStores/{dicomStore})
+ * @param {string} url Url of the frame
+ * @return {string} Url of the dicom store, or the frame url if it isn't
+ *    in a dicom store
+ */
+const getStoreKey = (url) => {
+  const match = url.match(/^.*?\/dicomStores\/[^/]+/);
+  return match ? match[0] : url;
+};
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request Request to wrap
+ * @return {Promise<*>} Result of the request
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Class for tracking the size of cached frames in least recently used order
+ */
+class CacheIndex {
+  /**
+   * Instantiates a new, empty CacheIndex
+   */
+  constructor() {
+    // Maps keep insertion order, so entries are kept from least to most
+    // recently used by re-inserting them when they are used
+    this.entries = new Map();
+    this.totalSize = 0;
+  }
+
+  /**
+   * Adds an entry as the most recently used, replacing any with the same key
+   * @param {CacheEntry} entry Entry to add
+   */
+  add(entry) {
+    this.remove(entry.key);
+    this.entries.set(entry.key, entry);
+    this.totalSize += entry.size;
+  }
+
+  /**
+   * Marks an entry as the most recently used
+   * @param {string} key Cache key of the entry
+   * @param {number} time Time the entry was used
+   * @return {?CacheEntry} The updated entry, or null if it isn't cached
+   */
+  touch(key, time) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    this.entries.delete(key);
+    entry.lastAccessed = time;
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Removes an entry
+   * @param {string} key Cache key of the entry
+   */
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.totalSize -= entry.size;
+    }
+  }
+
+  /**
+   * Finds the least recently used entries to remove to fit within a quota
+   * @param {number} quota Maximum total size in bytes
+   * @return {string[]} Cache keys of the entries to remove
+   */
+  getEntriesToEvict(quota) {
+    const keys = [];
+    let size = this.totalSize;
+    for (const entry of this.entries.values()) {
+      if (size <= quota) {
+        break;
+      }
+      keys.push(entry.key);
+      size -= entry.size;
+    }
+    return keys;
+  }
+
+  /**
+   * Finds every entry belonging to a dicom store
+   * @param {string} storeKey Url of the dicom store
+   * @return {string[]} Cache keys of the store's entries
+   */
+  getStoreEntries(storeKey) {
+    return Array.from(this.entries.values())
+        .filter((entry) => entry.storeKey == storeKey)
+        .map((entry) => entry.key);
+  }
+}
+
+/**
+ * Class for caching fetched frames in IndexedDB, so they can be reused
+ *    across runs and page reloads
+ */
+class FrameCache {
+  /**
+   * Instantiates a new FrameCache. The database is only opened once
+   *    the cache is used.
+   * @param {number=} quota Maximum size of the cache in bytes
+   */
+  constructor(quota = DEFAULT_QUOTA) {
+    this.quota = quota;
+
+    // Set defaults
+    this.index = new CacheIndex();
+    this.dbPromise = null;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Opens the database, creating it if needed, and loads the cache index
+   * @return {Promise<IDBDatabase>} The open database
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB == 'undefined') {
+          reject(new Error('IndexedDB is not supported by this browser'));
+          return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(ENTRIES_STORE, {keyPath: 'key'});
+          request.result.createObjectStore(FRAMES_STORE);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).then(async (db) => {
+        const entries = await promisifyRequest(db
+            .transaction(ENTRIES_STORE).objectStore(ENTRIES_STORE).getAll());
+        entries.sort((a, b) => a.lastAccessed - b.lastAccessed);
+        entries.forEach((entry) => this.index.add(entry));
+        return db;
+      });
+
+      // Allow opening to be retried if it failed
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Gets a cached frame, marking it as recently used
+   * @param {string} url Url of the frame
+   * @param {string=} transferSyntax Transfer syntax UID that was requested
+   * @return {Promise<?CachedFrame>} The cached frame, or null if the frame
+   *    isn't cached
+   */
+  async get(url, transferSyntax) {
+    const db = await this.open();
+    const key = getCacheKey(url, transferSyntax);
+    const entry = this.index.touch(key, Date.now());
+    if (!entry) {
+      this.misses++;
+      return null;
+    }
+
+    const transaction = db.transaction([ENTRIES_STORE, FRAMES_STORE],
+        'readwrite');
+    transaction.objectStore(ENTRIES_STORE).put(entry);
+    const frame = await promisifyRequest(
+        transaction.objectStore(FRAMES_STORE).get(key));
+    if (!frame) {
+      // The frame was removed by another tab, so forget about it
+      this.index.remove(key);
+      this.misses++;
+      return null;
+    }
+    this.hits++;
+    return frame;
+  }
+
+  /**
+   * Caches a frame, evicting the least recently used frames if the cache
+   *    is over its quota
+   * @param {string} url Url of the frame
+   * @param {string=} transferSyntax Transfer syntax UID that was requested
+   * @param {CachedFrame} frame Pixel data of the frame. It is stored as is,
+   *    so can't be transferred to a worker until this resolves.
+   * @return {Promise} Resolves when the frame is cached
+   */
+  async put(url, transferSyntax, frame) {
+    if (frame.data.byteLength > this.quota) {
+      return;
+    }
+    const db = await this.open();
+    const entry = {
+      key: getCacheKey(url, transferSyntax),
+      storeKey: getStoreKey(url),
+      size: frame.data.byteLength,
+      lastAccessed: Date.now(),
+    };
+
+    const transaction = db.transaction([ENTRIES_STORE, FRAMES_STORE],
+        'readwrite');
+    transaction.objectStore(ENTRIES_STORE).put(entry);
+    transaction.objectStore(FRAMES_STORE).put(frame, entry.key);
+    await this.completeTransaction(transaction);
+    this.index.add(entry);
+
+    await this.evict();
+  }
+
+  /**
+   * Changes the maximum size of the cache, evicting frames if needed
+   * @param {number} quota Maximum size of the cache in bytes
+   * @return {Promise} Resolves when any frames over the quota are removed
+   */
+  setQuota(quota) {
+    this.quota = quota;
+    return this.evict();
+  }
+
+  /**
+   * Removes the least recently used frames until the cache fits its quota
+   * @return {Promise} Resolves when the frames are removed
+   */
+  async evict() {
+    const keys = this.index.getEntriesToEvict(this.quota);
+    if (keys.length > 0) {
+      await this.remove(keys);
+    }
+  }
+
+  /**
+   * Removes every cached frame of a dicom store
+   * @param {string} storeKey Url of the dicom store
+   *    (.../dicomStores/{dicomStore})
+   * @return {Promise} Resolves when the frames are removed
+   */
+  async clearStore(storeKey) {
+    await this.open();
+    await this.remove(this.index.getStoreEntries(storeKey));
+  }
+
+  /**
+   * Removes cached frames
+   * @param {string[]} keys Cache keys of the frames to remove
+   * @return {Promise} Resolves when the frames are removed
+   */
+  async remove(keys) {
+    const db = await this.open();
+    const transaction = db.transaction([ENTRIES_STORE, FRAMES_STORE],
+        'readwrite');
+    keys.forEach((key) => {
+      transaction.objectStore(ENTRIES_STORE).delete(key);
+      transaction.objectStore(FRAMES_STORE).delete(key);
+    });
+    await this.completeTransaction(transaction);
+    keys.forEach((key) => this.index.remove(key));
+  }
+
+  /**
+   * Waits for a transaction to complete
+   * @param {IDBTransaction} transaction Transaction to wait for
+   * @return {Promise} Resolves when the transaction completes
+   */
+  completeTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Resets the hit and miss counts, e.g. at the start of a run
+   */
+  resetStats() {
+    this.hits = 0;
+    this.misses = 0;
+  }
+}
+
+/** Frame cache shared by the viewer
+ * @type {FrameCache} */
+const frameCache = new FrameCache();
+
+export {
+  FrameCache,
+  CacheIndex,
+  frameCache,
+  getCacheKey,
+  getStoreKey,
+  CACHE_MODES,
+  DEFAULT_QUOTA,
+};
@@ -0,0 +1,87 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module functionalGroups */
+import {DICOM_TAGS} from './dicomValues.js';
+
+/**
+ * Gets the functional groups of an enhanced multi-frame instance
+ *    (PS3.3 C.7.6.16)
+ * @param {Object} metaData DICOM JSON metaData of the instance
+ * @param {string} tag Tag of the functional groups sequence
+ * @return {Object[]} Items of the sequence, or an empty array if the
+ *    instance doesn't have it
+ */
+const getGroups = (metaData, tag) =>
+  metaData[tag] && metaData[tag].Value ? metaData[tag].Value : [];
+
+/**
+ * Checks if an instance describes its frames with functional groups, as
+ *    enhanced CT, MR and PET instances do
+ * @param {Object} metaData DICOM JSON metaData of the instance
+ * @return {boolean} True if the instance has functional groups
+ */
+const hasFunctionalGroups = (metaData) =>
+  getGroups(metaData, DICOM_TAGS.SHARED_FUNCTIONAL_GROUPS).length > 0 ||
+  getGroups(metaData, DICOM_TAGS.PER_FRAME_FUNCTIONAL_GROUPS).length > 0;
+
+/**
+ * Copies the attributes of every functional group macro in a group onto
+ *    a frame's metaData. Each macro is a sequence with a single item,
+ *    such as the Plane Position Sequence holding Image Position (Patient).
+ * @param {Object} frameMetaData DICOM JSON metaData of the frame
+ * @param {Object=} group Item of a functional groups sequence
+ */
+const applyGroup = (frameMetaData, group) => {
+  if (!group) {
+    return;
+  }
+  for (const macro of Object.values(group)) {
+    if (macro.vr == 'SQ' && macro.Value && macro.Value.length > 0) {
+      Object.assign(frameMetaData, macro.Value[0]);
+    }
+  }
+};
+
+/**
+ * Gets the metaData of one frame of an instance, resolving its shared and
+ *    per-frame functional groups into top level attributes. Per-frame
+ *    values take precedence over shared ones, which take precedence over
+ *    the instance's own.
+ * @param {Object} metaData DICOM JSON metaData of the instance
+ * @param {number} frameIndex Index of the frame, from 0
+ * @return {Object} DICOM JSON metaData of the frame. Instances without
+ *    functional groups are returned as they are.
+ */
+const getFrameMetadata = (metaData, frameIndex) => {
+  if (!hasFunctionalGroups(metaData)) {
+    return metaData;
+  }
+
+  // The functional groups themselves are left out, as every frame would
+  // otherwise carry the groups of every other frame
+  const frameMetaData = {...metaData};
+  delete frameMetaData[DICOM_TAGS.SHARED_FUNCTIONAL_GROUPS];
+  delete frameMetaData[DICOM_TAGS.PER_FRAME_FUNCTIONAL_GROUPS];
+
+  applyGroup(frameMetaData,
+      getGroups(metaData, DICOM_TAGS.SHARED_FUNCTIONAL_GROUPS)[0]);
+  applyGroup(frameMetaData,
+      getGroups(metaData, DICOM_TAGS.PER_FRAME_FUNCTIONAL_GROUPS)[frameIndex]);
+  return frameMetaData;
+};
+
+export {hasFunctionalGroups, getFrameMetadata};
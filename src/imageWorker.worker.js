@@ -0,0 +1,31 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module imageWorker */
+import {runTask} from './workerTasks.js';
+
+// Runs tasks posted by the worker pool and posts back results, transferring
+// pixel data so it isn't copied between threads
+self.onmessage = ({data}) => {
+  const {id, task, args} = data;
+  runTask(task, args)
+      .then(({result, transfer}) => {
+        self.postMessage({id, result}, transfer);
+      })
+      .catch((error) => {
+        self.postMessage({id, error: error.message});
+      });
+};
@@ -0,0 +1,328 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module localFiles */
+import {DICOM_TAGS} from './dicomValues.js';
+import {imageWorkerPool} from './workerPool.js';
+import {LOCAL_IMAGE_LOADER_PREFIX} from './config.js';
+
+/** Tag of the Directory Record Sequence in a DICOMDIR
+ * @constant {string} */
+const DIRECTORY_RECORD_SEQUENCE_TAG = '00041220';
+
+/** Tag of the Referenced File ID of a DICOMDIR record
+ * @constant {string} */
+const REFERENCED_FILE_ID_TAG = '00041500';
+
+/** Attributes copied from the first instance of each study
+ * @constant {string[]} */
+const STUDY_TAGS = [DICOM_TAGS.STUDY_UID, DICOM_TAGS.PATIENT_ID];
+
+/** Attributes copied from the first instance of each series
+ * @constant {string[]} */
+const SERIES_TAGS = [DICOM_TAGS.SERIES_UID, DICOM_TAGS.MODALITY];
+
+/** Number of files read and parsed at the same time
+ * @constant {number} */
+const FILES_PER_BATCH = 8;
+
+/**
+ * A file dropped by the user, along with its path in the dropped folders
+ * @typedef {Object} LocalFile
+ * @property {File} file The file
+ * @property {string} path Path of the file (e.g. "scans/IMAGES/IM0001")
+ */
+
+/**
+ * @typedef {Object} LocalSeries
+ * @property {Object} series DICOM JSON attributes of the series
+ * @property {Object[]} instances DICOM JSON metaData of each instance
+ */
+
+/**
+ * @typedef {Object} LocalStudy
+ * @property {Object} study DICOM JSON attributes of the study
+ * @property {Object.<string, LocalSeries>} series Series keyed by UID
+ */
+
+/** Opened files, keyed by SOP Instance UID
+ * @type {Object.<string, File>} */
+let openedFiles = {};
+
+/** Opened studies, keyed by Study Instance UID
+ * @type {Object.<string, LocalStudy>} */
+let openedStudies = {};
+
+/**
+ * Reads every file in a dropped file system entry, including the
+ *    contents of folders
+ * @param {FileSystemEntry} entry Dropped file or folder
+ * @return {Promise<LocalFile[]>} Files in the entry
+ */
+const readEntry = async (entry) => {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) =>
+      entry.file(resolve, reject));
+    return [{file, path: entry.fullPath.replace(/^\//, '')}];
+  }
+
+  // Directory readers return their entries a few at a time, so keep
+  // reading until none are left
+  const reader = entry.createReader();
+  const files = [];
+  let entries;
+  do {
+    entries = await new Promise((resolve, reject) =>
+      reader.readEntries(resolve, reject));
+    for (const childEntry of entries) {
+      files.push(...await readEntry(childEntry));
+    }
+  } while (entries.length > 0);
+  return files;
+};
+
+/**
+ * Gets every file dropped by the user, reading the contents of any folders
+ * @param {DataTransfer} dataTransfer DataTransfer of the drop event
+ * @return {Promise<LocalFile[]>} Dropped files
+ */
+const getDroppedFiles = async (dataTransfer) => {
+  // Entries must be read before the drop event returns, so get them first
+  const entries = Array.from(dataTransfer.items || [])
+      .map((item) => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+      .filter((entry) => entry);
+  if (entries.length == 0) {
+    // Folders aren't supported by this browser, so only use the files
+    return Array.from(dataTransfer.files).map((file) => ({
+      file,
+      path: file.webkitRelativePath || file.name,
+    }));
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    files.push(...await readEntry(entry));
+  }
+  return files;
+};
+
+/**
+ * Checks if a file is a DICOMDIR
+ * @param {LocalFile} localFile File to check
+ * @return {boolean} True if the file is named DICOMDIR
+ */
+const isDicomDir = (localFile) =>
+  localFile.path.split('/').pop().toUpperCase() == 'DICOMDIR';
+
+/**
+ * Parses a file's attributes in a worker, without reading its pixel data
+ * @param {File} file File to parse
+ * @return {Promise<Object>} DICOM JSON attributes of the file
+ */
+const parseFileMetadata = async (file) => {
+  const arrayBuffer = await file.arrayBuffer();
+  const {metaData} = await imageWorkerPool.run('parseP10',
+      [arrayBuffer, false], [arrayBuffer]);
+  return metaData;
+};
+
+/**
+ * Finds the files referenced by a DICOMDIR. Referenced File IDs are
+ *    relative to the folder containing the DICOMDIR.
+ * @param {LocalFile} dicomDir The DICOMDIR
+ * @param {LocalFile[]} localFiles Every dropped file
+ * @return {Promise<LocalFile[]>} Dropped files referenced by the DICOMDIR
+ */
+const getDicomDirFiles = async (dicomDir, localFiles) => {
+  const metaData = await parseFileMetadata(dicomDir.file);
+  const records = metaData[DIRECTORY_RECORD_SEQUENCE_TAG] ?
+      metaData[DIRECTORY_RECORD_SEQUENCE_TAG].Value || [] : [];
+
+  const folder = dicomDir.path.substring(0, dicomDir.path.lastIndexOf('/') + 1);
+  const filesByPath = {};
+  localFiles.forEach((localFile) => {
+    filesByPath[localFile.path.toUpperCase()] = localFile;
+  });
+
+  const referencedFiles = [];
+  records.forEach((record) => {
+    const fileId = record[REFERENCED_FILE_ID_TAG];
+    if (fileId && fileId.Value) {
+      const path = (folder + fileId.Value.join('/')).toUpperCase();
+      if (filesByPath[path]) {
+        referencedFiles.push(filesByPath[path]);
+      }
+    }
+  });
+  if (referencedFiles.length == 0) {
+    throw new Error(`None of the files referenced by ${dicomDir.path} ` +
+        'were dropped. Drop the folder containing it instead.');
+  }
+  return referencedFiles;
+};
+
+/**
+ * Copies attributes of an instance, using an empty value for any that
+ *    are missing so they can be displayed
+ * @param {Object} metaData DICOM JSON metaData of the instance
+ * @param {string[]} tags Tags of the attributes to copy
+ * @return {Object} DICOM JSON with the copied attributes
+ */
+const copyAttributes = (metaData, tags) => {
+  const attributes = {};
+  tags.forEach((tag) => {
+    attributes[tag] = metaData[tag] && metaData[tag].Value ?
+        metaData[tag] : {Value: ['']};
+  });
+  return attributes;
+};
+
+/**
+ * Adds an instance to its study and series
+ * @param {Object} metaData DICOM JSON metaData of the instance
+ * @param {File} file File containing the instance
+ */
+const addInstance = (metaData, file) => {
+  const studyUID = metaData[DICOM_TAGS.STUDY_UID].Value[0];
+  const seriesUID = metaData[DICOM_TAGS.SERIES_UID].Value[0];
+  const instanceUID = metaData[DICOM_TAGS.INSTANCE_UID].Value[0];
+
+  if (!openedStudies[studyUID]) {
+    openedStudies[studyUID] = {
+      study: copyAttributes(metaData, STUDY_TAGS),
+      series: {},
+    };
+  }
+  const study = openedStudies[studyUID];
+  if (!study.series[seriesUID]) {
+    study.series[seriesUID] = {
+      series: copyAttributes(metaData, SERIES_TAGS),
+      instances: [],
+    };
+  }
+
+  study.series[seriesUID].instances.push(metaData);
+  openedFiles[instanceUID] = file;
+};
+
+/**
+ * @typedef {Object} OpenResult
+ * @property {Object[]} studies DICOM JSON attributes of each opened study
+ * @property {number} numInstances Number of image instances opened
+ * @property {string[]} skippedFiles Paths of files that aren't DICOM images
+ */
+
+/**
+ * Opens dropped files, replacing any opened before. If a DICOMDIR was
+ *    dropped, only the files it references are opened.
+ * @param {LocalFile[]} localFiles Dropped files
+ * @return {Promise<OpenResult>} Opened studies
+ */
+const openLocalFiles = async (localFiles) => {
+  openedFiles = {};
+  openedStudies = {};
+
+  const dicomDir = localFiles.find(isDicomDir);
+  const filesToOpen = dicomDir ?
+      await getDicomDirFiles(dicomDir, localFiles) : localFiles;
+
+  let numInstances = 0;
+  const skippedFiles = [];
+  for (let i = 0; i < filesToOpen.length; i += FILES_PER_BATCH) {
+    const batch = filesToOpen.slice(i, i + FILES_PER_BATCH);
+    const results = await Promise.all(batch.map((localFile) =>
+      parseFileMetadata(localFile.file).catch(() => null)));
+
+    results.forEach((metaData, index) => {
+      // Only instances with pixel data and the UIDs needed to group
+      // them can be viewed
+      const hasUIDs = metaData && [DICOM_TAGS.STUDY_UID,
+        DICOM_TAGS.SERIES_UID, DICOM_TAGS.INSTANCE_UID]
+          .every((tag) => metaData[tag] && metaData[tag].Value);
+      if (hasUIDs && metaData[DICOM_TAGS.NUM_ROWS]) {
+        addInstance(metaData, batch[index].file);
+        numInstances++;
+      } else {
+        skippedFiles.push(batch[index].path);
+      }
+    });
+  }
+
+  return {
+    studies: Object.values(openedStudies).map((study) => study.study),
+    numInstances,
+    skippedFiles,
+  };
+};
+
+/**
+ * Gets the opened series of a study
+ * @param {string} studyUID Study Instance UID
+ * @return {Object[]} DICOM JSON attributes of each series
+ */
+const getLocalSeries = (studyUID) =>
+  Object.values(openedStudies[studyUID].series)
+      .map((series) => series.series);
+
+/**
+ * Gets the metaData of every opened instance in a series
+ * @param {string} studyUID Study Instance UID
+ * @param {string} seriesUID Series Instance UID
+ * @return {Object[]} DICOM JSON metaData of each instance
+ */
+const getLocalInstances = (studyUID, seriesUID) =>
+  openedStudies[studyUID].series[seriesUID].instances.slice();
+
+/**
+ * Gets the imageId of an opened instance (local://{instance uid})
+ * @param {string} instanceUID SOP Instance UID
+ * @return {string} ImageId of the instance
+ */
+const getLocalImageId = (instanceUID) =>
+  `${LOCAL_IMAGE_LOADER_PREFIX}://${instanceUID}`;
+
+/**
+ * Gets the file an opened instance was read from, which is replaced when
+ *    files are opened again
+ * @param {string} imageId ImageId of the instance (local://{instance uid})
+ * @return {File} The instance's file
+ * @throws {Error} If the instance hasn't been opened
+ */
+const getLocalFile = (imageId) => {
+  const instanceUID = imageId.replace(`${LOCAL_IMAGE_LOADER_PREFIX}://`, '');
+  const file = openedFiles[instanceUID];
+  if (!file) {
+    throw new Error(`Local instance ${instanceUID} has not been opened`);
+  }
+  return file;
+};
+
+/**
+ * Reads an opened instance's file
+ * @param {string} imageId ImageId of the instance (local://{instance uid})
+ * @return {Promise<ArrayBuffer>} DICOM P10 file
+ */
+const readLocalFile = async (imageId) => getLocalFile(imageId).arrayBuffer();
+
+export {
+  getDroppedFiles,
+  openLocalFiles,
+  getLocalSeries,
+  getLocalInstances,
+  getLocalImageId,
+  getLocalFile,
+  readLocalFile,
+};
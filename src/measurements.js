@@ -0,0 +1,192 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module measurements */
+import {CALIBRATION_TYPES} from './calibration.js';
+
+/** Names of the cornerstone-tools tools that measure images
+ * @enum {string} */
+const MEASUREMENT_TOOLS = {
+  LENGTH: 'Length',
+  ANGLE: 'Angle',
+  ELLIPTICAL_ROI: 'EllipticalRoi',
+  RECTANGLE_ROI: 'RectangleRoi',
+};
+
+/** Names of the measurement tools shown to the user
+ * @constant {Object.<string, string>} */
+const MEASUREMENT_TOOL_NAMES = {
+  [MEASUREMENT_TOOLS.LENGTH]: 'Length',
+  [MEASUREMENT_TOOLS.ANGLE]: 'Angle',
+  [MEASUREMENT_TOOLS.ELLIPTICAL_ROI]: 'Ellipse ROI',
+  [MEASUREMENT_TOOLS.RECTANGLE_ROI]: 'Rectangle ROI',
+};
+
+/**
+ * @typedef {Object} Measurement
+ * @property {string} id Unique ID of the measurement
+ * @property {string} tool One of MEASUREMENT_TOOLS
+ * @property {string} imageId ImageId of the measured frame
+ * @property {number} frame Index of the measured frame in the stack
+ * @property {string} calibration One of CALIBRATION_TYPES, that distances
+ *    were calibrated with
+ * @property {Array<Array<number>>} points Handles of the measurement in
+ *    pixel coordinates. Lines run from the first point to the last, angles
+ *    are at the middle point and ROIs are bounded by their two points.
+ * @property {number=} length Length of a line in lengthUnit
+ * @property {number=} angle Angle in degrees
+ * @property {number=} area Area of a region in lengthUnit squared
+ * @property {number=} mean Mean of the modality pixel values in a region
+ * @property {number=} stdDev Standard deviation of the values in a region
+ * @property {number=} min Smallest value in a region
+ * @property {number=} max Largest value in a region
+ * @property {number=} count Number of pixels in a region
+ * @property {string} lengthUnit 'mm' for calibrated images, otherwise 'px'
+ * @property {string} valueUnit Units of the pixel values (e.g. HU)
+ */
+
+/**
+ * Converts the data of one cornerstone-tools measurement
+ * @param {string} tool One of MEASUREMENT_TOOLS
+ * @param {Object} data Tool data, as stored by cornerstone-tools
+ * @return {?Object} Measured values, or null if cornerstone-tools hasn't
+ *    calculated them yet
+ */
+const getMeasuredValues = (tool, data) => {
+  switch (tool) {
+    case MEASUREMENT_TOOLS.LENGTH:
+      return data.length === undefined ? null : {length: data.length};
+    case MEASUREMENT_TOOLS.ANGLE:
+      return data.rAngle === undefined ? null : {angle: data.rAngle};
+    default: {
+      const stats = data.cachedStats;
+      return stats ? {
+        area: stats.area,
+        mean: stats.mean,
+        stdDev: stats.stdDev,
+        min: stats.min,
+        max: stats.max,
+        count: stats.count,
+      } : null;
+    }
+  }
+};
+
+/**
+ * Gets the handles of a cornerstone-tools measurement
+ * @param {Object} data Tool data, as stored by cornerstone-tools
+ * @return {Array<Array<number>>} X and y of each handle, in order
+ */
+const getPoints = (data) => ['start', 'middle', 'end']
+    .filter((handle) => data.handles && data.handles[handle])
+    .map((handle) => [data.handles[handle].x, data.handles[handle].y]);
+
+/**
+ * Lists the measurements made on a stack of frames
+ * @param {Object} toolState State of cornerstone-tools keyed by imageId, as
+ *    saved by its global imageId specific tool state manager
+ * @param {string[]} imageIds ImageIds of the stack, in order
+ * @param {function(string): ?module:calibration~Calibration} getCalibration
+ *    Gets the calibration of an imageId
+ * @return {Measurement[]} Measurements by frame, in the order they were made
+ */
+const getMeasurements = (toolState, imageIds, getCalibration) => {
+  const measurements = [];
+  imageIds.forEach((imageId, frame) => {
+    const imageToolState = toolState[imageId] || {};
+    const calibration = getCalibration(imageId) ||
+        {type: CALIBRATION_TYPES.UNCALIBRATED, valueUnit: ''};
+    for (const tool of Object.values(MEASUREMENT_TOOLS)) {
+      const data = imageToolState[tool] ? imageToolState[tool].data : [];
+      for (const measurementData of data) {
+        const values = getMeasuredValues(tool, measurementData);
+        if (values) {
+          measurements.push({
+            id: measurementData.uuid,
+            tool,
+            imageId,
+            frame,
+            calibration: calibration.type,
+            points: getPoints(measurementData),
+            ...values,
+            lengthUnit: calibration.type == CALIBRATION_TYPES.UNCALIBRATED ?
+                'px' : 'mm',
+            valueUnit: calibration.valueUnit,
+          });
+        }
+      }
+    }
+  });
+  return measurements;
+};
+
+/**
+ * Formats a number with a unit
+ * @param {number} value The number
+ * @param {string} unit Unit, which may be empty
+ * @return {string} The number to 2 decimal places followed by the unit
+ */
+const withUnit = (value, unit) =>
+  unit ? `${value.toFixed(2)} ${unit}` : value.toFixed(2);
+
+/**
+ * Describes the values of a measurement
+ * @param {Measurement} measurement The measurement
+ * @return {string} Values with their units, e.g. "12.50 mm"
+ */
+const formatMeasurement = (measurement) => {
+  switch (measurement.tool) {
+    case MEASUREMENT_TOOLS.LENGTH:
+      return withUnit(measurement.length, measurement.lengthUnit);
+    case MEASUREMENT_TOOLS.ANGLE:
+      return `${measurement.angle.toFixed(2)}°`;
+    default: {
+      const {lengthUnit, valueUnit} = measurement;
+      return `Area ${withUnit(measurement.area, `${lengthUnit}²`)}` +
+          `, Mean ${withUnit(measurement.mean, valueUnit)}` +
+          `, SD ${withUnit(measurement.stdDev, valueUnit)}` +
+          `, Min ${withUnit(measurement.min, valueUnit)}` +
+          `, Max ${withUnit(measurement.max, valueUnit)}`;
+    }
+  }
+};
+
+/**
+ * Creates a JSON export of the measurements of a series
+ * @param {Measurement[]} measurements Measurements to export
+ * @param {Object} series UIDs identifying the series
+ * @param {string} series.studyUID Study Instance UID
+ * @param {string} series.seriesUID Series Instance UID
+ * @return {string} JSON with the series and its measurements
+ */
+const getMeasurementsJSON = (measurements, {studyUID, seriesUID}) =>
+  JSON.stringify({
+    studyUID,
+    seriesUID,
+    // Frames are numbered from 1, as the viewer shows them
+    measurements: measurements.map((measurement) => ({
+      ...measurement,
+      frame: measurement.frame + 1,
+    })),
+  }, null, 2);
+
+export {
+  MEASUREMENT_TOOLS,
+  MEASUREMENT_TOOL_NAMES,
+  getMeasurements,
+  formatMeasurement,
+  getMeasurementsJSON,
+};
@@ -16,8 +16,26 @@
 
 /** @module parseMultipart */
 
+const CRLF = '\r\n';
 const HEADER_TOKEN = '\r\n\r\n';
 
+/**
+ * @typedef {Object} ContentType
+ * @property {string} mediaType Lowercase media type (e.g. multipart/related)
+ * @property {Object.<string, string>} parameters Parameter values keyed by
+ *    lowercase parameter name, with any quotes removed
+ */
+
+/**
+ * @typedef {Object} MultipartPart
+ * @property {Object.<string, string>} headers Part headers keyed by
+ *    lowercase header name
+ * @property {string=} contentType Media type of the part
+ * @property {string=} transferSyntax Transfer syntax UID of the part
+ * @property {string=} contentLocation Content-Location of the part
+ * @property {ArrayBuffer} data Body of the part
+ */
+
 /**
  * Finds the location of a given string in a byte array
  * @param {Uint8Array} byteArray Byte array to search
@@ -27,10 +45,13 @@ const HEADER_TOKEN = '\r\n\r\n';
  */
 const findStringInByteArray = (byteArray, str, offset) => {
   const startIndex = offset ? offset : 0;
-  for (let i = startIndex; i < byteArray.length - str.length + 1; i++) {
-    // Search for str at each index, and return index once found
+  const firstCode = str.charCodeAt(0);
+  // Use the native indexOf to skip to each candidate first byte
+  let i = byteArray.indexOf(firstCode, startIndex);
+  while (i != -1 && i < byteArray.length - str.length + 1) {
+    // Search for the rest of str at each candidate index
     let foundStr = true;
-    for (let j = 0; j < str.length; j++) {
+    for (let j = 1; j < str.length; j++) {
       if (byteArray[i + j] != str.charCodeAt(j)) {
         foundStr = false;
         break;
@@ -39,33 +60,386 @@ const findStringInByteArray = (byteArray, str, offset) => {
     if (foundStr) {
       return i;
     }
+    i = byteArray.indexOf(firstCode, i + 1);
   }
   return -1;
 };
 
 /**
- * Finds and strips multipart header and boundary from a multipart response
- * @param {ArrayBuffer} arrayBuffer Array Buffer to parse
- * @param {string} boundary The boundary string for the response
- * @return {ArrayBuffer} Array Buffer with multipart boundaries removed
+ * Checks if a byte array contains a string at a given index
+ * @param {Uint8Array} byteArray Byte array to check
+ * @param {string} str String to look for
+ * @param {number} index Index the string should start at
+ * @return {boolean} True if the string is found at the index
  */
-const parseMultipart = (arrayBuffer, boundary) => {
-  // Convert arrayBuffer to byte array
-  const byteArray = new Uint8Array(arrayBuffer);
+const hasStringAt = (byteArray, str, index) => {
+  for (let i = 0; i < str.length; i++) {
+    if (byteArray[index + i] != str.charCodeAt(i)) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Converts bytes of ASCII text (such as headers) to a string
+ * @param {Uint8Array} byteArray Bytes to convert
+ * @return {string} Decoded string
+ */
+const bytesToString = (byteArray) => {
+  let str = '';
+  for (let i = 0; i < byteArray.length; i++) {
+    str += String.fromCharCode(byteArray[i]);
+  }
+  return str;
+};
+
+/**
+ * Parses a Content-Type header value (RFC 2045 5.1), supporting quoted
+ *    parameter values and parameters in any order
+ * @param {string} contentType Content-Type header value
+ * @return {ContentType} Parsed media type and parameters
+ */
+const parseContentType = (contentType) => {
+  const separatorIndex = contentType.indexOf(';');
+  const mediaType = separatorIndex == -1 ?
+      contentType : contentType.substring(0, separatorIndex);
 
-  // Search for the header location by looking for \r\n\r\n
-  const headerIndex = findStringInByteArray(byteArray, HEADER_TOKEN);
-  if (headerIndex == -1) {
-    throw new Error('Not a valid multipart response');
+  const parameters = {};
+  const parameterRegex = /;\s*([^\s=;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^\s;]*)/g;
+  let match;
+  while ((match = parameterRegex.exec(contentType)) !== null) {
+    let value = match[2];
+    if (value.startsWith('"')) {
+      // Remove quotes and unescape quoted pairs
+      value = value.substring(1, value.length - 1).replace(/\\(.)/g, '$1');
+    }
+    parameters[match[1].toLowerCase()] = value;
   }
 
-  // Add 8 bytes to boundary length to account for surrounding '--'
-  // strings and both '\r\n' line terminators
-  const boundaryLength = boundary.length + 8;
+  return {
+    mediaType: mediaType.trim().toLowerCase(),
+    parameters,
+  };
+};
 
-  const startIndex = headerIndex + 4; // Skip past '\r\n\r\n' token
-  const endIndex = arrayBuffer.byteLength - boundaryLength;
-  return arrayBuffer.slice(startIndex, endIndex);
+/**
+ * Parses the header section of a part, unfolding folded header lines
+ * @param {string} headerText Header lines separated by CRLF
+ * @param {number} partNumber Number of the part, used in error messages
+ * @return {Object.<string, string>} Header values keyed by lowercase name
+ */
+const parseHeaders = (headerText, partNumber) => {
+  const headers = {};
+  let lastName;
+  for (const line of headerText.split(CRLF)) {
+    if ((line.startsWith(' ') || line.startsWith('\t')) && lastName) {
+      // Folded lines continue the previous header's value
+      headers[lastName] += ` ${line.trim()}`;
+      continue;
+    }
+    const colonIndex = line.indexOf(':');
+    if (colonIndex < 1) {
+      throw new Error(
+          `Malformed header in multipart part ${partNumber}: "${line}"`);
+    }
+    lastName = line.substring(0, colonIndex).trim().toLowerCase();
+    headers[lastName] = line.substring(colonIndex + 1).trim();
+  }
+  return headers;
+};
+
+/**
+ * Creates a part object from its headers and body
+ * @param {Object.<string, string>} headers Part headers
+ * @param {ArrayBuffer} data Body of the part
+ * @return {MultipartPart} The part
+ */
+const createPart = (headers, data) => {
+  const contentType = headers['content-type'] ?
+      parseContentType(headers['content-type']) : undefined;
+  return {
+    headers,
+    contentType: contentType ? contentType.mediaType : undefined,
+    transferSyntax: contentType ?
+        contentType.parameters['transfer-syntax'] : undefined,
+    contentLocation: headers['content-location'],
+    data,
+  };
+};
+
+/** States of the streaming multipart parser
+ * @enum {number} */
+const PARSER_STATE = {
+  PREAMBLE: 0,
+  BOUNDARY: 1,
+  HEADERS: 2,
+  BODY: 3,
+  DONE: 4,
+};
+
+/**
+ * @callback onPart
+ * @param {MultipartPart} part The part that was parsed
+ * @param {number} index Index of the part in the body
+ */
+
+/**
+ * Class for incrementally parsing a multipart body (RFC 2046 5.1), emitting
+ *    each part as soon as the boundary after it arrives. The preamble,
+ *    epilogue and any transport padding after boundaries are ignored.
+ */
+class MultipartStreamParser {
+  /**
+   * Instantiates a new MultipartStreamParser
+   * @param {string} boundary The boundary parameter of the Content-Type
+   * @param {onPart=} onPart Runs as soon as each part is parsed
+   */
+  constructor(boundary, onPart) {
+    if (!boundary) {
+      throw new Error('Multipart boundary is missing from the Content-Type');
+    }
+    this.boundary = boundary;
+    this.delimiter = `--${boundary}`;
+    this.onPart = onPart;
+
+    // Set defaults
+    this.parts = [];
+    this.buffer = new Uint8Array(0);
+    this.length = 0;
+    this.index = 0;
+    this.searchIndex = 0;
+    this.state = PARSER_STATE.PREAMBLE;
+    this.headers = {};
+  }
+
+  /**
+   * Adds the next chunk of the body and parses any complete parts
+   * @param {Uint8Array} chunk Next bytes of the body
+   */
+  push(chunk) {
+    if (this.state == PARSER_STATE.DONE) {
+      return;
+    }
+    if (this.length + chunk.length > this.buffer.length) {
+      // Grow the buffer geometrically to avoid copying for every chunk
+      const buffer = new Uint8Array(
+          Math.max(this.length + chunk.length, this.buffer.length * 2));
+      buffer.set(this.buffer.subarray(0, this.length));
+      this.buffer = buffer;
+    }
+    this.buffer.set(chunk, this.length);
+    this.length += chunk.length;
+
+    while (this.state != PARSER_STATE.DONE && this.parseNext()) {
+      // Keep parsing until more data is needed
+    }
+  }
+
+  /**
+   * Checks that the whole body has been parsed once it has ended
+   * @return {MultipartPart[]} Every part in the body, in order
+   */
+  finish() {
+    const partNumber = this.parts.length + 1;
+    switch (this.state) {
+      case PARSER_STATE.DONE:
+        return this.parts;
+      case PARSER_STATE.PREAMBLE:
+        throw new Error('Not a valid multipart response: boundary ' +
+            `"${this.boundary}" was not found`);
+      case PARSER_STATE.HEADERS:
+        throw new Error(`Multipart part ${partNumber} has no end of headers`);
+      default:
+        throw new Error(`Multipart part ${partNumber} is not followed by ` +
+            `boundary "${this.boundary}", the response may be truncated`);
+    }
+  }
+
+  /**
+   * Moves the parser to a new state, starting at a given index
+   * @param {PARSER_STATE} state The new state
+   * @param {number} index Index of the first byte to parse in the new state
+   */
+  setState(state, index) {
+    this.state = state;
+    this.index = index;
+    this.searchIndex = index;
+  }
+
+  /**
+   * Parses as much of the buffer as possible in the current state
+   * @return {boolean} True if the state changed and parsing can continue
+   */
+  parseNext() {
+    const bytes = this.buffer.subarray(0, this.length);
+    switch (this.state) {
+      case PARSER_STATE.PREAMBLE:
+        return this.parsePreamble(bytes);
+      case PARSER_STATE.BOUNDARY:
+        return this.parseBoundary(bytes);
+      case PARSER_STATE.HEADERS:
+        return this.parseHeaderSection(bytes);
+      default:
+        return this.parseBody(bytes);
+    }
+  }
+
+  /**
+   * Finds the first boundary, which is either at the start of the body or
+   *    after the preamble
+   * @param {Uint8Array} bytes Buffered bytes
+   * @return {boolean} True if the first boundary was found
+   */
+  parsePreamble(bytes) {
+    if (bytes.length < this.delimiter.length) {
+      return false;
+    }
+    if (hasStringAt(bytes, this.delimiter, 0)) {
+      this.setState(PARSER_STATE.BOUNDARY, this.delimiter.length);
+      return true;
+    }
+    const delimiterIndex =
+        findStringInByteArray(bytes, CRLF + this.delimiter, this.searchIndex);
+    if (delimiterIndex == -1) {
+      this.searchIndex =
+          Math.max(0, bytes.length - this.delimiter.length - CRLF.length + 1);
+      return false;
+    }
+    this.setState(PARSER_STATE.BOUNDARY,
+        delimiterIndex + CRLF.length + this.delimiter.length);
+    return true;
+  }
+
+  /**
+   * Parses the end of a boundary line, which either closes the body or is
+   *    followed by the next part
+   * @param {Uint8Array} bytes Buffered bytes
+   * @return {boolean} True if the end of the boundary line was parsed
+   */
+  parseBoundary(bytes) {
+    // Skip transport padding
+    while (bytes[this.index] == 0x20 || bytes[this.index] == 0x09) {
+      this.index++;
+    }
+    if (bytes.length - this.index < 2) {
+      return false;
+    }
+
+    if (hasStringAt(bytes, '--', this.index)) {
+      // A boundary followed by '--' is the close delimiter
+      this.setState(PARSER_STATE.DONE, this.index);
+      return false;
+    }
+    if (!hasStringAt(bytes, CRLF, this.index)) {
+      throw new Error(`Multipart boundary "${this.boundary}" is not ` +
+          'followed by a line break');
+    }
+
+    this.discardParsedBytes(this.index + CRLF.length);
+    this.setState(PARSER_STATE.HEADERS, 0);
+    return true;
+  }
+
+  /**
+   * Parses the headers of a part, which end with an empty line
+   * @param {Uint8Array} bytes Buffered bytes
+   * @return {boolean} True if all of the headers were parsed
+   */
+  parseHeaderSection(bytes) {
+    if (bytes.length - this.index < CRLF.length) {
+      return false;
+    }
+    if (hasStringAt(bytes, CRLF, this.index)) {
+      // This part has no headers
+      this.headers = {};
+      this.setState(PARSER_STATE.BODY, this.index + CRLF.length);
+      return true;
+    }
+
+    const headerEndIndex =
+        findStringInByteArray(bytes, HEADER_TOKEN, this.searchIndex);
+    if (headerEndIndex == -1) {
+      this.searchIndex = Math.max(this.index,
+          bytes.length - HEADER_TOKEN.length + 1);
+      return false;
+    }
+    this.headers = parseHeaders(
+        bytesToString(bytes.subarray(this.index, headerEndIndex)),
+        this.parts.length + 1);
+    this.setState(PARSER_STATE.BODY, headerEndIndex + HEADER_TOKEN.length);
+    return true;
+  }
+
+  /**
+   * Parses the body of a part, which ends at the next boundary
+   * @param {Uint8Array} bytes Buffered bytes
+   * @return {boolean} True if the part was complete and has been emitted
+   */
+  parseBody(bytes) {
+    const delimiterIndex =
+        findStringInByteArray(bytes, CRLF + this.delimiter, this.searchIndex);
+    if (delimiterIndex == -1) {
+      this.searchIndex = Math.max(this.index,
+          bytes.length - this.delimiter.length - CRLF.length + 1);
+      return false;
+    }
+
+    // Copy the part out of the buffer, as the buffer is reused
+    const data = bytes.slice(this.index, delimiterIndex).buffer;
+    const part = createPart(this.headers, data);
+    this.parts.push(part);
+    if (this.onPart) {
+      this.onPart(part, this.parts.length - 1);
+    }
+
+    this.setState(PARSER_STATE.BOUNDARY,
+        delimiterIndex + CRLF.length + this.delimiter.length);
+    return true;
+  }
+
+  /**
+   * Removes bytes that have already been parsed from the buffer
+   * @param {number} index Index of the first byte to keep
+   */
+  discardParsedBytes(index) {
+    this.buffer.copyWithin(0, index, this.length);
+    this.length -= index;
+  }
+}
+
+/**
+ * Parses every part of a multipart body (RFC 2046 5.1), ignoring the
+ *    preamble, epilogue and any transport padding after boundaries
+ * @param {ArrayBuffer} arrayBuffer Array Buffer to parse
+ * @param {string} boundary The boundary parameter of the Content-Type
+ * @return {MultipartPart[]} Every part in the body, in order
+ */
+const parseMultipart = (arrayBuffer, boundary) => {
+  const parser = new MultipartStreamParser(boundary);
+  parser.push(new Uint8Array(arrayBuffer));
+  return parser.finish();
+};
+
+/**
+ * Parses a multipart body from a stream, emitting each part as soon as it
+ *    has been received rather than waiting for the whole body
+ * @param {ReadableStream<Uint8Array>} stream Stream of the body
+ *    (e.g. Response.body)
+ * @param {string} boundary The boundary parameter of the Content-Type
+ * @param {onPart=} onPart Runs as soon as each part is parsed
+ * @return {Promise<MultipartPart[]>} Every part in the body, in order
+ */
+const parseMultipartStream = async (stream, boundary, onPart) => {
+  const parser = new MultipartStreamParser(boundary, onPart);
+  const reader = stream.getReader();
+  let result = await reader.read();
+  while (!result.done) {
+    parser.push(result.value);
+    result = await reader.read();
+  }
+  return parser.finish();
 };
 
 export default parseMultipart;
+export {parseContentType, parseMultipartStream, MultipartStreamParser};
@@ -0,0 +1,287 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module parseP10 */
+import * as dicomParser from 'dicom-parser';
+import {DICOM_TAGS} from './dicomValues.js';
+
+/** Tag of the Pixel Data attribute
+ * @constant {string} */
+const PIXEL_DATA_TAG = '7FE00010';
+
+/** Key of the Pixel Data element in dicom-parser data sets
+ * @constant {string} */
+const PIXEL_DATA_KEY = `x${PIXEL_DATA_TAG.toLowerCase()}`;
+
+/** Key of the Pixel Representation element in dicom-parser data sets
+ * @constant {string} */
+const PIXEL_REPRESENTATION_KEY =
+    `x${DICOM_TAGS.PIXEL_REPRESENTATION.toLowerCase()}`;
+
+/** Tag of the Transfer Syntax UID in the file meta information
+ * @constant {string} */
+const TRANSFER_SYNTAX_TAG = '00020010';
+
+/** VRs of the attributes the viewer uses, for files in Implicit VR Little
+ *    Endian, which don't store VRs
+ * @constant {Object.<string, string>} */
+const IMPLICIT_VRS = {
+  [DICOM_TAGS.STUDY_UID]: 'UI',
+  [DICOM_TAGS.SERIES_UID]: 'UI',
+  [DICOM_TAGS.INSTANCE_UID]: 'UI',
+  [DICOM_TAGS.SOP_CLASS_UID]: 'UI',
+  [DICOM_TAGS.FAILED_SOP_SEQUENCE]: 'SQ',
+  [DICOM_TAGS.INSTANCE_NUMBER]: 'IS',
+  [DICOM_TAGS.IMAGE_POSITION_PATIENT]: 'DS',
+  [DICOM_TAGS.IMAGE_ORIENTATION_PATIENT]: 'DS',
+  [DICOM_TAGS.SLICE_LOCATION]: 'DS',
+  [DICOM_TAGS.ACQUISITION_TIME]: 'TM',
+  [DICOM_TAGS.FRAME_OF_REFERENCE_UID]: 'UI',
+  [DICOM_TAGS.PIXEL_SPACING]: 'DS',
+  [DICOM_TAGS.IMAGER_PIXEL_SPACING]: 'DS',
+  [DICOM_TAGS.ULTRASOUND_REGIONS]: 'SQ',
+  [DICOM_TAGS.REGION_SPATIAL_FORMAT]: 'US',
+  [DICOM_TAGS.PHYSICAL_UNITS_X]: 'US',
+  [DICOM_TAGS.PHYSICAL_UNITS_Y]: 'US',
+  [DICOM_TAGS.PHYSICAL_DELTA_X]: 'FD',
+  [DICOM_TAGS.PHYSICAL_DELTA_Y]: 'FD',
+  [DICOM_TAGS.SLICE_THICKNESS]: 'DS',
+  [DICOM_TAGS.SHARED_FUNCTIONAL_GROUPS]: 'SQ',
+  [DICOM_TAGS.PER_FRAME_FUNCTIONAL_GROUPS]: 'SQ',
+  [DICOM_TAGS.FRAME_TIME]: 'DS',
+  [DICOM_TAGS.RECOMMENDED_DISPLAY_FRAME_RATE]: 'IS',
+  [DICOM_TAGS.PATIENT_ID]: 'LO',
+  [DICOM_TAGS.MODALITY]: 'CS',
+  [DICOM_TAGS.NUM_ROWS]: 'US',
+  [DICOM_TAGS.NUM_COLUMNS]: 'US',
+  [DICOM_TAGS.SAMPLES_PER_PIXEL]: 'US',
+  [DICOM_TAGS.PHOTO_INTERP]: 'CS',
+  [DICOM_TAGS.PLANAR_CONFIGURATION]: 'US',
+  [DICOM_TAGS.BITS_ALLOCATED]: 'US',
+  [DICOM_TAGS.BITS_STORED]: 'US',
+  [DICOM_TAGS.HIGH_BIT]: 'US',
+  [DICOM_TAGS.NUM_FRAMES]: 'IS',
+  [DICOM_TAGS.PIXEL_REPRESENTATION]: 'US',
+  [DICOM_TAGS.WINDOW_CENTER]: 'DS',
+  [DICOM_TAGS.WINDOW_WIDTH]: 'DS',
+  [DICOM_TAGS.RESCALE_INTERCEPT]: 'DS',
+  [DICOM_TAGS.RESCALE_SLOPE]: 'DS',
+  [DICOM_TAGS.RESCALE_TYPE]: 'LO',
+  [DICOM_TAGS.WINDOW_EXPLANATION]: 'LO',
+  [DICOM_TAGS.VOI_LUT_FUNCTION]: 'CS',
+  [DICOM_TAGS.RED_PALETTE_DESCRIPTOR]: 'US',
+  [DICOM_TAGS.GREEN_PALETTE_DESCRIPTOR]: 'US',
+  [DICOM_TAGS.BLUE_PALETTE_DESCRIPTOR]: 'US',
+  [DICOM_TAGS.RED_PALETTE_DATA]: 'OW',
+  [DICOM_TAGS.GREEN_PALETTE_DATA]: 'OW',
+  [DICOM_TAGS.BLUE_PALETTE_DATA]: 'OW',
+  [DICOM_TAGS.LUT_DESCRIPTOR]: 'US',
+  [DICOM_TAGS.LUT_EXPLANATION]: 'LO',
+  [DICOM_TAGS.LUT_DATA]: 'OW',
+  [DICOM_TAGS.MODALITY_LUT_SEQUENCE]: 'SQ',
+  [DICOM_TAGS.VOI_LUT_SEQUENCE]: 'SQ',
+};
+
+/** Attributes holding pixel values, which are US for unsigned images and
+ *    SS for signed ones
+ * @constant {string[]} */
+const PIXEL_VALUE_TAGS = [DICOM_TAGS.MIN_PIXEL_VAL, DICOM_TAGS.MAX_PIXEL_VAL];
+
+/** Readers for VRs with binary numeric values, along with their size
+ * @constant {Object.<string, {read: string, size: number}>} */
+const NUMERIC_VRS = {
+  US: {read: 'uint16', size: 2},
+  SS: {read: 'int16', size: 2},
+  UL: {read: 'uint32', size: 4},
+  SL: {read: 'int32', size: 4},
+  FL: {read: 'float', size: 4},
+  FD: {read: 'double', size: 8},
+};
+
+/** VRs with numeric values stored as strings
+ * @constant {string[]} */
+const NUMERIC_STRING_VRS = ['DS', 'IS'];
+
+/** VRs with text values
+ * @constant {string[]} */
+const STRING_VRS = ['AE', 'AS', 'CS', 'DA', 'DT', 'LO', 'LT', 'PN', 'SH',
+  'ST', 'TM', 'UC', 'UI', 'UR', 'UT'];
+
+/**
+ * @typedef {Object} P10File
+ * @property {Object} metaData Attributes of the instance in DICOM JSON format,
+ *    as returned by api.fetchMetadata
+ * @property {string} transferSyntax Transfer syntax UID of the pixel data
+ * @property {ArrayBuffer[]} frames Pixel data of each frame
+ */
+
+/**
+ * Encodes bytes as base64, as used by DICOM JSON InlineBinary
+ * @param {Uint8Array} bytes Bytes to encode
+ * @return {string} Base64 encoded bytes
+ */
+const encodeInlineBinary = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+};
+
+/**
+ * Gets the VR of an attribute in a file without VRs
+ * @param {Object} dataSet Data set parsed by dicom-parser
+ * @param {string} tag Tag of the attribute
+ * @return {string} VR of the attribute, or UN if the viewer doesn't use it
+ */
+const getImplicitVR = (dataSet, tag) => {
+  if (PIXEL_VALUE_TAGS.includes(tag)) {
+    return dataSet.uint16(PIXEL_REPRESENTATION_KEY) == 1 ? 'SS' : 'US';
+  }
+  return IMPLICIT_VRS[tag] || 'UN';
+};
+
+/**
+ * Converts a dicom-parser data set to DICOM JSON (PS3.18 F.2)
+ * @param {Object} dataSet Data set parsed by dicom-parser
+ * @return {Object} DICOM JSON attributes keyed by tag
+ */
+const dataSetToJSON = (dataSet) => {
+  const json = {};
+  for (const key of Object.keys(dataSet.elements)) {
+    const element = dataSet.elements[key];
+    const tag = key.substring(1).toUpperCase();
+    if (tag == PIXEL_DATA_TAG) {
+      continue;
+    }
+
+    const vr = element.items ? 'SQ' :
+        element.vr || getImplicitVR(dataSet, tag);
+    const attribute = {vr};
+    if (vr == 'SQ') {
+      attribute.Value =
+          (element.items || []).map((item) => dataSetToJSON(item.dataSet));
+    } else if (NUMERIC_VRS[vr]) {
+      const {read, size} = NUMERIC_VRS[vr];
+      attribute.Value = [];
+      for (let i = 0; i < element.length / size; i++) {
+        attribute.Value.push(dataSet[read](key, i));
+      }
+    } else if (NUMERIC_STRING_VRS.includes(vr) || STRING_VRS.includes(vr)) {
+      const text = dataSet.string(key);
+      if (text) {
+        attribute.Value = text.split('\\').map((value) => {
+          if (NUMERIC_STRING_VRS.includes(vr)) {
+            return Number(value);
+          }
+          return vr == 'PN' ? {Alphabetic: value} : value;
+        });
+      }
+    } else if (element.length > 0) {
+      // Binary values (OB, OW, UN, etc.)
+      attribute.InlineBinary = encodeInlineBinary(dataSet.byteArray
+          .subarray(element.dataOffset, element.dataOffset + element.length));
+    }
+    json[tag] = attribute;
+  }
+  return json;
+};
+
+/**
+ * Reads the pixel data of one frame
+ * @param {Object} dataSet Data set parsed by dicom-parser
+ * @param {Object} metaData DICOM JSON attributes of the instance
+ * @param {number} frameIndex Index of the frame to read
+ * @param {number} numFrames Number of frames in the instance
+ * @return {ArrayBuffer} Pixel data of the frame
+ */
+const readFrame = (dataSet, metaData, frameIndex, numFrames) => {
+  const pixelDataElement = dataSet.elements[PIXEL_DATA_KEY];
+  let bytes;
+  if (pixelDataElement.encapsulatedPixelData) {
+    if (numFrames == 1) {
+      // A single frame may be split over every fragment
+      bytes = dicomParser.readEncapsulatedPixelDataFromFragments(dataSet,
+          pixelDataElement, 0, pixelDataElement.fragments.length);
+    } else if (pixelDataElement.basicOffsetTable.length > 0) {
+      bytes = dicomParser.readEncapsulatedImageFrame(dataSet,
+          pixelDataElement, frameIndex);
+    } else if (pixelDataElement.fragments.length == numFrames) {
+      bytes = dicomParser.readEncapsulatedPixelDataFromFragments(dataSet,
+          pixelDataElement, frameIndex, 1);
+    } else {
+      // Find where frames start from the JPEG markers in each fragment
+      bytes = dicomParser.readEncapsulatedImageFrame(dataSet,
+          pixelDataElement, frameIndex,
+          dicomParser.createJPEGBasicOffsetTable(dataSet, pixelDataElement));
+    }
+  } else {
+    const getValue = (tag, defaultValue) =>
+      metaData[tag] && metaData[tag].Value ?
+          metaData[tag].Value[0] : defaultValue;
+    const frameBits = getValue(DICOM_TAGS.NUM_ROWS, 0) *
+        getValue(DICOM_TAGS.NUM_COLUMNS, 0) *
+        getValue(DICOM_TAGS.SAMPLES_PER_PIXEL, 1) *
+        getValue(DICOM_TAGS.BITS_ALLOCATED, 16);
+    const frameLength = Math.ceil(frameBits / 8);
+    const offset = pixelDataElement.dataOffset +
+        Math.floor(frameIndex * frameBits / 8);
+    bytes = dataSet.byteArray.subarray(offset, offset + frameLength);
+  }
+
+  // Copy the frame out of the file so it can be transferred on its own
+  return bytes.slice().buffer;
+};
+
+/**
+ * Parses a DICOM P10 file, reading every attribute and the pixel data of
+ *    each frame from the file itself
+ * @param {ArrayBuffer} arrayBuffer DICOM P10 file
+ * @param {boolean=} readFrames Whether to read the pixel data. If false,
+ *    parsing stops at the pixel data and no frames are returned.
+ * @return {P10File} Attributes, transfer syntax and frames of the instance
+ */
+const parseP10 = (arrayBuffer, readFrames = true) => {
+  let dataSet;
+  try {
+    dataSet = dicomParser.parseDicom(new Uint8Array(arrayBuffer),
+        readFrames ? {} : {untilTag: PIXEL_DATA_KEY});
+  } catch (error) {
+    // dicom-parser throws strings rather than errors
+    throw new Error(`Unable to parse DICOM P10 file: ${error}`);
+  }
+
+  const metaData = dataSetToJSON(dataSet);
+  const transferSyntax = metaData[TRANSFER_SYNTAX_TAG] ?
+      metaData[TRANSFER_SYNTAX_TAG].Value[0] : undefined;
+
+  const frames = [];
+  if (readFrames && dataSet.elements[PIXEL_DATA_KEY]) {
+    const numFrames = metaData[DICOM_TAGS.NUM_FRAMES] ?
+        metaData[DICOM_TAGS.NUM_FRAMES].Value[0] : 1;
+    for (let i = 0; i < numFrames; i++) {
+      frames.push(readFrame(dataSet, metaData, i, numFrames));
+    }
+  }
+
+  return {
+    metaData,
+    transferSyntax,
+    frames,
+  };
+};
+
+export default parseP10;
@@ -0,0 +1,172 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module pixelData */
+import {DICOM_TAGS} from './dicomValues.js';
+
+/**
+ * @typedef {Object} PixelModule
+ * @property {number} rows Number of rows
+ * @property {number} columns Number of columns
+ * @property {number} bitsAllocated Bits Allocated (0028,0100)
+ * @property {number} bitsStored Bits Stored (0028,0101)
+ * @property {number} highBit High Bit (0028,0102)
+ * @property {number} pixelRepresentation Pixel Representation (0028,0103)
+ */
+
+/**
+ * Reads the attributes describing the pixel data encoding from metaData,
+ *    using the defaults of the previous Int16Array only implementation
+ *    for any that are missing
+ * @param {Object} metaData MetaData stored by dicomImageLoader.setMetadata
+ * @return {PixelModule} Pixel data encoding of the image
+ */
+const getPixelModule = (metaData) => {
+  const bitsAllocated = metaData[DICOM_TAGS.BITS_ALLOCATED] || 16;
+  const bitsStored = metaData[DICOM_TAGS.BITS_STORED] || bitsAllocated;
+  const highBit = metaData[DICOM_TAGS.HIGH_BIT] !== undefined ?
+      metaData[DICOM_TAGS.HIGH_BIT] : bitsStored - 1;
+  const pixelRepresentation = metaData[DICOM_TAGS.PIXEL_REPRESENTATION] || 0;
+
+  return {
+    rows: metaData[DICOM_TAGS.NUM_ROWS],
+    columns: metaData[DICOM_TAGS.NUM_COLUMNS],
+    bitsAllocated,
+    bitsStored,
+    highBit,
+    pixelRepresentation,
+  };
+};
+
+/**
+ * Gets the typed array constructor used to store pixels of a given encoding
+ * @param {number} bitsAllocated Bits Allocated (0028,0100)
+ * @param {number} pixelRepresentation 0 for unsigned, 1 for signed
+ * @return {Function} Typed array constructor
+ */
+const getTypedArrayConstructor = (bitsAllocated, pixelRepresentation) => {
+  const isSigned = pixelRepresentation == 1;
+  switch (bitsAllocated) {
+    case 1:
+    case 8:
+      return isSigned ? Int8Array : Uint8Array;
+    case 16:
+      return isSigned ? Int16Array : Uint16Array;
+    case 32:
+      return isSigned ? Int32Array : Uint32Array;
+    default:
+      throw new Error(`Unsupported Bits Allocated value: ${bitsAllocated}`);
+  }
+};
+
+/**
+ * Unpacks single bit pixel data (e.g. segmentations) into one byte per pixel
+ * @param {Uint8Array} byteArray Packed pixel data
+ * @param {number} numPixels Number of pixels in the frame
+ * @return {Uint8Array} Unpacked pixel data containing 0 or 1 values
+ */
+const unpackBits = (byteArray, numPixels) => {
+  const unpacked = new Uint8Array(numPixels);
+  for (let i = 0; i < numPixels; i++) {
+    // Pixels are packed starting from the least significant bit
+    unpacked[i] = (byteArray[i >> 3] >> (i & 7)) & 1;
+  }
+  return unpacked;
+};
+
+/**
+ * Converts a frame's raw bytes to a typed array matching its encoding.
+ *    Bits outside of Bits Stored are masked off and signed values are sign
+ *    extended, and frames with an odd number of bytes (or trailing padding)
+ *    are trimmed to the expected number of pixels.
+ * @param {ArrayBuffer} arrayBuffer Raw bytes for a single frame
+ * @param {PixelModule} pixelModule Pixel data encoding of the frame
+ * @param {number=} samplesPerPixel Number of samples in each pixel
+ * @return {Int8Array|Uint8Array|Int16Array|Uint16Array|Int32Array|Uint32Array}
+ *    Pixel data array
+ */
+const getPixelDataArray = (arrayBuffer, pixelModule, samplesPerPixel = 1) => {
+  const {bitsAllocated, bitsStored, highBit, pixelRepresentation} =
+      pixelModule;
+  const numPixels = pixelModule.rows * pixelModule.columns * samplesPerPixel;
+
+  if (bitsAllocated == 1) {
+    return unpackBits(new Uint8Array(arrayBuffer), numPixels);
+  }
+
+  const TypedArray =
+      getTypedArrayConstructor(bitsAllocated, pixelRepresentation);
+  const bytesPerPixel = TypedArray.BYTES_PER_ELEMENT;
+
+  // Only read whole pixels, padding any frame that is shorter than expected
+  let length = Math.floor(arrayBuffer.byteLength / bytesPerPixel);
+  if (numPixels) {
+    if (length < numPixels) {
+      const padded = new Uint8Array(numPixels * bytesPerPixel);
+      padded.set(new Uint8Array(arrayBuffer));
+      arrayBuffer = padded.buffer;
+    }
+    length = numPixels;
+  }
+  const pixelData = new TypedArray(arrayBuffer, 0, length);
+
+  if (bitsStored >= bitsAllocated) {
+    return pixelData;
+  }
+
+  // Read raw values as unsigned so unused high bits do not affect the sign
+  const UnsignedArray = getTypedArrayConstructor(bitsAllocated, 0);
+  const rawData = new UnsignedArray(arrayBuffer, 0, length);
+  const shift = highBit + 1 - bitsStored;
+  const mask = 2 ** bitsStored - 1;
+  const signBit = 2 ** (bitsStored - 1);
+  const isSigned = pixelRepresentation == 1;
+
+  for (let i = 0; i < length; i++) {
+    let value = Math.floor(rawData[i] / 2 ** shift) & mask;
+    if (isSigned && value >= signBit) {
+      value -= 2 ** bitsStored;
+    }
+    pixelData[i] = value;
+  }
+  return pixelData;
+};
+
+/**
+ * Finds the minimum and maximum values in a pixel data array
+ * @param {ArrayLike<number>} pixelData Pixel data array
+ * @return {{min: number, max: number}} Minimum and maximum pixel values
+ */
+const getMinMax = (pixelData) => {
+  let min = pixelData[0];
+  let max = pixelData[0];
+  for (let i = 1; i < pixelData.length; i++) {
+    const value = pixelData[i];
+    if (value < min) {
+      min = value;
+    } else if (value > max) {
+      max = value;
+    }
+  }
+  return {min, max};
+};
+
+export {
+  getPixelModule,
+  getTypedArrayConstructor,
+  getPixelDataArray,
+  getMinMax,
+};
@@ -0,0 +1,123 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module prepareImageFrame */
+import {DICOM_TAGS} from './dicomValues.js';
+import {getModalityLUT, applyModalityLUT, getVOILUT} from './dicomLUT.js';
+import {getPixelModule, getPixelDataArray, getMinMax} from './pixelData.js';
+import {
+  isColorImage,
+  getStoredSamplesPerPixel,
+  convertToRGBA,
+} from './colorConversion.js';
+import decodeImageFrame from './decodeImageFrame.js';
+
+/**
+ * Pixel data and display values for a frame. Only contains data that can
+ *    be structured cloned, so it can be prepared in a Web Worker.
+ * @typedef {Object} PreparedFrame
+ * @property {number} rows Number of rows in the frame
+ * @property {number} columns Number of columns in the frame
+ * @property {boolean} color True if pixelData holds RGBA values
+ * @property {boolean} invert True if the frame is MONOCHROME1
+ * @property {ArrayBufferView} pixelData Stored pixel values (or RGBA values)
+ * @property {number} minPixelValue Smallest stored pixel value
+ * @property {number} maxPixelValue Largest stored pixel value
+ * @property {number} slope Rescale Slope
+ * @property {number} intercept Rescale Intercept
+ * @property {module:dicomLUT~LUT=} modalityLUT Modality LUT
+ * @property {number} windowCenter Default window center
+ * @property {number} windowWidth Default window width
+ * @property {module:dicomLUT~LUT=} voiLUT VOI LUT
+ * @property {module:dicomLUT~VOIWindow[]} windows Windows defined by the
+ *    instance
+ */
+
+/**
+ * Decodes a frame and computes its statistics and lookup tables
+ * @param {ArrayBuffer} arrayBuffer Frame as received from the server
+ * @param {string} transferSyntax Transfer syntax UID of the frame
+ * @param {Object} metaData MetaData stored by dicomImageLoader.setMetadata
+ * @return {Promise<PreparedFrame>} Frame ready to be displayed
+ */
+const prepareImageFrame = async (arrayBuffer, transferSyntax, metaData) => {
+  const decoded =
+      await decodeImageFrame(arrayBuffer, transferSyntax, metaData);
+  const decodedMetaData = decoded.metaData;
+
+  const rows = decodedMetaData[DICOM_TAGS.NUM_ROWS];
+  const columns = decodedMetaData[DICOM_TAGS.NUM_COLUMNS];
+
+  // Convert raw bytes to a typed array matching the pixel encoding
+  const pixelData = getPixelDataArray(decoded.arrayBuffer,
+      getPixelModule(decodedMetaData),
+      getStoredSamplesPerPixel(decodedMetaData));
+
+  if (isColorImage(decodedMetaData)) {
+    // Color images are displayed as RGBA without any LUTs applied
+    return {
+      rows,
+      columns,
+      color: true,
+      invert: false,
+      pixelData: convertToRGBA(pixelData, decodedMetaData),
+      minPixelValue: 0,
+      maxPixelValue: 255,
+      slope: 1.0,
+      intercept: 0,
+      windowCenter: 128,
+      windowWidth: 255,
+      windows: [],
+    };
+  }
+
+  // Calculate min/max pixel values if not provided in dicom file
+  let minPixelValue = decodedMetaData[DICOM_TAGS.MIN_PIXEL_VAL];
+  let maxPixelValue = decodedMetaData[DICOM_TAGS.MAX_PIXEL_VAL];
+  if (minPixelValue === undefined || maxPixelValue === undefined) {
+    const {min, max} = getMinMax(pixelData);
+    minPixelValue = minPixelValue === undefined ? min : minPixelValue;
+    maxPixelValue = maxPixelValue === undefined ? max : maxPixelValue;
+  }
+
+  // Read the modality transform and use it to find the range of
+  // modality pixel values, which the default VOI is based on
+  const modality = getModalityLUT(decodedMetaData);
+  const minModalityValue = Math.min(applyModalityLUT(minPixelValue, modality),
+      applyModalityLUT(maxPixelValue, modality));
+  const maxModalityValue = Math.max(applyModalityLUT(minPixelValue, modality),
+      applyModalityLUT(maxPixelValue, modality));
+  const voi = getVOILUT(decodedMetaData, minModalityValue, maxModalityValue);
+
+  return {
+    rows,
+    columns,
+    color: false,
+    invert: decodedMetaData[DICOM_TAGS.PHOTO_INTERP] == 'MONOCHROME1',
+    pixelData,
+    minPixelValue,
+    maxPixelValue,
+    slope: modality.slope,
+    intercept: modality.intercept,
+    modalityLUT: modality.modalityLUT,
+    windowCenter: voi.windowCenter,
+    windowWidth: voi.windowWidth,
+    voiLUT: voi.voiLUT,
+    windows: voi.windows,
+  };
+};
+
+export default prepareImageFrame;
@@ -0,0 +1,190 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module resourceTiming */
+import {BENCHMARK_PERCENTILES, getPercentile} from './benchmark.js';
+
+/** Matches urls of frame requests: frames (.../frames/{n}), rendered frames
+ *    (.../frames/{n}/rendered) and whole instances (.../instances/{uid})
+ * @constant {RegExp} */
+const FRAME_REQUEST_PATTERN =
+    /\/instances\/[^/?]+(\/frames\/[^/?]+(\/rendered)?)?(\?|$)/;
+
+/** Width of each bar of the TTFB histogram in milliseconds
+ * @constant {number} */
+const TTFB_BUCKET_SIZE = 50;
+
+/**
+ * Timing of one frame request, from its PerformanceResourceTiming entry.
+ *    Times are in milliseconds since the page loaded.
+ * @typedef {Object} RequestTiming
+ * @property {string} url Url of the request
+ * @property {number} startTime When the request was started
+ * @property {number} responseStart When the first byte of the response
+ *    arrived, or 0 if the server doesn't allow it to be read
+ * @property {number} responseEnd When the last byte of the response arrived
+ * @property {?number} ttfb Time from sending the request to the first byte
+ *    of the response, or null if the server doesn't allow it to be read
+ * @property {number} transferSize Bytes transferred, including headers, or
+ *    0 if the server doesn't allow it to be read
+ */
+
+/**
+ * Summary of the frame requests of a run
+ * @typedef {Object} TimingSummary
+ * @property {number} numRequests Number of requests
+ * @property {number} totalBytes Bytes transferred by every request
+ * @property {number} duration Milliseconds from the first request starting
+ *    to the last response ending
+ * @property {number} throughput Megabytes transferred per second
+ * @property {?Object<string, number>} ttfb Percentiles of the TTFB of the
+ *    requests (e.g. p50), or null if no TTFB could be read
+ * @property {number[]} ttfbHistogram Number of requests in each
+ *    TTFB_BUCKET_SIZE wide bucket of TTFB
+ */
+
+/**
+ * Checks if a url is a request for frames of a dicom store
+ * @param {string} url Url of the request
+ * @param {string} storeURL Url of the dicom store
+ * @return {boolean} True if the url requests frames from the store
+ */
+const isFrameRequest = (url, storeURL) =>
+  url.startsWith(storeURL) && FRAME_REQUEST_PATTERN.test(url);
+
+/**
+ * Gets the timing of a request from its resource timing entry
+ * @param {PerformanceResourceTiming} entry Resource timing entry
+ * @return {RequestTiming} Timing of the request
+ */
+const toRequestTiming = (entry) => ({
+  url: entry.name,
+  startTime: entry.startTime,
+  responseStart: entry.responseStart,
+  responseEnd: entry.responseEnd,
+  // Cross-origin servers must send Timing-Allow-Origin for the detailed
+  // timings and sizes to be readable
+  ttfb: entry.requestStart > 0 && entry.responseStart > 0 ?
+      entry.responseStart - entry.requestStart : null,
+  transferSize: entry.transferSize || entry.encodedBodySize || 0,
+});
+
+/**
+ * Summarizes the timings of the frame requests of a run
+ * @param {RequestTiming[]} timings Timing of each request
+ * @return {TimingSummary} Summary of the requests
+ */
+const summarizeTimings = (timings) => {
+  const totalBytes =
+      timings.reduce((sum, timing) => sum + timing.transferSize, 0);
+  const duration = timings.length == 0 ? 0 :
+      Math.max(...timings.map((timing) => timing.responseEnd)) -
+      Math.min(...timings.map((timing) => timing.startTime));
+
+  const ttfbs = timings
+      .map((timing) => timing.ttfb)
+      .filter((ttfb) => ttfb !== null);
+  let ttfb = null;
+  if (ttfbs.length > 0) {
+    ttfb = {};
+    for (const percentile of BENCHMARK_PERCENTILES) {
+      ttfb[`p${percentile}`] = getPercentile(ttfbs, percentile);
+    }
+  }
+  const ttfbHistogram = [];
+  for (const value of ttfbs) {
+    const bucket = Math.floor(value / TTFB_BUCKET_SIZE);
+    while (ttfbHistogram.length <= bucket) {
+      ttfbHistogram.push(0);
+    }
+    ttfbHistogram[bucket]++;
+  }
+
+  return {
+    numRequests: timings.length,
+    totalBytes,
+    duration,
+    throughput: duration > 0 ?
+        totalBytes / (1024 * 1024) / (duration / 1000) : 0,
+    ttfb,
+    ttfbHistogram,
+  };
+};
+
+/**
+ * Class for recording the resource timing of every frame request made
+ *    to a dicom store during a run. Entries are observed as they are
+ *    added, so runs aren't limited by the size of the browser's resource
+ *    timing buffer.
+ */
+class ResourceTimingRecorder {
+  /**
+   * Instantiates a new ResourceTimingRecorder
+   */
+  constructor() {
+    this.storeURL = '';
+    this.timings = [];
+    this.observer = null;
+  }
+
+  /**
+   * Starts recording, discarding the timings of any earlier run. Nothing is
+   *    recorded by browsers without PerformanceObserver.
+   * @param {string} storeURL Url of the dicom store frames are requested from
+   */
+  start(storeURL) {
+    this.stop();
+    this.storeURL = storeURL;
+    this.timings = [];
+    if (typeof PerformanceObserver == 'undefined') {
+      return;
+    }
+    this.observer = new PerformanceObserver((list) =>
+      this.addEntries(list.getEntries()));
+    this.observer.observe({entryTypes: ['resource']});
+  }
+
+  /**
+   * Records the timing of each frame request among resource timing entries
+   * @param {PerformanceResourceTiming[]} entries Resource timing entries
+   */
+  addEntries(entries) {
+    for (const entry of entries) {
+      if (isFrameRequest(entry.name, this.storeURL)) {
+        this.timings.push(toRequestTiming(entry));
+      }
+    }
+  }
+
+  /**
+   * Stops recording, keeping the timings recorded so far
+   */
+  stop() {
+    if (this.observer) {
+      this.addEntries(this.observer.takeRecords());
+      this.observer.disconnect();
+      this.observer = null;
+    }
+  }
+}
+
+export {
+  TTFB_BUCKET_SIZE,
+  isFrameRequest,
+  toRequestTiming,
+  summarizeTimings,
+  ResourceTimingRecorder,
+};
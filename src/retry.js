@@ -0,0 +1,138 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module retry */
+
+/** Default number of times a failed request is retried
+ * @constant {number} */
+const DEFAULT_MAX_RETRIES = 3;
+
+/** Default delay before the first retry in milliseconds
+ * @constant {number} */
+const DEFAULT_BASE_DELAY = 500;
+
+/** Default longest delay between retries in milliseconds
+ * @constant {number} */
+const DEFAULT_MAX_DELAY = 8000;
+
+/**
+ * @typedef {Object} RetryOptions
+ * @property {number=} maxRetries Number of times to retry. The default is
+ *    used if it isn't a finite number.
+ * @property {number=} baseDelay Delay before the first retry in milliseconds,
+ *    which doubles with each retry
+ * @property {number=} maxDelay Longest delay between retries in milliseconds
+ * @property {function(Error, number): undefined=} onRetry Runs with the
+ *    error and the retry number before each retry
+ * @property {AbortSignal=} signal Stops retrying once aborted
+ */
+
+/**
+ * Checks if a request failed in a way that may succeed if it is retried,
+ *    i.e. it was rate limited (429) or the server had an error (5xx)
+ * @param {Error} error Error the request failed with
+ * @return {boolean} True if the request should be retried
+ */
+const isRetryableError = (error) => Boolean(error && error.status &&
+    (error.status == 429 || error.status >= 500));
+
+/**
+ * Gets how long to wait before retrying, using exponential backoff with
+ *    full jitter so clients that failed together don't retry together
+ * @param {number} attempt Number of retries already made
+ * @param {RetryOptions=} options Delays to use
+ * @return {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempt, options = {}) => {
+  const baseDelay = options.baseDelay === undefined ?
+      DEFAULT_BASE_DELAY : options.baseDelay;
+  const maxDelay = options.maxDelay === undefined ?
+      DEFAULT_MAX_DELAY : options.maxDelay;
+  return Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt);
+};
+
+/**
+ * Creates the error operations fail with once they are aborted
+ * @return {DOMException} AbortError
+ */
+const createAbortError = () =>
+  new DOMException('The operation was aborted', 'AbortError');
+
+/**
+ * Waits before retrying, stopping as soon as a signal is aborted
+ * @param {number} delay Time to wait in milliseconds
+ * @param {AbortSignal=} signal Signal to stop waiting with
+ * @return {Promise<undefined>} Resolves after the delay. Rejects with an
+ *    AbortError if the signal is aborted first.
+ */
+const wait = (delay, signal) => new Promise((resolve, reject) => {
+  if (!signal) {
+    setTimeout(resolve, delay);
+    return;
+  }
+  if (signal.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timeoutId);
+    reject(createAbortError());
+  };
+  const timeoutId = setTimeout(() => {
+    signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, delay);
+  signal.addEventListener('abort', onAbort);
+});
+
+/**
+ * Runs an operation, retrying it while it fails with retryable errors
+ * @param {function(): Promise<*>} operation Operation to run
+ * @param {RetryOptions=} options When and how often to retry
+ * @return {Promise<*>} Result of the first successful attempt. Rejects with
+ *    the last error if every attempt fails, or with an AbortError once the
+ *    signal is aborted.
+ */
+const withRetries = async (operation, options = {}) => {
+  // NaN would never run out, retrying forever
+  const maxRetries = Number.isFinite(options.maxRetries) ?
+      options.maxRetries : DEFAULT_MAX_RETRIES;
+  const signal = options.signal;
+  for (let attempt = 0; ; attempt++) {
+    if (signal && signal.aborted) {
+      throw createAbortError();
+    }
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryableError(error) ||
+          (signal && signal.aborted)) {
+        throw error;
+      }
+      if (options.onRetry) {
+        options.onRetry(error, attempt + 1);
+      }
+      await wait(getRetryDelay(attempt, options), signal);
+    }
+  }
+};
+
+export {
+  isRetryableError,
+  getRetryDelay,
+  withRetries,
+  DEFAULT_MAX_RETRIES,
+};
@@ -0,0 +1,255 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module sliceOrder */
+import {DICOM_TAGS} from './dicomValues.js';
+
+/** Attributes slices can be ordered by, from most to least reliable
+ * @enum {string} */
+const ORDERING_METHODS = {
+  POSITION: 'position', // Image Position Patient along the slice normal
+  SLICE_LOCATION: 'sliceLocation', // Slice Location
+  ACQUISITION_TIME: 'acquisitionTime', // Acquisition Time
+  INSTANCE_NUMBER: 'instanceNumber', // Instance Number
+  NONE: 'none', // The order the instances were listed in
+};
+
+/** Problems that can be found with the slices of a series
+ * @enum {string} */
+const SLICE_ISSUES = {
+  MIXED_ORIENTATIONS: 'mixedOrientations',
+  DUPLICATE_POSITIONS: 'duplicatePositions',
+  GAPS: 'gaps',
+};
+
+/** Largest difference between direction cosines that are treated as equal
+ * @constant {number} */
+const ORIENTATION_TOLERANCE = 0.001;
+
+/** Largest distance in mm between slices at the same position
+ * @constant {number} */
+const POSITION_TOLERANCE = 0.01;
+
+/** Spacing, relative to the typical spacing, above which the space
+ *    between two slices is reported as a gap
+ * @constant {number} */
+const GAP_THRESHOLD = 1.5;
+
+/**
+ * @typedef {Object} SliceIssue
+ * @property {string} type One of SLICE_ISSUES
+ * @property {string} message Description of the issue
+ */
+
+/**
+ * @typedef {Object} SliceOrder
+ * @property {Object[]} instances Instances in slice order
+ * @property {number[]} indices Index of each ordered instance in the list
+ *    it was ordered from
+ * @property {string} method One of ORDERING_METHODS, that the instances
+ *    were ordered by
+ * @property {SliceIssue[]} issues Problems found with the slices
+ */
+
+/**
+ * Gets the numeric values of an attribute
+ * @param {Object} instance DICOM JSON metaData of the instance
+ * @param {string} tag Tag of the attribute
+ * @param {number} length Number of values needed
+ * @return {?Array<number>} Values of the attribute, or null if it is missing
+ *    or has too few values
+ */
+const getNumbers = (instance, tag, length) => {
+  const attribute = instance[tag];
+  if (!attribute || !attribute.Value || attribute.Value.length < length) {
+    return null;
+  }
+  const numbers = attribute.Value.slice(0, length).map(Number);
+  return numbers.every(Number.isFinite) ? numbers : null;
+};
+
+/**
+ * Parses a TM value (HHMMSS.FFFFFF, or the older HH:MM:SS)
+ * @param {string} time TM value
+ * @return {?number} Seconds since midnight, or null if it can't be parsed
+ */
+const parseTime = (time) => {
+  const match = String(time).trim().replace(/:/g, '')
+      .match(/^(\d{2})(\d{2})?(\d{2})?(\.\d+)?$/);
+  if (!match) {
+    return null;
+  }
+  return Number(match[1]) * 3600 + Number(match[2] || 0) * 60 +
+      Number(match[3] || 0) + Number(match[4] || 0);
+};
+
+/**
+ * Gets the Acquisition Time of an instance
+ * @param {Object} instance DICOM JSON metaData of the instance
+ * @return {?number} Seconds since midnight, or null if it is missing
+ */
+const getAcquisitionTime = (instance) => {
+  const attribute = instance[DICOM_TAGS.ACQUISITION_TIME];
+  return attribute && attribute.Value ? parseTime(attribute.Value[0]) : null;
+};
+
+/**
+ * Gets the normal of the slice plane from Image Orientation Patient
+ * @param {number[]} orientation Row and column direction cosines
+ * @return {number[]} Normal of the slice plane
+ */
+const getNormal = (orientation) => {
+  const [rx, ry, rz, cx, cy, cz] = orientation;
+  return [ry * cz - rz * cy, rz * cx - rx * cz, rx * cy - ry * cx];
+};
+
+/**
+ * Gets the position of each slice along the normal of the slice plane
+ * @param {Object[]} instances DICOM JSON metaData of each instance
+ * @param {SliceIssue[]} issues Issues found, which mixed orientations are
+ *    added to
+ * @return {?Array<number>} Position of each slice in mm, or null if the slices
+ *    don't share an orientation or any is missing its position
+ */
+const getSlicePositions = (instances, issues) => {
+  const orientations = instances.map((instance) =>
+    getNumbers(instance, DICOM_TAGS.IMAGE_ORIENTATION_PATIENT, 6));
+  const positions = instances.map((instance) =>
+    getNumbers(instance, DICOM_TAGS.IMAGE_POSITION_PATIENT, 3));
+  if (!orientations.every((orientation) => orientation) ||
+      !positions.every((position) => position)) {
+    return null;
+  }
+
+  const isMixed = orientations.some((orientation) =>
+    orientation.some((value, i) =>
+      Math.abs(value - orientations[0][i]) > ORIENTATION_TOLERANCE));
+  if (isMixed) {
+    issues.push({
+      type: SLICE_ISSUES.MIXED_ORIENTATIONS,
+      message: 'Slices have different orientations, so they can\'t be ' +
+          'ordered by position',
+    });
+    return null;
+  }
+
+  const normal = getNormal(orientations[0]);
+  return positions.map((position) =>
+    position.reduce((sum, value, i) => sum + value * normal[i], 0));
+};
+
+/**
+ * Finds slices at the same position and unusually large spaces between
+ *    slices
+ * @param {number[]} positions Position of each slice in mm, in order
+ * @return {SliceIssue[]} Issues found
+ */
+const findSpacingIssues = (positions) => {
+  const issues = [];
+  const spacings = [];
+  let numDuplicates = 0;
+  for (let i = 1; i < positions.length; i++) {
+    const spacing = positions[i] - positions[i - 1];
+    if (spacing <= POSITION_TOLERANCE) {
+      numDuplicates++;
+    } else {
+      spacings.push({spacing, position: positions[i - 1]});
+    }
+  }
+  if (numDuplicates > 0) {
+    issues.push({
+      type: SLICE_ISSUES.DUPLICATE_POSITIONS,
+      message: 'Slices at the same position as another slice: ' +
+          numDuplicates,
+    });
+  }
+
+  // Compare each spacing to the median, which a few gaps can't skew
+  if (spacings.length > 1) {
+    const sorted = spacings.map(({spacing}) => spacing).sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    const gaps = spacings.filter(({spacing}) =>
+      spacing > median * GAP_THRESHOLD);
+    if (gaps.length > 0) {
+      issues.push({
+        type: SLICE_ISSUES.GAPS,
+        message: `Gaps in slice spacing: ${gaps.length}, where slices are ` +
+            `usually ${median.toFixed(2)}mm apart (e.g. ` +
+            `${gaps[0].spacing.toFixed(2)}mm after ` +
+            `${gaps[0].position.toFixed(2)}mm)`,
+      });
+    }
+  }
+  return issues;
+};
+
+/**
+ * Orders the instances of a series by their position along the slice
+ *    normal, falling back to Slice Location, Acquisition Time and then
+ *    Instance Number when an attribute is missing from any instance
+ * @param {Object[]} instances DICOM JSON metaData of each instance
+ * @return {SliceOrder} Ordered instances and any problems found
+ */
+const orderSlices = (instances) => {
+  const issues = [];
+  let method = ORDERING_METHODS.NONE;
+  let keys = null;
+
+  // Use the first method every instance has the attributes for
+  const sliceLocations = instances.map((instance) =>
+    getNumbers(instance, DICOM_TAGS.SLICE_LOCATION, 1));
+  const acquisitionTimes = instances.map(getAcquisitionTime);
+  const instanceNumbers = instances.map((instance) =>
+    getNumbers(instance, DICOM_TAGS.INSTANCE_NUMBER, 1));
+  const hasAll = (values) => values.every((value) => value !== null);
+  if (instances.length > 0) {
+    keys = getSlicePositions(instances, issues);
+    if (keys) {
+      method = ORDERING_METHODS.POSITION;
+    } else if (hasAll(sliceLocations)) {
+      method = ORDERING_METHODS.SLICE_LOCATION;
+      keys = sliceLocations.map(([location]) => location);
+    } else if (hasAll(acquisitionTimes)) {
+      method = ORDERING_METHODS.ACQUISITION_TIME;
+      keys = acquisitionTimes;
+    } else if (hasAll(instanceNumbers)) {
+      method = ORDERING_METHODS.INSTANCE_NUMBER;
+      keys = instanceNumbers.map(([number]) => number);
+    }
+  }
+
+  // Slices with the same key keep the order they were listed in
+  const slices = instances.map((instance, index) => ({
+    instance,
+    index,
+    key: keys ? keys[index] : index,
+  }));
+  slices.sort((a, b) => a.key - b.key || a.index - b.index);
+
+  if (method == ORDERING_METHODS.POSITION ||
+      method == ORDERING_METHODS.SLICE_LOCATION) {
+    issues.push(...findSpacingIssues(slices.map((slice) => slice.key)));
+  }
+
+  return {
+    instances: slices.map((slice) => slice.instance),
+    indices: slices.map((slice) => slice.index),
+    method,
+    issues,
+  };
+};
+
+export {ORDERING_METHODS, SLICE_ISSUES, orderSlices, parseTime};
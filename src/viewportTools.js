@@ -0,0 +1,208 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module viewportTools */
+import * as cornerstone from 'cornerstone-core';
+import * as cornerstoneTools from 'cornerstone-tools';
+import * as cornerstoneMath from 'cornerstone-math';
+import Hammer from 'hammerjs';
+import {MEASUREMENT_TOOLS} from './measurements.js';
+
+/** Tools that can be bound to the left mouse button and one finger drags
+ * @enum {string} */
+const PRIMARY_TOOLS = {
+  WINDOW_LEVEL: 'Wwwc',
+  PAN: 'Pan',
+  ZOOM: 'Zoom',
+  STACK_SCROLL: 'StackScroll',
+  ...MEASUREMENT_TOOLS,
+};
+
+/** Mouse buttons as cornerstone-tools masks them
+ * @enum {number} */
+const MOUSE_BUTTONS = {
+  LEFT: 1,
+  RIGHT: 2,
+  MIDDLE: 4,
+};
+
+/** Whether cornerstone-tools has been initialized */
+let isInitialized = false;
+
+/**
+ * Initializes cornerstone-tools with the libraries it depends on, once
+ */
+const initTools = () => {
+  if (isInitialized) {
+    return;
+  }
+  cornerstoneTools.external.cornerstone = cornerstone;
+  cornerstoneTools.external.cornerstoneMath = cornerstoneMath;
+  cornerstoneTools.external.Hammer = Hammer;
+  cornerstoneTools.init();
+  isInitialized = true;
+};
+
+/**
+ * Binds a tool to the left mouse button and one finger drags, in place of
+ *    the tool bound before
+ * @param {HTMLElement} element Element enabled for cornerstone
+ * @param {string} toolName One of PRIMARY_TOOLS
+ */
+const setPrimaryTool = (element, toolName) => {
+  cornerstoneTools.setToolActiveForElement(element, toolName, {
+    mouseButtonMask: MOUSE_BUTTONS.LEFT,
+    isMouseActive: true,
+    isTouchActive: true,
+  });
+};
+
+/**
+ * Enables an element for cornerstone with interactive tools. The middle
+ *    mouse button pans, the right button zooms and the wheel scrolls
+ *    through the stack, while two fingers pan and pinch to zoom. Window/level
+ *    is the primary tool until another is chosen with setPrimaryTool.
+ *    Measurements stay visible and editable while other tools are used.
+ * @param {HTMLElement} element Element to display images in
+ */
+const enableViewportTools = (element) => {
+  // Tools only track elements enabled after they are initialized
+  initTools();
+  cornerstone.enable(element);
+  [
+    cornerstoneTools.WwwcTool,
+    cornerstoneTools.PanTool,
+    cornerstoneTools.ZoomTool,
+    cornerstoneTools.StackScrollTool,
+    cornerstoneTools.StackScrollMouseWheelTool,
+    cornerstoneTools.PanMultiTouchTool,
+    cornerstoneTools.ZoomTouchPinchTool,
+    cornerstoneTools.LengthTool,
+    cornerstoneTools.AngleTool,
+    cornerstoneTools.EllipticalRoiTool,
+    cornerstoneTools.RectangleRoiTool,
+  ].forEach((Tool) => cornerstoneTools.addToolForElement(element, Tool));
+
+  cornerstoneTools.setToolActiveForElement(element, 'Pan',
+      {mouseButtonMask: MOUSE_BUTTONS.MIDDLE});
+  cornerstoneTools.setToolActiveForElement(element, 'Zoom',
+      {mouseButtonMask: MOUSE_BUTTONS.RIGHT});
+  cornerstoneTools.setToolActiveForElement(element, 'StackScrollMouseWheel',
+      {});
+  cornerstoneTools.setToolActiveForElement(element, 'PanMultiTouch', {});
+  cornerstoneTools.setToolActiveForElement(element, 'ZoomTouchPinch', {});
+  Object.values(MEASUREMENT_TOOLS).forEach((toolName) =>
+    cornerstoneTools.setToolPassiveForElement(element, toolName));
+  setPrimaryTool(element, PRIMARY_TOOLS.WINDOW_LEVEL);
+  cornerstoneTools.addStackStateManager(element, ['stack']);
+};
+
+/**
+ * Gets the stack of an element, which stack scroll tools move through
+ * @param {HTMLElement} element Element enabled for cornerstone
+ * @return {?Object} Stack with imageIds and currentImageIdIndex, or null
+ *    if the element has no stack
+ */
+const getStack = (element) => {
+  const toolState = cornerstoneTools.getToolState(element, 'stack');
+  return toolState && toolState.data.length > 0 ? toolState.data[0] : null;
+};
+
+/**
+ * Replaces the stack of images an element can be scrolled through
+ * @param {HTMLElement} element Element enabled for cornerstone
+ * @param {string[]} imageIds ImageIds of the stack, in order
+ */
+const setStack = (element, imageIds) => {
+  cornerstoneTools.clearToolState(element, 'stack');
+  cornerstoneTools.addToolState(element, 'stack', {
+    currentImageIdIndex: 0,
+    imageIds,
+  });
+};
+
+/**
+ * Moves the current position in the stack, e.g. when a frame is displayed
+ *    by playback rather than by scrolling
+ * @param {HTMLElement} element Element enabled for cornerstone
+ * @param {number} index Index of the displayed image in the stack
+ */
+const setStackIndex = (element, index) => {
+  const stack = getStack(element);
+  if (stack) {
+    stack.currentImageIdIndex = index;
+  }
+};
+
+/**
+ * Resets the window/level, pan and zoom of the displayed image
+ * @param {HTMLElement} element Element enabled for cornerstone
+ */
+const resetViewport = (element) => {
+  if (cornerstone.getEnabledElement(element).image) {
+    cornerstone.reset(element);
+  }
+};
+
+/**
+ * Sets the window of the displayed image, which is kept as frames change.
+ *    Like the window/level tool, this replaces any VOI LUT the image
+ *    defines.
+ * @param {HTMLElement} element Element enabled for cornerstone
+ * @param {number} windowCenter Window center in modality values
+ * @param {number} windowWidth Window width in modality values
+ */
+const setWindow = (element, windowCenter, windowWidth) => {
+  if (!cornerstone.getEnabledElement(element).image) {
+    return;
+  }
+  const viewport = cornerstone.getViewport(element);
+  viewport.voi = {windowCenter, windowWidth};
+  viewport.voiLUT = undefined;
+  cornerstone.setViewport(element, viewport);
+};
+
+/**
+ * Gets the measurements made with the measurement tools, which are kept
+ *    for each imageId rather than each element
+ * @return {Object} Tool state keyed by imageId, then by tool name
+ */
+const getMeasurementToolState = () =>
+  cornerstoneTools.globalImageIdSpecificToolStateManager.saveToolState();
+
+/**
+ * Removes every measurement, and redraws the displayed image without them
+ * @param {HTMLElement} element Element enabled for cornerstone
+ */
+const clearMeasurements = (element) => {
+  cornerstoneTools.globalImageIdSpecificToolStateManager.restoreToolState({});
+  if (cornerstone.getEnabledElement(element).image) {
+    cornerstone.updateImage(element);
+  }
+};
+
+export {
+  PRIMARY_TOOLS,
+  enableViewportTools,
+  setPrimaryTool,
+  getStack,
+  setStack,
+  setStackIndex,
+  resetViewport,
+  setWindow,
+  getMeasurementToolState,
+  clearMeasurements,
+};
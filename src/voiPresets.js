@@ -0,0 +1,164 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/** @module voiPresets */
+
+/**
+ * @typedef {Object} VOIPreset
+ * @property {string} name Name shown to users
+ * @property {number} windowCenter Window center in modality values
+ * @property {number} windowWidth Window width in modality values
+ * @property {string[]} modalities Modalities the preset is offered for,
+ *    or every modality if empty
+ */
+
+/** Windows commonly used to read CT, in Hounsfield units
+ * @constant {VOIPreset[]} */
+const DEFAULT_PRESETS = [
+  {name: 'Lung', windowCenter: -600, windowWidth: 1500, modalities: ['CT']},
+  {name: 'Mediastinum', windowCenter: 50, windowWidth: 350,
+    modalities: ['CT']},
+  {name: 'Bone', windowCenter: 400, windowWidth: 1800, modalities: ['CT']},
+  {name: 'Brain', windowCenter: 40, windowWidth: 80, modalities: ['CT']},
+  {name: 'Abdomen', windowCenter: 50, windowWidth: 400, modalities: ['CT']},
+  {name: 'Liver', windowCenter: 30, windowWidth: 150, modalities: ['CT']},
+];
+
+/** Number of presets that can be chosen with the number keys 1-9
+ * @constant {number} */
+const NUM_SHORTCUTS = 9;
+
+/** Key custom presets are kept under in localStorage
+ * @constant {string} */
+const STORAGE_KEY = 'voiPresets';
+
+/**
+ * Checks a preset from outside the app and normalizes its modalities
+ * @param {*} preset Preset to check
+ * @param {number} index Position of the preset in its list
+ * @return {VOIPreset} The preset
+ * @throws {Error} If the preset is missing a name or valid window
+ */
+const validatePreset = (preset, index) => {
+  const label = `Preset ${index + 1}`;
+  if (!preset || typeof preset != 'object') {
+    throw new Error(`${label} is not an object`);
+  }
+  const {name, windowCenter, windowWidth, modalities = []} = preset;
+  if (typeof name != 'string' || name.trim() == '') {
+    throw new Error(`${label} has no name`);
+  }
+  if (!Number.isFinite(windowCenter)) {
+    throw new Error(`${label} (${name}) has no window center`);
+  }
+  if (!Number.isFinite(windowWidth) || windowWidth < 1) {
+    throw new Error(`${label} (${name}) needs a window width of at least 1`);
+  }
+  if (!Array.isArray(modalities) ||
+      modalities.some((modality) => typeof modality != 'string')) {
+    throw new Error(`${label} (${name}) has invalid modalities`);
+  }
+  return {
+    name: name.trim(),
+    windowCenter,
+    windowWidth,
+    modalities: modalities.map((modality) => modality.trim().toUpperCase())
+        .filter((modality) => modality),
+  };
+};
+
+/**
+ * Parses presets exported with getPresetsJSON
+ * @param {string} text JSON array of presets
+ * @return {VOIPreset[]} The presets
+ * @throws {Error} If the text isn't a JSON array of valid presets
+ */
+const parsePresetsJSON = (text) => {
+  const presets = JSON.parse(text);
+  if (!Array.isArray(presets)) {
+    throw new Error('Presets must be a JSON array');
+  }
+  return presets.map(validatePreset);
+};
+
+/**
+ * Formats presets to be exported or stored
+ * @param {VOIPreset[]} presets Presets to format
+ * @return {string} JSON array of the presets
+ */
+const getPresetsJSON = (presets) => JSON.stringify(presets, null, 2);
+
+/**
+ * Loads the custom presets kept in localStorage. Presets that can't be
+ *    read are ignored, so the built in presets are still offered.
+ * @return {VOIPreset[]} Custom presets, or none if none were saved
+ */
+const loadCustomPresets = () => {
+  try {
+    const text = localStorage.getItem(STORAGE_KEY);
+    return text ? parsePresetsJSON(text) : [];
+  } catch (error) {
+    console.error(error);
+    return [];
+  }
+};
+
+/**
+ * Keeps custom presets in localStorage, replacing those saved before
+ * @param {VOIPreset[]} presets Custom presets
+ * @throws {Error} If localStorage is full or disabled
+ */
+const saveCustomPresets = (presets) => {
+  localStorage.setItem(STORAGE_KEY, getPresetsJSON(presets));
+};
+
+/**
+ * Gets the presets offered for a series, built in presets first
+ * @param {VOIPreset[]} customPresets Presets defined by the user
+ * @param {?string} modality Modality of the series, if known
+ * @return {VOIPreset[]} Presets for the modality. Without a modality, only
+ *    presets for every modality are offered.
+ */
+const getPresetsForModality = (customPresets, modality) =>
+  [...DEFAULT_PRESETS, ...customPresets].filter(({modalities}) =>
+    modalities.length == 0 || modalities.includes(modality));
+
+/**
+ * Gets the preset chosen by a number key
+ * @param {VOIPreset[]} presets Presets offered, as getPresetsForModality
+ *    orders them
+ * @param {string} key Key pressed, as KeyboardEvent.key gives it
+ * @return {?VOIPreset} The preset, or null if the key isn't a shortcut
+ */
+const getPresetForKey = (presets, key) => {
+  if (!/^[1-9]$/.test(key)) {
+    return null;
+  }
+  return presets[Number(key) - 1] || null;
+};
+
+export {
+  DEFAULT_PRESETS,
+  NUM_SHORTCUTS,
+  parsePresetsJSON,
+  getPresetsJSON,
+  loadCustomPresets,
+  saveCustomPresets,
+  getPresetsForModality,
+  getPresetForKey,
+  validatePreset,
+};
@@ -0,0 +1,218 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module workerPool */
+import ImageWorker from './imageWorker.worker.js';
+import {runTask} from './workerTasks.js';
+
+/** Default number of workers, leaving one core free for rendering
+ * @constant {number} */
+const DEFAULT_NUM_WORKERS = Math.max(1,
+    Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+
+/**
+ * @typedef {Object} WorkerJob
+ * @property {number} id Unique id used to match the worker's response
+ * @property {string} task Name of the task in workerTasks
+ * @property {Array} args Arguments for the task
+ * @property {ArrayBuffer[]} transfer ArrayBuffers to transfer to the worker
+ * @property {function(*): undefined} resolve Resolves the job's promise
+ * @property {function(Error): undefined} reject Rejects the job's promise
+ */
+
+/**
+ * Checks a number of workers, rounding it down to a whole number
+ * @param {number} numWorkers Number of workers
+ * @return {number} Non-negative whole number of workers
+ * @throws {Error} If the number isn't finite, which would otherwise leave
+ *    the pool without a limit
+ */
+const validateNumWorkers = (numWorkers) => {
+  if (typeof numWorkers != 'number' || !Number.isFinite(numWorkers)) {
+    throw new Error(`Invalid number of workers: ${numWorkers}`);
+  }
+  return Math.max(0, Math.floor(numWorkers));
+};
+
+/**
+ * Class for running decoding tasks on a pool of Web Workers
+ */
+class WorkerPool {
+  /**
+   * Instantiates a new WorkerPool. Workers are only created once tasks
+   *    are run.
+   * @param {function(): Worker} createWorker Creates a new worker
+   * @param {number=} numWorkers Maximum number of workers (0 runs tasks
+   *    on the main thread)
+   */
+  constructor(createWorker, numWorkers = DEFAULT_NUM_WORKERS) {
+    this.createWorker = createWorker;
+    this.numWorkers = validateNumWorkers(numWorkers);
+
+    // Set defaults
+    this.workers = [];
+    this.jobQueue = [];
+    this.nextJobId = 0;
+  }
+
+  /**
+   * Changes the maximum number of workers. Busy workers above the new
+   *    limit are terminated once they finish their current task.
+   * @param {number} numWorkers Maximum number of workers (0 runs tasks
+   *    on the main thread)
+   * @throws {Error} If the number of workers isn't finite
+   */
+  setNumWorkers(numWorkers) {
+    this.numWorkers = validateNumWorkers(numWorkers);
+    this.removeExtraWorkers();
+    this.checkJobQueue();
+  }
+
+  /**
+   * Runs a task on the next available worker
+   * @param {string} task Name of the task in workerTasks
+   * @param {Array} args Arguments for the task
+   * @param {ArrayBuffer[]=} transfer ArrayBuffers in args to transfer to the
+   *    worker without copying. They can't be used after calling run.
+   * @return {Promise<*>} Result of the task
+   */
+  run(task, args, transfer = []) {
+    return new Promise((resolve, reject) => {
+      this.jobQueue.push({
+        id: this.nextJobId++,
+        task,
+        args,
+        transfer,
+        resolve,
+        reject,
+      });
+      this.checkJobQueue();
+    });
+  }
+
+  /**
+   * Sends queued jobs to idle workers, creating workers up to the limit
+   */
+  checkJobQueue() {
+    while (this.jobQueue.length > 0) {
+      const job = this.jobQueue.shift();
+
+      if (this.numWorkers < 1) {
+        // Workers are disabled, so run the task on the main thread
+        runTask(job.task, job.args)
+            .then(({result}) => job.resolve(result), job.reject);
+        continue;
+      }
+
+      let entry = this.workers.find((entry) => !entry.job);
+      if (!entry) {
+        if (this.workers.length >= this.numWorkers) {
+          // All workers are busy, so wait for one to finish
+          this.jobQueue.unshift(job);
+          return;
+        }
+        entry = this.addWorker();
+      }
+
+      entry.job = job;
+      entry.worker.postMessage({
+        id: job.id,
+        task: job.task,
+        args: job.args,
+      }, job.transfer);
+    }
+  }
+
+  /**
+   * Creates a new worker and adds it to the pool
+   * @return {{worker: Worker, job: ?WorkerJob}} Pool entry for the worker
+   */
+  addWorker() {
+    const entry = {worker: this.createWorker(), job: null};
+    entry.worker.onmessage = ({data}) => {
+      const job = this.finishJob(entry);
+      if (data.error !== undefined) {
+        job.reject(new Error(data.error));
+      } else {
+        job.resolve(data.result);
+      }
+    };
+    entry.worker.onerror = (event) => {
+      // The worker itself failed (e.g. the script didn't load), so replace
+      // it. A worker can fail again after it has been removed.
+      entry.worker.terminate();
+      const index = this.workers.indexOf(entry);
+      if (index >= 0) {
+        this.workers.splice(index, 1);
+      }
+      if (entry.job) {
+        this.finishJob(entry).reject(new Error(event.message));
+      }
+    };
+    this.workers.push(entry);
+    return entry;
+  }
+
+  /**
+   * Marks a worker's current job as finished and checks for more work
+   * @param {{worker: Worker, job: ?WorkerJob}} entry Pool entry for the
+   *    worker
+   * @return {WorkerJob} The job that finished
+   */
+  finishJob(entry) {
+    const job = entry.job;
+    entry.job = null;
+    this.removeExtraWorkers();
+    this.checkJobQueue();
+    return job;
+  }
+
+  /**
+   * Terminates idle workers above the worker limit
+   */
+  removeExtraWorkers() {
+    while (this.workers.length > this.numWorkers) {
+      const idleEntry = this.workers.find((entry) => !entry.job);
+      if (!idleEntry) {
+        return;
+      }
+      idleEntry.worker.terminate();
+      this.workers.splice(this.workers.indexOf(idleEntry), 1);
+    }
+  }
+
+  /**
+   * Terminates every worker and rejects any unfinished jobs
+   */
+  terminate() {
+    const error = new Error('Worker pool was terminated');
+    this.jobQueue.forEach((job) => job.reject(error));
+    this.jobQueue = [];
+    this.workers.forEach((entry) => {
+      entry.worker.terminate();
+      if (entry.job) {
+        entry.job.reject(error);
+      }
+    });
+    this.workers = [];
+  }
+}
+
+/** Worker pool shared by the image loader
+ * @type {WorkerPool} */
+const imageWorkerPool = new WorkerPool(() => new ImageWorker());
+
+export {WorkerPool, imageWorkerPool, DEFAULT_NUM_WORKERS};
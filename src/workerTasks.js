@@ -0,0 +1,69 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module workerTasks */
+import parseMultipart from './parseMultipart.js';
+import parseP10 from './parseP10.js';
+import prepareImageFrame from './prepareImageFrame.js';
+
+/** Functions that can be run by the worker pool, keyed by task name
+ * @type {Object.<string, function(...*): *>} */
+const workerTasks = {
+  parseMultipart,
+  parseP10,
+  prepareImageFrame,
+};
+
+/**
+ * Finds the ArrayBuffers in a task result that can be transferred back
+ *    to the main thread instead of being copied
+ * @param {*} result Task result
+ * @return {ArrayBuffer[]} ArrayBuffers found in the result
+ */
+const getTransferables = (result) => {
+  const transferables = new Set();
+  const addTransferables = (value) => {
+    if (value instanceof ArrayBuffer) {
+      transferables.add(value);
+    } else if (ArrayBuffer.isView(value)) {
+      transferables.add(value.buffer);
+    } else if (value && typeof value == 'object') {
+      Object.values(value).forEach(addTransferables);
+    }
+  };
+  addTransferables(result);
+  return Array.from(transferables);
+};
+
+/**
+ * Runs a task and prepares its result to be posted to another thread
+ * @param {string} task Name of the task to run
+ * @param {Array} args Arguments for the task
+ * @return {Promise<{result: *, transfer: ArrayBuffer[]}>} Task result and
+ *    the ArrayBuffers to transfer with it
+ */
+const runTask = async (task, args) => {
+  if (!workerTasks.hasOwnProperty(task)) {
+    throw new Error(`Unknown worker task: ${task}`);
+  }
+  const result = await workerTasks[task](...args);
+  return {
+    result,
+    transfer: getTransferables(result),
+  };
+};
+
+export {runTask, getTransferables};
@@ -0,0 +1,207 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/** @module writeP10 */
+import {DICOM_TAGS, TRANSFER_SYNTAXES} from './dicomValues.js';
+
+/** UID identifying this application as the writer of DICOM P10 files
+ * @constant {string} */
+const IMPLEMENTATION_CLASS_UID = '2.25.211398375924958146245693208376284375871';
+
+/** VRs with a 4 byte length in Explicit VR Little Endian (PS3.5 7.1.2)
+ * @constant {string[]} */
+const LONG_VRS = ['OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'SQ', 'SV', 'UC', 'UN',
+  'UR', 'UT', 'UV'];
+
+/** Writers for VRs with binary numeric values, along with their size
+ * @constant {Object.<string, {write: string, size: number}>} */
+const NUMERIC_VRS = {
+  US: {write: 'setUint16', size: 2},
+  SS: {write: 'setInt16', size: 2},
+  UL: {write: 'setUint32', size: 4},
+  SL: {write: 'setInt32', size: 4},
+  FL: {write: 'setFloat32', size: 4},
+  FD: {write: 'setFloat64', size: 8},
+};
+
+/** Longest Decimal String value in characters
+ * @constant {number} */
+const MAX_DS_LENGTH = 16;
+
+/**
+ * Concatenates byte arrays
+ * @param {Uint8Array[]} arrays Arrays to concatenate
+ * @return {Uint8Array} Concatenated bytes
+ */
+const concat = (arrays) => {
+  const length = arrays.reduce((total, array) => total + array.length, 0);
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  for (const array of arrays) {
+    bytes.set(array, offset);
+    offset += array.length;
+  }
+  return bytes;
+};
+
+/**
+ * Pads a value to an even length, as every DICOM value must be
+ * @param {Uint8Array} bytes Value bytes
+ * @param {number} padding Byte to pad with
+ * @return {Uint8Array} Value of even length
+ */
+const padToEven = (bytes, padding) =>
+  bytes.length % 2 ? concat([bytes, new Uint8Array([padding])]) : bytes;
+
+/**
+ * Formats a number as a Decimal String, which is at most 16 characters
+ * @param {number} value Number to format
+ * @return {string} The number, rounded to fit if needed
+ */
+const formatDecimal = (value) => {
+  let text = String(value);
+  for (let precision = MAX_DS_LENGTH; text.length > MAX_DS_LENGTH &&
+      precision > 0; precision--) {
+    text = String(Number(Number(value).toPrecision(precision)));
+  }
+  return text;
+};
+
+/**
+ * Encodes the value of a DICOM JSON attribute other than a sequence
+ * @param {Object} attribute DICOM JSON attribute
+ * @return {Uint8Array} Value bytes, padded to an even length
+ */
+const encodeValue = (attribute) => {
+  const {vr} = attribute;
+  const values = attribute.Value || [];
+  if (NUMERIC_VRS[vr]) {
+    const {write, size} = NUMERIC_VRS[vr];
+    const bytes = new Uint8Array(values.length * size);
+    const view = new DataView(bytes.buffer);
+    values.forEach((value, i) => view[write](i * size, value, true));
+    return bytes;
+  }
+  if (attribute.InlineBinary) {
+    const binary = atob(attribute.InlineBinary);
+    return padToEven(Uint8Array.from(binary, (char) => char.charCodeAt(0)),
+        0);
+  }
+
+  const text = values.map((value) => {
+    if (vr == 'PN') {
+      return value && value.Alphabetic || '';
+    }
+    return vr == 'DS' ? formatDecimal(value) : String(value);
+  }).join('\\');
+  return padToEven(new TextEncoder().encode(text),
+      vr == 'UI' ? 0 : ' '.charCodeAt(0));
+};
+
+/**
+ * Encodes the tag, VR and length of a data element in Explicit VR Little
+ *    Endian
+ * @param {string} tag Tag of the element (e.g. 00100010)
+ * @param {string} vr Value Representation
+ * @param {number} length Length of the value in bytes
+ * @return {Uint8Array} Encoded header
+ */
+const encodeHeader = (tag, vr, length) => {
+  const isLong = LONG_VRS.includes(vr);
+  const bytes = new Uint8Array(isLong ? 12 : 8);
+  const view = new DataView(bytes.buffer);
+  view.setUint16(0, parseInt(tag.substring(0, 4), 16), true);
+  view.setUint16(2, parseInt(tag.substring(4), 16), true);
+  bytes[4] = vr.charCodeAt(0);
+  bytes[5] = vr.charCodeAt(1);
+  if (isLong) {
+    view.setUint32(8, length, true);
+  } else {
+    view.setUint16(6, length, true);
+  }
+  return bytes;
+};
+
+/**
+ * Encodes an item of a sequence, which has a tag and length but no VR
+ * @param {Uint8Array} dataSet Encoded data set of the item
+ * @return {Uint8Array} Encoded item
+ */
+const encodeItem = (dataSet) => {
+  const bytes = new Uint8Array(8 + dataSet.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint16(0, 0xFFFE, true);
+  view.setUint16(2, 0xE000, true);
+  view.setUint32(4, dataSet.length, true);
+  bytes.set(dataSet, 8);
+  return bytes;
+};
+
+/**
+ * Encodes DICOM JSON attributes as a data set in Explicit VR Little Endian.
+ *    Sequences and items are encoded from the innermost out, so each is
+ *    given its length rather than ending with a delimiter.
+ * @param {Object} json DICOM JSON attributes keyed by tag
+ * @return {Uint8Array} Encoded data set
+ */
+const encodeDataSet = (json) => concat(Object.keys(json).sort()
+    .map((tag) => {
+      const attribute = json[tag];
+      const value = attribute.vr == 'SQ' ?
+          concat((attribute.Value || []).map((item) =>
+            encodeItem(encodeDataSet(item)))) :
+          encodeValue(attribute);
+      return concat([encodeHeader(tag, attribute.vr, value.length), value]);
+    }));
+
+/**
+ * Writes a DICOM P10 file in Explicit VR Little Endian, e.g. to store
+ *    an instance created in the viewer
+ * @param {Object} metaData Attributes of the instance in DICOM JSON format,
+ *    including its SOP Class and Instance UIDs
+ * @return {ArrayBuffer} DICOM P10 file
+ */
+const writeP10 = (metaData) => {
+  // Any file meta information in the attributes is replaced
+  const dataSet = {};
+  for (const tag of Object.keys(metaData)) {
+    if (!tag.startsWith('0002')) {
+      dataSet[tag] = metaData[tag];
+    }
+  }
+
+  const fileMetaInformation = encodeDataSet({
+    '00020001': {vr: 'OB', InlineBinary: btoa('\x00\x01')},
+    '00020002': {vr: 'UI', Value: metaData[DICOM_TAGS.SOP_CLASS_UID].Value},
+    '00020003': {vr: 'UI', Value: metaData[DICOM_TAGS.INSTANCE_UID].Value},
+    '00020010': {
+      vr: 'UI',
+      Value: [TRANSFER_SYNTAXES.EXPLICIT_VR_LITTLE_ENDIAN],
+    },
+    '00020012': {vr: 'UI', Value: [IMPLEMENTATION_CLASS_UID]},
+  });
+  return concat([
+    new Uint8Array(128),
+    new TextEncoder().encode('DICM'),
+    encodeDataSet({
+      '00020000': {vr: 'UL', Value: [fileMetaInformation.length]},
+    }),
+    fileMetaInformation,
+    encodeDataSet(dataSet),
+  ]).buffer;
+};
+
+export default writeP10;
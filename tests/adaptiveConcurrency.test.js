@@ -0,0 +1,104 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  AdaptiveConcurrency,
+  DEFAULT_MAX_CONCURRENCY,
+} from '../src/adaptiveConcurrency.js';
+
+/**
+ * Helper function to finish a window of requests, each loading one frame
+ * @param {AdaptiveConcurrency} adaptiveConcurrency Concurrency being tuned
+ * @param {number} latency Latency of every request in milliseconds
+ */
+const finishWindow = (adaptiveConcurrency, latency) => {
+  const numRequests = adaptiveConcurrency.concurrency;
+  for (let i = 0; i < numRequests; i++) {
+    adaptiveConcurrency.recordRequest(latency, 1);
+  }
+};
+
+test('Concurrency increases by one after each window of requests', () => {
+  const adaptiveConcurrency = new AdaptiveConcurrency(2);
+  expect(adaptiveConcurrency.concurrency).toBe(2);
+
+  adaptiveConcurrency.recordRequest(100, 1);
+  expect(adaptiveConcurrency.concurrency).toBe(2);
+  adaptiveConcurrency.recordRequest(100, 1);
+  expect(adaptiveConcurrency.concurrency).toBe(3);
+  finishWindow(adaptiveConcurrency, 100);
+  expect(adaptiveConcurrency.concurrency).toBe(4);
+
+  expect(adaptiveConcurrency.history.map((sample) => sample.concurrency))
+      .toEqual([2, 3, 4]);
+  expect(adaptiveConcurrency.history[0].fps).toBeNull();
+});
+
+test('Concurrency stays between 1 and the maximum', () => {
+  const adaptiveConcurrency = new AdaptiveConcurrency(3, 4);
+  finishWindow(adaptiveConcurrency, 100);
+  finishWindow(adaptiveConcurrency, 100);
+  expect(adaptiveConcurrency.concurrency).toBe(4);
+
+  for (let i = 0; i < 5; i++) {
+    adaptiveConcurrency.recordThrottle();
+    adaptiveConcurrency.startWindow();
+  }
+  expect(adaptiveConcurrency.concurrency).toBe(1);
+  expect(new AdaptiveConcurrency(1000).concurrency)
+      .toBe(DEFAULT_MAX_CONCURRENCY);
+});
+
+test('Rate limiting halves the concurrency once per window', () => {
+  const adaptiveConcurrency = new AdaptiveConcurrency(8);
+
+  // Requests in flight when the first 429 arrived don't back off again
+  adaptiveConcurrency.recordThrottle();
+  adaptiveConcurrency.recordThrottle();
+  expect(adaptiveConcurrency.concurrency).toBe(4);
+
+  // The window after rate limiting holds the concurrency
+  finishWindow(adaptiveConcurrency, 100);
+  expect(adaptiveConcurrency.concurrency).toBe(4);
+  finishWindow(adaptiveConcurrency, 100);
+  expect(adaptiveConcurrency.concurrency).toBe(5);
+  adaptiveConcurrency.recordThrottle();
+  expect(adaptiveConcurrency.concurrency).toBe(2);
+});
+
+test('Concurrency backs off when latency grows without throughput', () => {
+  const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+  const adaptiveConcurrency = new AdaptiveConcurrency(4);
+
+  // 4 frames in 100ms, then 5 frames in 100ms
+  now.mockReturnValue(100);
+  finishWindow(adaptiveConcurrency, 100);
+  expect(adaptiveConcurrency.concurrency).toBe(5);
+  now.mockReturnValue(200);
+  finishWindow(adaptiveConcurrency, 100);
+  expect(adaptiveConcurrency.concurrency).toBe(6);
+
+  // 6 frames in 250ms, with requests taking 250ms
+  now.mockReturnValue(450);
+  finishWindow(adaptiveConcurrency, 250);
+  expect(adaptiveConcurrency.concurrency).toBe(3);
+  expect(adaptiveConcurrency.history.pop()).toEqual({
+    time: 450,
+    concurrency: 3,
+    fps: 24,
+  });
+  now.mockRestore();
+});
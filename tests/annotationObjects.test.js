@@ -0,0 +1,178 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {webcrypto} from 'crypto';
+import {
+  createStructuredReport,
+  createPresentationState,
+  generateUID,
+} from '../src/annotationObjects.js';
+import {DICOM_TAGS} from '../src/dicomValues.js';
+import {MEASUREMENT_TOOLS} from '../src/measurements.js';
+import {CALIBRATION_TYPES} from '../src/calibration.js';
+
+// jsdom doesn't provide crypto
+beforeAll(() => {
+  global.crypto = webcrypto;
+});
+
+afterAll(() => {
+  delete global.crypto;
+});
+
+const study = {
+  [DICOM_TAGS.STUDY_UID]: {vr: 'UI', Value: ['1.2.3']},
+  [DICOM_TAGS.PATIENT_ID]: {vr: 'LO', Value: ['patient']},
+};
+
+const measurements = [
+  {id: 'length', tool: MEASUREMENT_TOOLS.LENGTH, imageId: 'image1',
+    points: [[1, 2], [3, 4]], length: 5, lengthUnit: 'mm'},
+  {id: 'ellipse', tool: MEASUREMENT_TOOLS.ELLIPTICAL_ROI, imageId: 'image1',
+    points: [[10, 10], [20, 40]], area: 235.6, mean: 40, stdDev: 5, min: 20,
+    max: 60, count: 240, lengthUnit: 'mm', valueUnit: 'HU'},
+  {id: 'local', tool: MEASUREMENT_TOOLS.LENGTH, imageId: 'local',
+    points: [[0, 0], [1, 1]], length: 1.4, lengthUnit: 'px'},
+];
+
+/**
+ * Helper function to reference the test images
+ * @param {string} imageId ImageId of the image
+ * @return {?module:dicomImageLoader~InstanceReference} The image's instance
+ */
+const getReference = (imageId) => imageId == 'image1' ? {
+  studyUID: '1.2.3',
+  seriesUID: '1.2.3.4',
+  sopClassUID: '1.2.840.10008.5.1.4.1.1.2',
+  sopInstanceUID: '1.2.3.4.5',
+  frameNumber: null,
+  rows: 512,
+  columns: 512,
+  calibration: {
+    type: CALIBRATION_TYPES.PATIENT,
+    rowPixelSpacing: 0.5,
+    columnPixelSpacing: 0.5,
+  },
+} : null;
+
+/**
+ * Helper function to get the values of a DICOM JSON attribute
+ * @param {Object} json DICOM JSON attributes
+ * @param {...string} tags Tags leading to the attribute, through the first
+ *    item of each sequence
+ * @return {Array} Values of the attribute
+ */
+const getValues = (json, ...tags) => tags.reduce((attributes, tag, i) => {
+  const values = attributes[tag].Value;
+  return i < tags.length - 1 ? values[0] : values;
+}, json);
+
+test('Generated UIDs are unique and valid', () => {
+  const uid = generateUID();
+  expect(uid).toMatch(/^2\.25\.(0|[1-9][0-9]*)$/);
+  expect(uid.length).toBeLessThanOrEqual(64);
+  expect(generateUID()).not.toEqual(uid);
+});
+
+test('SR measurement reports reference the measured images', () => {
+  const sr = createStructuredReport(measurements, {study, getReference});
+
+  expect(getValues(sr, DICOM_TAGS.SOP_CLASS_UID))
+      .toEqual(['1.2.840.10008.5.1.4.1.1.88.33']);
+  expect(getValues(sr, DICOM_TAGS.MODALITY)).toEqual(['SR']);
+  expect(getValues(sr, DICOM_TAGS.STUDY_UID)).toEqual(['1.2.3']);
+  expect(getValues(sr, DICOM_TAGS.PATIENT_ID)).toEqual(['patient']);
+  expect(getValues(sr, DICOM_TAGS.SERIES_UID)).not.toEqual(['1.2.3.4']);
+  expect(getValues(sr, '0040A375', '00081115', DICOM_TAGS.SERIES_UID))
+      .toEqual(['1.2.3.4']);
+
+  // Language, procedure, image library and imaging measurements
+  const content = getValues(sr, '0040A730');
+  expect(content).toHaveLength(4);
+  const groups = content[3]['0040A730'].Value;
+  expect(groups.map((group) => group['0040A730'].Value[0]['0040A160']
+      .Value[0])).toEqual(['length', 'ellipse']);
+
+  const length = groups[0]['0040A730'].Value[2];
+  expect(getValues(length, '0040A040')).toEqual(['NUM']);
+  expect(getValues(length, '0040A300', '0040A30A')).toEqual([5]);
+  expect(getValues(length, '0040A300', '004008EA', '00080100'))
+      .toEqual(['mm']);
+  expect(getValues(length, '0040A730', '00700022')).toEqual([1, 2, 3, 4]);
+  expect(getValues(length, '0040A730', '0040A730', '00081199', '00081155'))
+      .toEqual(['1.2.3.4.5']);
+});
+
+test('Presentation states draw measurements on the measured images', () => {
+  const pr = createPresentationState(measurements, {study, getReference});
+
+  expect(getValues(pr, DICOM_TAGS.MODALITY)).toEqual(['PR']);
+  expect(getValues(pr, '00081115', '00081140', '00081155'))
+      .toEqual(['1.2.3.4.5']);
+  expect(getValues(pr, '0070005A', '00700101')).toEqual([0.5, 0.5]);
+
+  const annotations = getValues(pr, '00700001');
+  expect(annotations).toHaveLength(1);
+  const [line, ellipse] = annotations[0]['00700009'].Value;
+  expect(getValues(line, '00700023')).toEqual(['POLYLINE']);
+  expect(getValues(line, '00700022')).toEqual([1, 2, 3, 4]);
+  expect(getValues(ellipse, '00700023')).toEqual(['ELLIPSE']);
+  expect(getValues(ellipse, '00700022'))
+      .toEqual([15, 10, 15, 40, 10, 25, 20, 25]);
+  expect(annotations[0]['00700008'].Value).toHaveLength(2);
+});
+
+test('Measurements of images that cannot be referenced are left out', () => {
+  const context = {study, getReference: () => null};
+
+  const sr = createStructuredReport(measurements, context);
+  expect(getValues(sr, '0040A375')).toEqual([]);
+  expect(getValues(sr, '0040A730')[3]['0040A730']).toBeUndefined();
+
+  const pr = createPresentationState(measurements, context);
+  expect(getValues(pr, '00081115')).toEqual([]);
+  expect(getValues(pr, '00700001')).toEqual([]);
+});
+
+test('Units are coded in UCUM, or locally if UCUM has no code', () => {
+  const sr = createStructuredReport(measurements, {study, getReference});
+  const content = getValues(sr, '0040A730');
+  const ellipse = content[3]['0040A730'].Value[1]['0040A730'].Value;
+  const getUnit = (item) => getValues(item, '0040A300', '004008EA',
+      '00080100')[0];
+  expect(ellipse.slice(3).map(getUnit))
+      .toEqual(['mm2', '[hnsf\'U]', '[hnsf\'U]', '[hnsf\'U]', '[hnsf\'U]']);
+
+  /**
+   * Helper function to get the unit code of an ROI's mean
+   * @param {string} valueUnit Units of the ROI's pixel values
+   * @return {Array} Code value, coding scheme and meaning of the unit
+   */
+  const getMeanUnit = (valueUnit) => {
+    const roi = [{...measurements[1], valueUnit}];
+    const sr = createStructuredReport(roi, {study, getReference});
+    const group = getValues(sr, '0040A730')[3]['0040A730'].Value[0];
+    const mean = group['0040A730'].Value[4];
+    const unit = getValues(mean, '0040A300', '004008EA')[0];
+    return ['00080100', '00080102', '00080104']
+        .map((tag) => unit[tag].Value[0]);
+  };
+  expect(getMeanUnit('OD')).toEqual(['{OD}', 'UCUM', 'optical density']);
+  expect(getMeanUnit('ED')).toEqual(
+      ['10*23/mL', 'UCUM', '10^23 electrons per milliliter']);
+  expect(getMeanUnit('counts per second')).toEqual(
+      ['counts per secon', '99DICOMWEBVIEWER', 'counts per second']);
+});
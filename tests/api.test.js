@@ -0,0 +1,86 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {storeInstances} from '../src/api.js';
+import Auth from '../src/auth.js';
+import {DICOM_TAGS} from '../src/dicomValues.js';
+
+jest.mock('../src/auth.js');
+
+/**
+ * Helper function to read a request body
+ * @param {Blob} blob Body of the request
+ * @return {Promise<string>} Text of the body
+ */
+const readBlob = (blob) => new Promise((resolve) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsText(blob);
+});
+
+/**
+ * Helper function to create the contents of a file
+ * @param {string} text Text of the file
+ * @return {ArrayBuffer} File contents
+ */
+const createFile = (text) =>
+  new Uint8Array(Array.from(text).map((char) => char.charCodeAt(0))).buffer;
+
+beforeEach(() => {
+  Auth.getAccessToken.mockReturnValue('FAKE_ACCESS_TOKEN');
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    json: async () => ({}),
+  });
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('Instances are stored as parts of a multipart request', async () => {
+  await storeInstances('project', 'location', 'dataset', 'dicomStore',
+      '1.2.3', [createFile('first'), createFile('second')]);
+
+  expect(fetch).toHaveBeenCalledTimes(1);
+  const [url, init] = fetch.mock.calls[0];
+  expect(url).toBe('https://healthcare.googleapis.com/v1/projects/project/locations/location/datasets/dataset/dicomStores/dicomStore/dicomWeb/studies/1.2.3');
+  expect(init.method).toBe('POST');
+  expect(init.headers['Authorization']).toBe('Bearer FAKE_ACCESS_TOKEN');
+  expect(init.headers['Accept']).toBe('application/dicom+json');
+
+  const contentType = init.headers['Content-Type'];
+  expect(contentType).toMatch(
+      /^multipart\/related; type="application\/dicom"; boundary=\S+$/);
+  const boundary = contentType.split('boundary=')[1];
+  expect(await readBlob(init.body)).toBe(
+      `--${boundary}\r\nContent-Type: application/dicom\r\n\r\nfirst\r\n` +
+      `--${boundary}\r\nContent-Type: application/dicom\r\n\r\nsecond\r\n` +
+      `--${boundary}--\r\n`);
+});
+
+test('Instances the store fails to store are reported', async () => {
+  fetch.mockResolvedValue({
+    ok: true,
+    json: async () => ({
+      [DICOM_TAGS.FAILED_SOP_SEQUENCE]: {vr: 'SQ', Value: [{}]},
+    }),
+  });
+
+  await expect(storeInstances('project', 'location', 'dataset',
+      'dicomStore', '1.2.3', [createFile('first'), createFile('second')]))
+      .rejects.toThrow('Unable to store 1 of 2 instances');
+});
@@ -0,0 +1,120 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  AUTO_CONCURRENCY,
+  parseConcurrencies,
+  createBenchmarkPlan,
+  getPercentile,
+  summarizeRuns,
+  getRunsCSV,
+  getSummaryCSV,
+} from '../src/benchmark.js';
+import {CACHE_MODES} from '../src/frameCache.js';
+
+/**
+ * Helper function to generate a finished run of a benchmark
+ * @param {number} concurrency Concurrency of the run
+ * @param {number} iteration Number of the iteration
+ * @param {number} fps Average FPS of the run
+ * @return {module:benchmark~BenchmarkRun} The run
+ */
+const generateRun = (concurrency, iteration, fps) => ({
+  concurrency,
+  transferSyntax: '1.2.840.10008.1.2.1',
+  cacheMode: CACHE_MODES.OFF,
+  iteration,
+  numFrames: 10,
+  numFailed: 0,
+  numRequests: 10,
+  totalTime: 10 / fps,
+  timeToFirstImage: 0.5,
+  fps,
+  bytesTransferred: 1000,
+});
+
+test('Concurrencies are parsed from a comma separated list', () => {
+  expect(parseConcurrencies('5, 10,AUTO, 0, x, 2.5, 5,')).toEqual([
+    5,
+    10,
+    AUTO_CONCURRENCY,
+  ]);
+  expect(parseConcurrencies('')).toEqual([]);
+});
+
+test('Every combination of settings is run once per iteration', () => {
+  const plan = createBenchmarkPlan({
+    iterations: 2,
+    concurrencies: [5, AUTO_CONCURRENCY],
+    transferSyntaxes: ['syntax'],
+    cacheModes: [CACHE_MODES.COLD, CACHE_MODES.WARM],
+  });
+  expect(plan.length).toBe(8);
+
+  // Warm runs follow the cold run with the same settings
+  expect(plan.slice(0, 4)).toEqual([
+    {concurrency: 5, transferSyntax: 'syntax', cacheMode: 'cold', iteration: 1},
+    {concurrency: 5, transferSyntax: 'syntax', cacheMode: 'warm', iteration: 1},
+    {concurrency: 'auto', transferSyntax: 'syntax', cacheMode: 'cold',
+      iteration: 1},
+    {concurrency: 'auto', transferSyntax: 'syntax', cacheMode: 'warm',
+      iteration: 1},
+  ]);
+  expect(plan[4].iteration).toBe(2);
+});
+
+test('Percentiles interpolate between the closest ranks', () => {
+  expect(getPercentile([3, 1, 2, 4], 50)).toBe(2.5);
+  expect(getPercentile([1, 2, 3, 4, 5], 90)).toBeCloseTo(4.6);
+  expect(getPercentile([7], 95)).toBe(7);
+  expect(getPercentile([], 50)).toBeNull();
+});
+
+test('Runs are summarized and exported per configuration', () => {
+  const runs = [
+    generateRun(5, 1, 10),
+    generateRun(10, 1, 20),
+    generateRun(5, 2, 30),
+    generateRun(10, 2, 40),
+    generateRun(5, 3, 20),
+  ];
+  const summary = summarizeRuns(runs);
+  expect(summary.map((config) => config.concurrency)).toEqual([5, 10]);
+  expect(summary[0].numRuns).toBe(3);
+  expect(summary[0].fps).toEqual({p50: 20, p90: 28, p95: 29});
+  expect(summary[1].bytesTransferred.p50).toBe(1000);
+
+  const report = {
+    storePath: 'projects/p/locations/l/datasets/d/dicomStores/s',
+    seriesUID: '1.2.3',
+    numFrames: 10,
+    startedAt: '2020-01-01T00:00:00.000Z',
+    runs,
+    summary,
+  };
+  const runLines = getRunsCSV(report).trim().split('\r\n');
+  expect(runLines.length).toBe(6);
+  expect(runLines[0]).toBe('storePath,seriesUID,concurrency,' +
+      'transferSyntax,cacheMode,iteration,numFrames,numFailed,numRequests,' +
+      'totalTime,timeToFirstImage,fps,bytesTransferred');
+  expect(runLines[1]).toBe(`${report.storePath},1.2.3,5,` +
+      '1.2.840.10008.1.2.1,off,1,10,0,10,1,0.5,10,1000');
+
+  const summaryLines = getSummaryCSV(report).trim().split('\r\n');
+  expect(summaryLines.length).toBe(3);
+  expect(summaryLines[0]).toContain(',fps_p50,fps_p90,fps_p95,');
+  expect(summaryLines[1]).toContain(',5,1.2.840.10008.1.2.1,off,3,0,');
+});
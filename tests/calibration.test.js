@@ -0,0 +1,82 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {CALIBRATION_TYPES, getCalibration} from '../src/calibration.js';
+import {DICOM_TAGS} from '../src/dicomValues.js';
+
+/**
+ * Helper function to create an ultrasound region
+ * @param {number} spatialFormat Region Spatial Format
+ * @param {number} units Physical Units X and Y Direction
+ * @param {number} deltaX Physical Delta X
+ * @param {number} deltaY Physical Delta Y
+ * @return {Object} DICOM JSON item of the Sequence of Ultrasound Regions
+ */
+const generateRegion = (spatialFormat, units, deltaX, deltaY) => ({
+  [DICOM_TAGS.REGION_SPATIAL_FORMAT]: {vr: 'US', Value: [spatialFormat]},
+  [DICOM_TAGS.PHYSICAL_UNITS_X]: {vr: 'US', Value: [units]},
+  [DICOM_TAGS.PHYSICAL_UNITS_Y]: {vr: 'US', Value: [units]},
+  [DICOM_TAGS.PHYSICAL_DELTA_X]: {vr: 'FD', Value: [deltaX]},
+  [DICOM_TAGS.PHYSICAL_DELTA_Y]: {vr: 'FD', Value: [deltaY]},
+});
+
+test('Pixel Spacing is preferred over Imager Pixel Spacing', () => {
+  const metaData = {
+    [DICOM_TAGS.MODALITY]: {vr: 'CS', Value: ['CT']},
+    [DICOM_TAGS.PIXEL_SPACING]: {vr: 'DS', Value: [0.5, 0.6]},
+    [DICOM_TAGS.IMAGER_PIXEL_SPACING]: {vr: 'DS', Value: [0.2, 0.2]},
+  };
+  expect(getCalibration(metaData)).toEqual({
+    type: CALIBRATION_TYPES.PATIENT,
+    rowPixelSpacing: 0.5,
+    columnPixelSpacing: 0.6,
+    valueUnit: 'HU',
+  });
+
+  delete metaData[DICOM_TAGS.PIXEL_SPACING];
+  expect(getCalibration(metaData)).toMatchObject({
+    type: CALIBRATION_TYPES.IMAGER,
+    rowPixelSpacing: 0.2,
+    columnPixelSpacing: 0.2,
+  });
+});
+
+test('Ultrasound images are calibrated from a 2D region in cm', () => {
+  const metaData = {
+    [DICOM_TAGS.MODALITY]: {vr: 'CS', Value: ['US']},
+    [DICOM_TAGS.ULTRASOUND_REGIONS]: {vr: 'SQ', Value: [
+      generateRegion(3, 4, 0.01, 1), // Spectral region in seconds and cm/s
+      generateRegion(1, 3, 0.02, -0.03),
+    ]},
+  };
+  const calibration = getCalibration(metaData);
+  expect(calibration.type).toBe(CALIBRATION_TYPES.ULTRASOUND);
+  expect(calibration.rowPixelSpacing).toBeCloseTo(0.3);
+  expect(calibration.columnPixelSpacing).toBeCloseTo(0.2);
+  expect(calibration.valueUnit).toBe('');
+});
+
+test('Images without spacing are uncalibrated', () => {
+  expect(getCalibration({
+    [DICOM_TAGS.PIXEL_SPACING]: {vr: 'DS', Value: [0, 0]},
+    [DICOM_TAGS.RESCALE_TYPE]: {vr: 'LO', Value: ['OD']},
+  })).toEqual({
+    type: CALIBRATION_TYPES.UNCALIBRATED,
+    rowPixelSpacing: null,
+    columnPixelSpacing: null,
+    valueUnit: 'OD',
+  });
+});
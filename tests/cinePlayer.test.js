@@ -0,0 +1,123 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  CINE_MODES,
+  getDefaultFps,
+  getNextFrame,
+  getBufferedRanges,
+  CinePlayer,
+} from '../src/cinePlayer.js';
+import {DICOM_TAGS} from '../src/dicomValues.js';
+
+const allBuffered = () => true;
+
+test('Frame rate comes from Frame Time before the recommended rate', () => {
+  expect(getDefaultFps({
+    [DICOM_TAGS.FRAME_TIME]: {vr: 'DS', Value: [40]},
+    [DICOM_TAGS.RECOMMENDED_DISPLAY_FRAME_RATE]: {vr: 'IS', Value: [30]},
+  })).toBe(25);
+  expect(getDefaultFps({
+    [DICOM_TAGS.RECOMMENDED_DISPLAY_FRAME_RATE]: {vr: 'IS', Value: [30]},
+  })).toBe(30);
+  expect(getDefaultFps({})).toBeNull();
+});
+
+test('Playback loops, bounces or stops at the last frame', () => {
+  expect(getNextFrame(1, 1, 3, CINE_MODES.LOOP, allBuffered))
+      .toEqual({index: 2, direction: 1});
+  expect(getNextFrame(2, 1, 3, CINE_MODES.LOOP, allBuffered))
+      .toEqual({index: 0, direction: 1});
+  expect(getNextFrame(2, 1, 3, CINE_MODES.BOUNCE, allBuffered))
+      .toEqual({index: 1, direction: -1});
+  expect(getNextFrame(0, -1, 3, CINE_MODES.BOUNCE, allBuffered))
+      .toEqual({index: 1, direction: 1});
+  expect(getNextFrame(2, 1, 3, CINE_MODES.ONCE, allBuffered)).toBeNull();
+});
+
+test('Frames that aren\'t buffered are skipped', () => {
+  const isBuffered = (index) => index != 1 && index != 3;
+  expect(getNextFrame(0, 1, 4, CINE_MODES.LOOP, isBuffered))
+      .toEqual({index: 2, direction: 1});
+  expect(getNextFrame(2, 1, 4, CINE_MODES.LOOP, isBuffered))
+      .toEqual({index: 0, direction: 1});
+  expect(getNextFrame(0, 1, 4, CINE_MODES.LOOP, () => false)).toBeNull();
+});
+
+test('Buffered frames are grouped into ranges', () => {
+  expect(getBufferedRanges(new Set([5, 0, 1, 2, 7, 6]))).toEqual([
+    [0, 2],
+    [5, 7],
+  ]);
+  expect(getBufferedRanges([])).toEqual([]);
+});
+
+test('Frames are shown at the frame rate until playback ends', () => {
+  jest.useFakeTimers();
+  const showFrame = jest.fn();
+  const onEnded = jest.fn();
+  const cinePlayer = new CinePlayer(showFrame, onEnded);
+  cinePlayer.numFrames = 3;
+  cinePlayer.fps = 10;
+  cinePlayer.mode = CINE_MODES.ONCE;
+
+  cinePlayer.play();
+  expect(cinePlayer.isPlaying()).toBe(true);
+  jest.advanceTimersByTime(100);
+  expect(showFrame.mock.calls).toEqual([[1]]);
+  jest.advanceTimersByTime(300);
+  expect(showFrame.mock.calls).toEqual([[1], [2]]);
+  expect(cinePlayer.isPlaying()).toBe(false);
+  expect(onEnded).toHaveBeenCalledTimes(1);
+
+  // Playing again from the last frame starts from the first
+  cinePlayer.play();
+  jest.advanceTimersByTime(100);
+  cinePlayer.pause();
+  jest.advanceTimersByTime(1000);
+  expect(showFrame.mock.calls).toEqual([[1], [2], [0]]);
+  jest.useRealTimers();
+});
+
+test('Playback waits for frames that are still loading', () => {
+  jest.useFakeTimers();
+  const showFrame = jest.fn();
+  const onEnded = jest.fn();
+  const cinePlayer = new CinePlayer(showFrame, onEnded);
+  const bufferedIndices = new Set([0]);
+  let isLoading = true;
+  cinePlayer.numFrames = 3;
+  cinePlayer.fps = 10;
+  cinePlayer.mode = CINE_MODES.ONCE;
+  cinePlayer.isBuffered = (index) => bufferedIndices.has(index);
+  cinePlayer.isLoading = () => isLoading;
+
+  cinePlayer.play();
+  jest.advanceTimersByTime(300);
+  expect(showFrame).not.toHaveBeenCalled();
+  expect(cinePlayer.isPlaying()).toBe(true);
+
+  bufferedIndices.add(2);
+  jest.advanceTimersByTime(100);
+  expect(showFrame.mock.calls).toEqual([[2]]);
+
+  // Once loading has finished, playback ends at the last frame
+  isLoading = false;
+  jest.advanceTimersByTime(100);
+  expect(cinePlayer.isPlaying()).toBe(false);
+  expect(onEnded).toHaveBeenCalledTimes(1);
+  jest.useRealTimers();
+});
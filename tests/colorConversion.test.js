@@ -0,0 +1,99 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  isColorImage,
+  getStoredSamplesPerPixel,
+  convertToRGBA,
+} from '../src/colorConversion.js';
+import {DICOM_TAGS} from '../src/dicomValues.js';
+
+/**
+ * Helper function to generate metaData for a 2x1 color image
+ * @param {string} photoInterp Photometric Interpretation
+ * @param {number=} planarConfiguration Planar Configuration
+ * @return {Object} MetaData for the image
+ */
+const generateMetaData = (photoInterp, planarConfiguration = 0) => ({
+  [DICOM_TAGS.NUM_ROWS]: 1,
+  [DICOM_TAGS.NUM_COLUMNS]: 2,
+  [DICOM_TAGS.SAMPLES_PER_PIXEL]: 3,
+  [DICOM_TAGS.BITS_STORED]: 8,
+  [DICOM_TAGS.PHOTO_INTERP]: photoInterp,
+  [DICOM_TAGS.PLANAR_CONFIGURATION]: planarConfiguration,
+});
+
+test('isColorImage detects color photometric interpretations', () => {
+  expect(isColorImage(generateMetaData('RGB'))).toBe(true);
+  expect(isColorImage(generateMetaData('PALETTE COLOR'))).toBe(true);
+  expect(isColorImage({[DICOM_TAGS.PHOTO_INTERP]: 'MONOCHROME2'}))
+      .toBe(false);
+  expect(getStoredSamplesPerPixel(generateMetaData('YBR_FULL_422'))).toBe(2);
+  expect(getStoredSamplesPerPixel(generateMetaData('RGB'))).toBe(3);
+});
+
+test('convertToRGBA handles interleaved and planar RGB', () => {
+  // Red and blue pixel
+  let rgba = convertToRGBA(new Uint8Array([255, 0, 0, 0, 0, 255]),
+      generateMetaData('RGB', 0));
+  expect(Array.from(rgba)).toEqual([255, 0, 0, 255, 0, 0, 255, 255]);
+
+  // The same pixels stored as RR GG BB planes
+  rgba = convertToRGBA(new Uint8Array([255, 0, 0, 0, 0, 255]),
+      generateMetaData('RGB', 1));
+  expect(Array.from(rgba)).toEqual([255, 0, 0, 255, 0, 0, 255, 255]);
+});
+
+test('convertToRGBA converts YBR_FULL and YBR_FULL_422 to RGB', () => {
+  // White and black pixels have no chroma
+  let rgba = convertToRGBA(new Uint8Array([255, 128, 128, 0, 128, 128]),
+      generateMetaData('YBR_FULL'));
+  expect(Array.from(rgba)).toEqual([255, 255, 255, 255, 0, 0, 0, 255]);
+
+  // Pure red in YBR has Y=76, Cb=85, Cr=255
+  rgba = convertToRGBA(new Uint8Array([76, 85, 255]),
+      {...generateMetaData('YBR_FULL'), [DICOM_TAGS.NUM_COLUMNS]: 1});
+  expect(rgba[0]).toBeGreaterThan(250);
+  expect(rgba[1]).toBeLessThan(5);
+  expect(rgba[2]).toBeLessThan(5);
+
+  // Two pixels sharing chroma values stored as Y1 Y2 Cb Cr
+  rgba = convertToRGBA(new Uint8Array([255, 0, 128, 128]),
+      generateMetaData('YBR_FULL_422'));
+  expect(Array.from(rgba)).toEqual([255, 255, 255, 255, 0, 0, 0, 255]);
+});
+
+test('convertToRGBA expands palette color lookup tables', () => {
+  const metaData = {
+    ...generateMetaData('PALETTE COLOR'),
+    [DICOM_TAGS.SAMPLES_PER_PIXEL]: 1,
+    [DICOM_TAGS.RED_PALETTE_DESCRIPTOR]: [2, 10, 16],
+    [DICOM_TAGS.GREEN_PALETTE_DESCRIPTOR]: [2, 10, 16],
+    [DICOM_TAGS.BLUE_PALETTE_DESCRIPTOR]: [2, 10, 8],
+    [DICOM_TAGS.RED_PALETTE_DATA]: [0xFFFF, 0x0000],
+    [DICOM_TAGS.GREEN_PALETTE_DATA]: [0x0000, 0x8000],
+    // 8 bit entries packed into bytes as decoded from InlineBinary
+    [DICOM_TAGS.BLUE_PALETTE_DATA]: new Uint8Array([7, 200]),
+  };
+
+  const rgba = convertToRGBA(new Uint8Array([10, 11]), metaData);
+  expect(Array.from(rgba)).toEqual([255, 0, 7, 255, 0, 128, 200, 255]);
+
+  // Missing lookup tables throw a descriptive error
+  delete metaData[DICOM_TAGS.RED_PALETTE_DATA];
+  expect(() => convertToRGBA(new Uint8Array([10, 11]), metaData))
+      .toThrow(/Palette Color Lookup Table/);
+});
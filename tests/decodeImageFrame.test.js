@@ -0,0 +1,139 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import jpeg from 'jpeg-js';
+import decodeImageFrame from '../src/decodeImageFrame.js';
+import {DICOM_TAGS, TRANSFER_SYNTAXES} from '../src/dicomValues.js';
+
+/**
+ * Helper function to generate an RLE encoded frame from literal segments
+ * @param {Array<Array<number>>} segments Bytes of each segment
+ * @return {ArrayBuffer} RLE frame with header
+ */
+const generateRLEFrame = (segments) => {
+  // Encode each segment as a single literal run
+  const encodedSegments = segments.map((bytes) => [bytes.length - 1, ...bytes]);
+  const length = 64 + encodedSegments.reduce((sum, s) => sum + s.length, 0);
+  const arrayBuffer = new ArrayBuffer(length);
+  const header = new DataView(arrayBuffer);
+  const byteArray = new Uint8Array(arrayBuffer);
+
+  header.setUint32(0, segments.length, true);
+  let offset = 64;
+  encodedSegments.forEach((segment, i) => {
+    header.setUint32((i + 1) * 4, offset, true);
+    byteArray.set(segment, offset);
+    offset += segment.length;
+  });
+  return arrayBuffer;
+};
+
+test('uncompressed frames are returned unchanged', async () => {
+  const arrayBuffer = new Uint16Array([1, 2, 3, 4]).buffer;
+  const metaData = {[DICOM_TAGS.NUM_ROWS]: 2, [DICOM_TAGS.NUM_COLUMNS]: 2};
+  const decoded = await decodeImageFrame(arrayBuffer,
+      TRANSFER_SYNTAXES.EXPLICIT_VR_LITTLE_ENDIAN, metaData);
+
+  expect(decoded.arrayBuffer).toBe(arrayBuffer);
+  expect(decoded.metaData).toBe(metaData);
+
+  // Unknown transfer syntaxes throw a descriptive error
+  await expect(decodeImageFrame(arrayBuffer, '1.2.3', metaData))
+      .rejects.toThrow('Unsupported transfer syntax: 1.2.3');
+});
+
+test('big endian frames are byte swapped', async () => {
+  const metaData = {
+    [DICOM_TAGS.NUM_ROWS]: 1,
+    [DICOM_TAGS.NUM_COLUMNS]: 2,
+    [DICOM_TAGS.BITS_ALLOCATED]: 16,
+  };
+  const decoded = await decodeImageFrame(new Uint8Array([1, 2, 3, 4]).buffer,
+      TRANSFER_SYNTAXES.EXPLICIT_VR_BIG_ENDIAN, metaData);
+
+  expect(Array.from(new Uint16Array(decoded.arrayBuffer)))
+      .toEqual([0x0102, 0x0304]);
+});
+
+test('RLE frames are decoded with most significant byte first', async () => {
+  const metaData = {
+    [DICOM_TAGS.NUM_ROWS]: 1,
+    [DICOM_TAGS.NUM_COLUMNS]: 3,
+    [DICOM_TAGS.BITS_ALLOCATED]: 16,
+  };
+  const frame = generateRLEFrame([[0x01, 0x00, 0xFF], [0x02, 0x10, 0xFF]]);
+  const decoded = await decodeImageFrame(frame,
+      TRANSFER_SYNTAXES.RLE_LOSSLESS, metaData);
+
+  expect(Array.from(new Uint16Array(decoded.arrayBuffer)))
+      .toEqual([0x0102, 0x0010, 0xFFFF]);
+
+  // Replicate runs are expanded
+  const replicateFrame = new Uint8Array(generateRLEFrame([[0], [0]]));
+  replicateFrame.set([-2 & 0xFF, 7], 64);
+  replicateFrame.set([-2 & 0xFF, 9], 66);
+  const replicated = await decodeImageFrame(replicateFrame.buffer,
+      TRANSFER_SYNTAXES.RLE_LOSSLESS, metaData);
+  expect(Array.from(new Uint16Array(replicated.arrayBuffer)))
+      .toEqual([0x0709, 0x0709, 0x0709]);
+});
+
+test('RLE color frames are decoded into sample planes', async () => {
+  const metaData = {
+    [DICOM_TAGS.NUM_ROWS]: 1,
+    [DICOM_TAGS.NUM_COLUMNS]: 2,
+    [DICOM_TAGS.BITS_ALLOCATED]: 8,
+    [DICOM_TAGS.SAMPLES_PER_PIXEL]: 3,
+    [DICOM_TAGS.PHOTO_INTERP]: 'RGB',
+  };
+  const frame = generateRLEFrame([[255, 0], [0, 0], [0, 255]]);
+  const decoded = await decodeImageFrame(frame,
+      TRANSFER_SYNTAXES.RLE_LOSSLESS, metaData);
+
+  expect(Array.from(new Uint8Array(decoded.arrayBuffer)))
+      .toEqual([255, 0, 0, 0, 0, 255]);
+  expect(decoded.metaData[DICOM_TAGS.PLANAR_CONFIGURATION]).toBe(1);
+
+  // Segment count must match the pixel encoding
+  await expect(decodeImageFrame(generateRLEFrame([[0, 0]]),
+      TRANSFER_SYNTAXES.RLE_LOSSLESS, metaData)).rejects.toThrow(/segments/);
+});
+
+test('JPEG baseline frames decode to 8 bit pixel data', async () => {
+  // Encode a flat gray 8x8 image
+  const rgba = new Uint8Array(8 * 8 * 4).fill(100);
+  const encoded = jpeg.encode({data: rgba, width: 8, height: 8}, 100);
+  const metaData = {
+    [DICOM_TAGS.NUM_ROWS]: 8,
+    [DICOM_TAGS.NUM_COLUMNS]: 8,
+    [DICOM_TAGS.BITS_ALLOCATED]: 16,
+    [DICOM_TAGS.BITS_STORED]: 12,
+    [DICOM_TAGS.SAMPLES_PER_PIXEL]: 3,
+    [DICOM_TAGS.PHOTO_INTERP]: 'YBR_FULL_422',
+  };
+
+  const decoded = await decodeImageFrame(new Uint8Array(encoded.data).buffer,
+      TRANSFER_SYNTAXES.JPEG_BASELINE, metaData);
+  const pixels = new Uint8Array(decoded.arrayBuffer);
+  expect(pixels).toHaveLength(8 * 8 * 3);
+  expect(Math.abs(pixels[0] - 100)).toBeLessThan(3);
+
+  // Decoded metaData describes interleaved 8 bit RGB
+  expect(decoded.metaData[DICOM_TAGS.BITS_ALLOCATED]).toBe(8);
+  expect(decoded.metaData[DICOM_TAGS.BITS_STORED]).toBe(8);
+  expect(decoded.metaData[DICOM_TAGS.PHOTO_INTERP]).toBe('RGB');
+  expect(decoded.metaData[DICOM_TAGS.PLANAR_CONFIGURATION]).toBe(0);
+});
@@ -0,0 +1,71 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as api from '../src/api.js';
+import {
+  loadImage,
+  setMetadata,
+  getImagePlane,
+  getImageCalibration,
+} from '../src/dicomImageLoader.js';
+import {CALIBRATION_TYPES} from '../src/calibration.js';
+import {DICOM_TAGS} from '../src/dicomValues.js';
+import decodeRenderedImage from '../src/decodeRenderedImage.js';
+
+jest.mock('../src/api.js');
+jest.mock('../src/decodeRenderedImage.js');
+
+test('Rendered imageIds load as color images', async () => {
+  const blob = {type: 'image/png'};
+  const rgba = new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 255, 255]);
+  api.fetchRenderedFrame.mockResolvedValue(blob);
+  decodeRenderedImage.mockResolvedValue({
+    rows: 1,
+    columns: 2,
+    pixelData: rgba,
+  });
+
+  const imageId = 'dicomImageLoader://healthcare.googleapis.com/v1/' +
+      'instances/instance-uid/frames/1/rendered';
+  const rendered = {mediaType: 'image/png', viewport: '2,1'};
+  const image = await loadImage(imageId, {rendered}).promise;
+
+  expect(api.fetchRenderedFrame).toHaveBeenCalledWith(
+      imageId.replace('dicomImageLoader', 'https'), rendered);
+  expect(api.fetchDicomFile).not.toHaveBeenCalled();
+  expect(decodeRenderedImage).toHaveBeenCalledWith(blob);
+
+  expect(image.imageId).toEqual(imageId);
+  expect(image.color).toBe(true);
+  expect(image.rows).toBe(1);
+  expect(image.columns).toBe(2);
+  expect(image.getPixelData()).toBe(rgba);
+  expect(image.sizeInBytes).toBe(8);
+});
+
+test('Measurements use Imager Pixel Spacing without Pixel Spacing', () => {
+  setMetadata('imager', {
+    [DICOM_TAGS.IMAGER_PIXEL_SPACING]: {vr: 'DS', Value: [0.15, 0.25]},
+  });
+  expect(getImageCalibration('imager').type)
+      .toBe(CALIBRATION_TYPES.IMAGER);
+  expect(getImagePlane('imager')).toMatchObject({
+    pixelSpacing: null,
+    rowPixelSpacing: 0.15,
+    columnPixelSpacing: 0.25,
+  });
+  expect(getImageCalibration('unknown')).toBeNull();
+});
@@ -0,0 +1,361 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as cornerstone from 'cornerstone-core';
+import * as api from '../src/api.js';
+import DicomImageSequencer from '../src/dicomImageSequencer.js';
+import {PREFETCH_STRATEGIES} from '../src/fetchPriority.js';
+import {ORDERING_METHODS} from '../src/sliceOrder.js';
+import {DEFAULT_INITIAL_CONCURRENCY} from '../src/adaptiveConcurrency.js';
+import {DICOM_TAGS} from '../src/dicomValues.js';
+import {getImagePlane} from '../src/dicomImageLoader.js';
+import '../src/cornerstonesetup.js';
+
+jest.mock('../src/api.js');
+
+/**
+ * Helper function to generate metadata for a 2x2 instance
+ * @param {string} uid Instance UID
+ * @param {number} instanceNumber Instance Number
+ * @param {number} numFrames Number of frames in the instance
+ * @return {Object} DICOM JSON metadata for the instance
+ */
+const generateInstance = (uid, instanceNumber, numFrames) => ({
+  [DICOM_TAGS.INSTANCE_UID]: {Value: [uid]},
+  [DICOM_TAGS.INSTANCE_NUMBER]: {Value: [instanceNumber]},
+  [DICOM_TAGS.NUM_FRAMES]: {Value: [numFrames]},
+  [DICOM_TAGS.NUM_ROWS]: {Value: [2]},
+  [DICOM_TAGS.NUM_COLUMNS]: {Value: [2]},
+});
+
+/**
+ * Helper function to generate 2x2 pixel data filled with a value
+ * @param {number} value Value of every pixel
+ * @return {ArrayBuffer} Pixel data
+ */
+const generatePixelData = (value) => new Int16Array(4).fill(value).buffer;
+
+test('Frames are fetched in batches and split into images', (done) => {
+  cornerstone.imageCache.purgeCache();
+
+  // Each part of a batched response holds the frame number as pixel values
+  api.fetchDicomParts.mockImplementation((url, options, onPart) => {
+    const frameNumbers = url.split('/').pop().split(',').map(Number);
+    const parts = frameNumbers.map((frameNumber) => ({
+      data: generatePixelData(frameNumber),
+      transferSyntax: options.transferSyntax,
+    }));
+    parts.forEach(onPart);
+    return Promise.resolve(parts);
+  });
+  api.fetchDicomFile.mockImplementation((url) => Promise.resolve({
+    pixelData: generatePixelData(Number(url.split('/').pop())),
+  }));
+
+  const sequencer = new DicomImageSequencer('project', 'location', 'dataset',
+      'dicomStore', {[DICOM_TAGS.STUDY_UID]: {Value: ['study-uid']}},
+      {[DICOM_TAGS.SERIES_UID]: {Value: ['series-uid']}});
+  sequencer.framesPerRequest = 2;
+  sequencer.setInstances([
+    generateInstance('instance2-UID', 2, 1),
+    generateInstance('instance1-UID', 1, 3),
+  ]);
+
+  const displayedFrames = [];
+  const totalImages = sequencer.fetchInstances((image) => {
+    const [uid, , frame] = image.imageId.split('/').slice(-3);
+    displayedFrames.push(`${uid}/${frame}`);
+
+    // Pixel data comes from the part for this frame
+    expect(image.maxPixelValue).toBe(Number(frame));
+
+    if (displayedFrames.length == totalImages) {
+      expect(displayedFrames).toEqual([
+        'instance1-UID/1',
+        'instance1-UID/2',
+        'instance1-UID/3',
+        'instance2-UID/1',
+      ]);
+
+      // Frames 1 and 2 share a request, and the rest are fetched alone
+      expect(sequencer.numRequests).toBe(3);
+      expect(api.fetchDicomParts).toHaveBeenCalledTimes(1);
+      expect(api.fetchDicomParts.mock.calls[0][0]).toMatch(
+          /^https:\/\/.*\/instances\/instance1-UID\/frames\/1,2$/);
+      expect(api.fetchDicomFile).toHaveBeenCalledTimes(2);
+      done();
+    }
+  });
+  expect(totalImages).toBe(4);
+});
+
+test('Pending fetches are reordered around the focus', (done) => {
+  cornerstone.imageCache.purgeCache();
+  api.fetchDicomFile.mockImplementation((url) => Promise.resolve({
+    pixelData: generatePixelData(1),
+  }));
+
+  const sequencer = new DicomImageSequencer('project', 'location', 'dataset',
+      'dicomStore', {[DICOM_TAGS.STUDY_UID]: {Value: ['study-uid']}},
+      {[DICOM_TAGS.SERIES_UID]: {Value: ['series-uid']}});
+  sequencer.maxSimultaneousRequests = 1;
+  sequencer.prefetchStrategy = PREFETCH_STRATEGIES.NEAREST;
+  sequencer.focusIndex = 2;
+  sequencer.setInstances([generateInstance('instance1-UID', 1, 5)]);
+
+  const readyIndices = [];
+  sequencer.fetchInstances((image, index) => {
+    readyIndices.push(index);
+    if (readyIndices.length == 2) {
+      // Move the focus to the end while frames are still pending
+      sequencer.setFocusIndex(4);
+    }
+    if (readyIndices.length == 5) {
+      // Images are passed on as soon as they load, with their index
+      expect(readyIndices).toEqual([2, 3, 4, 1, 0]);
+      done();
+    }
+  });
+});
+
+test('Failed frames are retried, then skipped and reported', (done) => {
+  cornerstone.imageCache.purgeCache();
+
+  // Frame 2 is rate limited once, and frame 3 doesn't exist
+  const attempts = {};
+  api.fetchDicomFile.mockImplementation((url) => {
+    const frame = Number(url.split('/').pop());
+    attempts[frame] = (attempts[frame] || 0) + 1;
+    if ((frame == 2 && attempts[frame] == 1) || frame == 3) {
+      const error = new Error('Request failed');
+      error.status = frame == 2 ? 429 : 404;
+      return Promise.reject(error);
+    }
+    return Promise.resolve({pixelData: generatePixelData(frame)});
+  });
+
+  const sequencer = new DicomImageSequencer('project', 'location', 'dataset',
+      'dicomStore', {[DICOM_TAGS.STUDY_UID]: {Value: ['study-uid']}},
+      {[DICOM_TAGS.SERIES_UID]: {Value: ['series-uid']}});
+  sequencer.maxSimultaneousRequests = 1;
+  sequencer.retryBaseDelay = 1;
+  sequencer.setInstances([generateInstance('instance1-UID', 1, 4)]);
+
+  const events = [];
+  const checkDone = () => {
+    if (events.length == 4) {
+      // The sequence continues past the failed frame in order
+      expect(events).toEqual(['ready 0', 'ready 1', 'failed 2 404', 'ready 3']);
+      expect(sequencer.numRetries).toBe(1);
+
+      // Every request is released, including the failed one's
+      setTimeout(() => {
+        expect(sequencer.currentSimultaneousRequests).toBe(0);
+        done();
+      });
+    }
+  };
+  sequencer.fetchInstances((image, index) => {
+    events.push(`ready ${index}`);
+    checkDone();
+  }, (failedFrame) => {
+    expect(failedFrame.imageId).toMatch(/\/frames\/3$/);
+    events.push(`failed ${failedFrame.index} ${failedFrame.status}`);
+    checkDone();
+  });
+});
+
+test('Cancelling aborts requests in flight', (done) => {
+  cornerstone.imageCache.purgeCache();
+
+  // Requests only settle when they are aborted
+  const signals = [];
+  api.fetchDicomFile.mockImplementation((url, options) => {
+    signals.push(options.signal);
+    return new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => {
+        reject(new DOMException('The request was aborted', 'AbortError'));
+      });
+    });
+  });
+
+  const sequencer = new DicomImageSequencer('project', 'location', 'dataset',
+      'dicomStore', {[DICOM_TAGS.STUDY_UID]: {Value: ['study-uid']}},
+      {[DICOM_TAGS.SERIES_UID]: {Value: ['series-uid']}});
+  sequencer.maxSimultaneousRequests = 2;
+  sequencer.setInstances([generateInstance('instance1-UID', 1, 4)]);
+
+  const onImageReady = jest.fn();
+  const onImageFailed = jest.fn();
+  sequencer.fetchInstances(onImageReady, onImageFailed);
+
+  setTimeout(() => {
+    expect(signals.length).toBe(2);
+    sequencer.cancel();
+    expect(signals.every((signal) => signal.aborted)).toBe(true);
+
+    setTimeout(() => {
+      // Aborted frames aren't retried or reported as failed
+      expect(api.fetchDicomFile).toHaveBeenCalledTimes(2);
+      expect(onImageReady).not.toHaveBeenCalled();
+      expect(onImageFailed).not.toHaveBeenCalled();
+      expect(sequencer.currentSimultaneousRequests).toBe(0);
+      done();
+    });
+  });
+});
+
+test('Late results of a cancelled run are dropped by the next', (done) => {
+  cornerstone.imageCache.purgeCache();
+
+  // Requests of the first run ignore the abort and finish late
+  const lateRequests = [];
+  api.fetchDicomFile.mockImplementationOnce(() => new Promise((resolve) => {
+    lateRequests.push(resolve);
+  }));
+  api.fetchDicomFile.mockImplementation(() => Promise.resolve({
+    pixelData: generatePixelData(1),
+  }));
+
+  const sequencer = new DicomImageSequencer('project', 'location', 'dataset',
+      'dicomStore', {[DICOM_TAGS.STUDY_UID]: {Value: ['study-uid']}},
+      {[DICOM_TAGS.SERIES_UID]: {Value: ['series-uid']}});
+  sequencer.maxSimultaneousRequests = 2;
+  sequencer.prefetchStrategy = PREFETCH_STRATEGIES.NEAREST;
+  sequencer.setInstances([generateInstance('instance1-UID', 1, 2)]);
+  const firstRun = jest.fn();
+  sequencer.fetchInstances(firstRun);
+  sequencer.cancel();
+
+  const onImageReady = jest.fn();
+  const onImageFailed = jest.fn();
+  sequencer.fetchInstances(onImageReady, onImageFailed);
+  setTimeout(() => {
+    lateRequests[0]({pixelData: generatePixelData(2)});
+    setTimeout(() => {
+      expect(firstRun).not.toHaveBeenCalled();
+      expect(onImageReady.mock.calls.map((call) => call[1]).sort())
+          .toEqual([0, 1]);
+      expect(onImageFailed).not.toHaveBeenCalled();
+      expect(sequencer.currentSimultaneousRequests).toBe(0);
+      done();
+    });
+  });
+});
+
+test('Fractional frames per request are rounded down', () => {
+  const sequencer = new DicomImageSequencer('project', 'location', 'dataset',
+      'dicomStore', {[DICOM_TAGS.STUDY_UID]: {Value: ['study-uid']}},
+      {[DICOM_TAGS.SERIES_UID]: {Value: ['series-uid']}});
+  sequencer.maxSimultaneousRequests = 0;
+  sequencer.setInstances([generateInstance('instance1-UID', 1, 5)]);
+
+  /**
+   * Helper function to get the frame numbers of each pending fetch
+   * @param {number} framesPerRequest Frames per request to fetch with
+   * @return {Array<Array<string>>} Frame numbers of each fetch
+   */
+  const getBatches = (framesPerRequest) => {
+    sequencer.framesPerRequest = framesPerRequest;
+    sequencer.fetchInstances(() => {});
+    const batches = sequencer.fetchQueue.map(({imageIds}) =>
+      imageIds.map((imageId) => imageId.split('/').pop()));
+    sequencer.cancel();
+    return batches;
+  };
+
+  expect(getBatches(2.5)).toEqual([['1', '2'], ['3', '4'], ['5']]);
+  expect(getBatches(0.5)).toEqual([['1', '2', '3', '4', '5']]);
+});
+
+test('Enhanced multi-frame instances are sequenced by frame position', () => {
+  const positions = [[0, 0, 20], [0, 0, 0], [0, 0, 10]];
+  const instance = {
+    ...generateInstance('instance1-UID', 1, 3),
+    [DICOM_TAGS.SHARED_FUNCTIONAL_GROUPS]: {vr: 'SQ', Value: [{
+      '00209116': {vr: 'SQ', Value: [{
+        [DICOM_TAGS.IMAGE_ORIENTATION_PATIENT]: {Value: [1, 0, 0, 0, 1, 0]},
+      }]},
+    }]},
+    [DICOM_TAGS.PER_FRAME_FUNCTIONAL_GROUPS]: {vr: 'SQ', Value:
+      positions.map((position) => ({
+        '00209113': {vr: 'SQ', Value: [{
+          [DICOM_TAGS.IMAGE_POSITION_PATIENT]: {Value: position},
+        }]},
+      })),
+    },
+  };
+
+  const sequencer = new DicomImageSequencer('project', 'location', 'dataset',
+      'dicomStore', {[DICOM_TAGS.STUDY_UID]: {Value: ['study-uid']}},
+      {[DICOM_TAGS.SERIES_UID]: {Value: ['series-uid']}});
+  sequencer.framesPerRequest = 0;
+  sequencer.maxSimultaneousRequests = 0;
+  sequencer.setInstances([instance]);
+  sequencer.fetchInstances(() => {});
+
+  // Frames are displayed from the lowest position, but fetched together
+  expect(sequencer.orderingMethod).toBe(ORDERING_METHODS.POSITION);
+  expect(sequencer.instanceQueue.map((imageId) => imageId.split('/').pop()))
+      .toEqual(['2', '3', '1']);
+  expect(sequencer.getImageIds()).toEqual(sequencer.instanceQueue);
+  expect(sequencer.fetchQueue.length).toBe(1);
+  expect(sequencer.fetchQueue[0].imageIds.map((imageId) =>
+    imageId.split('/').pop())).toEqual(['1', '2', '3']);
+
+  // Each frame carries its own geometry
+  expect(getImagePlane(sequencer.instanceQueue[0])).toMatchObject({
+    imagePositionPatient: [0, 0, 0],
+    rowCosines: [1, 0, 0],
+    columnCosines: [0, 1, 0],
+  });
+});
+
+test('Auto concurrency tunes the number of requests in flight', (done) => {
+  cornerstone.imageCache.purgeCache();
+  api.fetchDicomFile.mockImplementation((url) => Promise.resolve({
+    pixelData: generatePixelData(1),
+  }));
+
+  const sequencer = new DicomImageSequencer('project', 'location', 'dataset',
+      'dicomStore', {[DICOM_TAGS.STUDY_UID]: {Value: ['study-uid']}},
+      {[DICOM_TAGS.SERIES_UID]: {Value: ['series-uid']}});
+  sequencer.autoConcurrency = true;
+  sequencer.setInstances([generateInstance('instance1-UID', 1, 12)]);
+
+  // Freeze time so every request has the same latency
+  const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+
+  let numImages = 0;
+  sequencer.fetchInstances(() => {
+    numImages++;
+    if (numImages == 12) {
+      // The first window of 4 requests finishes before the next 5
+      setTimeout(() => {
+        expect(sequencer.adaptiveConcurrency.history
+            .map((sample) => sample.concurrency)).toEqual([4, 5, 6]);
+        now.mockRestore();
+        done();
+      });
+    }
+  });
+
+  // Only the initial concurrency is requested at first
+  expect(sequencer.currentSimultaneousRequests).toBe(
+      DEFAULT_INITIAL_CONCURRENCY);
+  expect(sequencer.getMaxSimultaneousRequests()).toBe(
+      DEFAULT_INITIAL_CONCURRENCY);
+});
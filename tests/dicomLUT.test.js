@@ -0,0 +1,123 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  getModalityLUT,
+  applyModalityLUT,
+  getVOILUT,
+} from '../src/dicomLUT.js';
+import {DICOM_TAGS} from '../src/dicomValues.js';
+
+test('getModalityLUT reads rescale slope and intercept', () => {
+  // CT images store values that must be rescaled to Hounsfield units
+  const modality = getModalityLUT({
+    [DICOM_TAGS.RESCALE_SLOPE]: 1,
+    [DICOM_TAGS.RESCALE_INTERCEPT]: -1024,
+  });
+  expect(modality.slope).toBe(1);
+  expect(modality.intercept).toBe(-1024);
+  expect(modality.modalityLUT).toBeUndefined();
+  expect(applyModalityLUT(1024, modality)).toBe(0);
+
+  // Missing values default to the identity transform
+  const identity = getModalityLUT({});
+  expect(identity.slope).toBe(1);
+  expect(identity.intercept).toBe(0);
+  expect(applyModalityLUT(42, identity)).toBe(42);
+});
+
+test('getModalityLUT reads a Modality LUT Sequence', () => {
+  // Sequence items are stored as unmapped DICOM JSON
+  const modality = getModalityLUT({
+    [DICOM_TAGS.MODALITY_LUT_SEQUENCE]: {
+      [DICOM_TAGS.LUT_DESCRIPTOR]: {vr: 'US', Value: [3, 2, 16]},
+      [DICOM_TAGS.LUT_DATA]: {vr: 'US', Value: [100, 200, 300]},
+    },
+  });
+
+  // Table is padded so it can be indexed by stored pixel value
+  expect(modality.modalityLUT.firstValueMapped).toBe(0);
+  expect(Array.from(modality.modalityLUT.lut))
+      .toEqual([100, 100, 100, 200, 300]);
+  expect(applyModalityLUT(0, modality)).toBe(100);
+  expect(applyModalityLUT(3, modality)).toBe(200);
+  expect(applyModalityLUT(10, modality)).toBe(300);
+
+  // InlineBinary encoded LUT data is decoded as little endian words
+  const inline = getModalityLUT({
+    [DICOM_TAGS.MODALITY_LUT_SEQUENCE]: [{
+      [DICOM_TAGS.LUT_DESCRIPTOR]: {vr: 'US', Value: [2, 0, 16]},
+      [DICOM_TAGS.LUT_DATA]: {vr: 'OW', InlineBinary: btoa('\x01\x00\x00\x01')},
+    }],
+  });
+  expect(Array.from(inline.modalityLUT.lut)).toEqual([1, 256]);
+});
+
+test('getVOILUT uses the first of multiple windows', () => {
+  const voi = getVOILUT({
+    [DICOM_TAGS.WINDOW_CENTER]: [40, -600],
+    [DICOM_TAGS.WINDOW_WIDTH]: [400, 1500],
+    [DICOM_TAGS.WINDOW_EXPLANATION]: ['MEDIASTINUM', 'LUNG'],
+  }, -1024, 3071);
+
+  expect(voi.windowCenter).toBe(40);
+  expect(voi.windowWidth).toBe(400);
+  expect(voi.voiLUT).toBeUndefined();
+  expect(voi.windows).toHaveLength(2);
+  expect(voi.windows[1]).toEqual({
+    windowCenter: -600,
+    windowWidth: 1500,
+    explanation: 'LUNG',
+  });
+});
+
+test('getVOILUT falls back to the modality value range', () => {
+  const voi = getVOILUT({}, -1000, 1000);
+  expect(voi.windowCenter).toBe(0);
+  expect(voi.windowWidth).toBe(2000);
+  expect(voi.windows).toHaveLength(0);
+});
+
+test('getVOILUT generates a LUT for the SIGMOID VOI LUT Function', () => {
+  const voi = getVOILUT({
+    [DICOM_TAGS.WINDOW_CENTER]: 0,
+    [DICOM_TAGS.WINDOW_WIDTH]: 100,
+    [DICOM_TAGS.VOI_LUT_FUNCTION]: 'SIGMOID',
+  }, -500, 500);
+
+  expect(voi.voiLUT.firstValueMapped).toBe(-500);
+  expect(voi.voiLUT.lut).toHaveLength(1001);
+
+  // Output is half of the range at the window center and
+  // approaches the range limits far outside the window
+  expect(voi.voiLUT.lut[500]).toBe(32768);
+  expect(voi.voiLUT.lut[0]).toBe(0);
+  expect(voi.voiLUT.lut[1000]).toBe(65535);
+});
+
+test('getVOILUT reads a VOI LUT Sequence when no window exists', () => {
+  const voi = getVOILUT({
+    [DICOM_TAGS.PIXEL_REPRESENTATION]: 1,
+    [DICOM_TAGS.VOI_LUT_SEQUENCE]: {
+      [DICOM_TAGS.LUT_DESCRIPTOR]: {vr: 'US', Value: [2, 65535, 8]},
+      [DICOM_TAGS.LUT_DATA]: {vr: 'US', Value: [0, 255]},
+    },
+  }, -1, 0);
+
+  // First value mapped is interpreted as signed for signed pixel data
+  expect(voi.voiLUT.firstValueMapped).toBe(-1);
+  expect(voi.voiLUT.lut).toEqual([0, 255]);
+});
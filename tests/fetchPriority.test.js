@@ -0,0 +1,64 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {PREFETCH_STRATEGIES, getFetchPriority} from '../src/fetchPriority.js';
+
+/**
+ * Helper function to sort single image fetches by priority
+ * @param {module:fetchPriority~PriorityOptions} options Strategy and focus
+ * @return {number[]} Image indices in the order they would be fetched
+ */
+const getFetchOrder = (options) => {
+  const indices = Array.from({length: options.numImages}, (_, i) => i);
+  return indices.sort((a, b) =>
+    getFetchPriority(a, a, options) - getFetchPriority(b, b, options));
+};
+
+test('Top-down fetches in sequence order regardless of focus', () => {
+  expect(getFetchOrder({
+    strategy: PREFETCH_STRATEGIES.TOP_DOWN,
+    focusIndex: 3,
+    numImages: 5,
+  })).toEqual([0, 1, 2, 3, 4]);
+});
+
+test('Nearest first fetches outwards from the focus', () => {
+  expect(getFetchOrder({
+    strategy: PREFETCH_STRATEGIES.NEAREST,
+    focusIndex: 2,
+    numImages: 6,
+  })).toEqual([2, 3, 1, 4, 0, 5]);
+});
+
+test('Interleaved fetches every Nth image before filling gaps', () => {
+  expect(getFetchOrder({
+    strategy: PREFETCH_STRATEGIES.INTERLEAVED,
+    focusIndex: 4,
+    numImages: 9,
+    interleaveStep: 4,
+  })).toEqual([4, 8, 0, 5, 3, 6, 2, 7, 1]);
+});
+
+test('Fetches containing the focus come first', () => {
+  const options = {
+    strategy: PREFETCH_STRATEGIES.NEAREST,
+    focusIndex: 5,
+    numImages: 10,
+  };
+  expect(getFetchPriority(4, 7, options)).toBe(0);
+  expect(getFetchPriority(8, 9, options))
+      .toBeLessThan(getFetchPriority(0, 1, options));
+});
@@ -0,0 +1,82 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  FrameCache,
+  CacheIndex,
+  getCacheKey,
+  getStoreKey,
+} from '../src/frameCache.js';
+
+const storeURL = 'https://healthcare.googleapis.com/v1/projects/p/' +
+    'locations/l/datasets/d/dicomStores/s';
+
+/**
+ * Helper function to generate a cache entry
+ * @param {string} key Cache key
+ * @param {number} size Size in bytes
+ * @param {string=} storeKey Dicom store of the entry
+ * @return {module:frameCache~CacheEntry} Cache entry
+ */
+const generateEntry = (key, size, storeKey = storeURL) => ({
+  key,
+  storeKey,
+  size,
+  lastAccessed: 0,
+});
+
+test('Frames are cached separately for each transfer syntax', () => {
+  const url = `${storeURL}/dicomWeb/studies/1/series/2/instances/3/frames/1`;
+  expect(getCacheKey(url, '1.2.840.10008.1.2.1'))
+      .not.toEqual(getCacheKey(url, '1.2.840.10008.1.2.4.50'));
+  expect(getCacheKey(url)).toEqual(getCacheKey(url, '*'));
+  expect(getStoreKey(url)).toEqual(storeURL);
+});
+
+test('Least recently used entries are evicted first', () => {
+  const index = new CacheIndex();
+  index.add(generateEntry('a', 10));
+  index.add(generateEntry('b', 10));
+  index.add(generateEntry('c', 10));
+  expect(index.totalSize).toBe(30);
+
+  // Using "a" makes "b" the least recently used
+  index.touch('a', 1);
+  expect(index.getEntriesToEvict(30)).toEqual([]);
+  expect(index.getEntriesToEvict(20)).toEqual(['b']);
+  expect(index.getEntriesToEvict(5)).toEqual(['b', 'c', 'a']);
+
+  // Replacing an entry updates the total size
+  index.add(generateEntry('c', 4));
+  expect(index.totalSize).toBe(24);
+  index.remove('b');
+  expect(index.totalSize).toBe(14);
+  expect(index.touch('b', 2)).toBeNull();
+});
+
+test('Entries can be found by dicom store', () => {
+  const index = new CacheIndex();
+  index.add(generateEntry('a', 10));
+  index.add(generateEntry('b', 10, `${storeURL}2`));
+  index.add(generateEntry('c', 10));
+  expect(index.getStoreEntries(storeURL)).toEqual(['a', 'c']);
+});
+
+test('Cache rejects when IndexedDB is not supported', async () => {
+  const cache = new FrameCache();
+  await expect(cache.get(`${storeURL}/frames/1`))
+      .rejects.toThrow('IndexedDB is not supported');
+});
@@ -0,0 +1,90 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  hasFunctionalGroups,
+  getFrameMetadata,
+} from '../src/functionalGroups.js';
+import {DICOM_TAGS} from '../src/dicomValues.js';
+
+/** Tag of the Plane Position Sequence functional group macro */
+const PLANE_POSITION_SEQUENCE = '00209113';
+
+/** Tag of the Pixel Value Transformation Sequence functional group macro */
+const PIXEL_VALUE_TRANSFORMATION_SEQUENCE = '00289145';
+
+/**
+ * Helper function to wrap attributes in a functional group macro
+ * @param {string} tag Tag of the macro's sequence
+ * @param {Object} attributes DICOM JSON attributes in the macro
+ * @return {Object} Functional group item containing the macro
+ */
+const generateGroup = (tag, attributes) => ({
+  [tag]: {vr: 'SQ', Value: [attributes]},
+});
+
+/** Enhanced CT instance with two frames */
+const enhancedInstance = {
+  [DICOM_TAGS.NUM_FRAMES]: {vr: 'IS', Value: [2]},
+  [DICOM_TAGS.RESCALE_SLOPE]: {vr: 'DS', Value: [2]},
+  [DICOM_TAGS.SHARED_FUNCTIONAL_GROUPS]: {vr: 'SQ', Value: [
+    generateGroup(PIXEL_VALUE_TRANSFORMATION_SEQUENCE, {
+      [DICOM_TAGS.RESCALE_SLOPE]: {vr: 'DS', Value: [1]},
+      [DICOM_TAGS.RESCALE_INTERCEPT]: {vr: 'DS', Value: [-1024]},
+    }),
+  ]},
+  [DICOM_TAGS.PER_FRAME_FUNCTIONAL_GROUPS]: {vr: 'SQ', Value: [
+    generateGroup(PLANE_POSITION_SEQUENCE, {
+      [DICOM_TAGS.IMAGE_POSITION_PATIENT]: {vr: 'DS', Value: [0, 0, 10]},
+    }),
+    {
+      ...generateGroup(PLANE_POSITION_SEQUENCE, {
+        [DICOM_TAGS.IMAGE_POSITION_PATIENT]: {vr: 'DS', Value: [0, 0, 5]},
+      }),
+      ...generateGroup(PIXEL_VALUE_TRANSFORMATION_SEQUENCE, {
+        [DICOM_TAGS.RESCALE_SLOPE]: {vr: 'DS', Value: [1]},
+        [DICOM_TAGS.RESCALE_INTERCEPT]: {vr: 'DS', Value: [0]},
+      }),
+    },
+  ]},
+};
+
+test('Functional groups are resolved into each frame\'s attributes', () => {
+  expect(hasFunctionalGroups(enhancedInstance)).toBe(true);
+
+  const first = getFrameMetadata(enhancedInstance, 0);
+  expect(first[DICOM_TAGS.IMAGE_POSITION_PATIENT].Value).toEqual([0, 0, 10]);
+  expect(first[DICOM_TAGS.RESCALE_SLOPE].Value).toEqual([1]);
+  expect(first[DICOM_TAGS.RESCALE_INTERCEPT].Value).toEqual([-1024]);
+  expect(first[DICOM_TAGS.NUM_FRAMES].Value).toEqual([2]);
+
+  // Per-frame values take precedence over shared ones
+  const second = getFrameMetadata(enhancedInstance, 1);
+  expect(second[DICOM_TAGS.IMAGE_POSITION_PATIENT].Value).toEqual([0, 0, 5]);
+  expect(second[DICOM_TAGS.RESCALE_INTERCEPT].Value).toEqual([0]);
+
+  // Frames don't carry the functional groups of every other frame
+  expect(second[DICOM_TAGS.PER_FRAME_FUNCTIONAL_GROUPS]).toBeUndefined();
+  expect(second[DICOM_TAGS.SHARED_FUNCTIONAL_GROUPS]).toBeUndefined();
+  expect(enhancedInstance[DICOM_TAGS.PER_FRAME_FUNCTIONAL_GROUPS])
+      .toBeDefined();
+});
+
+test('Instances without functional groups are used as they are', () => {
+  const instance = {[DICOM_TAGS.NUM_FRAMES]: {vr: 'IS', Value: [3]}};
+  expect(hasFunctionalGroups(instance)).toBe(false);
+  expect(getFrameMetadata(instance, 2)).toBe(instance);
+});
@@ -0,0 +1,153 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  openLocalFiles,
+  getLocalSeries,
+  getLocalInstances,
+  readLocalFile,
+  getLocalImageId,
+} from '../src/localFiles.js';
+import {loadImage} from '../src/dicomImageLoader.js';
+import {DICOM_TAGS, TRANSFER_SYNTAXES} from '../src/dicomValues.js';
+import {
+  encodeElement,
+  encodeString,
+  encodeUint16,
+  encodeItem,
+  encodeP10File,
+  concat,
+} from './p10Helpers.js';
+
+/**
+ * Creates a dropped file. Only the parts of File used by localFiles
+ *    are implemented.
+ * @param {string} path Path of the file
+ * @param {ArrayBuffer} arrayBuffer Contents of the file
+ * @return {module:localFiles~LocalFile} Dropped file
+ */
+const createLocalFile = (path, arrayBuffer) => ({
+  path,
+  file: {arrayBuffer: async () => arrayBuffer.slice(0)},
+});
+
+/**
+ * Creates a single frame 2x2 image instance
+ * @param {string} studyUID Study Instance UID
+ * @param {string} seriesUID Series Instance UID
+ * @param {string} instanceUID SOP Instance UID
+ * @param {number} instanceNumber Instance Number
+ * @param {number=} numFrames Number of frames
+ * @return {ArrayBuffer} DICOM P10 file
+ */
+const createInstance = (studyUID, seriesUID, instanceUID, instanceNumber,
+    numFrames = 1) =>
+  encodeP10File(TRANSFER_SYNTAXES.EXPLICIT_VR_LITTLE_ENDIAN, [
+    encodeElement(0x0008, 0x0018, 'UI', encodeString(instanceUID, '\0')),
+    encodeElement(0x0008, 0x0060, 'CS', encodeString('MR')),
+    encodeElement(0x0010, 0x0020, 'LO', encodeString('patient')),
+    encodeElement(0x0020, 0x000D, 'UI', encodeString(studyUID, '\0')),
+    encodeElement(0x0020, 0x000E, 'UI', encodeString(seriesUID, '\0')),
+    encodeElement(0x0020, 0x0013, 'IS', encodeString(`${instanceNumber}`)),
+    encodeElement(0x0028, 0x0008, 'IS', encodeString(`${numFrames}`)),
+    encodeElement(0x0028, 0x0010, 'US', encodeUint16(2)),
+    encodeElement(0x0028, 0x0011, 'US', encodeUint16(2)),
+    encodeElement(0x0028, 0x0100, 'US', encodeUint16(16)),
+    encodeElement(0x7FE0, 0x0010, 'OW', new Uint8Array(8 * numFrames)),
+  ]);
+
+/**
+ * Creates a DICOMDIR referencing files by their path components
+ * @param {Array<Array<string>>} fileIds Referenced File ID of each record
+ * @return {ArrayBuffer} DICOMDIR file
+ */
+const createDicomDir = (fileIds) =>
+  encodeP10File(TRANSFER_SYNTAXES.EXPLICIT_VR_LITTLE_ENDIAN, [
+    encodeElement(0x0004, 0x1220, 'SQ', concat(fileIds.map((fileId) =>
+      encodeItem(0xE000, encodeElement(0x0004, 0x1500, 'CS',
+          encodeString(fileId.join('\\'))))))),
+  ]);
+
+test('Dropped files are grouped into studies and series', async () => {
+  const result = await openLocalFiles([
+    createLocalFile('scan/b', createInstance('1.1', '1.1.2', '1.1.2.1', 1)),
+    createLocalFile('scan/a', createInstance('1.1', '1.1.1', '1.1.1.2', 2)),
+    createLocalFile('scan/c', createInstance('1.1', '1.1.1', '1.1.1.1', 1)),
+    createLocalFile('scan/notes.txt', new ArrayBuffer(16)),
+  ]);
+
+  expect(result.numInstances).toBe(3);
+  expect(result.skippedFiles).toEqual(['scan/notes.txt']);
+  expect(result.studies.length).toBe(1);
+  expect(result.studies[0][DICOM_TAGS.PATIENT_ID].Value).toEqual(['patient']);
+
+  const series = getLocalSeries('1.1');
+  expect(series.map((s) => s[DICOM_TAGS.SERIES_UID].Value[0]))
+      .toEqual(['1.1.2', '1.1.1']);
+  expect(getLocalInstances('1.1', '1.1.1')
+      .map((instance) => instance[DICOM_TAGS.INSTANCE_UID].Value[0]))
+      .toEqual(['1.1.1.2', '1.1.1.1']);
+
+  const file = await readLocalFile(getLocalImageId('1.1.1.1'));
+  expect(file.byteLength).toBe(createInstance('1.1', '1.1.1', '1.1.1.1', 1)
+      .byteLength);
+});
+
+test('Only files referenced by a DICOMDIR are opened', async () => {
+  const result = await openLocalFiles([
+    createLocalFile('cd/DICOMDIR', createDicomDir([['IMAGES', 'IM1']])),
+    createLocalFile('cd/images/im1',
+        createInstance('2.1', '2.1.1', '2.1.1.1', 1)),
+    createLocalFile('cd/images/im2',
+        createInstance('2.1', '2.1.1', '2.1.1.2', 2)),
+  ]);
+
+  expect(result.numInstances).toBe(1);
+  expect(getLocalInstances('2.1', '2.1.1')
+      .map((instance) => instance[DICOM_TAGS.INSTANCE_UID].Value[0]))
+      .toEqual(['2.1.1.1']);
+});
+
+test('DICOMDIRs without their referenced files throw errors', async () => {
+  await expect(openLocalFiles([
+    createLocalFile('DICOMDIR', createDicomDir([['IMAGES', 'IM1']])),
+  ])).rejects.toThrow('None of the files referenced by DICOMDIR were dropped');
+});
+
+test('Frames of a local instance share one read of its file', async () => {
+  const localFile = createLocalFile('multi',
+      createInstance('3.1', '3.1.1', '3.1.1.1', 1, 3));
+  jest.spyOn(localFile.file, 'arrayBuffer');
+  await openLocalFiles([localFile]);
+  localFile.file.arrayBuffer.mockClear();
+
+  const imageId = getLocalImageId('3.1.1.1');
+  const images = await Promise.all([1, 2, 3].map((frame) =>
+    loadImage(`${imageId}/frames/${frame}`).promise));
+  expect(images.map((image) => image.imageId)).toEqual([1, 2, 3].map(
+      (frame) => `${imageId}/frames/${frame}`));
+  expect(localFile.file.arrayBuffer).toHaveBeenCalledTimes(1);
+
+  // Files dropped again are read again
+  const droppedAgain = createLocalFile('multi',
+      createInstance('3.1', '3.1.1', '3.1.1.1', 1, 3));
+  jest.spyOn(droppedAgain.file, 'arrayBuffer');
+  await openLocalFiles([droppedAgain]);
+  droppedAgain.file.arrayBuffer.mockClear();
+  await loadImage(`${imageId}/frames/2`).promise;
+  expect(droppedAgain.file.arrayBuffer).toHaveBeenCalledTimes(1);
+  expect(localFile.file.arrayBuffer).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,101 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  MEASUREMENT_TOOLS,
+  getMeasurements,
+  formatMeasurement,
+  getMeasurementsJSON,
+} from '../src/measurements.js';
+import {CALIBRATION_TYPES} from '../src/calibration.js';
+
+const toolState = {
+  image2: {
+    [MEASUREMENT_TOOLS.LENGTH]: {data: [{uuid: 'length', length: 12.5}]},
+    [MEASUREMENT_TOOLS.ELLIPTICAL_ROI]: {data: [
+      {uuid: 'ellipse', cachedStats: {
+        area: 100, mean: 40, stdDev: 5, min: 20, max: 60, count: 120,
+      }},
+      {uuid: 'being-drawn'},
+    ]},
+  },
+  image1: {
+    [MEASUREMENT_TOOLS.ANGLE]: {data: [{uuid: 'angle', rAngle: 90}]},
+  },
+  other: {
+    [MEASUREMENT_TOOLS.LENGTH]: {data: [{
+      uuid: 'other',
+      length: 1,
+      handles: {start: {x: 1, y: 2}, end: {x: 1, y: 3}},
+    }]},
+  },
+};
+
+/**
+ * Helper function to get the calibration of the test images
+ * @param {string} imageId ImageId of the image
+ * @return {module:calibration~Calibration} Calibration of the image
+ */
+const getCalibration = (imageId) => imageId == 'image2' ?
+    {type: CALIBRATION_TYPES.PATIENT, valueUnit: 'HU'} :
+    {type: CALIBRATION_TYPES.UNCALIBRATED, valueUnit: ''};
+
+test('Measurements of the stack are listed by frame', () => {
+  const measurements = getMeasurements(toolState, ['image1', 'image2'],
+      getCalibration);
+
+  expect(measurements.map(({id, frame}) => [id, frame])).toEqual([
+    ['angle', 0],
+    ['length', 1],
+    ['ellipse', 1],
+  ]);
+  expect(measurements[1]).toMatchObject({
+    tool: MEASUREMENT_TOOLS.LENGTH,
+    imageId: 'image2',
+    calibration: CALIBRATION_TYPES.PATIENT,
+    length: 12.5,
+    lengthUnit: 'mm',
+    valueUnit: 'HU',
+  });
+  expect(formatMeasurement(measurements[0])).toBe('90.00°');
+  expect(formatMeasurement(measurements[1])).toBe('12.50 mm');
+  expect(formatMeasurement(measurements[2])).toBe('Area 100.00 mm², ' +
+      'Mean 40.00 HU, SD 5.00 HU, Min 20.00 HU, Max 60.00 HU');
+});
+
+test('Uncalibrated measurements are exported in pixels', () => {
+  const measurements = getMeasurements(toolState, ['other'], () => null);
+  expect(formatMeasurement(measurements[0])).toBe('1.00 px');
+
+  // Frames are numbered from 1 in the export
+  const exported = JSON.parse(getMeasurementsJSON(measurements,
+      {studyUID: 'study-uid', seriesUID: 'series-uid'}));
+  expect(exported).toEqual({
+    studyUID: 'study-uid',
+    seriesUID: 'series-uid',
+    measurements: [{
+      id: 'other',
+      tool: MEASUREMENT_TOOLS.LENGTH,
+      imageId: 'other',
+      frame: 1,
+      calibration: CALIBRATION_TYPES.UNCALIBRATED,
+      points: [[1, 2], [1, 3]],
+      length: 1,
+      lengthUnit: 'px',
+      valueUnit: '',
+    }],
+  });
+});
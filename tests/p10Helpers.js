@@ -0,0 +1,138 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Helpers for building small DICOM P10 files in tests
+
+// VRs with a 4 byte length in Explicit VR Little Endian
+const LONG_VRS = ['OB', 'OW', 'SQ', 'UN', 'UT'];
+
+/**
+ * Encodes a data element in Explicit VR Little Endian
+ * @param {number} group Group number of the tag
+ * @param {number} element Element number of the tag
+ * @param {string} vr Value Representation
+ * @param {Uint8Array} value Value bytes
+ * @param {boolean=} undefinedLength Whether to use an undefined length
+ * @return {Uint8Array} Encoded element
+ */
+const encodeElement = (group, element, vr, value, undefinedLength) => {
+  const headerLength = LONG_VRS.includes(vr) ? 12 : 8;
+  const bytes = new Uint8Array(headerLength + value.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint16(0, group, true);
+  view.setUint16(2, element, true);
+  bytes[4] = vr.charCodeAt(0);
+  bytes[5] = vr.charCodeAt(1);
+  if (headerLength == 12) {
+    view.setUint32(8, undefinedLength ? 0xFFFFFFFF : value.length, true);
+  } else {
+    view.setUint16(6, value.length, true);
+  }
+  bytes.set(value, headerLength);
+  return bytes;
+};
+
+/**
+ * Encodes a data element in Implicit VR Little Endian, which has no VR
+ * @param {number} group Group number of the tag
+ * @param {number} element Element number of the tag
+ * @param {Uint8Array} value Value bytes
+ * @return {Uint8Array} Encoded element
+ */
+const encodeImplicitElement = (group, element, value) => {
+  const bytes = new Uint8Array(8 + value.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint16(0, group, true);
+  view.setUint16(2, element, true);
+  view.setUint32(4, value.length, true);
+  bytes.set(value, 8);
+  return bytes;
+};
+
+/**
+ * Encodes a string value, padded to an even length
+ * @param {string} text Text to encode
+ * @param {string=} padding Padding character
+ * @return {Uint8Array} Encoded text
+ */
+const encodeString = (text, padding = ' ') => {
+  const padded = text.length % 2 ? text + padding : text;
+  return new Uint8Array(Array.from(padded).map((char) => char.charCodeAt(0)));
+};
+
+/**
+ * Encodes an unsigned 16 bit value
+ * @param {number} value Value to encode
+ * @return {Uint8Array} Encoded value
+ */
+const encodeUint16 = (value) => new Uint8Array(new Uint16Array([value]).buffer);
+
+/**
+ * Encodes an item of an encapsulated pixel data sequence
+ * @param {number} element Element number (0xE000 item, 0xE0DD delimiter)
+ * @param {Uint8Array} value Value bytes
+ * @return {Uint8Array} Encoded item
+ */
+const encodeItem = (element, value) => {
+  const bytes = new Uint8Array(8 + value.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint16(0, 0xFFFE, true);
+  view.setUint16(2, element, true);
+  view.setUint32(4, value.length, true);
+  bytes.set(value, 8);
+  return bytes;
+};
+
+/**
+ * Concatenates byte arrays
+ * @param {Uint8Array[]} arrays Arrays to concatenate
+ * @return {Uint8Array} Concatenated bytes
+ */
+const concat = (arrays) => {
+  const length = arrays.reduce((total, array) => total + array.length, 0);
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  for (const array of arrays) {
+    bytes.set(array, offset);
+    offset += array.length;
+  }
+  return bytes;
+};
+
+/**
+ * Wraps encoded data elements in a DICOM P10 file
+ * @param {string} transferSyntax Transfer syntax UID
+ * @param {Uint8Array[]} elements Encoded data elements, in tag order
+ * @return {ArrayBuffer} DICOM P10 file
+ */
+const encodeP10File = (transferSyntax, elements) => {
+  return concat([
+    new Uint8Array(128),
+    encodeString('DICM'),
+    encodeElement(0x0002, 0x0010, 'UI', encodeString(transferSyntax, '\0')),
+    ...elements,
+  ]).buffer;
+};
+
+export {
+  encodeElement,
+  encodeImplicitElement,
+  encodeString,
+  encodeUint16,
+  encodeItem,
+  concat,
+  encodeP10File,
+};
@@ -14,9 +14,28 @@
  * limitations under the License.
  */
 
-import parseMultipart from '../src/parseMultipart.js';
+import parseMultipart, {
+  parseContentType,
+  parseMultipartStream,
+} from '../src/parseMultipart.js';
 import fs from 'fs';
 
+/**
+ * Converts a string to an array buffer using ascii codes
+ * @param {string} str The string to convert
+ * @return {ArrayBuffer} Array buffer containing the string as a byte array
+ */
+const stringToArrayBuffer = (str) => {
+  // Generate an array buffer containing the bytes for the string
+  const arrayBuffer = new ArrayBuffer(str.length);
+  const byteArray = new Uint8Array(arrayBuffer);
+  for (let i = 0; i < str.length; i++) {
+    byteArray[i] = str.charCodeAt(i);
+  }
+
+  return arrayBuffer;
+};
+
 /**
  * Helper function to generate a multipart byte array
  * @param {string} boundary The boundary string to use
@@ -29,7 +48,7 @@ const generateMultipartArrayBuffer = (boundary, headerLength, content) => {
   // Generate header
   let header = `--${boundary}\r\n`;
   for (let i = 1; i <= headerLength; i++) {
-    header += `HEADER_LINE_${i}\r\n`;
+    header += `Header-Line-${i}: value ${i}\r\n`;
   }
   header += '\r\n';
 
@@ -39,14 +58,7 @@ const generateMultipartArrayBuffer = (boundary, headerLength, content) => {
   // Create multipart string using header, content, and footer
   const multipartString = header + content + footer;
 
-  // Generate an array buffer containing the bytes for the string
-  const arrayBuffer = new ArrayBuffer(multipartString.length);
-  const byteArray = new Uint8Array(arrayBuffer);
-  for (let i = 0; i < multipartString.length; i++) {
-    byteArray[i] = multipartString.charCodeAt(i);
-  }
-
-  return arrayBuffer;
+  return stringToArrayBuffer(multipartString);
 };
 
 /**
@@ -71,7 +83,7 @@ test('parseMultipart correctly strips multipart headers and boundaries', () => {
   let boundary = 'abcd';
   let content = 'Hello world!';
   let arrayBuffer = generateMultipartArrayBuffer(boundary, 1, content);
-  let parsedArrayBuffer = parseMultipart(arrayBuffer, boundary);
+  let parsedArrayBuffer = parseMultipart(arrayBuffer, boundary)[0].data;
 
   expect(arrayBufferToString(parsedArrayBuffer)).toEqual(content);
 
@@ -79,15 +91,16 @@ test('parseMultipart correctly strips multipart headers and boundaries', () => {
   boundary = '1234567910abcdefghijklmnopqrstuvwxyz';
   content = '\r\n\r\nThis Content starts with carriage returns and newlines';
   arrayBuffer = generateMultipartArrayBuffer(boundary, 3, content);
-  parsedArrayBuffer = parseMultipart(arrayBuffer, boundary);
+  parsedArrayBuffer = parseMultipart(arrayBuffer, boundary)[0].data;
 
   expect(arrayBufferToString(parsedArrayBuffer)).toEqual(content);
 
-  // Test with no boundary, 10 header lines, and content ending in \r\n\r\n
-  boundary = '';
+  // Test with 1 character boundary, 10 header lines,
+  // and content ending in \r\n\r\n
+  boundary = '-';
   content = 'This Content ends with carriage returns and newlines\r\n\r\n';
   arrayBuffer = generateMultipartArrayBuffer(boundary, 10, content);
-  parsedArrayBuffer = parseMultipart(arrayBuffer, boundary);
+  parsedArrayBuffer = parseMultipart(arrayBuffer, boundary)[0].data;
 
   expect(arrayBufferToString(parsedArrayBuffer)).toEqual(content);
 
@@ -96,7 +109,7 @@ test('parseMultipart correctly strips multipart headers and boundaries', () => {
   boundary = '9aa9819d32ea43a1ece1e209278fab1c00fc982960149d6276d5f2ea1b10';
   content = fs.readFileSync(__dirname + '/pixelData.txt', 'utf8');
   arrayBuffer = generateMultipartArrayBuffer(boundary, 1, content);
-  parsedArrayBuffer = parseMultipart(arrayBuffer, boundary);
+  parsedArrayBuffer = parseMultipart(arrayBuffer, boundary)[0].data;
 
   expect(arrayBufferToString(parsedArrayBuffer)).toEqual(content);
 
@@ -108,5 +121,133 @@ test('parseMultipart correctly strips multipart headers and boundaries', () => {
   for (let i = 0; i < content.length; i++) {
     byteArray[i] = content.charCodeAt(i);
   }
-  expect(() => parseMultipart(arrayBuffer)).toThrow();
+  expect(() => parseMultipart(arrayBuffer)).toThrow(/boundary is missing/);
+  expect(() => parseMultipart(arrayBuffer, 'abcd')).toThrow(/not found/);
+});
+
+test('parseMultipart returns every part with its headers', () => {
+  const boundary = 'frame boundary';
+  const arrayBuffer = stringToArrayBuffer(
+      'This preamble is ignored\r\n' +
+      `--${boundary}  \t\r\n` + // Transport padding is ignored
+      'content-type: application/octet-stream; ' +
+      'transfer-syntax=1.2.840.10008.1.2.1\r\n' +
+      'Content-Location: .../frames/1\r\n' +
+      'X-Folded: first\r\n second\r\n' +
+      '\r\nframe1' +
+      `\r\n--${boundary}\r\n` +
+      'Content-Type: image/jls;transfer-syntax="1.2.840.10008.1.2.4.80"\r\n' +
+      '\r\nframe2' +
+      `\r\n--${boundary}\r\n` +
+      '\r\npart without headers' +
+      `\r\n--${boundary}--\r\nThis epilogue is ignored`);
+
+  const parts = parseMultipart(arrayBuffer, boundary);
+  expect(parts).toHaveLength(3);
+
+  expect(arrayBufferToString(parts[0].data)).toEqual('frame1');
+  expect(parts[0].contentType).toEqual('application/octet-stream');
+  expect(parts[0].transferSyntax).toEqual('1.2.840.10008.1.2.1');
+  expect(parts[0].contentLocation).toEqual('.../frames/1');
+  expect(parts[0].headers['x-folded']).toEqual('first second');
+
+  expect(arrayBufferToString(parts[1].data)).toEqual('frame2');
+  expect(parts[1].contentType).toEqual('image/jls');
+  expect(parts[1].transferSyntax).toEqual('1.2.840.10008.1.2.4.80');
+
+  expect(arrayBufferToString(parts[2].data)).toEqual('part without headers');
+  expect(parts[2].headers).toEqual({});
+  expect(parts[2].contentType).toBeUndefined();
+});
+
+test('parseMultipart throws descriptive errors for malformed input', () => {
+  const boundary = 'abcd';
+
+  // Missing close delimiter
+  expect(() => parseMultipart(stringToArrayBuffer(
+      `--${boundary}\r\nContent-Type: text/plain\r\n\r\ntruncated`),
+  boundary)).toThrow(/part 1 is not followed by boundary "abcd"/);
+
+  // Headers never end
+  expect(() => parseMultipart(stringToArrayBuffer(
+      `--${boundary}\r\nContent-Type: text/plain\r\n`),
+  boundary)).toThrow(/part 1 has no end of headers/);
+
+  // Header line without a name
+  expect(() => parseMultipart(stringToArrayBuffer(
+      `--${boundary}\r\nnot a header\r\n\r\ndata\r\n--${boundary}--`),
+  boundary)).toThrow(/Malformed header in multipart part 1/);
+
+  // Boundary followed by other characters
+  expect(() => parseMultipart(stringToArrayBuffer(
+      `--${boundary}x\r\n\r\ndata\r\n--${boundary}--`),
+  boundary)).toThrow(/not followed by a line break/);
+});
+
+test('parseContentType handles quoted and reordered parameters', () => {
+  expect(parseContentType('multipart/related; ' +
+      'type="application/octet-stream"; boundary="a;b \\"c\\""'))
+      .toEqual({
+        mediaType: 'multipart/related',
+        parameters: {
+          type: 'application/octet-stream',
+          boundary: 'a;b "c"',
+        },
+      });
+
+  expect(parseContentType('Multipart/Related;Boundary=abc;' +
+      'transfer-syntax=1.2.840.10008.1.2.1;type=application/octet-stream'))
+      .toEqual({
+        mediaType: 'multipart/related',
+        parameters: {
+          'boundary': 'abc',
+          'transfer-syntax': '1.2.840.10008.1.2.1',
+          'type': 'application/octet-stream',
+        },
+      });
+});
+
+test('parseMultipartStream emits parts as soon as they arrive', async () => {
+  const boundary = 'abcd';
+  const body = new Uint8Array(stringToArrayBuffer(
+      `--${boundary}\r\nContent-Type: text/plain\r\n\r\nfirst part` +
+      `\r\n--${boundary}\r\n\r\nsecond part\r\n--${boundary}--\r\n`));
+
+  // Split the body into chunks that cut through boundaries and headers
+  for (const chunkSize of [1, 3, 7, body.length]) {
+    const chunks = [];
+    for (let i = 0; i < body.length; i += chunkSize) {
+      chunks.push(body.slice(i, i + chunkSize));
+    }
+
+    // Record how many chunks had been read when each part was emitted
+    let chunksRead = 0;
+    const emittedAfter = [];
+    const stream = {
+      getReader: () => ({
+        read: async () => chunksRead < chunks.length ?
+            {done: false, value: chunks[chunksRead++]} : {done: true},
+      }),
+    };
+    const parts = await parseMultipartStream(stream, boundary, (part, i) => {
+      expect(arrayBufferToString(part.data))
+          .toEqual(['first part', 'second part'][i]);
+      emittedAfter.push(chunksRead);
+    });
+
+    expect(parts).toHaveLength(2);
+    expect(parts[0].contentType).toEqual('text/plain');
+    expect(arrayBufferToString(parts[1].data)).toEqual('second part');
+    if (chunkSize < body.length) {
+      // The first part is emitted before the body has finished
+      expect(emittedAfter[0]).toBeLessThan(chunks.length);
+    }
+  }
+
+  // Truncated streams throw once they end
+  const truncated = body.slice(0, 40);
+  const reads = [{done: false, value: truncated}, {done: true}];
+  const stream = {getReader: () => ({read: async () => reads.shift()})};
+  await expect(parseMultipartStream(stream, boundary))
+      .rejects.toThrow(/may be truncated/);
 });
@@ -0,0 +1,174 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import parseP10 from '../src/parseP10.js';
+import {DICOM_TAGS, TRANSFER_SYNTAXES} from '../src/dicomValues.js';
+import {getFrameMetadata} from '../src/functionalGroups.js';
+import {
+  encodeElement,
+  encodeImplicitElement,
+  encodeString,
+  encodeUint16,
+  encodeItem,
+  encodeP10File,
+  concat,
+} from './p10Helpers.js';
+
+/**
+ * Creates a DICOM P10 file with two 2x2 frames
+ * @param {string} transferSyntax Transfer syntax UID
+ * @param {Uint8Array} pixelDataElement Encoded pixel data element
+ * @return {ArrayBuffer} DICOM P10 file
+ */
+const createP10File = (transferSyntax, pixelDataElement) => {
+  return encodeP10File(transferSyntax, [
+    encodeElement(0x0008, 0x0018, 'UI', encodeString('1.2.3.4', '\0')),
+    encodeElement(0x0008, 0x0060, 'CS', encodeString('CT')),
+    encodeElement(0x0010, 0x0010, 'PN', encodeString('Doe^Jane')),
+    encodeElement(0x0020, 0x0013, 'IS', encodeString('7')),
+    encodeElement(0x0028, 0x0002, 'US', encodeUint16(1)),
+    encodeElement(0x0028, 0x0008, 'IS', encodeString('2')),
+    encodeElement(0x0028, 0x0010, 'US', encodeUint16(2)),
+    encodeElement(0x0028, 0x0011, 'US', encodeUint16(2)),
+    encodeElement(0x0028, 0x0100, 'US', encodeUint16(16)),
+    encodeElement(0x0028, 0x1050, 'DS', encodeString('40\\400')),
+    pixelDataElement,
+  ]);
+};
+
+test('Native pixel data is split into frames', () => {
+  const pixels = new Uint16Array([1, 2, 3, 4, 5, 6, 7, 8]);
+  const p10 = parseP10(createP10File(
+      TRANSFER_SYNTAXES.EXPLICIT_VR_LITTLE_ENDIAN,
+      encodeElement(0x7FE0, 0x0010, 'OW', new Uint8Array(pixels.buffer))));
+
+  expect(p10.transferSyntax).toBe(TRANSFER_SYNTAXES.EXPLICIT_VR_LITTLE_ENDIAN);
+  expect(p10.frames.length).toBe(2);
+  expect(Array.from(new Uint16Array(p10.frames[0]))).toEqual([1, 2, 3, 4]);
+  expect(Array.from(new Uint16Array(p10.frames[1]))).toEqual([5, 6, 7, 8]);
+});
+
+test('Attributes are converted to DICOM JSON', () => {
+  const {metaData} = parseP10(createP10File(
+      TRANSFER_SYNTAXES.EXPLICIT_VR_LITTLE_ENDIAN,
+      encodeElement(0x7FE0, 0x0010, 'OW', new Uint8Array(16))));
+
+  expect(metaData[DICOM_TAGS.INSTANCE_UID]).toEqual({
+    vr: 'UI',
+    Value: ['1.2.3.4'],
+  });
+  expect(metaData[DICOM_TAGS.MODALITY].Value).toEqual(['CT']);
+  expect(metaData['00100010'].Value).toEqual([{Alphabetic: 'Doe^Jane'}]);
+  expect(metaData[DICOM_TAGS.INSTANCE_NUMBER].Value).toEqual([7]);
+  expect(metaData[DICOM_TAGS.NUM_ROWS]).toEqual({vr: 'US', Value: [2]});
+  expect(metaData[DICOM_TAGS.WINDOW_CENTER].Value).toEqual([40, 400]);
+  expect(metaData['7FE00010']).toBeUndefined();
+});
+
+test('Attributes the viewer reads have VRs in Implicit VR files', () => {
+  const pixelMeasures = encodeImplicitElement(0x0028, 0x9110,
+      encodeItem(0xE000, encodeImplicitElement(0x0028, 0x0030,
+          encodeString('0.5\\0.25'))));
+  const ultrasoundRegion = concat([
+    encodeImplicitElement(0x0018, 0x6012, encodeUint16(1)),
+    encodeImplicitElement(0x0018, 0x602C,
+        new Uint8Array(new Float64Array([0.1]).buffer)),
+  ]);
+  const {metaData} = parseP10(encodeP10File(
+      TRANSFER_SYNTAXES.IMPLICIT_VR_LITTLE_ENDIAN, [
+        encodeImplicitElement(0x0008, 0x0016,
+            encodeString('1.2.840.10008.5.1.4.1.1.2.1', '\0')),
+        encodeImplicitElement(0x0008, 0x0018, encodeString('1.2.3.4', '\0')),
+        encodeImplicitElement(0x0008, 0x0060, encodeString('CT')),
+        encodeImplicitElement(0x0018, 0x6011,
+            encodeItem(0xE000, ultrasoundRegion)),
+        encodeImplicitElement(0x0020, 0x0013, encodeString('7')),
+        encodeImplicitElement(0x0028, 0x0008, encodeString('2')),
+        encodeImplicitElement(0x0028, 0x0010, encodeUint16(2)),
+        encodeImplicitElement(0x0028, 0x1054, encodeString('HU')),
+        encodeImplicitElement(0x5200, 0x9229,
+            encodeItem(0xE000, pixelMeasures)),
+      ]));
+
+  expect(metaData[DICOM_TAGS.SOP_CLASS_UID]).toEqual({
+    vr: 'UI',
+    Value: ['1.2.840.10008.5.1.4.1.1.2.1'],
+  });
+  expect(metaData[DICOM_TAGS.INSTANCE_UID].vr).toBe('UI');
+  expect(metaData[DICOM_TAGS.MODALITY]).toEqual({vr: 'CS', Value: ['CT']});
+  expect(metaData[DICOM_TAGS.INSTANCE_NUMBER]).toEqual({vr: 'IS', Value: [7]});
+  expect(metaData[DICOM_TAGS.NUM_FRAMES]).toEqual({vr: 'IS', Value: [2]});
+  expect(metaData[DICOM_TAGS.NUM_ROWS]).toEqual({vr: 'US', Value: [2]});
+  expect(metaData[DICOM_TAGS.RESCALE_TYPE]).toEqual({vr: 'LO', Value: ['HU']});
+
+  const region = metaData[DICOM_TAGS.ULTRASOUND_REGIONS].Value[0];
+  expect(region[DICOM_TAGS.REGION_SPATIAL_FORMAT])
+      .toEqual({vr: 'US', Value: [1]});
+  expect(region[DICOM_TAGS.PHYSICAL_DELTA_X])
+      .toEqual({vr: 'FD', Value: [0.1]});
+
+  expect(metaData[DICOM_TAGS.SHARED_FUNCTIONAL_GROUPS].vr).toBe('SQ');
+  expect(getFrameMetadata(metaData, 0)[DICOM_TAGS.PIXEL_SPACING])
+      .toEqual({vr: 'DS', Value: [0.5, 0.25]});
+});
+
+test('Pixel values of signed Implicit VR images are signed', () => {
+  /**
+   * Helper function to parse the smallest and largest pixel values of an
+   *    Implicit VR file
+   * @param {number} pixelRepresentation 1 for signed pixels, 0 if unsigned
+   * @param {Int16Array} values Smallest and largest pixel values
+   * @return {Object} Parsed attributes
+   */
+  const parsePixelValues = (pixelRepresentation, values) => parseP10(
+      encodeP10File(TRANSFER_SYNTAXES.IMPLICIT_VR_LITTLE_ENDIAN, [
+        encodeImplicitElement(0x0028, 0x0103,
+            encodeUint16(pixelRepresentation)),
+        encodeImplicitElement(0x0028, 0x0106,
+            new Uint8Array(values.buffer, 0, 2)),
+        encodeImplicitElement(0x0028, 0x0107,
+            new Uint8Array(values.buffer, 2, 2)),
+      ])).metaData;
+
+  const signed = parsePixelValues(1, new Int16Array([-1024, 3071]));
+  expect(signed[DICOM_TAGS.MIN_PIXEL_VAL]).toEqual({vr: 'SS', Value: [-1024]});
+  expect(signed[DICOM_TAGS.MAX_PIXEL_VAL]).toEqual({vr: 'SS', Value: [3071]});
+
+  const unsigned = parsePixelValues(0, new Int16Array([0, -1]));
+  expect(unsigned[DICOM_TAGS.MIN_PIXEL_VAL]).toEqual({vr: 'US', Value: [0]});
+  expect(unsigned[DICOM_TAGS.MAX_PIXEL_VAL])
+      .toEqual({vr: 'US', Value: [65535]});
+});
+
+test('Encapsulated fragments are read as frames', () => {
+  const fragments = [new Uint8Array([1, 2, 3, 4]), new Uint8Array([5, 6])];
+  const p10 = parseP10(createP10File('1.2.840.10008.1.2.4.50', concat([
+    encodeElement(0x7FE0, 0x0010, 'OB', new Uint8Array(0), true),
+    encodeItem(0xE000, new Uint8Array(0)), // Empty basic offset table
+    encodeItem(0xE000, fragments[0]),
+    encodeItem(0xE000, fragments[1]),
+    encodeItem(0xE0DD, new Uint8Array(0)),
+  ])));
+
+  expect(p10.transferSyntax).toBe('1.2.840.10008.1.2.4.50');
+  expect(p10.frames.map((frame) => Array.from(new Uint8Array(frame))))
+      .toEqual([[1, 2, 3, 4], [5, 6]]);
+});
+
+test('Invalid files throw errors', () => {
+  expect(() => parseP10(new ArrayBuffer(16)))
+      .toThrow('Unable to parse DICOM P10 file');
+});
@@ -0,0 +1,114 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  getPixelModule,
+  getPixelDataArray,
+  getMinMax,
+} from '../src/pixelData.js';
+import {DICOM_TAGS} from '../src/dicomValues.js';
+
+/**
+ * Helper function to generate a pixel module for a 2x2 image
+ * @param {number} bitsAllocated Bits Allocated
+ * @param {number} bitsStored Bits Stored
+ * @param {number} pixelRepresentation Pixel Representation
+ * @return {Object} Pixel module describing the image
+ */
+const generatePixelModule = (bitsAllocated, bitsStored, pixelRepresentation) =>
+  getPixelModule({
+    [DICOM_TAGS.NUM_ROWS]: 2,
+    [DICOM_TAGS.NUM_COLUMNS]: 2,
+    [DICOM_TAGS.BITS_ALLOCATED]: bitsAllocated,
+    [DICOM_TAGS.BITS_STORED]: bitsStored,
+    [DICOM_TAGS.PIXEL_REPRESENTATION]: pixelRepresentation,
+  });
+
+test('getPixelDataArray chooses typed array from pixel module', () => {
+  // Unsigned 16 bit (MR)
+  let pixelData = getPixelDataArray(
+      new Uint16Array([0, 1, 40000, 65535]).buffer,
+      generatePixelModule(16, 16, 0));
+  expect(pixelData).toBeInstanceOf(Uint16Array);
+  expect(Array.from(pixelData)).toEqual([0, 1, 40000, 65535]);
+
+  // Signed 16 bit (CT)
+  pixelData = getPixelDataArray(
+      new Int16Array([-1024, 0, 1, 3071]).buffer,
+      generatePixelModule(16, 16, 1));
+  expect(pixelData).toBeInstanceOf(Int16Array);
+  expect(Array.from(pixelData)).toEqual([-1024, 0, 1, 3071]);
+
+  // 8 bit (secondary capture)
+  pixelData = getPixelDataArray(
+      new Uint8Array([0, 127, 128, 255]).buffer,
+      generatePixelModule(8, 8, 0));
+  expect(pixelData).toBeInstanceOf(Uint8Array);
+  expect(Array.from(pixelData)).toEqual([0, 127, 128, 255]);
+
+  // 32 bit (dose maps)
+  pixelData = getPixelDataArray(
+      new Uint32Array([0, 100000, 2000000, 4000000000]).buffer,
+      generatePixelModule(32, 32, 0));
+  expect(pixelData).toBeInstanceOf(Uint32Array);
+  expect(Array.from(pixelData)).toEqual([0, 100000, 2000000, 4000000000]);
+
+  // Missing attributes default to 16 bit
+  pixelData = getPixelDataArray(new Uint16Array([1, 2, 3, 4]).buffer,
+      getPixelModule({}));
+  expect(Array.from(pixelData)).toEqual([1, 2, 3, 4]);
+});
+
+test('getPixelDataArray masks unused high bits', () => {
+  // 12 bits stored in 16 bits allocated with garbage in the top 4 bits
+  let pixelData = getPixelDataArray(
+      new Uint16Array([0xF000, 0xF001, 0x0FFF, 0xAFFE]).buffer,
+      generatePixelModule(16, 12, 0));
+  expect(Array.from(pixelData)).toEqual([0, 1, 4095, 4094]);
+
+  // Signed 12 bit values are sign extended from bit 11
+  pixelData = getPixelDataArray(
+      new Uint16Array([0xF800, 0x0FFF, 0x07FF, 0x1001]).buffer,
+      generatePixelModule(16, 12, 1));
+  expect(Array.from(pixelData)).toEqual([-2048, -1, 2047, 1]);
+});
+
+test('getPixelDataArray handles odd length and padded frames', () => {
+  // 3x1 8 bit image padded to an even length
+  const pixelModule = {
+    ...generatePixelModule(8, 8, 0),
+    rows: 1,
+    columns: 3,
+  };
+  let pixelData = getPixelDataArray(new Uint8Array([1, 2, 3, 0]).buffer,
+      pixelModule);
+  expect(Array.from(pixelData)).toEqual([1, 2, 3]);
+
+  // Frame with a trailing odd byte for 16 bit data
+  pixelData = getPixelDataArray(new Uint8Array([1, 0, 2, 0, 3, 0, 4, 0, 0])
+      .buffer, generatePixelModule(16, 16, 0));
+  expect(Array.from(pixelData)).toEqual([1, 2, 3, 4]);
+
+  // Truncated frame is padded with zeros
+  pixelData = getPixelDataArray(new Uint8Array([1, 0, 2]).buffer,
+      generatePixelModule(16, 16, 0));
+  expect(Array.from(pixelData)).toEqual([1, 2, 0, 0]);
+});
+
+test('getMinMax finds minimum and maximum in one pass', () => {
+  expect(getMinMax(new Int16Array([5, -3, 12, 0]))).toEqual({min: -3, max: 12});
+  expect(getMinMax(new Uint8Array([7]))).toEqual({min: 7, max: 7});
+});
@@ -0,0 +1,63 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import React from 'react';
+import {render, screen, fireEvent} from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import CineControls from '../../src/components/cineControls.js';
+import {CINE_MODES} from '../../src/cinePlayer.js';
+
+/**
+ * Helper function to render the controls
+ * @param {Object} props Props to use instead of the defaults
+ * @return {Object} Callbacks passed to the controls
+ */
+const renderControls = (props = {}) => {
+  const callbacks = {
+    onPlayPause: jest.fn(),
+    onSeek: jest.fn(),
+    onFpsChange: jest.fn(),
+    onModeChange: jest.fn(),
+  };
+  render(<CineControls numFrames={10} currentFrame={4}
+    bufferedRanges={[[0, 2], [4, 5]]} isPlaying={false} disabled={false}
+    fps="" defaultFps={25} mode={CINE_MODES.LOOP}
+    {...callbacks} {...props} />);
+  return callbacks;
+};
+
+test('Controls show the frame, buffered frames and frame rate', () => {
+  const callbacks = renderControls();
+
+  expect(screen.getByText('5 / 10')).toBeInTheDocument();
+  expect(screen.getByLabelText('FPS')).toHaveAttribute('placeholder', '25');
+  expect(screen.getByRole('img', {name: 'Buffered frames'})
+      .querySelectorAll('rect')).toHaveLength(3);
+
+  fireEvent.click(screen.getByText('Play'));
+  expect(callbacks.onPlayPause).toHaveBeenCalledTimes(1);
+  fireEvent.change(screen.getByLabelText('FPS'), {target: {value: '12'}});
+  expect(callbacks.onFpsChange).toHaveBeenCalledWith('12');
+  fireEvent.change(screen.getByLabelText('At Last Frame'),
+      {target: {value: CINE_MODES.BOUNCE}});
+  expect(callbacks.onModeChange).toHaveBeenCalledWith(CINE_MODES.BOUNCE);
+});
+
+test('Play does nothing while the controls are disabled', () => {
+  const callbacks = renderControls({disabled: true, isPlaying: true});
+  fireEvent.click(screen.getByText('Pause'));
+  expect(callbacks.onPlayPause).not.toHaveBeenCalled();
+});
@@ -0,0 +1,40 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import React from 'react';
+import {render, screen} from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import ConcurrencyChart from '../../src/components/concurrencyChart.js';
+
+test('Concurrency is drawn as steps up to the end of the run', () => {
+  const history = [
+    {time: 0, concurrency: 4, fps: null},
+    {time: 500, concurrency: 2, fps: 10},
+  ];
+  render(<ConcurrencyChart history={history} duration={1000} />);
+
+  expect(screen.getByText('Concurrency: 2')).toBeInTheDocument();
+  expect(screen.getByText('1.0s')).toBeInTheDocument();
+  const points = screen.getByRole('img').querySelector('polyline')
+      .getAttribute('points').split(' ');
+  expect(points).toEqual(['24,24', '224,24', '224,72', '424,72']);
+});
+
+test('Nothing is drawn without any history', () => {
+  const {container} = render(
+      <ConcurrencyChart history={[]} duration={1000} />);
+  expect(container).toBeEmptyDOMElement();
+});
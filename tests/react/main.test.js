@@ -157,3 +157,27 @@ test('User can navigate between project, location, dataset, dicomStore, study, a
   await waitFor(() =>
     expect(screen.getAllByText(/^project\d+$/)).toHaveLength(5));
 }, 10000);
+
+test('Files that can\'t be read when dropped show an error', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  render(
+      <Main/>,
+  );
+
+  // A dropped folder entry that fails to read its contents
+  const entry = {
+    isFile: false,
+    createReader: () => ({
+      readEntries: (resolve, reject) =>
+        reject(new Error('Folder could not be read')),
+    }),
+  };
+  fireEvent.drop(screen.getByText(/^Drop DICOM files/), {
+    dataTransfer: {items: [{webkitGetAsEntry: () => entry}]},
+  });
+
+  await waitFor(() =>
+    expect(screen.getByText('Error: Folder could not be read'))
+        .toBeInTheDocument());
+  console.error.mockRestore();
+});
@@ -0,0 +1,89 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import React from 'react';
+import {render, screen, fireEvent} from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import MeasurementsPanel from '../../src/components/measurementsPanel.js';
+import {MEASUREMENT_TOOLS} from '../../src/measurements.js';
+import {CALIBRATION_TYPES} from '../../src/calibration.js';
+import {ANNOTATION_FORMATS} from '../../src/annotationObjects.js';
+
+const saveProps = {
+  canSave: false,
+  saveFormat: ANNOTATION_FORMATS.SR,
+  onSaveFormatChange: () => {},
+  onSave: () => {},
+  saveStatus: '',
+};
+
+test('Measurements are grouped by frame and can be exported', () => {
+  const measurements = [
+    {id: 'a', tool: MEASUREMENT_TOOLS.LENGTH, frame: 0, length: 3,
+      calibration: CALIBRATION_TYPES.PATIENT, lengthUnit: 'mm'},
+    {id: 'b', tool: MEASUREMENT_TOOLS.ANGLE, frame: 0, angle: 45,
+      calibration: CALIBRATION_TYPES.PATIENT},
+    {id: 'c', tool: MEASUREMENT_TOOLS.LENGTH, frame: 4, length: 20,
+      calibration: CALIBRATION_TYPES.UNCALIBRATED, lengthUnit: 'px'},
+  ];
+  const onSelectFrame = jest.fn();
+  const onExport = jest.fn();
+  const onClear = jest.fn();
+  render(<MeasurementsPanel measurements={measurements}
+    onSelectFrame={onSelectFrame} onExport={onExport} onClear={onClear}
+    {...saveProps} />);
+
+  expect(screen.getByText('Length: 3.00 mm')).toBeInTheDocument();
+  expect(screen.getByText('Angle: 45.00°')).toBeInTheDocument();
+  expect(screen.getByText('Length: 20.00 px')).toBeInTheDocument();
+  expect(screen.getByText('Uncalibrated, so distances are in pixels'))
+      .toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Frame 5'));
+  expect(onSelectFrame).toHaveBeenCalledWith(4);
+  fireEvent.click(screen.getByText('Export JSON'));
+  expect(onExport).toHaveBeenCalledTimes(1);
+  fireEvent.click(screen.getByText('Clear'));
+  expect(onClear).toHaveBeenCalledTimes(1);
+  expect(screen.queryByText('Save to DICOM Store')).toBeNull();
+});
+
+test('Measurements can be saved in the chosen format', () => {
+  const measurements = [
+    {id: 'a', tool: MEASUREMENT_TOOLS.LENGTH, frame: 0, length: 3,
+      calibration: CALIBRATION_TYPES.PATIENT, lengthUnit: 'mm'},
+  ];
+  const onSaveFormatChange = jest.fn();
+  const onSave = jest.fn();
+  render(<MeasurementsPanel measurements={measurements}
+    onSelectFrame={() => {}} onExport={() => {}} onClear={() => {}}
+    {...saveProps} canSave={true} onSaveFormatChange={onSaveFormatChange}
+    onSave={onSave} saveStatus="Saved as a new SR series" />);
+
+  fireEvent.change(screen.getByLabelText('Save As'),
+      {target: {value: ANNOTATION_FORMATS.GSPS}});
+  expect(onSaveFormatChange).toHaveBeenCalledWith(ANNOTATION_FORMATS.GSPS);
+  fireEvent.click(screen.getByText('Save to DICOM Store'));
+  expect(onSave).toHaveBeenCalledTimes(1);
+  expect(screen.getByText('Saved as a new SR series')).toBeInTheDocument();
+});
+
+test('Without measurements, the panel explains how to measure', () => {
+  render(<MeasurementsPanel measurements={[]} onSelectFrame={() => {}}
+    onExport={() => {}} onClear={() => {}} {...saveProps} />);
+  expect(screen.getByText(/to measure the image/)).toBeInTheDocument();
+  expect(screen.queryByText('Export JSON')).toBeNull();
+});
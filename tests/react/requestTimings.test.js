@@ -0,0 +1,63 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import React from 'react';
+import {render, screen} from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import RequestTimings from '../../src/components/requestTimings.js';
+
+/**
+ * Helper function to generate the timing of a request
+ * @param {number} startTime When the request started
+ * @param {number} responseStart When the first byte arrived
+ * @param {number} responseEnd When the last byte arrived
+ * @param {?number} ttfb Time to first byte
+ * @return {module:resourceTiming~RequestTiming} Timing of the request
+ */
+const generateTiming = (startTime, responseStart, responseEnd, ttfb) => ({
+  url: 'https://example.com/instances/1/frames/1',
+  startTime,
+  responseStart,
+  responseEnd,
+  ttfb,
+  transferSize: ttfb === null ? 0 : 512 * 1024,
+});
+
+test('Throughput, TTFB and a waterfall of requests are shown', () => {
+  render(<RequestTimings timings={[
+    generateTiming(0, 100, 500, 90),
+    generateTiming(250, 300, 1000, 40),
+  ]} />);
+
+  expect(screen.getByText('Throughput: 1.00 MB/s')).toBeInTheDocument();
+  expect(screen.getByText(/Transferred: 1.00 MB/)).toBeInTheDocument();
+  expect(screen.getByText('TTFB (p50 / p90 / p95): 65 / 85 / 88ms'))
+      .toBeInTheDocument();
+  expect(screen.getByRole('img', {name: 'TTFB distribution'})
+      .querySelectorAll('rect').length).toBe(2);
+
+  // Each request has a waiting and a downloading bar
+  expect(screen.getByRole('img', {name: 'Request waterfall'})
+      .querySelectorAll('rect').length).toBe(4);
+});
+
+test('Servers that hide timings are explained', () => {
+  render(<RequestTimings timings={[generateTiming(0, 0, 500, null)]} />);
+  expect(screen.getByText(/only reported by servers that send/))
+      .toBeInTheDocument();
+  expect(screen.queryByRole('img', {name: 'TTFB distribution'}))
+      .not.toBeInTheDocument();
+});
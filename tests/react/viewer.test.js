@@ -16,11 +16,12 @@
 
 /* eslint-disable max-len */
 import React from 'react';
-import {render, fireEvent, screen, waitFor} from '@testing-library/react';
+import {render, fireEvent, screen, waitFor, act} from '@testing-library/react';
 import '@testing-library/jest-dom/extend-expect';
 import * as api from '../../src/api.js';
 import Viewer from '../../src/components/viewer.js';
 import {DICOM_TAGS} from '../../src/dicomValues.js';
+import {frameCache} from '../../src/frameCache.js';
 import '../../src/cornerstonesetup.js';
 
 // Set up mock functions for api calls and cornerstoneJS
@@ -81,7 +82,10 @@ api.fetchMetadata.mockResolvedValue([
 ]);
 
 // fetchDicomFile will mock 9 "pixel values" for a fake 3x3 dicom image
-api.fetchDicomFile.mockResolvedValue(new Int16Array([1, 2, 3, 4, 5, 6, 7, 8, 9]));
+api.fetchDicomFile.mockResolvedValue({
+  pixelData: new Int16Array([1, 2, 3, 4, 5, 6, 7, 8, 9]).buffer,
+  transferSyntax: '1.2.840.10008.1.2.1',
+});
 
 test('Instances/frames display in correct order', async (done) => {
   const correctImageOrder = [
@@ -133,3 +137,120 @@ test('Instances/frames display in correct order', async (done) => {
   // Click start button to begin fetching
   fireEvent.click(screen.getByRole('button'));
 });
+
+test('Blank or invalid cache quotas keep the current quota', () => {
+  const viewer = React.createRef();
+  render(
+      <Viewer
+        ref={viewer}
+        project="project"
+        location="location"
+        dataset="dataset"
+        dicomStore="dicomStore"
+        study={{[DICOM_TAGS.STUDY_UID]: {Value: ['study-uid']}}}
+        series={{[DICOM_TAGS.SERIES_UID]: {Value: ['series-uid']}}} />,
+  );
+  const currentQuota = frameCache.quota;
+
+  for (const cacheQuotaMB of ['', ' ', 'abc', '0', '-5']) {
+    act(() => {
+      viewer.current.setState({cacheQuotaMB});
+    });
+    expect(viewer.current.getCacheQuota()).toBe(currentQuota);
+    expect(screen.getByLabelText('Cache Quota (MB)'))
+        .toHaveAttribute('aria-invalid', 'true');
+  }
+
+  act(() => {
+    viewer.current.setState({cacheQuotaMB: '100'});
+  });
+  expect(viewer.current.getCacheQuota()).toBe(100 * 1024 * 1024);
+  expect(screen.getByLabelText('Cache Quota (MB)'))
+      .toHaveAttribute('aria-invalid', 'false');
+});
+
+test('Prefetch focus follows the frame scrolled to while loading', () => {
+  const viewer = React.createRef();
+  render(
+      <Viewer
+        ref={viewer}
+        project="project"
+        location="location"
+        dataset="dataset"
+        dicomStore="dicomStore"
+        study={{[DICOM_TAGS.STUDY_UID]: {Value: ['study-uid']}}}
+        series={{[DICOM_TAGS.SERIES_UID]: {Value: ['series-uid']}}} />,
+  );
+  const setFocusIndex = jest.spyOn(viewer.current.dicomSequencer,
+      'setFocusIndex');
+  viewer.current.stackIndices = new Map([['a', 0], ['b', 1], ['c', 2]]);
+  viewer.current.sequenceImageId = 'a';
+  act(() => {
+    viewer.current.setState({isDisplaying: true});
+  });
+
+  // Images displayed by the sequence itself don't move the focus
+  act(() => viewer.current.onNewImage({imageId: 'a'}));
+  expect(setFocusIndex).not.toHaveBeenCalled();
+
+  act(() => viewer.current.onNewImage({imageId: 'c'}));
+  expect(setFocusIndex).toHaveBeenCalledWith(2);
+});
+
+test('Max retries keep the last whole number entered', () => {
+  const viewer = React.createRef();
+  render(
+      <Viewer
+        ref={viewer}
+        project="project"
+        location="location"
+        dataset="dataset"
+        dicomStore="dicomStore"
+        study={{[DICOM_TAGS.STUDY_UID]: {Value: ['study-uid']}}}
+        series={{[DICOM_TAGS.SERIES_UID]: {Value: ['series-uid']}}} />,
+  );
+  const field = screen.getByLabelText('Max Retries');
+
+  fireEvent.change(field, {target: {value: '5'}});
+  expect(viewer.current.state.maxRetries).toBe(5);
+  for (const value of ['abc', '', '2.5', '-1']) {
+    fireEvent.change(field, {target: {value}});
+    expect(viewer.current.state.maxRetries).toBe(5);
+  }
+});
+
+test('Runs that can\'t display the series stop and report why', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const viewer = React.createRef();
+  render(
+      <Viewer
+        ref={viewer}
+        project="project"
+        location="location"
+        dataset="dataset"
+        dicomStore="dicomStore"
+        study={{[DICOM_TAGS.STUDY_UID]: {Value: ['study-uid']}}}
+        series={{[DICOM_TAGS.SERIES_UID]: {Value: ['series-uid']}}} />,
+  );
+  const clearInterval = jest.spyOn(window, 'clearInterval');
+
+  // A failed fetch ends the benchmark it's part of
+  api.fetchMetadata.mockRejectedValueOnce(new Error('Not found'));
+  act(() => viewer.current.startBenchmark());
+  await waitFor(() => expect(screen.getByText(
+      'Unable to display the series: Not found')).toBeInTheDocument());
+  expect(viewer.current.state.isDisplaying).toBe(false);
+  expect(viewer.current.benchmarkPlan).toEqual([]);
+  expect(clearInterval)
+      .toHaveBeenCalledWith(viewer.current.metricsIntervalId);
+
+  api.fetchMetadata.mockResolvedValueOnce([]);
+  act(() => viewer.current.getInstances());
+  await waitFor(() => expect(screen.getByText(
+      'Unable to display the series: The series has no frames'))
+      .toBeInTheDocument());
+  expect(viewer.current.state.isDisplaying).toBe(false);
+
+  clearInterval.mockRestore();
+  console.error.mockRestore();
+});
@@ -0,0 +1,55 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import React from 'react';
+import {render, screen, act} from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import Viewer from '../../src/components/viewer.js';
+import {DICOM_TAGS} from '../../src/dicomValues.js';
+import '../../src/cornerstonesetup.js';
+
+jest.mock('../../src/api.js');
+
+test('Batched and per-frame runs are recorded as separate rows', () => {
+  const viewer = React.createRef();
+  render(
+      <Viewer
+        ref={viewer}
+        project="project"
+        location="location"
+        dataset="dataset"
+        dicomStore="dicomStore"
+        study={{[DICOM_TAGS.STUDY_UID]: {Value: ['study-uid']}}}
+        series={{[DICOM_TAGS.SERIES_UID]: {Value: ['series-uid']}}} />,
+  );
+  viewer.current.getRunMetrics = () =>
+    ({totalTime: 2, timeToFirstImage: 0.5, fps: 10});
+
+  act(() => {
+    viewer.current.setState({framesPerRequest: 1});
+  });
+  act(() => viewer.current.recordRunMetrics());
+  act(() => {
+    viewer.current.setState({framesPerRequest: 4});
+  });
+  act(() => viewer.current.recordRunMetrics());
+
+  expect(screen.getByText(/\(1 frame\/request, streamed\)$/))
+      .toBeInTheDocument();
+  expect(screen.getByText(/\(4 frames\/request, streamed\)$/))
+      .toBeInTheDocument();
+  expect(Object.keys(viewer.current.state.runMetrics)).toHaveLength(2);
+});
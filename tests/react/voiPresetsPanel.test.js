@@ -0,0 +1,105 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import React from 'react';
+import {render, screen, fireEvent, waitFor} from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import VOIPresetsPanel from '../../src/components/voiPresetsPanel.js';
+import {getPresetsForModality} from '../../src/voiPresets.js';
+
+const customPresets = [
+  {name: 'Stroke', windowCenter: 32, windowWidth: 8, modalities: ['CT']},
+];
+
+/**
+ * Helper function to render the panel for a CT series
+ * @return {Object} Callbacks passed to the panel and its container
+ */
+const renderPanel = () => {
+  const callbacks = {
+    onSelect: jest.fn(),
+    onCustomPresetsChange: jest.fn(),
+    onExport: jest.fn(),
+  };
+  const {container} = render(<VOIPresetsPanel
+    presets={getPresetsForModality(customPresets, 'CT')}
+    customPresets={customPresets} modality="CT" {...callbacks} />);
+  return {...callbacks, container};
+};
+
+test('Presets are listed with their shortcuts and can be chosen', () => {
+  const callbacks = renderPanel();
+
+  expect(screen.getByText('W 1500 / L -600', {exact: false}))
+      .toBeInTheDocument();
+  fireEvent.click(screen.getByText('1. Lung'));
+  expect(callbacks.onSelect).toHaveBeenCalledWith(
+      expect.objectContaining({name: 'Lung', windowWidth: 1500}));
+  fireEvent.click(screen.getByText('7. Stroke'));
+  expect(callbacks.onSelect).toHaveBeenLastCalledWith(customPresets[0]);
+
+  fireEvent.click(screen.getByText('Export JSON'));
+  expect(callbacks.onExport).toHaveBeenCalledTimes(1);
+  fireEvent.click(screen.getByText('Remove'));
+  expect(callbacks.onCustomPresetsChange).toHaveBeenCalledWith([]);
+});
+
+test('Custom presets can be added for the series modality', () => {
+  const callbacks = renderPanel();
+
+  fireEvent.click(screen.getByText('Add'));
+  expect(screen.getByText('Preset 2 has no name')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Name'), {target: {value: 'Soft'}});
+  fireEvent.change(screen.getByLabelText('Width'), {target: {value: '400'}});
+  fireEvent.change(screen.getByLabelText('Center'), {target: {value: '40'}});
+  fireEvent.click(screen.getByText('Add'));
+  expect(callbacks.onCustomPresetsChange).toHaveBeenCalledWith([
+    customPresets[0],
+    {name: 'Soft', windowCenter: 40, windowWidth: 400, modalities: ['CT']},
+  ]);
+});
+
+test('Imported presets replace those with the same name', async () => {
+  const callbacks = renderPanel();
+  const imported = [
+    {name: 'Stroke', windowCenter: 35, windowWidth: 10, modalities: ['CT']},
+  ];
+  const input = callbacks.container.querySelector('input[type="file"]');
+
+  fireEvent.change(input, {target: {files: [
+    {text: async () => JSON.stringify(imported)},
+  ]}});
+  await waitFor(() =>
+    expect(callbacks.onCustomPresetsChange).toHaveBeenCalledWith(imported));
+
+  fireEvent.change(input, {target: {files: [{text: async () => 'nope'}]}});
+  expect(await screen.findByText(/Unable to import presets/))
+      .toBeInTheDocument();
+});
+
+test('Presets that can\'t be saved show an error', () => {
+  const callbacks = renderPanel();
+  callbacks.onCustomPresetsChange.mockImplementation(() => {
+    throw new DOMException('The quota has been exceeded.',
+        'QuotaExceededError');
+  });
+
+  fireEvent.click(screen.getByText('Remove'));
+  expect(screen.getByText(
+      'Unable to save presets: The quota has been exceeded.'))
+      .toBeInTheDocument();
+});
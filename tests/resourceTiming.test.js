@@ -0,0 +1,134 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  isFrameRequest,
+  toRequestTiming,
+  summarizeTimings,
+  ResourceTimingRecorder,
+} from '../src/resourceTiming.js';
+
+const STORE_URL = 'https://healthcare.googleapis.com/v1/projects/p/locations/l/datasets/d/dicomStores/s';
+const SERIES_URL = `${STORE_URL}/dicomWeb/studies/1/series/2`;
+
+/**
+ * Helper function to generate a resource timing entry
+ * @param {string} name Url of the request
+ * @param {number} startTime When the request started
+ * @param {number} responseStart When the first byte arrived
+ * @param {number} responseEnd When the last byte arrived
+ * @param {number} transferSize Bytes transferred
+ * @return {Object} Resource timing entry
+ */
+const generateEntry = (name, startTime, responseStart, responseEnd,
+    transferSize) => ({
+  name,
+  startTime,
+  requestStart: responseStart > 0 ? startTime + 10 : 0,
+  responseStart,
+  responseEnd,
+  transferSize,
+});
+
+test('Only frame requests to the store are recorded', () => {
+  expect(isFrameRequest(`${SERIES_URL}/instances/3/frames/1`, STORE_URL))
+      .toBe(true);
+  expect(isFrameRequest(`${SERIES_URL}/instances/3/frames/1,2,3`,
+      STORE_URL)).toBe(true);
+  expect(isFrameRequest(`${SERIES_URL}/instances/3/frames/1/rendered` +
+      '?quality=50', STORE_URL)).toBe(true);
+  expect(isFrameRequest(`${SERIES_URL}/instances/3`, STORE_URL)).toBe(true);
+  expect(isFrameRequest(`${SERIES_URL}/metadata`, STORE_URL)).toBe(false);
+  expect(isFrameRequest(`${SERIES_URL}/instances?includefield=00200032`,
+      STORE_URL)).toBe(false);
+  expect(isFrameRequest('https://example.com/instances/3/frames/1',
+      STORE_URL)).toBe(false);
+});
+
+test('Requests are summarized with throughput and TTFB', () => {
+  const url = `${SERIES_URL}/instances/3/frames/1`;
+  const timings = [
+    generateEntry(url, 0, 110, 500, 1024 * 1024),
+    generateEntry(url, 100, 160, 1000, 1024 * 1024),
+    // Servers without Timing-Allow-Origin hide TTFB and sizes
+    generateEntry(url, 200, 0, 300, 0),
+  ].map(toRequestTiming);
+  expect(timings.map((timing) => timing.ttfb)).toEqual([100, 50, null]);
+
+  const summary = summarizeTimings(timings);
+  expect(summary.numRequests).toBe(3);
+  expect(summary.totalBytes).toBe(2 * 1024 * 1024);
+  expect(summary.duration).toBe(1000);
+  expect(summary.throughput).toBe(2);
+  expect(summary.ttfb.p50).toBe(75);
+  expect(summary.ttfbHistogram).toEqual([0, 1, 1]);
+
+  expect(summarizeTimings([])).toMatchObject({
+    numRequests: 0,
+    throughput: 0,
+    ttfb: null,
+  });
+});
+
+test('Entries are observed from start until stop', () => {
+  const observers = [];
+  global.PerformanceObserver = class {
+    /**
+     * Creates a fake observer
+     * @param {function(Object): undefined} callback Runs with new entries
+     */
+    constructor(callback) {
+      this.callback = callback;
+      this.records = [];
+      observers.push(this);
+    }
+
+    /** Starts observing */
+    observe() {}
+
+    /** Stops observing */
+    disconnect() {
+      this.disconnected = true;
+    }
+
+    /**
+     * Takes entries that haven't been passed to the callback yet
+     * @return {Object[]} Pending entries
+     */
+    takeRecords() {
+      return this.records;
+    }
+  };
+
+  const recorder = new ResourceTimingRecorder();
+  recorder.start(STORE_URL);
+  const url = `${SERIES_URL}/instances/3/frames/1`;
+  observers[0].callback({getEntries: () => [
+    generateEntry(url, 0, 50, 100, 10),
+    generateEntry(`${SERIES_URL}/metadata`, 0, 50, 100, 10),
+  ]});
+  observers[0].records = [generateEntry(url, 100, 150, 200, 10)];
+  recorder.stop();
+
+  expect(recorder.timings.length).toBe(2);
+  expect(observers[0].disconnected).toBe(true);
+
+  // Starting again discards the timings of the last run
+  recorder.start(STORE_URL);
+  expect(recorder.timings).toEqual([]);
+  recorder.stop();
+  delete global.PerformanceObserver;
+});
@@ -0,0 +1,102 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  isRetryableError,
+  getRetryDelay,
+  withRetries,
+} from '../src/retry.js';
+
+/**
+ * Helper function to create an error like those thrown for failed requests
+ * @param {number} status HTTP status of the response
+ * @return {Error} Error with the status
+ */
+const httpError = (status) => {
+  const error = new Error(`Request failed with status ${status}`);
+  error.status = status;
+  return error;
+};
+
+test('Only rate limited and server errors are retryable', () => {
+  expect(isRetryableError(httpError(429))).toBe(true);
+  expect(isRetryableError(httpError(500))).toBe(true);
+  expect(isRetryableError(httpError(503))).toBe(true);
+  expect(isRetryableError(httpError(404))).toBe(false);
+  expect(isRetryableError(httpError(401))).toBe(false);
+  expect(isRetryableError(new Error('Unable to decode'))).toBe(false);
+});
+
+test('Retry delays back off exponentially up to the max delay', () => {
+  const options = {baseDelay: 100, maxDelay: 1000};
+  for (let attempt = 0; attempt < 6; attempt++) {
+    const delay = getRetryDelay(attempt, options);
+    expect(delay).toBeGreaterThanOrEqual(0);
+    expect(delay).toBeLessThanOrEqual(Math.min(1000, 100 * 2 ** attempt));
+  }
+});
+
+test('Operations are retried until they succeed', async () => {
+  const operation = jest.fn()
+      .mockRejectedValueOnce(httpError(429))
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValue('frame');
+  const onRetry = jest.fn();
+
+  await expect(withRetries(operation, {baseDelay: 1, onRetry}))
+      .resolves.toBe('frame');
+  expect(operation).toHaveBeenCalledTimes(3);
+  expect(onRetry.mock.calls.map((call) => call[1])).toEqual([1, 2]);
+});
+
+test('Operations fail once retries run out or can not help', async () => {
+  const failing = jest.fn().mockRejectedValue(httpError(500));
+  await expect(withRetries(failing, {maxRetries: 2, baseDelay: 1}))
+      .rejects.toHaveProperty('status', 500);
+  expect(failing).toHaveBeenCalledTimes(3);
+
+  const notFound = jest.fn().mockRejectedValue(httpError(404));
+  await expect(withRetries(notFound, {baseDelay: 1}))
+      .rejects.toHaveProperty('status', 404);
+  expect(notFound).toHaveBeenCalledTimes(1);
+});
+
+test('Invalid max retries fall back to the default', async () => {
+  const failing = jest.fn().mockRejectedValue(httpError(429));
+  await expect(withRetries(failing, {maxRetries: NaN, baseDelay: 1}))
+      .rejects.toHaveProperty('status', 429);
+  expect(failing).toHaveBeenCalledTimes(4);
+});
+
+test('Aborting stops retrying, even while waiting to retry', async () => {
+  const abortController = new AbortController();
+  const failing = jest.fn().mockRejectedValue(httpError(503));
+  jest.spyOn(Math, 'random').mockReturnValue(0.5);
+  await expect(withRetries(failing, {
+    baseDelay: 60000,
+    maxDelay: 60000,
+    onRetry: () => setTimeout(() => abortController.abort(), 0),
+    signal: abortController.signal,
+  })).rejects.toHaveProperty('name', 'AbortError');
+  expect(failing).toHaveBeenCalledTimes(1);
+  Math.random.mockRestore();
+
+  // Operations aren't started once the signal is aborted
+  const operation = jest.fn().mockResolvedValue('frame');
+  await expect(withRetries(operation, {signal: abortController.signal}))
+      .rejects.toHaveProperty('name', 'AbortError');
+  expect(operation).not.toHaveBeenCalled();
+});
@@ -0,0 +1,133 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  ORDERING_METHODS,
+  SLICE_ISSUES,
+  orderSlices,
+  parseTime,
+} from '../src/sliceOrder.js';
+import {DICOM_TAGS} from '../src/dicomValues.js';
+
+/** Axial orientation, with the normal pointing along +z */
+const AXIAL = [1, 0, 0, 0, 1, 0];
+
+/**
+ * Helper function to generate metadata for a slice
+ * @param {string} uid Instance UID
+ * @param {Object} attributes Values of the attributes to include, keyed by
+ *    tag
+ * @return {Object} DICOM JSON metadata for the slice
+ */
+const generateSlice = (uid, attributes) => {
+  const slice = {[DICOM_TAGS.INSTANCE_UID]: {Value: [uid]}};
+  Object.entries(attributes).forEach(([tag, value]) => {
+    slice[tag] = {Value: Array.isArray(value) ? value : [value]};
+  });
+  return slice;
+};
+
+/**
+ * Helper function to get the UIDs of ordered slices
+ * @param {Object[]} slices DICOM JSON metadata of each slice
+ * @return {string[]} Instance UID of each slice
+ */
+const getUIDs = (slices) =>
+  slices.map((slice) => slice[DICOM_TAGS.INSTANCE_UID].Value[0]);
+
+test('Slices are ordered by position along the normal', () => {
+  // Instance Numbers run against the anatomy, so must be ignored
+  const {instances, method, issues} = orderSlices([
+    generateSlice('b', {
+      [DICOM_TAGS.IMAGE_POSITION_PATIENT]: [0, 0, 5],
+      [DICOM_TAGS.IMAGE_ORIENTATION_PATIENT]: AXIAL,
+      [DICOM_TAGS.INSTANCE_NUMBER]: 1,
+    }),
+    generateSlice('c', {
+      [DICOM_TAGS.IMAGE_POSITION_PATIENT]: [3, 2, 10],
+      [DICOM_TAGS.IMAGE_ORIENTATION_PATIENT]: AXIAL,
+      [DICOM_TAGS.INSTANCE_NUMBER]: 0,
+    }),
+    generateSlice('a', {
+      [DICOM_TAGS.IMAGE_POSITION_PATIENT]: [0, 0, 0],
+      [DICOM_TAGS.IMAGE_ORIENTATION_PATIENT]: AXIAL,
+      [DICOM_TAGS.INSTANCE_NUMBER]: 2,
+    }),
+  ]);
+  expect(method).toBe(ORDERING_METHODS.POSITION);
+  expect(getUIDs(instances)).toEqual(['a', 'b', 'c']);
+  expect(issues).toEqual([]);
+});
+
+test('Ordering falls back when attributes are missing', () => {
+  // Slice Location is missing from one slice, so Acquisition Time is used
+  const byTime = orderSlices([
+    generateSlice('b', {
+      [DICOM_TAGS.SLICE_LOCATION]: 1,
+      [DICOM_TAGS.ACQUISITION_TIME]: '101500.5',
+    }),
+    generateSlice('a', {[DICOM_TAGS.ACQUISITION_TIME]: '10:15:00'}),
+  ]);
+  expect(byTime.method).toBe(ORDERING_METHODS.ACQUISITION_TIME);
+  expect(getUIDs(byTime.instances)).toEqual(['a', 'b']);
+
+  const byNumber = orderSlices([
+    generateSlice('b', {[DICOM_TAGS.INSTANCE_NUMBER]: 2}),
+    generateSlice('a', {[DICOM_TAGS.INSTANCE_NUMBER]: 1}),
+  ]);
+  expect(byNumber.method).toBe(ORDERING_METHODS.INSTANCE_NUMBER);
+  expect(getUIDs(byNumber.instances)).toEqual(['a', 'b']);
+
+  // Without any attributes to order by, the listed order is kept
+  const unordered = orderSlices([generateSlice('b', {}),
+    generateSlice('a', {})]);
+  expect(unordered.method).toBe(ORDERING_METHODS.NONE);
+  expect(getUIDs(unordered.instances)).toEqual(['b', 'a']);
+
+  expect(parseTime('235959.25')).toBe(86399.25);
+  expect(parseTime('not a time')).toBeNull();
+});
+
+test('Mixed orientations fall back to Slice Location', () => {
+  const {method, issues} = orderSlices([
+    generateSlice('a', {
+      [DICOM_TAGS.IMAGE_POSITION_PATIENT]: [0, 0, 0],
+      [DICOM_TAGS.IMAGE_ORIENTATION_PATIENT]: AXIAL,
+      [DICOM_TAGS.SLICE_LOCATION]: 0,
+    }),
+    generateSlice('b', {
+      [DICOM_TAGS.IMAGE_POSITION_PATIENT]: [0, 0, 0],
+      [DICOM_TAGS.IMAGE_ORIENTATION_PATIENT]: [0, 1, 0, 0, 0, -1],
+      [DICOM_TAGS.SLICE_LOCATION]: 5,
+    }),
+  ]);
+  expect(method).toBe(ORDERING_METHODS.SLICE_LOCATION);
+  expect(issues.map((issue) => issue.type))
+      .toEqual([SLICE_ISSUES.MIXED_ORIENTATIONS]);
+});
+
+test('Duplicate positions and gaps in spacing are reported', () => {
+  const locations = [0, 2, 2, 4, 6, 12, 14];
+  const {issues} = orderSlices(locations.map((location, i) =>
+    generateSlice(`${i}`, {[DICOM_TAGS.SLICE_LOCATION]: location})));
+  expect(issues.map((issue) => issue.type)).toEqual([
+    SLICE_ISSUES.DUPLICATE_POSITIONS,
+    SLICE_ISSUES.GAPS,
+  ]);
+  expect(issues[0].message).toMatch(/another slice: 1$/);
+  expect(issues[1].message)
+      .toMatch(/: 1, where .* 2\.00mm apart.*6\.00mm after 6/);
+});
@@ -0,0 +1,80 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as cornerstoneTools from 'cornerstone-tools';
+import {
+  PRIMARY_TOOLS,
+  enableViewportTools,
+  setPrimaryTool,
+  getStack,
+  setStack,
+  setStackIndex,
+} from '../src/viewportTools.js';
+
+test('Tools are bound to mouse buttons and can be switched', () => {
+  const element = document.createElement('div');
+  document.body.appendChild(element);
+  enableViewportTools(element);
+
+  const getTool = (toolName) =>
+    cornerstoneTools.getToolForElement(element, toolName);
+  expect(getTool('Wwwc').options).toMatchObject({
+    mouseButtonMask: [1],
+    isTouchActive: true,
+  });
+  expect(getTool('Pan').options.mouseButtonMask).toEqual([4]);
+  expect(getTool('Zoom').options.mouseButtonMask).toEqual([2]);
+  expect(getTool('StackScrollMouseWheel').mode).toBe('active');
+  expect(getTool('Length').mode).toBe('passive');
+
+  // The left button and one finger drags move to the new primary tool
+  setPrimaryTool(element, PRIMARY_TOOLS.PAN);
+  expect(getTool('Pan').options.mouseButtonMask).toEqual([1, 4]);
+  expect(getTool('Pan').options.isTouchActive).toBe(true);
+  expect(getTool('Wwwc').options.isMouseActive).toBe(false);
+  expect(getTool('Wwwc').options.isTouchActive).toBe(false);
+
+  setPrimaryTool(element, PRIMARY_TOOLS.WINDOW_LEVEL);
+  expect(getTool('Wwwc').options.mouseButtonMask).toEqual([1]);
+  expect(getTool('Pan').options.mouseButtonMask).toEqual([4]);
+
+  // Measurement tools draw with the left button
+  setPrimaryTool(element, PRIMARY_TOOLS.ELLIPTICAL_ROI);
+  expect(getTool('EllipticalRoi').mode).toBe('active');
+  expect(getTool('EllipticalRoi').options.mouseButtonMask).toEqual([1]);
+  expect(getTool('Wwwc').options.isMouseActive).toBe(false);
+});
+
+test('Frames form a stack that follows playback', () => {
+  const element = document.createElement('div');
+  document.body.appendChild(element);
+  enableViewportTools(element);
+  expect(getStack(element)).toBeNull();
+
+  setStack(element, ['image1', 'image2', 'image3']);
+  setStackIndex(element, 2);
+  expect(getStack(element)).toMatchObject({
+    currentImageIdIndex: 2,
+    imageIds: ['image1', 'image2', 'image3'],
+  });
+
+  // A new run replaces the stack
+  setStack(element, ['image4']);
+  expect(getStack(element)).toMatchObject({
+    currentImageIdIndex: 0,
+    imageIds: ['image4'],
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  DEFAULT_PRESETS,
+  parsePresetsJSON,
+  getPresetsJSON,
+  loadCustomPresets,
+  saveCustomPresets,
+  getPresetsForModality,
+  getPresetForKey,
+} from '../src/voiPresets.js';
+
+const custom = [
+  {name: 'Stroke', windowCenter: 32, windowWidth: 8, modalities: ['CT']},
+  {name: 'Wide', windowCenter: 0, windowWidth: 4000, modalities: []},
+  {name: 'T1', windowCenter: 300, windowWidth: 600, modalities: ['MR']},
+];
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+test('Presets are filtered by modality, built in presets first', () => {
+  const ct = getPresetsForModality(custom, 'CT');
+  expect(ct.map(({name}) => name)).toEqual([
+    'Lung', 'Mediastinum', 'Bone', 'Brain', 'Abdomen', 'Liver', 'Stroke',
+    'Wide',
+  ]);
+  expect(getPresetsForModality(custom, 'MR').map(({name}) => name))
+      .toEqual(['Wide', 'T1']);
+  expect(getPresetsForModality(custom, null).map(({name}) => name))
+      .toEqual(['Wide']);
+
+  expect(getPresetForKey(ct, '1')).toBe(DEFAULT_PRESETS[0]);
+  expect(getPresetForKey(ct, '8').name).toBe('Wide');
+  expect(getPresetForKey(ct, '9')).toBeNull();
+  expect(getPresetForKey(ct, '0')).toBeNull();
+  expect(getPresetForKey(ct, 'a')).toBeNull();
+});
+
+test('Custom presets are kept in localStorage', () => {
+  expect(loadCustomPresets()).toEqual([]);
+  saveCustomPresets(custom);
+  expect(loadCustomPresets()).toEqual(custom);
+
+  // Presets that can't be read don't stop the built in presets
+  localStorage.setItem('voiPresets', '{');
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  expect(loadCustomPresets()).toEqual([]);
+  console.error.mockRestore();
+});
+
+test('Presets round trip through JSON and are validated', () => {
+  expect(parsePresetsJSON(getPresetsJSON(custom))).toEqual(custom);
+  expect(parsePresetsJSON(
+      '[{"name": " Soft ", "windowCenter": 40, "windowWidth": 400}]'))
+      .toEqual([{name: 'Soft', windowCenter: 40, windowWidth: 400,
+        modalities: []}]);
+  expect(parsePresetsJSON('[{"name": "A", "windowCenter": 1, ' +
+      '"windowWidth": 2, "modalities": ["ct", " "]}]')[0].modalities)
+      .toEqual(['CT']);
+
+  expect(() => parsePresetsJSON('{}')).toThrow('JSON array');
+  expect(() => parsePresetsJSON('[{"windowCenter": 1, "windowWidth": 2}]'))
+      .toThrow('Preset 1 has no name');
+  expect(() => parsePresetsJSON(
+      '[{"name": "A", "windowCenter": 1, "windowWidth": 0}]'))
+      .toThrow('window width');
+  expect(() => parsePresetsJSON(
+      '[{"name": "A", "windowCenter": "1", "windowWidth": 2}]'))
+      .toThrow('window center');
+});
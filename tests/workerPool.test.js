@@ -0,0 +1,147 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {WorkerPool} from '../src/workerPool.js';
+import {getTransferables} from '../src/workerTasks.js';
+import {DICOM_TAGS, TRANSFER_SYNTAXES} from '../src/dicomValues.js';
+
+/**
+ * Fake worker that records messages and responds when told to
+ */
+class FakeWorker {
+  /**
+   * Creates a new fake worker
+   */
+  constructor() {
+    this.messages = [];
+    this.terminated = false;
+  }
+
+  /**
+   * Records a posted message
+   * @param {Object} message Message posted by the pool
+   * @param {ArrayBuffer[]} transfer Transferred ArrayBuffers
+   */
+  postMessage(message, transfer) {
+    this.messages.push({message, transfer});
+  }
+
+  /**
+   * Responds to the last posted message
+   * @param {Object} data Response data, without the message id
+   */
+  respond(data) {
+    const {message} = this.messages[this.messages.length - 1];
+    this.onmessage({data: {id: message.id, ...data}});
+  }
+
+  /**
+   * Marks the worker as terminated
+   */
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+test('Jobs are limited to one per worker up to the worker count', async () => {
+  const workers = [];
+  const pool = new WorkerPool(() => {
+    const worker = new FakeWorker();
+    workers.push(worker);
+    return worker;
+  }, 2);
+
+  const buffer = new ArrayBuffer(4);
+  const results = [1, 2, 3].map((i) => pool.run('task', [i], [buffer]));
+  expect(workers).toHaveLength(2);
+  expect(workers[0].messages[0].message.args).toEqual([1]);
+  expect(workers[0].messages[0].transfer).toEqual([buffer]);
+  expect(pool.jobQueue).toHaveLength(1);
+
+  // The queued job runs once a worker is free
+  workers[0].respond({result: 'first'});
+  expect(workers[0].messages[1].message.args).toEqual([3]);
+  workers[1].respond({error: 'Decoding failed'});
+  workers[0].respond({result: 'third'});
+
+  await expect(results[0]).resolves.toBe('first');
+  await expect(results[1]).rejects.toThrow('Decoding failed');
+  await expect(results[2]).resolves.toBe('third');
+
+  // Idle workers above a lowered limit are terminated
+  pool.setNumWorkers(1);
+  expect(pool.workers).toHaveLength(1);
+  expect(workers[0].terminated || workers[1].terminated).toBe(true);
+});
+
+test('Tasks run on the main thread with 0 workers', async () => {
+  const createWorker = jest.fn();
+  const pool = new WorkerPool(createWorker, 0);
+  const metaData = {
+    [DICOM_TAGS.NUM_ROWS]: 1,
+    [DICOM_TAGS.NUM_COLUMNS]: 3,
+    [DICOM_TAGS.PIXEL_REPRESENTATION]: 1,
+  };
+
+  const frame = await pool.run('prepareImageFrame', [
+    new Int16Array([-5, 0, 12]).buffer,
+    TRANSFER_SYNTAXES.EXPLICIT_VR_LITTLE_ENDIAN,
+    metaData,
+  ]);
+  expect(createWorker).not.toHaveBeenCalled();
+  expect(frame.minPixelValue).toBe(-5);
+  expect(frame.maxPixelValue).toBe(12);
+  expect(frame.color).toBe(false);
+
+  // Pixel data is transferred back rather than copied
+  expect(getTransferables(frame)).toEqual([frame.pixelData.buffer]);
+
+  await expect(pool.run('unknownTask', []))
+      .rejects.toThrow('Unknown worker task: unknownTask');
+});
+
+test('Workers that fail are removed from the pool once', async () => {
+  const workers = [];
+  const pool = new WorkerPool(() => {
+    const worker = new FakeWorker();
+    workers.push(worker);
+    return worker;
+  }, 2);
+
+  const results = [1, 2].map((i) => pool.run('task', [i]));
+  workers[0].onerror({message: 'Script failed to load'});
+  await expect(results[0]).rejects.toThrow('Script failed to load');
+  expect(pool.workers.map((entry) => entry.worker)).toEqual([workers[1]]);
+
+  // A second error from the removed worker leaves the others alone
+  workers[0].onerror({message: 'Script failed to load'});
+  expect(pool.workers.map((entry) => entry.worker)).toEqual([workers[1]]);
+  workers[1].respond({result: 'second'});
+  await expect(results[1]).resolves.toBe('second');
+});
+
+test('Worker counts must be finite and are rounded down', () => {
+  const pool = new WorkerPool(() => new FakeWorker(), 2.7);
+  expect(pool.numWorkers).toBe(2);
+  pool.setNumWorkers(-3);
+  expect(pool.numWorkers).toBe(0);
+
+  // Without a limit, a worker would be started for every job
+  expect(() => pool.setNumWorkers(NaN)).toThrow('Invalid number of workers');
+  expect(() => new WorkerPool(() => new FakeWorker(), Infinity))
+      .toThrow('Invalid number of workers');
+  expect(pool.numWorkers).toBe(0);
+});
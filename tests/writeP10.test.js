@@ -0,0 +1,81 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {TextEncoder} from 'util';
+import writeP10 from '../src/writeP10.js';
+import parseP10 from '../src/parseP10.js';
+import {DICOM_TAGS, TRANSFER_SYNTAXES} from '../src/dicomValues.js';
+
+// jsdom doesn't provide TextEncoder
+beforeAll(() => {
+  global.TextEncoder = TextEncoder;
+});
+
+afterAll(() => {
+  delete global.TextEncoder;
+});
+
+test('Written files can be parsed back to the same attributes', () => {
+  const metaData = {
+    [DICOM_TAGS.SOP_CLASS_UID]: {vr: 'UI', Value: ['1.2.840.10008.5.1.4.1']},
+    [DICOM_TAGS.INSTANCE_UID]: {vr: 'UI', Value: ['1.2.3']},
+    [DICOM_TAGS.MODALITY]: {vr: 'CS', Value: ['SR']},
+    '00100010': {vr: 'PN', Value: [{Alphabetic: 'Doe^Jane'}]},
+    '00080090': {vr: 'PN'},
+    [DICOM_TAGS.NUM_ROWS]: {vr: 'US', Value: [512]},
+    '0040A730': {vr: 'SQ', Value: [
+      {
+        '0040A040': {vr: 'CS', Value: ['NUM']},
+        '0040A30A': {vr: 'DS', Value: [12.5]},
+      },
+      {
+        '0040A160': {vr: 'UT', Value: ['Größe']},
+        '00700022': {vr: 'FL', Value: [1.5, 2.25]},
+      },
+    ]},
+  };
+  const {metaData: parsed, transferSyntax} = parseP10(writeP10(metaData));
+
+  expect(transferSyntax).toBe(TRANSFER_SYNTAXES.EXPLICIT_VR_LITTLE_ENDIAN);
+  expect(parsed['00020003']).toEqual({vr: 'UI', Value: ['1.2.3']});
+  expect(parsed[DICOM_TAGS.INSTANCE_UID])
+      .toEqual({vr: 'UI', Value: ['1.2.3']});
+  expect(parsed['00100010'])
+      .toEqual({vr: 'PN', Value: [{Alphabetic: 'Doe^Jane'}]});
+  expect(parsed['00080090']).toEqual({vr: 'PN'});
+  expect(parsed[DICOM_TAGS.NUM_ROWS]).toEqual({vr: 'US', Value: [512]});
+  expect(parsed['0040A730']).toEqual({vr: 'SQ', Value: [
+    {
+      '0040A040': {vr: 'CS', Value: ['NUM']},
+      '0040A30A': {vr: 'DS', Value: [12.5]},
+    },
+    {
+      '0040A160': {vr: 'UT', Value: [expect.any(String)]},
+      '00700022': {vr: 'FL', Value: [1.5, 2.25]},
+    },
+  ]});
+});
+
+test('Decimal strings are rounded to 16 characters', () => {
+  const {metaData} = parseP10(writeP10({
+    [DICOM_TAGS.SOP_CLASS_UID]: {vr: 'UI', Value: ['1.2']},
+    [DICOM_TAGS.INSTANCE_UID]: {vr: 'UI', Value: ['1.2.3']},
+    '0040A30A': {vr: 'DS', Value: [1 / 3, 123456.789]},
+  }));
+  const values = metaData['0040A30A'].Value;
+  expect(values[0]).toBeCloseTo(1 / 3, 10);
+  expect(values[1]).toBe(123456.789);
+});
@@ -29,9 +29,17 @@ module.exports = {
   },
   module: {
     rules: [
+      {
+        test: /\.worker\.js$/,
+        use: {
+          loader: 'worker-loader',
+        },
+      },
       {
         test: /\.(js|jsx)$/,
-        exclude: /node_modules/,
+        // Codec packages ship modern syntax that must be transpiled
+        exclude:
+            /node_modules\/(?!(@cornerstonejs|jpeg-lossless-decoder-js)\/)/,
         use: {
           loader: 'babel-loader',
         },